@@ -20,7 +20,6 @@ const {
 	math: {random},
 } = Whirl;
 
-const keys = {};
 let sprite1, sprite2, sprite3, gradient;
 
 function setup({stage, viewport, game: {Viewport, Sprite, Colour, Gradient}}) {
@@ -70,40 +69,40 @@ function setup({stage, viewport, game: {Viewport, Sprite, Colour, Gradient}}) {
 	]);
 }
 
-function update() {
+function update({game: {input}}) {
 	// Make Sprite spin
 	sprite1.rotation += 1;
 
 	// Keyboard controls
-	if (keys.ArrowUp) {
+	if (input.isDown("ArrowUp")) {
 		sprite3.bounds.y -= 5;
 	}
 
-	if (keys.ArrowDown) {
+	if (input.isDown("ArrowDown")) {
 		sprite3.bounds.y += 5;
 	}
 
-	if (keys.ArrowLeft) {
+	if (input.isDown("ArrowLeft")) {
 		sprite3.bounds.x -= 5;
 	}
 
-	if (keys.ArrowRight) {
+	if (input.isDown("ArrowRight")) {
 		sprite3.bounds.x += 5;
 	}
 
-	if (keys.d) {
+	if (input.isDown("d")) {
 		sprite2.bounds.w += 5;
 	}
 
-	if (keys.a) {
+	if (input.isDown("a")) {
 		sprite2.bounds.w -= 5;
 	}
 
-	if (keys.w) {
+	if (input.isDown("w")) {
 		sprite2.bounds.h -= 5;
 	}
 
-	if (keys.s) {
+	if (input.isDown("s")) {
 		sprite2.bounds.h += 5;
 	}
 
@@ -118,11 +117,3 @@ const game = createGame({
 	.event.on("didUpdate", update)
 	.start();
 
-// Attach event listeners
-document.addEventListener("keydown", (evt) => {
-	keys[evt.key] = true;
-});
-
-document.addEventListener("keyup", (evt) => {
-	keys[evt.key] = false;
-});
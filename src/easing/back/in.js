@@ -0,0 +1,14 @@
+// Amount of overshoot, giving a 10% pull back
+const C1 = 1.70158;
+const C3 = C1 + 1;
+
+/**
+ * Interpolates a value by first pulling back below the start value, then speeding up toward the end value.
+ *
+ * @function in
+ * @memberof Whirl.easing.back
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => C3 * t * t * t - C1 * t * t;
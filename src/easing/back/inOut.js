@@ -0,0 +1,16 @@
+// Amount of overshoot, scaled so that each half overshoots by 10%
+const C2 = 1.70158 * 1.525;
+
+/**
+ * Interpolates a value by first pulling back below the start value, speeding up, then overshooting the end value and settling back onto it.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.back
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) =>
+	t < 0.5
+		? (Math.pow(2 * t, 2) * ((C2 + 1) * 2 * t - C2)) / 2
+		: (Math.pow(2 * t - 2, 2) * ((C2 + 1) * (t * 2 - 2) + C2) + 2) / 2;
@@ -0,0 +1,15 @@
+/**
+ * Functions that overshoot their start or end value slightly before settling, as if pulling back before moving.
+ *
+ * @namespace back
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
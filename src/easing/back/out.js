@@ -0,0 +1,14 @@
+// Amount of overshoot, giving a 10% overshoot
+const C1 = 1.70158;
+const C3 = C1 + 1;
+
+/**
+ * Interpolates a value by speeding toward and overshooting the end value, then settling back onto it.
+ *
+ * @function out
+ * @memberof Whirl.easing.back
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => 1 + C3 * Math.pow(t - 1, 3) + C1 * Math.pow(t - 1, 2);
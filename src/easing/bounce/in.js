@@ -0,0 +1,12 @@
+import out from "./out";
+
+/**
+ * Interpolates a value by bouncing off of the start value with an increasing height before accelerating toward the end value.
+ *
+ * @function in
+ * @memberof Whirl.easing.bounce
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => 1 - out(1 - t);
@@ -0,0 +1,12 @@
+import out from "./out";
+
+/**
+ * Interpolates a value by bouncing off of the start value with an increasing height, then bouncing off of the end value with a decaying height.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.bounce
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => (t < 0.5 ? (1 - out(1 - 2 * t)) / 2 : (1 + out(2 * t - 1)) / 2);
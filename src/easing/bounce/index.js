@@ -0,0 +1,15 @@
+/**
+ * Functions that bounce off of their start or end value with a decaying height, like a ball dropped onto the floor.
+ *
+ * @namespace bounce
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
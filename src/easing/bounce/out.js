@@ -0,0 +1,24 @@
+// Shape of the bounces - four bounces that each reach a quarter of the height of the previous bounce
+const N1 = 7.5625;
+const D1 = 2.75;
+
+/**
+ * Interpolates a value by accelerating toward the end value and bouncing off of it with a decaying height.
+ *
+ * @function out
+ * @memberof Whirl.easing.bounce
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => {
+	if (t < 1 / D1) {
+		return N1 * t * t;
+	} else if (t < 2 / D1) {
+		return N1 * (t -= 1.5 / D1) * t + 0.75;
+	} else if (t < 2.5 / D1) {
+		return N1 * (t -= 2.25 / D1) * t + 0.9375;
+	}
+
+	return N1 * (t -= 2.625 / D1) * t + 0.984375;
+};
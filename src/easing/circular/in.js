@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value along a quarter circle, starting slowly and speeding up.
+ *
+ * @function in
+ * @memberof Whirl.easing.circular
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => 1 - Math.sqrt(1 - t * t);
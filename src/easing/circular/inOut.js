@@ -0,0 +1,11 @@
+/**
+ * Interpolates a value along a quarter circle, starting slowly, speeding up toward the half-way point, and slowing down again.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.circular
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) =>
+	t < 0.5 ? (1 - Math.sqrt(1 - 4 * t * t)) / 2 : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2;
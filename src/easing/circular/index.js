@@ -0,0 +1,15 @@
+/**
+ * Functions that imply a rate of change following the curve of a circle (`1 - sqrt(1 - t^2)`).
+ *
+ * @namespace circular
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
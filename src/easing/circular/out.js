@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value along a quarter circle, starting quickly and slowing down.
+ *
+ * @function out
+ * @memberof Whirl.easing.circular
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => Math.sqrt(1 - (t - 1) * (t - 1));
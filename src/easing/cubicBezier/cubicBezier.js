@@ -0,0 +1,92 @@
+// Precision that the curve is solved to
+const EPSILON = 1e-6;
+
+/**
+ * Create an easing function that follows a cubic Bézier curve, matching the [CSS `cubic-bezier()` timing function](https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function#cubic-bezier_easing_function).
+ *
+ * The curve starts at `(0, 0)` and ends at `(1, 1)`, and its shape is defined by two control points. The X-coordinate of each control point must be between `0` and `1`, whereas the Y-coordinates may be outside of that range to overshoot.
+ *
+ * @function cubicBezier
+ * @memberof Whirl.easing
+ *
+ * @param {number} x1 X-coordinate of the first control point (0-1).
+ * @param {number} y1 Y-coordinate of the first control point.
+ * @param {number} x2 X-coordinate of the second control point (0-1).
+ * @param {number} y2 Y-coordinate of the second control point.
+ * @returns {function} Easing function that takes an interpolant between one (1) and zero (0).
+ *
+ * @example
+ * // Equivalent of the CSS `ease` keyword
+ * const ease = Whirl.easing.cubicBezier(0.25, 0.1, 0.25, 1);
+ *
+ * ease(0.5); // ~0.8024
+ */
+const cubicBezier = (x1, y1, x2, y2) => {
+	if (!(x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1)) {
+		throw new Error(
+			"Whirl | The X-coordinates of the control points given to `easing.cubicBezier` must be between 0 and 1."
+		);
+	}
+
+	// Polynomial coefficients of each axis of the curve
+	const cx = 3 * x1;
+	const bx = 3 * (x2 - x1) - cx;
+	const ax = 1 - cx - bx;
+	const cy = 3 * y1;
+	const by = 3 * (y2 - y1) - cy;
+	const ay = 1 - cy - by;
+
+	const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+	const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+	const sampleSlopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+	// Find the curve parameter that gives the X-coordinate `x`
+	const solve = (x) => {
+		let s = x;
+
+		// Newton's method converges quickly for most curves
+		for (let i = 0; i < 8; i++) {
+			const error = sampleX(s) - x;
+
+			if (Math.abs(error) < EPSILON) {
+				return s;
+			}
+
+			const slope = sampleSlopeX(s);
+
+			if (Math.abs(slope) < EPSILON) {
+				break;
+			}
+
+			s -= error / slope;
+		}
+
+		// Fall back to bisection, which always converges as X increases monotonically along the curve
+		let low = 0;
+		let high = 1;
+
+		s = x;
+
+		while (high - low > EPSILON) {
+			if (sampleX(s) < x) {
+				low = s;
+			} else {
+				high = s;
+			}
+
+			s = (low + high) / 2;
+		}
+
+		return s;
+	};
+
+	return (t) => {
+		if (t <= 0 || t >= 1) {
+			return t <= 0 ? 0 : 1;
+		}
+
+		return sampleY(solve(t));
+	};
+};
+
+export default cubicBezier;
@@ -0,0 +1,19 @@
+// Angular frequency of the oscillation
+const C4 = (2 * Math.PI) / 3;
+
+/**
+ * Interpolates a value by oscillating around the start value with an increasing amplitude before snapping to the end value.
+ *
+ * @function in
+ * @memberof Whirl.easing.elastic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => {
+	if (t === 0 || t === 1) {
+		return t;
+	}
+
+	return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * C4);
+};
@@ -0,0 +1,21 @@
+// Angular frequency of the oscillation
+const C5 = (2 * Math.PI) / 4.5;
+
+/**
+ * Interpolates a value by oscillating around the start value with an increasing amplitude, then oscillating around the end value with a decaying amplitude.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.elastic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => {
+	if (t === 0 || t === 1) {
+		return t;
+	}
+
+	return t < 0.5
+		? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * C5)) / 2
+		: (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * C5)) / 2 + 1;
+};
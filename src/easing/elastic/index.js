@@ -0,0 +1,15 @@
+/**
+ * Functions that oscillate around their start or end value with a decaying amplitude, like a spring or an elastic band.
+ *
+ * @namespace elastic
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
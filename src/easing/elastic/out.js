@@ -0,0 +1,19 @@
+// Angular frequency of the oscillation
+const C4 = (2 * Math.PI) / 3;
+
+/**
+ * Interpolates a value by snapping past the end value and oscillating around it with a decaying amplitude.
+ *
+ * @function out
+ * @memberof Whirl.easing.elastic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => {
+	if (t === 0 || t === 1) {
+		return t;
+	}
+
+	return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * C4) + 1;
+};
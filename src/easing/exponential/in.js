@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value exponentially, starting slowly and speeding up.
+ *
+ * @function in
+ * @memberof Whirl.easing.exponential
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10));
@@ -0,0 +1,16 @@
+/**
+ * Interpolates a value exponentially, starting slowly, speeding up toward the half-way point, and slowing down again.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.exponential
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => {
+	if (t === 0 || t === 1) {
+		return t;
+	}
+
+	return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+};
@@ -0,0 +1,15 @@
+/**
+ * Functions that imply a rate of change by a power of two (2) (`2^(10t - 10)`).
+ *
+ * @namespace exponential
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value exponentially, starting quickly and slowing down.
+ *
+ * @function out
+ * @memberof Whirl.easing.exponential
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t));
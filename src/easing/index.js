@@ -10,9 +10,23 @@
  * | Out | Deceleration to zero velocity. |
  * | In Out | Acceleration until halfway, then deceleration. |
  *
+ * Each family of easing functions (such as `quadratic` or `bounce`) has an `in`, `out` and `inOut` variant. Custom curves can be created with the {@link Whirl.easing.cubicBezier|cubicBezier} and {@link Whirl.easing.steps|steps} factories, which match their CSS counterparts.
+ *
+ * Easing functions can be given to a {@link Whirl.Game.TweenManager.Tween|Tween} directly, or by their path in this namespace (Eg, `"elastic.out"`).
+ *
  * @namespace easing
  * @memberof Whirl
  */
 export {default as linear} from "./linear";
 export {default as quadratic} from "./quadratic";
 export {default as cubic} from "./cubic";
+export {default as quartic} from "./quartic";
+export {default as quintic} from "./quintic";
+export {default as sine} from "./sine";
+export {default as exponential} from "./exponential";
+export {default as circular} from "./circular";
+export {default as back} from "./back";
+export {default as elastic} from "./elastic";
+export {default as bounce} from "./bounce";
+export {default as cubicBezier} from "./cubicBezier";
+export {default as steps} from "./steps";
@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value quartically, starting slowly and speeding up.
+ *
+ * @function in
+ * @memberof Whirl.easing.quartic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => t * t * t * t;
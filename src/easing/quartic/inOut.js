@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value quartically, starting slowly, speeding up toward the half-way point, and slowing down again.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.quartic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => (t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2);
@@ -0,0 +1,15 @@
+/**
+ * Functions that imply a rate of change by a degree of four (4) (`t^4`).
+ *
+ * @namespace quartic
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
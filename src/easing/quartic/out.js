@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value quartically, starting quickly and slowing down.
+ *
+ * @function out
+ * @memberof Whirl.easing.quartic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => 1 - Math.pow(1 - t, 4);
@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value quintically, starting slowly, speeding up toward the half-way point, and slowing down again.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.quintic
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => (t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2);
@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value along a sine wave, starting slowly and speeding up.
+ *
+ * @function in
+ * @memberof Whirl.easing.sine
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => 1 - Math.cos((t * Math.PI) / 2);
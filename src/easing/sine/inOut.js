@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value along a sine wave, starting slowly, speeding up toward the half-way point, and slowing down again.
+ *
+ * @function inOut
+ * @memberof Whirl.easing.sine
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => -(Math.cos(Math.PI * t) - 1) / 2;
@@ -0,0 +1,15 @@
+/**
+ * Functions that imply a rate of change following a sine wave.
+ *
+ * @namespace sine
+ * @memberof Whirl.easing
+ */
+import _in from "./in";
+import out from "./out";
+import inOut from "./inOut";
+
+export default {
+	in: _in,
+	out,
+	inOut,
+};
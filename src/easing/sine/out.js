@@ -0,0 +1,10 @@
+/**
+ * Interpolates a value along a sine wave, starting quickly and slowing down.
+ *
+ * @function out
+ * @memberof Whirl.easing.sine
+ *
+ * @param {number} t Interpolant between one (1) and zero(0).
+ * @returns {number}
+ */
+export default (t) => Math.sin((t * Math.PI) / 2);
@@ -0,0 +1,69 @@
+// Number of jumps and whether the first jump happens at the start, for each jump position
+const POSITIONS = {
+	"jump-start": {jumps: 0, start: true},
+	"jump-end": {jumps: 0, start: false},
+	"jump-none": {jumps: -1, start: false},
+	"jump-both": {jumps: 1, start: true},
+	start: {jumps: 0, start: true},
+	end: {jumps: 0, start: false},
+};
+
+/**
+ * Create an easing function that jumps between a number of equally sized steps instead of changing smoothly, matching the [CSS `steps()` timing function](https://developer.mozilla.org/en-US/docs/Web/CSS/easing-function#steps_easing_function).
+ *
+ * | Position | Description |
+ * |-|-|
+ * | `jump-start`, `start` | The first jump happens at the very start. |
+ * | `jump-end`, `end` | The last jump happens at the very end. |
+ * | `jump-none` | No jump at the start or the end. The start and end values are each held for a step. |
+ * | `jump-both` | Jumps at both the very start and the very end. |
+ *
+ * @function steps
+ * @memberof Whirl.easing
+ *
+ * @param {number} count Number of steps. Must be a positive integer, and greater than one (1) for the `jump-none` position.
+ * @param {string} [position="jump-end"] When the jumps between steps happen.
+ * @returns {function} Easing function that takes an interpolant between one (1) and zero (0).
+ *
+ * @example
+ * const fourSteps = Whirl.easing.steps(4);
+ *
+ * fourSteps(0.3); // 0.25
+ * fourSteps(0.5); // 0.5
+ * fourSteps(1); // 1
+ *
+ * Whirl.easing.steps(4, "jump-start")(0.3); // 0.5
+ */
+const steps = (count, position = "jump-end") => {
+	const type = POSITIONS[position];
+
+	if (!type) {
+		throw new Error(`Whirl | Invalid step position "${position}" given to \`easing.steps\`.`);
+	}
+
+	if (!Number.isInteger(count) || count < 1 || (position === "jump-none" && count < 2)) {
+		throw new Error(`Whirl | Invalid step count "${count}" given to \`easing.steps\`.`);
+	}
+
+	const jumps = count + type.jumps;
+
+	return (t) => {
+		let step = Math.floor(t * count);
+
+		if (type.start) {
+			step++;
+		}
+
+		if (t >= 0 && step < 0) {
+			step = 0;
+		}
+
+		if (t <= 1 && step > jumps) {
+			step = jumps;
+		}
+
+		return step / jumps;
+	};
+};
+
+export default steps;
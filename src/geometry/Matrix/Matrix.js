@@ -0,0 +1,304 @@
+import Geometry from "~/geometry/Geometry";
+import Point from "~/geometry/Point";
+import getValue from "~/lib/getValue";
+import lerp from "~/math/lerp";
+
+/**
+ * @classdesc
+ * Represents a 2D affine transformation matrix that can translate, rotate, scale and skew points.
+ *
+ * The matrix has the following form, matching the arguments of the [Canvas `transform` method](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/transform):
+ *
+ * ```
+ * | a  c  tx |
+ * | b  d  ty |
+ * | 0  0  1  |
+ * ```
+ *
+ * Every {@link Whirl.Entity|Entity} holds a local matrix relative to its parent and a derived world matrix that renderers and hit-tests use to place it in the game world.
+ *
+ * Matrices are constructed using the `Whirl.geometry.Matrix` factory method, but the underlying class can be accessed with `Whirl.geometry.Matrix.class`.
+ *
+ * @class Matrix
+ * @memberof Whirl.geometry
+ * @extends Whirl.geometry.Geometry
+ *
+ * @param {number} [a=1] Horizontal scaling.
+ * @param {number} [b=0] Vertical skewing.
+ * @param {number} [c=0] Horizontal skewing.
+ * @param {number} [d=1] Vertical scaling.
+ * @param {number} [tx=0] Horizontal translation.
+ * @param {number} [ty=0] Vertical translation.
+ *
+ * @example
+ * Whirl.geometry.Matrix(); // Matrix {a: 1, b: 0, c: 0, d: 1, tx: 0, ty: 0}
+ *
+ * @example
+ * const matrix = Whirl.geometry.Matrix().setTransform({x: 100, rotation: Math.PI / 2});
+ *
+ * matrix.apply(10, 0); // Point {x: 100, y: 10}
+ */
+class Matrix extends Geometry {
+	/**
+	 * Horizontal scaling.
+	 *
+	 * @memberof Whirl.geometry.Matrix#
+	 * @type {number}
+	 */
+	a;
+
+	/**
+	 * Vertical skewing.
+	 *
+	 * @memberof Whirl.geometry.Matrix#
+	 * @type {number}
+	 */
+	b;
+
+	/**
+	 * Horizontal skewing.
+	 *
+	 * @memberof Whirl.geometry.Matrix#
+	 * @type {number}
+	 */
+	c;
+
+	/**
+	 * Vertical scaling.
+	 *
+	 * @memberof Whirl.geometry.Matrix#
+	 * @type {number}
+	 */
+	d;
+
+	/**
+	 * Horizontal translation.
+	 *
+	 * @memberof Whirl.geometry.Matrix#
+	 * @type {number}
+	 */
+	tx;
+
+	/**
+	 * Vertical translation.
+	 *
+	 * @memberof Whirl.geometry.Matrix#
+	 * @type {number}
+	 */
+	ty;
+
+	constructor(a = 1, b = 0, c = 0, d = 1, tx = 0, ty = 0) {
+		super();
+
+		this.a = a;
+		this.b = b;
+		this.c = c;
+		this.d = d;
+		this.tx = tx;
+		this.ty = ty;
+	}
+
+	set(properties = {}) {
+		this.a = getValue(properties, "a", this.a);
+		this.b = getValue(properties, "b", this.b);
+		this.c = getValue(properties, "c", this.c);
+		this.d = getValue(properties, "d", this.d);
+		this.tx = getValue(properties, "tx", this.tx);
+		this.ty = getValue(properties, "ty", this.ty);
+
+		return this;
+	}
+
+	/**
+	 * Reset this matrix to the identity matrix, which leaves points unchanged.
+	 *
+	 * @method Whirl.geometry.Matrix#identity
+	 *
+	 * @returns {this}
+	 */
+	identity() {
+		return this.set({a: 1, b: 0, c: 0, d: 1, tx: 0, ty: 0});
+	}
+
+	/**
+	 * Set this matrix from individual transform components.
+	 *
+	 * The resulting matrix moves the pivot point to the given position, after scaling, skewing and rotating around the pivot point (in that order).
+	 *
+	 * @method Whirl.geometry.Matrix#setTransform
+	 *
+	 * @param {object} [transform] Transform components. Components that are not given use their default value.
+	 * @param {number} [transform.x=0] Horizontal position of the pivot point after transforming.
+	 * @param {number} [transform.y=0] Vertical position of the pivot point after transforming.
+	 * @param {number} [transform.pivotX=0] Horizontal position of the pivot point before transforming.
+	 * @param {number} [transform.pivotY=0] Vertical position of the pivot point before transforming.
+	 * @param {number} [transform.scaleX=1] Horizontal scale.
+	 * @param {number} [transform.scaleY=1] Vertical scale.
+	 * @param {number} [transform.rotation=0] Clockwise rotation **in radians**.
+	 * @param {number} [transform.skewX=0] Horizontal skew **in radians**.
+	 * @param {number} [transform.skewY=0] Vertical skew **in radians**.
+	 * @returns {this}
+	 */
+	setTransform(transform = {}) {
+		const x = getValue(transform, "x", 0);
+		const y = getValue(transform, "y", 0);
+		const pivotX = getValue(transform, "pivotX", 0);
+		const pivotY = getValue(transform, "pivotY", 0);
+		const scaleX = getValue(transform, "scaleX", 1);
+		const scaleY = getValue(transform, "scaleY", 1);
+		const rotation = getValue(transform, "rotation", 0);
+		const skewX = getValue(transform, "skewX", 0);
+		const skewY = getValue(transform, "skewY", 0);
+
+		this.a = Math.cos(rotation + skewY) * scaleX;
+		this.b = Math.sin(rotation + skewY) * scaleX;
+		this.c = -Math.sin(rotation - skewX) * scaleY;
+		this.d = Math.cos(rotation - skewX) * scaleY;
+		this.tx = x - (pivotX * this.a + pivotY * this.c);
+		this.ty = y - (pivotX * this.b + pivotY * this.d);
+
+		return this;
+	}
+
+	/**
+	 * Multiply this matrix by another matrix, so that the other matrix is applied to points first and this matrix is applied after.
+	 *
+	 * Used to compose the local matrix of a child with the world matrix of its parent, as in `parentWorld.multiply(childLocal)`.
+	 *
+	 * @method Whirl.geometry.Matrix#multiply
+	 *
+	 * @param {Whirl.geometry.Matrix} matrix Matrix to multiply by.
+	 * @returns {this}
+	 */
+	multiply(matrix) {
+		const {a, b, c, d, tx, ty} = this;
+
+		this.a = a * matrix.a + c * matrix.b;
+		this.b = b * matrix.a + d * matrix.b;
+		this.c = a * matrix.c + c * matrix.d;
+		this.d = b * matrix.c + d * matrix.d;
+		this.tx = a * matrix.tx + c * matrix.ty + tx;
+		this.ty = b * matrix.tx + d * matrix.ty + ty;
+
+		return this;
+	}
+
+	/**
+	 * Invert this matrix, so that it undoes the transformation it previously applied.
+	 *
+	 * Matrices that scale to zero (0) cannot be inverted and are left unchanged.
+	 *
+	 * @method Whirl.geometry.Matrix#invert
+	 *
+	 * @returns {this}
+	 */
+	invert() {
+		const {a, b, c, d, tx, ty} = this;
+		const determinant = a * d - b * c;
+
+		if (determinant === 0) {
+			return this;
+		}
+
+		this.a = d / determinant;
+		this.b = -b / determinant;
+		this.c = -c / determinant;
+		this.d = a / determinant;
+		this.tx = (c * ty - d * tx) / determinant;
+		this.ty = (b * tx - a * ty) / determinant;
+
+		return this;
+	}
+
+	/**
+	 * Transform a point by this matrix.
+	 *
+	 * @method Whirl.geometry.Matrix#apply
+	 *
+	 * @param {number|Whirl.geometry.Point} x X-coordinate of the point. An instance of a Point can be given instead as the only argument.
+	 * @param {number} [y] Y-coordinate of the point.
+	 * @param {Whirl.geometry.Point} [out] Point to store the result in. If not given, a new Point is created.
+	 * @returns {Whirl.geometry.Point} The transformed point.
+	 */
+	apply(px, py, out) {
+		let x = px;
+		let y = py;
+
+		if (px instanceof Point.class) {
+			x = px.x;
+			y = px.y;
+			out = py;
+		}
+
+		return (out || Point()).set({
+			x: this.a * x + this.c * y + this.tx,
+			y: this.b * x + this.d * y + this.ty,
+		});
+	}
+
+	/**
+	 * Transform a point by the inverse of this matrix, such as to convert a point in the game world to a point relative to an entity.
+	 *
+	 * @method Whirl.geometry.Matrix#applyInverse
+	 *
+	 * @param {number|Whirl.geometry.Point} x X-coordinate of the point. An instance of a Point can be given instead as the only argument.
+	 * @param {number} [y] Y-coordinate of the point.
+	 * @param {Whirl.geometry.Point} [out] Point to store the result in. If not given, a new Point is created.
+	 * @returns {Whirl.geometry.Point} The transformed point. If this matrix cannot be inverted, the point is returned unchanged.
+	 */
+	applyInverse(px, py, out) {
+		let x = px;
+		let y = py;
+
+		if (px instanceof Point.class) {
+			x = px.x;
+			y = px.y;
+			out = py;
+		}
+
+		const determinant = this.a * this.d - this.b * this.c;
+
+		if (determinant === 0) {
+			return (out || Point()).set({x, y});
+		}
+
+		x -= this.tx;
+		y -= this.ty;
+
+		return (out || Point()).set({
+			x: (this.d * x - this.c * y) / determinant,
+			y: (this.a * y - this.b * x) / determinant,
+		});
+	}
+
+	/**
+	 * Linearly interpolate each component of this matrix between two matrices.
+	 *
+	 * @method Whirl.geometry.Matrix#lerp
+	 *
+	 * @param {Whirl.geometry.Matrix} from Matrix at an interpolant of zero (0).
+	 * @param {Whirl.geometry.Matrix} to Matrix at an interpolant of one (1).
+	 * @param {number} t Interpolant between zero (0) and one (1).
+	 * @returns {this}
+	 */
+	lerp(from, to, t) {
+		this.a = lerp(from.a, to.a, t);
+		this.b = lerp(from.b, to.b, t);
+		this.c = lerp(from.c, to.c, t);
+		this.d = lerp(from.d, to.d, t);
+		this.tx = lerp(from.tx, to.tx, t);
+		this.ty = lerp(from.ty, to.ty, t);
+
+		return this;
+	}
+
+	duplicate() {
+		return new Matrix(this.a, this.b, this.c, this.d, this.tx, this.ty);
+	}
+}
+
+const createMatrix = (...args) => new Matrix(...args);
+
+createMatrix.class = Matrix;
+
+export default createMatrix;
@@ -0,0 +1,449 @@
+import Geometry from "~/geometry/Geometry";
+import Point from "~/geometry/Point";
+import Polygon from "~/geometry/Polygon";
+import radians from "~/math/radians";
+import clamp from "~/math/clamp";
+
+// Number of values each command takes, not including the optional direction of arcs
+const COMMANDS = {
+	moveTo: 2,
+	lineTo: 2,
+	quadraticCurveTo: 4,
+	bezierCurveTo: 6,
+	arc: 5,
+	closePath: 0,
+};
+
+// Approximate length in pixels of each straight segment that curves are broken into when flattened
+const FLATTEN_STEP = 4;
+
+// Limits on the number of segments each curve is broken into when flattened
+const MIN_STEPS = 4;
+const MAX_STEPS = 100;
+
+/**
+ * @classdesc
+ * Represents an outline made of straight lines, curves and arcs, built with the same commands as the [Canvas API path methods](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D#paths).
+ *
+ * A path can hold multiple separate shapes (subpaths), each begun with a `moveTo` command. Subpaths are treated as closed when determining what is inside of the path, even if they were not closed with a `closePath` command.
+ *
+ * Paths are stored as a list of commands that can be converted to and from JSON, so they can be authored outside of the game and loaded as an asset. Each command is an array of its name followed by its values, as in the parameters of the method of the same name. Arc angles are in degrees.
+ *
+ * Paths are constructed using the `Whirl.geometry.Path` factory method, but the underlying class can be accessed with `Whirl.geometry.Path.class`.
+ *
+ * @class Path
+ * @memberof Whirl.geometry
+ * @extends Whirl.geometry.Geometry
+ *
+ * @param {Array<Array>} [commands=[]] List of commands to begin the path with. Commands with an unknown name or too few values are ignored.
+ *
+ * @example
+ * const heart = Whirl.geometry.Path()
+ * 	.moveTo(0, 10)
+ * 	.bezierCurveTo(0, -5, -20, -5, -20, 10)
+ * 	.bezierCurveTo(-20, 20, 0, 30, 0, 40)
+ * 	.bezierCurveTo(0, 30, 20, 20, 20, 10)
+ * 	.bezierCurveTo(20, -5, 0, -5, 0, 10)
+ * 	.closePath();
+ *
+ * @example
+ * // Save a path
+ * const json = JSON.stringify(heart); // "[["moveTo",0,10],["bezierCurveTo",0,-5,-20,-5,-20,10],...]"
+ *
+ * // Load it again
+ * Whirl.geometry.Path(JSON.parse(json));
+ */
+class Path extends Geometry {
+	/**
+	 * List of commands that make up the path, in order.
+	 *
+	 * @memberof Whirl.geometry.Path#
+	 * @type {Array<Array>}
+	 * @readonly
+	 *
+	 * @example
+	 * Whirl.geometry.Path().moveTo(0, 0).lineTo(50, 0).closePath().commands;
+	 * // [["moveTo", 0, 0], ["lineTo", 50, 0], ["closePath"]]
+	 */
+	commands;
+
+	constructor(commands = []) {
+		super();
+
+		this.commands = toCommands(commands);
+	}
+
+	set(properties = {}) {
+		if (Object.prototype.hasOwnProperty.call(properties, "commands")) {
+			this.commands = toCommands(properties.commands);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Begin a new subpath at a point.
+	 *
+	 * @method Whirl.geometry.Path#moveTo
+	 *
+	 * @param {number} x X-coordinate of the point.
+	 * @param {number} y Y-coordinate of the point.
+	 * @returns {this}
+	 */
+	moveTo(x, y) {
+		this.commands.push(["moveTo", x, y]);
+
+		return this;
+	}
+
+	/**
+	 * Add a straight line from the current point to a point.
+	 *
+	 * @method Whirl.geometry.Path#lineTo
+	 *
+	 * @param {number} x X-coordinate of the end of the line.
+	 * @param {number} y Y-coordinate of the end of the line.
+	 * @returns {this}
+	 */
+	lineTo(x, y) {
+		this.commands.push(["lineTo", x, y]);
+
+		return this;
+	}
+
+	/**
+	 * Add a quadratic Bézier curve from the current point to a point.
+	 *
+	 * @method Whirl.geometry.Path#quadraticCurveTo
+	 *
+	 * @param {number} cpx X-coordinate of the control point.
+	 * @param {number} cpy Y-coordinate of the control point.
+	 * @param {number} x X-coordinate of the end of the curve.
+	 * @param {number} y Y-coordinate of the end of the curve.
+	 * @returns {this}
+	 */
+	quadraticCurveTo(cpx, cpy, x, y) {
+		this.commands.push(["quadraticCurveTo", cpx, cpy, x, y]);
+
+		return this;
+	}
+
+	/**
+	 * Add a cubic Bézier curve from the current point to a point.
+	 *
+	 * @method Whirl.geometry.Path#bezierCurveTo
+	 *
+	 * @param {number} cp1x X-coordinate of the first control point.
+	 * @param {number} cp1y Y-coordinate of the first control point.
+	 * @param {number} cp2x X-coordinate of the second control point.
+	 * @param {number} cp2y Y-coordinate of the second control point.
+	 * @param {number} x X-coordinate of the end of the curve.
+	 * @param {number} y Y-coordinate of the end of the curve.
+	 * @returns {this}
+	 */
+	bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+		this.commands.push(["bezierCurveTo", cp1x, cp1y, cp2x, cp2y, x, y]);
+
+		return this;
+	}
+
+	/**
+	 * Add part of the outline of a circle. A straight line is added from the current point to the start of the arc.
+	 *
+	 * @method Whirl.geometry.Path#arc
+	 *
+	 * @param {number} x X-coordinate of the center of the circle.
+	 * @param {number} y Y-coordinate of the center of the circle.
+	 * @param {number} r Radius of the circle.
+	 * @param {number} startAngle Angle in degrees clockwise from the right of the circle to begin at.
+	 * @param {number} endAngle Angle in degrees clockwise from the right of the circle to end at.
+	 * @param {boolean} [anticlockwise=false] Go around the circle anticlockwise from the start angle to the end angle.
+	 * @returns {this}
+	 */
+	arc(x, y, r, startAngle, endAngle, anticlockwise = false) {
+		this.commands.push(["arc", x, y, r, startAngle, endAngle, anticlockwise]);
+
+		return this;
+	}
+
+	/**
+	 * Add a straight line from the current point back to the start of the current subpath, and begin a new subpath there.
+	 *
+	 * @method Whirl.geometry.Path#closePath
+	 *
+	 * @returns {this}
+	 */
+	closePath() {
+		this.commands.push(["closePath"]);
+
+		return this;
+	}
+
+	/**
+	 * Returns the smallest Rectangle that contains every point of the flattened path.
+	 *
+	 * @alias Whirl.geometry.Path#box
+	 * @type {Whirl.geometry.Rectangle}
+	 * @readonly
+	 */
+	get box() {
+		const points = [];
+		const subpaths = this.flatten();
+
+		for (let i = 0; i < subpaths.length; i++) {
+			points.push(...subpaths[i].points);
+		}
+
+		return Polygon(points).box;
+	}
+
+	/**
+	 * Break the curves and arcs of the path into short straight lines.
+	 *
+	 * @method Whirl.geometry.Path#flatten
+	 *
+	 * @returns {Array<{points: Whirl.geometry.Point[], closed: boolean}>} Points along each subpath in order, and whether the subpath was closed with a `closePath` command.
+	 */
+	flatten() {
+		const subpaths = [];
+		let current = null;
+		let cursor = null;
+
+		const begin = (x, y) => {
+			current = {points: [Point(x, y)], closed: false};
+			subpaths.push(current);
+		};
+
+		// Curves and lines that do not follow a point begin from the given point instead
+		const ensure = (x, y) => {
+			if (current) {
+				return;
+			}
+
+			if (cursor) {
+				begin(cursor.x, cursor.y);
+			} else {
+				begin(x, y);
+			}
+		};
+
+		for (let i = 0; i < this.commands.length; i++) {
+			const [name, ...values] = this.commands[i];
+
+			switch (name) {
+				case "moveTo":
+					begin(values[0], values[1]);
+					break;
+
+				case "lineTo":
+					ensure(values[0], values[1]);
+					current.points.push(Point(values[0], values[1]));
+					break;
+
+				case "quadraticCurveTo": {
+					const [cpx, cpy, x, y] = values;
+
+					ensure(cpx, cpy);
+
+					const from = current.points[current.points.length - 1];
+					const steps = getSteps(
+						Math.hypot(cpx - from.x, cpy - from.y) + Math.hypot(x - cpx, y - cpy)
+					);
+
+					for (let step = 1; step <= steps; step++) {
+						const t = step / steps;
+						const u = 1 - t;
+
+						current.points.push(
+							Point(
+								u * u * from.x + 2 * u * t * cpx + t * t * x,
+								u * u * from.y + 2 * u * t * cpy + t * t * y
+							)
+						);
+					}
+
+					break;
+				}
+
+				case "bezierCurveTo": {
+					const [cp1x, cp1y, cp2x, cp2y, x, y] = values;
+
+					ensure(cp1x, cp1y);
+
+					const from = current.points[current.points.length - 1];
+					const steps = getSteps(
+						Math.hypot(cp1x - from.x, cp1y - from.y) +
+							Math.hypot(cp2x - cp1x, cp2y - cp1y) +
+							Math.hypot(x - cp2x, y - cp2y)
+					);
+
+					for (let step = 1; step <= steps; step++) {
+						const t = step / steps;
+						const u = 1 - t;
+
+						current.points.push(
+							Point(
+								u * u * u * from.x + 3 * u * u * t * cp1x + 3 * u * t * t * cp2x + t * t * t * x,
+								u * u * u * from.y + 3 * u * u * t * cp1y + 3 * u * t * t * cp2y + t * t * t * y
+							)
+						);
+					}
+
+					break;
+				}
+
+				case "arc": {
+					const [x, y, r, startAngle, endAngle, anticlockwise] = values;
+					const sweep = getSweep(startAngle, endAngle, anticlockwise);
+					const steps = getSteps(Math.abs(radians(sweep)) * r);
+
+					const startX = x + Math.cos(radians(startAngle)) * r;
+					const startY = y + Math.sin(radians(startAngle)) * r;
+
+					if (current || cursor) {
+						ensure(startX, startY);
+						current.points.push(Point(startX, startY));
+					} else {
+						begin(startX, startY);
+					}
+
+					for (let step = 1; step <= steps; step++) {
+						const angle = radians(startAngle + (sweep * step) / steps);
+
+						current.points.push(Point(x + Math.cos(angle) * r, y + Math.sin(angle) * r));
+					}
+
+					break;
+				}
+
+				case "closePath":
+					if (current) {
+						current.closed = true;
+						cursor = current.points[0];
+						current = null;
+					}
+
+					break;
+			}
+		}
+
+		return subpaths;
+	}
+
+	/**
+	 * Determine if a point is inside this path. Every subpath is treated as closed, and areas where subpaths overlap use the non-zero rule, like when a path is filled by the Canvas API.
+	 *
+	 * @method Whirl.geometry.Path#isPointInside
+	 *
+	 * @param {number|Whirl.geometry.Point} px X-coordinate of the point. An instance of a Point can also be given instead as the only argument to determine if it is inside this path.
+	 * @param {number} [py] Y-coordinate of the point.
+	 * @returns {boolean}
+	 *
+	 * @example
+	 * Whirl.geometry.Path().moveTo(0, 0).lineTo(100, 0).lineTo(50, 80).isPointInside(50, 20); // true
+	 */
+	isPointInside(px, py) {
+		let x = px;
+		let y = py;
+
+		if (px instanceof Point.class) {
+			x = px.x;
+			y = px.y;
+		}
+
+		const subpaths = this.flatten();
+		let winding = 0;
+
+		for (let i = 0; i < subpaths.length; i++) {
+			const {points} = subpaths[i];
+
+			// Add up the edges that wind around the point upwards and subtract those that wind downwards
+			for (let j = 0, k = points.length - 1; j < points.length; k = j++) {
+				const a = points[k];
+				const b = points[j];
+				const side = (b.x - a.x) * (y - a.y) - (x - a.x) * (b.y - a.y);
+
+				if (a.y <= y) {
+					if (b.y > y && side > 0) {
+						winding++;
+					}
+				} else if (b.y <= y && side < 0) {
+					winding--;
+				}
+			}
+		}
+
+		return winding !== 0;
+	}
+
+	/**
+	 * Get the commands of this path in a form that can be converted to JSON. Invoked by `JSON.stringify`.
+	 *
+	 * @method Whirl.geometry.Path#toJSON
+	 *
+	 * @returns {Array<Array>}
+	 */
+	toJSON() {
+		return this.commands.map((command) => command.slice());
+	}
+
+	duplicate() {
+		return new Path(this.commands);
+	}
+}
+
+/**
+ * Copy a list of commands, leaving out any that are not valid.
+ *
+ * @ignore
+ *
+ * @param {Array<Array>} commands List of commands.
+ * @returns {Array<Array>}
+ */
+const toCommands = (commands) =>
+	commands
+		.filter(
+			(command) =>
+				Array.isArray(command) &&
+				Object.prototype.hasOwnProperty.call(COMMANDS, command[0]) &&
+				command.length > COMMANDS[command[0]]
+		)
+		.map((command) => command.slice());
+
+/**
+ * Get the angle in degrees that an arc sweeps from its start angle to its end angle, following the same rules as the Canvas API.
+ *
+ * @ignore
+ *
+ * @param {number} startAngle Angle the arc begins at.
+ * @param {number} endAngle Angle the arc ends at.
+ * @param {boolean} anticlockwise Whether the arc goes anticlockwise.
+ * @returns {number} Angle between `-360` and `360`, negative if anticlockwise.
+ */
+const getSweep = (startAngle, endAngle, anticlockwise) => {
+	if (anticlockwise) {
+		const sweep = startAngle - endAngle;
+
+		return -(sweep >= 360 ? 360 : ((sweep % 360) + 360) % 360);
+	}
+
+	const sweep = endAngle - startAngle;
+
+	return sweep >= 360 ? 360 : ((sweep % 360) + 360) % 360;
+};
+
+/**
+ * Get the number of straight segments to break a curve of roughly the given length into.
+ *
+ * @ignore
+ *
+ * @param {number} length Approximate length of the curve.
+ * @returns {number}
+ */
+const getSteps = (length) => clamp(Math.ceil(length / FLATTEN_STEP), MIN_STEPS, MAX_STEPS);
+
+const createPath = (...args) => new Path(...args);
+
+createPath.class = Path;
+
+export default createPath;
@@ -0,0 +1,154 @@
+import Geometry from "~/geometry/Geometry";
+import Point from "~/geometry/Point";
+import Rectangle from "~/geometry/Rectangle";
+
+/**
+ * @classdesc
+ * Represents a closed shape defined by a list of vertices, where the last vertex joins back to the first.
+ *
+ * Can be used for things such as irregular hit areas, level geometry, drawing arbitrary shapes with a {@link Whirl.Graphics|Graphics} entity, etc.
+ *
+ * Polygons are constructed using the `Whirl.geometry.Polygon` factory method, but the underlying class can be accessed with `Whirl.geometry.Polygon.class`.
+ *
+ * @class Polygon
+ * @memberof Whirl.geometry
+ * @extends Whirl.geometry.Geometry
+ *
+ * @param {Whirl.geometry.Point[]|number[]} [points=[]] Vertices of the polygon in order. Alternatively, give a flat array of alternating x and y coordinates.
+ *
+ * @example
+ * Whirl.geometry.Polygon([
+ * 	Whirl.geometry.Point(0, 0),
+ * 	Whirl.geometry.Point(100, 0),
+ * 	Whirl.geometry.Point(50, 80),
+ * ]); // Polygon {points: [...]}
+ *
+ * @example
+ * Whirl.geometry.Polygon([0, 0, 100, 0, 50, 80]); // Polygon {points: [...]}
+ */
+class Polygon extends Geometry {
+	/**
+	 * Vertices of the polygon in order.
+	 *
+	 * @memberof Whirl.geometry.Polygon#
+	 * @type {Whirl.geometry.Point[]}
+	 */
+	points;
+
+	constructor(points = []) {
+		super();
+
+		this.points = toPoints(points);
+	}
+
+	set(properties = {}) {
+		if (Object.prototype.hasOwnProperty.call(properties, "points")) {
+			this.points = toPoints(properties.points);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Returns an array of new Points representing the vertices of this polygon.
+	 *
+	 * @alias Whirl.geometry.Polygon#vertices
+	 * @type {Whirl.geometry.Point[]}
+	 * @readonly
+	 */
+	get vertices() {
+		return this.points.map((point) => point.duplicate());
+	}
+
+	/**
+	 * Returns the smallest Rectangle that contains every vertex of this polygon.
+	 *
+	 * @alias Whirl.geometry.Polygon#box
+	 * @type {Whirl.geometry.Rectangle}
+	 * @readonly
+	 *
+	 * @example
+	 * Whirl.geometry.Polygon([0, 0, 100, 0, 50, 80]).box; // Rectangle {x: 0, y: 0, w: 100, h: 80}
+	 */
+	get box() {
+		if (this.points.length === 0) {
+			return Rectangle();
+		}
+
+		const xs = this.points.map((point) => point.x);
+		const ys = this.points.map((point) => point.y);
+		const x = Math.min(...xs);
+		const y = Math.min(...ys);
+
+		return Rectangle(x, y, Math.max(...xs) - x, Math.max(...ys) - y);
+	}
+
+	/**
+	 * Determine if a point is inside this polygon. Polygons whose edges cross themselves use the even-odd rule, so areas that are enclosed an even number of times are outside.
+	 *
+	 * @method Whirl.geometry.Polygon#isPointInside
+	 *
+	 * @param {number|Whirl.geometry.Point} px X-coordinate of the point. An instance of a Point can also be given instead as the only argument to determine if it is inside this polygon.
+	 * @param {number} [py] Y-coordinate of the point.
+	 * @returns {boolean}
+	 *
+	 * @example
+	 * Whirl.geometry.Polygon([0, 0, 100, 0, 50, 80]).isPointInside(50, 20); // true
+	 */
+	isPointInside(px, py) {
+		let x = px;
+		let y = py;
+
+		if (px instanceof Point.class) {
+			x = px.x;
+			y = px.y;
+		}
+
+		const {points} = this;
+		let inside = false;
+
+		// Count how many edges a ray cast to the right of the point crosses
+		for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+			const a = points[i];
+			const b = points[j];
+
+			if (a.y > y !== b.y > y && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+				inside = !inside;
+			}
+		}
+
+		return inside;
+	}
+
+	duplicate() {
+		return new Polygon(this.vertices);
+	}
+}
+
+/**
+ * Convert a list of Points or a flat list of coordinates into a new list of Points.
+ *
+ * @ignore
+ *
+ * @param {Whirl.geometry.Point[]|number[]} points List to convert.
+ * @returns {Whirl.geometry.Point[]}
+ */
+const toPoints = (points) => {
+	if (typeof points[0] === "number") {
+		const converted = [];
+
+		for (let i = 0; i + 1 < points.length; i += 2) {
+			converted.push(Point(points[i], points[i + 1]));
+		}
+
+		return converted;
+	}
+
+	return points.map((point) => Point(point.x, point.y));
+};
+
+const createPolygon = (...args) => new Polygon(...args);
+
+createPolygon.class = Polygon;
+
+export default createPolygon;
@@ -11,5 +11,8 @@
 export {default as Geometry} from "./Geometry";
 export {default as Circle} from "./Circle";
 export {default as Line} from "./Line";
+export {default as Path} from "./Path";
+export {default as Polygon} from "./Polygon";
 export {default as Rectangle} from "./Rectangle";
 export {default as Point} from "./Point";
+export {default as Matrix} from "./Matrix";
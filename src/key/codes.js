@@ -0,0 +1,131 @@
+/**
+ * Mapping of key *names* to the [`code` values](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code) of the physical keys they refer to.
+ *
+ * Codes identify the position of a key on the keyboard rather than the character it types, so keys such as `w`, `a`, `s` and `d` stay in the same place on every keyboard layout. For example, the key named `q` is the key labelled "A" on a French AZERTY keyboard.
+ *
+ * Modifier keys on both sides of the keyboard have their own names, such as `ShiftLeft` and `ShiftRight`. See {@link Whirl.key.modifiers} for the names that refer to either side.
+ *
+ * @name codes
+ * @constant
+ * @memberof Whirl.key
+ *
+ * @example
+ * Whirl.key.codes["x"]; // "KeyX"
+ * Whirl.key.codes["ArrowRight"]; // "ArrowRight"
+ * Whirl.key.codes["F5"]; // "F5"
+ */
+const codes = {
+	a: "KeyA",
+	b: "KeyB",
+	c: "KeyC",
+	d: "KeyD",
+	e: "KeyE",
+	f: "KeyF",
+	g: "KeyG",
+	h: "KeyH",
+	i: "KeyI",
+	j: "KeyJ",
+	k: "KeyK",
+	l: "KeyL",
+	m: "KeyM",
+	n: "KeyN",
+	o: "KeyO",
+	p: "KeyP",
+	q: "KeyQ",
+	r: "KeyR",
+	s: "KeyS",
+	t: "KeyT",
+	u: "KeyU",
+	v: "KeyV",
+	w: "KeyW",
+	x: "KeyX",
+	y: "KeyY",
+	z: "KeyZ",
+
+	"0": "Digit0",
+	"1": "Digit1",
+	"2": "Digit2",
+	"3": "Digit3",
+	"4": "Digit4",
+	"5": "Digit5",
+	"6": "Digit6",
+	"7": "Digit7",
+	"8": "Digit8",
+	"9": "Digit9",
+
+	F1: "F1",
+	F2: "F2",
+	F3: "F3",
+	F4: "F4",
+	F5: "F5",
+	F6: "F6",
+	F7: "F7",
+	F8: "F8",
+	F9: "F9",
+	F10: "F10",
+	F11: "F11",
+	F12: "F12",
+
+	Numpad0: "Numpad0",
+	Numpad1: "Numpad1",
+	Numpad2: "Numpad2",
+	Numpad3: "Numpad3",
+	Numpad4: "Numpad4",
+	Numpad5: "Numpad5",
+	Numpad6: "Numpad6",
+	Numpad7: "Numpad7",
+	Numpad8: "Numpad8",
+	Numpad9: "Numpad9",
+	NumpadMultiply: "NumpadMultiply",
+	NumpadAdd: "NumpadAdd",
+	NumpadSubtract: "NumpadSubtract",
+	NumpadDecimal: "NumpadDecimal",
+	NumpadDivide: "NumpadDivide",
+	NumpadEnter: "NumpadEnter",
+
+	ArrowUp: "ArrowUp",
+	ArrowRight: "ArrowRight",
+	ArrowDown: "ArrowDown",
+	ArrowLeft: "ArrowLeft",
+
+	ShiftLeft: "ShiftLeft",
+	ShiftRight: "ShiftRight",
+	ControlLeft: "ControlLeft",
+	ControlRight: "ControlRight",
+	AltLeft: "AltLeft",
+	AltRight: "AltRight",
+	MetaLeft: "MetaLeft",
+	MetaRight: "MetaRight",
+
+	Space: "Space",
+	Enter: "Enter",
+	Escape: "Escape",
+	Tab: "Tab",
+	Backspace: "Backspace",
+	Delete: "Delete",
+	Insert: "Insert",
+	Home: "Home",
+	End: "End",
+	PageUp: "PageUp",
+	PageDown: "PageDown",
+	CapsLock: "CapsLock",
+	NumLock: "NumLock",
+	ScrollLock: "ScrollLock",
+	Pause: "Pause",
+	PrintScreen: "PrintScreen",
+	ContextMenu: "ContextMenu",
+
+	Minus: "Minus", // -
+	Equal: "Equal", // =
+	Backquote: "Backquote", // `
+	Comma: "Comma", // ,
+	Period: "Period", // .
+	Slash: "Slash", // /
+	Backslash: "Backslash", // \
+	Semicolon: "Semicolon", // ;
+	Quote: "Quote", // '
+	BracketLeft: "BracketLeft", // [
+	BracketRight: "BracketRight", // ]
+};
+
+export default codes;
@@ -1,18 +1,31 @@
 import keys from "./keys";
+import codes from "./codes";
+import modifiers from "./modifiers";
 
 /**
- * Get a keyname by its keycode.
+ * Get a keyname by either its [`code`](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code) or its deprecated numeric keycode.
+ *
+ * Numeric keycodes of modifier keys give the {@link Whirl.key.modifiers|modifier name}, as keycodes do not tell the two sides of the keyboard apart.
  *
  * @memberof Whirl.key
  *
- * @param {number} keyCode Keycode of a given key.
- * @returns {string|undefined} Name of the key related to the keycode.
+ * @param {string|number} code Code or keycode of a given key.
+ * @returns {string|undefined} Name of the key related to the code.
  *
  * @example
+ * Whirl.key.getByCode("KeyX"); // "x"
+ * Whirl.key.getByCode("ShiftRight"); // "ShiftRight"
  * Whirl.key.getByCode(88); // "x"
- * Whirl.key.getByCode(39); // "ArrowRight"
  * Whirl.key.getByCode(16); // "Shift"
  */
-const getByCode = (keyCode) => Object.keys(keys).find((key) => keys[key] === keyCode);
+const getByCode = (code) => {
+	if (typeof code === "number") {
+		const modifier = Object.keys(modifiers).find((name) => keys[name] === code);
+
+		return modifier || Object.keys(keys).find((name) => keys[name] === code);
+	}
+
+	return Object.keys(codes).find((name) => codes[name] === code);
+};
 
 export default getByCode;
@@ -0,0 +1,21 @@
+import getByCode from "./getByCode";
+
+/**
+ * Get the keyname of the key that caused a keyboard event.
+ *
+ * The [`code`](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code) of the event is used where the browser gives it, falling back to its deprecated keycode, and then to the [`key`](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key) of the event for keys that have no name.
+ *
+ * @memberof Whirl.key
+ *
+ * @param {KeyboardEvent} rawEvent Keyboard event given by the browser.
+ * @returns {string} Name of the key.
+ *
+ * @example
+ * document.addEventListener("keydown", (event) => {
+ * 	Whirl.key.getByEvent(event); // "ShiftLeft"
+ * });
+ */
+const getByEvent = (rawEvent) =>
+	(rawEvent.code && getByCode(rawEvent.code)) || getByCode(rawEvent.keyCode) || rawEvent.key;
+
+export default getByEvent;
@@ -1,18 +1,22 @@
 import keys from "./keys";
+import codes from "./codes";
 
 /**
- * Get a keycode by its keyname.
+ * Get the numeric keycode of a key by its keyname, or its [`code`](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code).
  *
  * @memberof Whirl.key
  *
  * @param {string} keyName Keyname of a given key.
- * @returns {number|undefined} Keycode of the key related to the keyname.
+ * @param {object} [options] Optional presets.
+ * @param {boolean} options.code=false Get the code of the key instead of its keycode.
+ * @returns {number|string|undefined} Keycode or code of the key related to the keyname. {@link Whirl.key.modifiers|Modifier names} have a keycode, but no code of their own.
  *
  * @example
  * Whirl.key.getByName("x"); // 88
  * Whirl.key.getByName("ArrowRight"); // 39
  * Whirl.key.getByName("Shift"); // 16
+ * Whirl.key.getByName("x", {code: true}); // "KeyX"
  */
-const getByName = (keyName) => keys[keyName];
+const getByName = (keyName, options = {}) => (options.code ? codes[keyName] : keys[keyName]);
 
 export default getByName;
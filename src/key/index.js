@@ -1,5 +1,5 @@
 /**
- * Library of helper functions for retrieving keycodes, translating between keycodes and keynames and mapping keys to codes.
+ * Library of helper functions for translating between keynames, the numeric keycodes of keyboard events and their [`code`](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code) values.
  *
  * Should not be confused with the input manager's *keyboard* module which actually handles keyboard input events.
  *
@@ -7,5 +7,8 @@
  * @memberof Whirl
  */
 export {default as keys} from "./keys";
+export {default as codes} from "./codes";
+export {default as modifiers} from "./modifiers";
 export {default as getByCode} from "./getByCode";
 export {default as getByName} from "./getByName";
+export {default as getByEvent} from "./getByEvent";
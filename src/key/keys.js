@@ -1,5 +1,9 @@
 /**
- * Arbitrary mapping of key *names* to key *codes*.
+ * Mapping of key *names* to the numeric [`keyCode` values](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/keyCode) of the keys.
+ *
+ * Keycodes are deprecated by browsers, but are still given by every keyboard event and used by browsers that do not give the `code` of a key. See {@link Whirl.key.codes} for the codes of the keys, which do not change with the keyboard layout.
+ *
+ * Key codes do not tell the left and right modifier keys apart, so both sides share the code of their {@link Whirl.key.modifiers|modifier name}. Some keys, such as `Enter` and `NumpadEnter`, also share a code, in which case the first name listed is given when looking up the keycode.
  *
  * @name keys
  * @constant
@@ -9,6 +13,7 @@
  * Whirl.key.keys["x"]; // 88
  * Whirl.key.keys["ArrowRight"]; // 39
  * Whirl.key.keys["Shift"]; // 16
+ * Whirl.key.keys["ShiftLeft"]; // 16
  */
 const keys = {
 	a: 65,
@@ -49,21 +54,84 @@ const keys = {
 	"8": 56,
 	"9": 57,
 
+	F1: 112,
+	F2: 113,
+	F3: 114,
+	F4: 115,
+	F5: 116,
+	F6: 117,
+	F7: 118,
+	F8: 119,
+	F9: 120,
+	F10: 121,
+	F11: 122,
+	F12: 123,
+
+	Numpad0: 96,
+	Numpad1: 97,
+	Numpad2: 98,
+	Numpad3: 99,
+	Numpad4: 100,
+	Numpad5: 101,
+	Numpad6: 102,
+	Numpad7: 103,
+	Numpad8: 104,
+	Numpad9: 105,
+	NumpadMultiply: 106,
+	NumpadAdd: 107,
+	NumpadSubtract: 109,
+	NumpadDecimal: 110,
+	NumpadDivide: 111,
+
 	ArrowUp: 38,
 	ArrowRight: 39,
 	ArrowDown: 40,
 	ArrowLeft: 37,
 
-	Shift: 16,
+	ShiftLeft: 16,
+	ShiftRight: 16,
+	ControlLeft: 17,
+	ControlRight: 17,
+	AltLeft: 18,
+	AltRight: 18,
+	MetaLeft: 91,
+	MetaRight: 92,
+
 	Space: 32,
-	Alt: 18,
-	Control: 17,
+	Enter: 13,
+	NumpadEnter: 13,
+	Escape: 27,
+	Tab: 9,
+	Backspace: 8,
+	Delete: 46,
+	Insert: 45,
+	Home: 36,
+	End: 35,
+	PageUp: 33,
+	PageDown: 34,
+	CapsLock: 20,
+	NumLock: 144,
+	ScrollLock: 145,
+	Pause: 19,
+	PrintScreen: 44,
+	ContextMenu: 93,
+
 	Minus: 189, // -
 	Equal: 187, // =
 	Backquote: 192, // `
-	Comma: 188,
-	Period: 190,
-	Slash: 191,
+	Comma: 188, // ,
+	Period: 190, // .
+	Slash: 191, // /
+	Backslash: 220, // \
+	Semicolon: 186, // ;
+	Quote: 222, // '
+	BracketLeft: 219, // [
+	BracketRight: 221, // ]
+
+	Shift: 16,
+	Control: 17,
+	Alt: 18,
+	Meta: 91,
 };
 
 export default keys;
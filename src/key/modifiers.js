@@ -0,0 +1,22 @@
+/**
+ * Mapping of modifier key *names* to the names of the keys on each side of the keyboard that they refer to.
+ *
+ * The {@link Whirl.Game.InputManager|InputManager} treats a modifier name as held down while either of its keys is held down, so `Shift` can be checked without caring which side was pressed.
+ *
+ * @name modifiers
+ * @constant
+ * @memberof Whirl.key
+ *
+ * @example
+ * Whirl.key.modifiers["Shift"]; // ["ShiftLeft", "ShiftRight"]
+ *
+ * game.input.isDown("Shift"); // true while either shift key is held down
+ */
+const modifiers = {
+	Shift: ["ShiftLeft", "ShiftRight"],
+	Control: ["ControlLeft", "ControlRight"],
+	Alt: ["AltLeft", "AltRight"],
+	Meta: ["MetaLeft", "MetaRight"],
+};
+
+export default modifiers;
@@ -0,0 +1,357 @@
+import Sprite from "~/objects/Sprite";
+import Spritesheet from "~/objects/Spritesheet";
+import getValue from "~/lib/getValue";
+
+/**
+ * @classdesc
+ * Animated sprites are sprites that play named sequences of frames from a {@link Whirl.Spritesheet|Spritesheet}.
+ *
+ * Each animation has its own frame rate and can loop and/or play back and forth (ping-pong). The current frame of the playing animation is set as the {@link Whirl.Sprite#fill|fill} of the sprite.
+ *
+ * Animations are advanced by the {@link Whirl.AnimatedSprite#update|update method}, so they respect {@link Whirl.Game.UpdateManager#pause|pausing} and {@link Whirl.Game.UpdateManager#timeScale|time scaling} of the game world. Subclasses that override the `update` method must call `super.update(dt, game)` to keep their animations playing.
+ *
+ * @class AnimatedSprite
+ * @memberof Whirl
+ * @extends Whirl.Sprite
+ *
+ * @param {Whirl.Game} game Game instance this sprite belongs to and should be managed by.
+ * @param {object} [options] Optional presets when initialising this object. Also accepts all options of a {@link Whirl.Sprite|Sprite}.
+ * @param {Whirl.Spritesheet} options.spritesheet Spritesheet that frames of each animation are taken from.
+ * @param {object<string, object>} options.animations Animations to add, mapping the name of each animation to the options given to {@link Whirl.AnimatedSprite#addAnimation|the addAnimation method} (with the list of frames as a `frames` property).
+ * @param {string} options.animation Name of the animation to start playing immediately.
+ * @param {string|number} options.frame Name of the spritesheet frame to show initially if no animation is playing.
+ * @param {number} options.speed=1 Multiplier applied to the frame rate of every animation.
+ *
+ * @example
+ * const player = game.AnimatedSprite({
+ * 	spritesheet: game.Spritesheet("player", {frameW: 32}),
+ * 	animations: {
+ * 		idle: {frames: [0, 1, 2, 3], fps: 6},
+ * 		run: {frames: [4, 5, 6, 7, 8, 9], fps: 12},
+ * 		jump: {frames: [10, 11, 12], fps: 12, loop: false},
+ * 	},
+ * 	animation: "idle",
+ * });
+ *
+ * player.event.on("animationComplete", ({animation}) => {
+ * 	if (animation === "jump") {
+ * 		player.play("idle");
+ * 	}
+ * });
+ */
+class AnimatedSprite extends Sprite {
+	/**
+	 * Spritesheet that frames of each animation are taken from.
+	 *
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {Whirl.Spritesheet}
+	 */
+	spritesheet;
+
+	/**
+	 * Map of animation names to their definitions.
+	 *
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {object<string, Whirl.AnimatedSprite~Animation>}
+	 * @readonly
+	 */
+	animations = {};
+
+	/**
+	 * Name of the current animation, or `null` if no animation has been played.
+	 *
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {string|null}
+	 * @readonly
+	 */
+	animation = null;
+
+	/**
+	 * Index of the current frame in the list of frames of the current animation.
+	 *
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {number}
+	 * @readonly
+	 */
+	frameIndex = 0;
+
+	/**
+	 * Flag indicating whether the current animation is playing or not.
+	 *
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	playing = false;
+
+	/**
+	 * Multiplier applied to the frame rate of every animation played by this sprite.
+	 *
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {number}
+	 * @default 1
+	 */
+	speed;
+
+	/**
+	 * Time in milliseconds that has passed since the current frame was shown.
+	 *
+	 * @ignore
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {number}
+	 * @readonly
+	 */
+	_elapsed = 0;
+
+	/**
+	 * Direction the current animation is playing in. `1` for forwards and `-1` for backwards whilst ping-ponging.
+	 *
+	 * @ignore
+	 * @memberof Whirl.AnimatedSprite#
+	 * @type {number}
+	 * @readonly
+	 */
+	_direction = 1;
+
+	/**
+	 * @typedef {object} Whirl.AnimatedSprite~Animation
+	 *
+	 * @property {Array<string|number>} frames Names of the spritesheet frames of the animation, in order.
+	 * @property {number} fps Frame rate of the animation in frames per second.
+	 * @property {boolean} loop Restart the animation once it reaches its end.
+	 * @property {boolean} pingPong Play the animation backwards once it reaches its last frame.
+	 */
+
+	/**
+	 * Fires on this sprite when an animation that does not loop reaches its end.
+	 *
+	 * @event Whirl.AnimatedSprite#animationComplete
+	 * @type {object}
+	 *
+	 * @property {Whirl.AnimatedSprite} object This sprite.
+	 * @property {string} animation Name of the animation that completed.
+	 */
+
+	constructor(game, options = {}) {
+		super(game, options);
+
+		this.speed = getValue(options, "speed", 1);
+
+		if (!(options.spritesheet instanceof Spritesheet)) {
+			this.game.debug.warn(
+				"Invalid Spritesheet instance given to AnimatedSprite. No frames will be shown.",
+				"Whirl.AnimatedSprite"
+			);
+		} else {
+			this.spritesheet = options.spritesheet;
+		}
+
+		const animations = getValue(options, "animations", {});
+
+		Object.keys(animations).forEach((name) => {
+			this.addAnimation(name, animations[name].frames, animations[name]);
+		});
+
+		if (Object.prototype.hasOwnProperty.call(options, "animation")) {
+			this.play(options.animation);
+		} else if (Object.prototype.hasOwnProperty.call(options, "frame")) {
+			this._showFrame(options.frame);
+		}
+	}
+
+	/**
+	 * Add a named animation to this sprite, replacing any existing animation with the same name.
+	 *
+	 * @method Whirl.AnimatedSprite#addAnimation
+	 *
+	 * @param {string} name Name of the animation.
+	 * @param {Array<string|number>} frames Names of the spritesheet frames of the animation, in order.
+	 * @param {object} [options] Optional presets of the animation.
+	 * @param {number} [options.fps=12] Frame rate of the animation in frames per second.
+	 * @param {boolean} [options.loop=true] Restart the animation once it reaches its end.
+	 * @param {boolean} [options.pingPong=false] Play the animation backwards once it reaches its last frame. If the animation also loops, it plays forwards again once it reaches its first frame.
+	 * @returns {this}
+	 *
+	 * @example
+	 * sprite.addAnimation("walk", ["walk_0", "walk_1", "walk_2"], {fps: 8, pingPong: true});
+	 */
+	addAnimation(name, frames, options = {}) {
+		if (!Array.isArray(frames) || frames.length === 0) {
+			this.game.debug.warn(
+				`Invalid frames given to AnimatedSprite#addAnimation for animation "${name}". Frames must be a non-empty array.`,
+				"Whirl.AnimatedSprite"
+			);
+
+			return this;
+		}
+
+		this.animations[name] = {
+			frames,
+			fps: getValue(options, "fps", 12),
+			loop: getValue(options, "loop", true),
+			pingPong: getValue(options, "pingPong", false),
+		};
+
+		return this;
+	}
+
+	/**
+	 * Play an animation from its first frame.
+	 *
+	 * If the given animation is already playing it continues uninterrupted, unless `restart` is `true`.
+	 *
+	 * @method Whirl.AnimatedSprite#play
+	 *
+	 * @param {string} name Name of the animation to play.
+	 * @param {boolean} [restart=false] Restart the animation from its first frame if it is already playing.
+	 * @returns {this}
+	 *
+	 * @example
+	 * sprite.play("run");
+	 */
+	play(name, restart = false) {
+		if (!Object.prototype.hasOwnProperty.call(this.animations, name)) {
+			this.game.debug.warn(
+				`Animation "${name}" does not exist on AnimatedSprite.`,
+				"Whirl.AnimatedSprite"
+			);
+
+			return this;
+		}
+
+		if (this.playing && this.animation === name && !restart) {
+			return this;
+		}
+
+		this.animation = name;
+		this.frameIndex = 0;
+		this.playing = true;
+		this._elapsed = 0;
+		this._direction = 1;
+
+		this._showFrame(this.animations[name].frames[0]);
+
+		return this;
+	}
+
+	/**
+	 * Stop the current animation on its current frame.
+	 *
+	 * @method Whirl.AnimatedSprite#stop
+	 *
+	 * @returns {this}
+	 */
+	stop() {
+		this.playing = false;
+
+		return this;
+	}
+
+	/**
+	 * Resume the current animation from its current frame after it has been stopped.
+	 *
+	 * @method Whirl.AnimatedSprite#resume
+	 *
+	 * @returns {this}
+	 */
+	resume() {
+		if (this.animation !== null) {
+			this.playing = true;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Advance the current animation by the given time delta.
+	 *
+	 * Invoked automatically each simulation step. Subclasses that override this method must call `super.update(dt, game)`.
+	 *
+	 * @method Whirl.AnimatedSprite#update
+	 *
+	 * @emits Whirl.AnimatedSprite#animationComplete
+	 *
+	 * @param {number} dt Time in milliseconds that this step simulates.
+	 * @param {Whirl.Game} game Game instance this object belongs to.
+	 */
+	update(dt) {
+		if (!this.playing) {
+			return;
+		}
+
+		const current = this.animations[this.animation];
+		const frameTime = 1000 / (current.fps * this.speed);
+
+		if (!(frameTime > 0) || !isFinite(frameTime)) {
+			return;
+		}
+
+		this._elapsed += dt;
+
+		while (this.playing && this._elapsed >= frameTime) {
+			this._elapsed -= frameTime;
+
+			this._advance(current);
+		}
+
+		this._showFrame(current.frames[this.frameIndex]);
+	}
+
+	/**
+	 * Move the current animation on by a single frame, handling looping, ping-ponging and completion.
+	 *
+	 * @ignore
+	 * @method Whirl.AnimatedSprite#_advance
+	 *
+	 * @param {Whirl.AnimatedSprite~Animation} current Current animation.
+	 */
+	_advance(current) {
+		const {frames, loop, pingPong} = current;
+		let next = this.frameIndex + this._direction;
+
+		if (next < 0 || next >= frames.length) {
+			if (pingPong && this._direction === 1 && frames.length > 1) {
+				this._direction = -1;
+				next = frames.length - 2;
+			} else if (loop) {
+				this._direction = 1;
+				next = pingPong ? Math.min(1, frames.length - 1) : 0;
+			} else {
+				this.playing = false;
+				this._elapsed = 0;
+
+				this.event.emit("animationComplete", {
+					object: this,
+					animation: this.animation,
+				});
+
+				return;
+			}
+		}
+
+		this.frameIndex = next;
+	}
+
+	/**
+	 * Set the fill of this sprite to a frame of the spritesheet.
+	 *
+	 * @ignore
+	 * @method Whirl.AnimatedSprite#_showFrame
+	 *
+	 * @param {string|number} name Name of the frame.
+	 */
+	_showFrame(name) {
+		// Frames of a grid spritesheet may not exist until its source image has loaded
+		if (!this.spritesheet || !this.spritesheet.hasFrame(name)) {
+			return;
+		}
+
+		const frame = this.spritesheet.frame(name);
+
+		if (frame !== this.fill) {
+			this.setFill(frame);
+		}
+	}
+}
+
+export default AnimatedSprite;
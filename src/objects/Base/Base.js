@@ -99,20 +99,24 @@ class Base {
 	/**
 	 * Method to be overridden that is called internally by the [update manager](@link Whirl.Game.UpdateManager).
 	 *
-	 * Use this method to execute logic that you want executed each time a game update tick occurs.
+	 * Use this method to execute logic that you want executed each time a game simulation step occurs.
+	 *
+	 * {@link Whirl.Entity|Entities} that are in the tree of objects of a {@link Whirl.Stage|Stage} have this method invoked each step before their derived values are calculated, unless they are not {@link Whirl.Base#active|active} or have {@link Whirl.Entity#autoUpdate|automatic updates disabled}.
 	 *
-	 * @ignore
 	 * @abstract
 	 * @method Whirl.Base#update
 	 *
+	 * @param {number} dt Time in milliseconds that this step simulates.
+	 * @param {Whirl.Game} game Game instance this object belongs to.
+	 *
 	 * @example
-	 * class MyObject extends Whirl.Base {
-	 * 	health = 5;
+	 * class MyObject extends Whirl.Sprite {
+	 * 	speed = 0.1;
 	 *
 	 * 	...
 	 *
-	 * 	update() {
-	 * 		this.health += 5;
+	 * 	update(dt) {
+	 * 		this.bounds.x += this.speed * dt;
 	 * 	}
 	 * }
 	 */
@@ -0,0 +1,176 @@
+import Image from "~/objects/Image";
+import Rectangle from "~/geometry/Rectangle";
+
+/**
+ * @classdesc
+ * A bitmap font is an image that packs together the glyphs of a font, along with data describing where each glyph is and how it should be spaced, as exported by [AngelCode BMFont](https://www.angelcode.com/products/bmfont/) and compatible tools such as Hiero, Littera and ShoeBox.
+ *
+ * Both the text (`.fnt`) and the XML formats of the font data are supported. Only fonts with a single page (image) are supported - the font data of any other pages is ignored.
+ *
+ * Bitmap fonts are drawn with {@link Whirl.BitmapText|BitmapText} entities. When used as a texture itself, a bitmap font renders its entire source image.
+ *
+ * @class BitmapFont
+ * @memberof Whirl
+ * @extends Whirl.Image
+ *
+ * @param {Whirl.Game} game Game instance this texture belongs to and should be managed by.
+ * @param {string|HTMLImageElement|HTMLCanvasElement} source Key of an image loaded by the {@link Whirl.Game.AssetManager|AssetManager}, or the image element itself.
+ * @param {object} [options] Optional presets when initialising this object. Also accepts all options of an {@link Whirl.Image|Image}.
+ * @param {string} options.data Font data, or the key of text loaded by the {@link Whirl.Game.AssetManager#text|AssetManager}.
+ *
+ * @example
+ * game.asset.image("pixelFont", "./fonts/pixel.png").asset.text("pixelFontData", "./fonts/pixel.fnt");
+ *
+ * ...
+ *
+ * const font = game.BitmapFont("pixelFont", {
+ * 	data: "pixelFontData",
+ * });
+ */
+class BitmapFont extends Image {
+	/**
+	 * Size of the font in pixels that the glyphs were drawn at.
+	 *
+	 * @memberof Whirl.BitmapFont#
+	 * @type {number}
+	 * @readonly
+	 */
+	size = 0;
+
+	/**
+	 * Distance in pixels between the top of each line of text.
+	 *
+	 * @memberof Whirl.BitmapFont#
+	 * @type {number}
+	 * @readonly
+	 */
+	lineHeight = 0;
+
+	/**
+	 * Distance in pixels from the top of each line of text to the baseline of its glyphs.
+	 *
+	 * @memberof Whirl.BitmapFont#
+	 * @type {number}
+	 * @readonly
+	 */
+	base = 0;
+
+	/**
+	 * Map of character codes to the glyph drawn for each character.
+	 *
+	 * @memberof Whirl.BitmapFont#
+	 * @type {object<number, Whirl.BitmapFont~Glyph>}
+	 * @readonly
+	 */
+	glyphs = {};
+
+	/**
+	 * Map of pairs of character codes, joined with a comma, to the distance in pixels to move the second character towards the first when they are next to each other.
+	 *
+	 * @memberof Whirl.BitmapFont#
+	 * @type {object<string, number>}
+	 * @readonly
+	 *
+	 * @example
+	 * font.kernings["65,86"]; // -2 ("A" followed by "V")
+	 */
+	kernings = {};
+
+	/**
+	 * A single glyph of a bitmap font.
+	 *
+	 * @typedef {object} Whirl.BitmapFont~Glyph
+	 * @property {Whirl.geometry.Rectangle} crop Section of the source image the glyph covers.
+	 * @property {number} xOffset Distance in pixels to move the glyph right of the cursor when it is drawn.
+	 * @property {number} yOffset Distance in pixels to move the glyph down from the top of its line when it is drawn.
+	 * @property {number} xAdvance Distance in pixels to move the cursor after the glyph.
+	 */
+
+	constructor(game, source, options = {}) {
+		super(game, source, options);
+
+		if (Object.prototype.hasOwnProperty.call(options, "data")) {
+			this.parse(options.data);
+		}
+	}
+
+	/**
+	 * Get the distance to move a character towards the character before it.
+	 *
+	 * @method Whirl.BitmapFont#getKerning
+	 *
+	 * @param {number} first Character code of the first character.
+	 * @param {number} second Character code of the second character.
+	 * @returns {number}
+	 */
+	getKerning(first, second) {
+		return this.kernings[`${first},${second}`] || 0;
+	}
+
+	/**
+	 * Define the glyphs of this font from BMFont data, replacing any existing glyphs.
+	 *
+	 * @method Whirl.BitmapFont#parse
+	 *
+	 * @param {string} data Font data in the text or XML format, or the key of text loaded by the {@link Whirl.Game.AssetManager#text|AssetManager}.
+	 * @returns {this}
+	 */
+	parse(data) {
+		const text = this.game.asset.has(data) ? this.game.asset.get(data) : data;
+
+		if (typeof text !== "string" || !/(?:^|<)[ \t]*common[ \t]/m.test(text)) {
+			this.game.debug.warn("Invalid font data given to BitmapFont#parse.", "Whirl.BitmapFont");
+
+			return this;
+		}
+
+		this.glyphs = {};
+		this.kernings = {};
+
+		// Each tag in either the text format (one tag per line) or the XML format
+		const tagPattern = /(?:^|<)[ \t]*(info|common|char|kerning)[ \t]+([^<>\r\n]*)/gm;
+		let tagMatch;
+
+		while ((tagMatch = tagPattern.exec(text))) {
+			const [, tag, attributeText] = tagMatch;
+			const attributes = {};
+
+			// Each `name=value` attribute of the tag, where the value may be quoted
+			const attributePattern = /(\w+)=(?:"([^"]*)"|(\S+))/g;
+			let attributeMatch;
+
+			while ((attributeMatch = attributePattern.exec(attributeText))) {
+				const [, name, quoted, value] = attributeMatch;
+
+				attributes[name] = quoted === undefined ? value : quoted;
+			}
+
+			const number = (name) => Number(attributes[name]) || 0;
+
+			if (tag === "info") {
+				this.size = Math.abs(number("size"));
+			} else if (tag === "common") {
+				this.lineHeight = number("lineHeight");
+				this.base = number("base");
+			} else if (tag === "char" && number("page") === 0) {
+				this.glyphs[number("id")] = {
+					crop: Rectangle(number("x"), number("y"), number("width"), number("height")),
+					xOffset: number("xoffset"),
+					yOffset: number("yoffset"),
+					xAdvance: number("xadvance"),
+				};
+			} else if (tag === "kerning") {
+				this.kernings[`${number("first")},${number("second")}`] = number("amount");
+			}
+		}
+
+		// Some tools leave out the size, so fall back to the line height
+		if (!this.size) {
+			this.size = this.lineHeight;
+		}
+
+		return this;
+	}
+}
+
+export default BitmapFont;
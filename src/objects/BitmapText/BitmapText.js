@@ -0,0 +1,343 @@
+import Sprite from "~/objects/Sprite";
+import BitmapFont from "~/objects/BitmapFont";
+import Colour from "~/objects/Colour";
+import getValue from "~/lib/getValue";
+
+/**
+ * @classdesc
+ * Bitmap text entities draw a string of text in the game world with the glyphs of a {@link Whirl.BitmapFont|BitmapFont}, so that pixel-art text stays crisp and looks the same in every browser.
+ *
+ * Glyphs are spaced using the kerning pairs of the font and the {@link Whirl.BitmapText#letterSpacing|letter spacing} of the text, and lines are broken at new line characters (`\n`). Glyphs are drawn with the {@link Whirl.Viewport#imageSmoothing|image smoothing} setting of the Viewport rendering them, so disable it to keep scaled pixel-art text sharp.
+ *
+ * The width and height of the {@link Whirl.Sprite#bounds|bounds} of a BitmapText entity are measured from its text and font, so they should not be set directly. Text is laid out again at the next simulation step whenever its text or layout changes, or immediately with the {@link Whirl.BitmapText#measure|measure method}.
+ *
+ * The {@link Whirl.Sprite#fill|fill} of a BitmapText is not used. Colour the glyphs with its {@link Whirl.BitmapText#tint|tint} instead.
+ *
+ * @class BitmapText
+ * @memberof Whirl
+ * @extends Whirl.Sprite
+ *
+ * @param {Whirl.Game} game Game instance this text belongs to and should be managed by.
+ * @param {object} [options] Optional presets when initialising this object. Also accepts all options of a {@link Whirl.Sprite|Sprite} except for `w`, `h` and `fill`.
+ * @param {Whirl.BitmapFont} options.font Font to draw the text with.
+ * @param {string} options.text="" Text to draw.
+ * @param {number} options.fontSize=font.size Size to draw the font at in pixels. The glyphs are scaled by this size divided by the size of the font.
+ * @param {number} options.letterSpacing=0 Extra space in pixels between each character, at the size of the font.
+ * @param {number} options.lineHeight=1 Height of each line as a multiple of the line height of the font.
+ * @param {string} options.align="left" Horizontal alignment of each line - `left`, `center` or `right`.
+ * @param {Whirl.Colour} options.tint=null Colour to multiply the glyphs by.
+ *
+ * @example
+ * const font = game.BitmapFont("pixelFont", {data: "pixelFontData"});
+ *
+ * const score = game.BitmapText({
+ * 	font,
+ * 	text: "SCORE 0",
+ * 	fontSize: 16,
+ * 	tint: game.Colour(255, 220, 0),
+ * });
+ *
+ * score.setText(`SCORE ${points}`);
+ */
+class BitmapText extends Sprite {
+	/**
+	 * Font to draw the text with.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {Whirl.BitmapFont}
+	 */
+	font;
+
+	/**
+	 * Text to draw.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {string}
+	 * @default ""
+	 */
+	text;
+
+	/**
+	 * Size to draw the font at in pixels. The glyphs are scaled by this size divided by the {@link Whirl.BitmapFont#size|size of the font}.
+	 *
+	 * Pixel-art fonts stay sharpest at whole multiples of the size of the font.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {number}
+	 */
+	fontSize;
+
+	/**
+	 * Extra space in pixels between each character, at the size of the font. Negative values move characters closer together.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {number}
+	 * @default 0
+	 */
+	letterSpacing;
+
+	/**
+	 * Height of each line as a multiple of the {@link Whirl.BitmapFont#lineHeight|line height of the font}.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {number}
+	 * @default 1
+	 */
+	lineHeight;
+
+	/**
+	 * Horizontal alignment of each line within the widest line - `left`, `center` or `right`.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {string}
+	 * @default "left"
+	 */
+	align;
+
+	/**
+	 * Colour to multiply the glyphs by. Glyphs drawn in white take on exactly this colour. Glyphs are drawn with their own colours if `null`.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {Whirl.Colour|null}
+	 * @default null
+	 */
+	tint;
+
+	/**
+	 * Glyphs to draw from the last time the text was laid out, in the order they appear in the text.
+	 *
+	 * `x`, `y`, `w` and `h` are the area the glyph covers at the size of the font, where `(0, 0)` is the top-left of the text. Multiply them by {@link Whirl.BitmapText#fontScale|font scale} for the area the glyph covers in the local space of the text.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {Array<{crop: Whirl.geometry.Rectangle, x: number, y: number, w: number, h: number}>}
+	 * @readonly
+	 */
+	glyphs = [];
+
+	/**
+	 * Text and layout that were last laid out, used to only lay out again when either changes.
+	 *
+	 * @ignore
+	 * @memberof Whirl.BitmapText#
+	 * @type {string|null}
+	 * @readonly
+	 */
+	_measured = null;
+
+	constructor(game, options = {}) {
+		super(game, options);
+
+		this.setFont(options.font);
+
+		this.text = String(getValue(options, "text", ""));
+
+		this.fontSize = getValue(options, "fontSize", this.font ? this.font.size : 0);
+
+		this.letterSpacing = getValue(options, "letterSpacing", 0);
+
+		this.lineHeight = getValue(options, "lineHeight", 1);
+
+		this.align = getValue(options, "align", "left");
+
+		this.setTint(getValue(options, "tint", null));
+
+		this.measure();
+
+		this.derived.bounds = this.bounds.duplicate();
+		this.derived.previousBounds = this.bounds.duplicate();
+		this.derived.renderBounds = this.bounds.duplicate();
+	}
+
+	/**
+	 * Scale the glyphs of the font are drawn at.
+	 *
+	 * @memberof Whirl.BitmapText#
+	 * @type {number}
+	 * @readonly
+	 */
+	get fontScale() {
+		return this.font && this.font.size ? this.fontSize / this.font.size : 1;
+	}
+
+	/**
+	 * Set the text to draw.
+	 *
+	 * @method Whirl.BitmapText#setText
+	 *
+	 * @param {any} text Text to draw. Other values are converted to a string.
+	 * @returns {this}
+	 */
+	setText(text) {
+		this.text = String(text);
+
+		return this;
+	}
+
+	/**
+	 * Set the font to draw the text with.
+	 *
+	 * @method Whirl.BitmapText#setFont
+	 *
+	 * @param {Whirl.BitmapFont} font Font to draw the text with.
+	 * @returns {this}
+	 */
+	setFont(font) {
+		if (!(font instanceof BitmapFont)) {
+			this.game.debug.warn(
+				"Invalid BitmapFont instance given to BitmapText#setFont.",
+				"Whirl.BitmapText"
+			);
+
+			this.font = null;
+
+			return this;
+		}
+
+		this.font = font;
+
+		return this;
+	}
+
+	/**
+	 * Set the colour to multiply the glyphs by.
+	 *
+	 * @method Whirl.BitmapText#setTint
+	 *
+	 * @param {Whirl.Colour|null} [tint=null] Colour to multiply the glyphs by, or `null` to draw the glyphs with their own colours.
+	 * @returns {this}
+	 */
+	setTint(tint = null) {
+		if (tint !== null && !(tint instanceof Colour)) {
+			this.game.debug.warn(
+				"Invalid Colour instance given to BitmapText#setTint. Removing the tint instead.",
+				"Whirl.BitmapText"
+			);
+
+			tint = null;
+		}
+
+		this.tint = tint;
+
+		return this;
+	}
+
+	/**
+	 * Lay out the glyphs of the text and resize its bounds to fit them.
+	 *
+	 * Called automatically each simulation step if the text or its layout has changed. Call it yourself to read the new size of the text straight away.
+	 *
+	 * @method Whirl.BitmapText#measure
+	 *
+	 * @returns {this}
+	 */
+	measure() {
+		const {font} = this;
+
+		this.glyphs = [];
+		this._measured = this._getMeasureKey();
+
+		if (!font) {
+			this.bounds.w = 0;
+			this.bounds.h = 0;
+
+			return this;
+		}
+
+		const height = font.lineHeight * this.lineHeight;
+		const lines = this.text.split("\n");
+		const widths = [];
+
+		for (let i = 0; i < lines.length; i++) {
+			const start = this.glyphs.length;
+			let x = 0;
+			let previous = null;
+
+			for (let j = 0; j < lines[i].length; j++) {
+				const code = lines[i].charCodeAt(j);
+				const glyph = font.glyphs[code];
+
+				if (!glyph) {
+					continue;
+				}
+
+				if (previous !== null) {
+					x += font.getKerning(previous, code) + this.letterSpacing;
+				}
+
+				if (glyph.crop.w > 0 && glyph.crop.h > 0) {
+					this.glyphs.push({
+						crop: glyph.crop,
+						x: x + glyph.xOffset,
+						y: i * height + glyph.yOffset,
+						w: glyph.crop.w,
+						h: glyph.crop.h,
+					});
+				}
+
+				x += glyph.xAdvance;
+				previous = code;
+			}
+
+			widths.push({start, width: x});
+		}
+
+		const widest = widths.reduce((max, line) => Math.max(max, line.width), 0);
+
+		// Move the glyphs of each line to align it within the widest line
+		for (let i = 0; i < widths.length; i++) {
+			const end = i + 1 < widths.length ? widths[i + 1].start : this.glyphs.length;
+			let offset = 0;
+
+			if (this.align === "center") {
+				offset = (widest - widths[i].width) / 2;
+			} else if (this.align === "right") {
+				offset = widest - widths[i].width;
+			}
+
+			for (let j = widths[i].start; j < end; j++) {
+				this.glyphs[j].x += offset;
+			}
+		}
+
+		this.bounds.w = widest * this.fontScale;
+		this.bounds.h = lines.length * height * this.fontScale;
+
+		return this;
+	}
+
+	/**
+	 * Calculate the derived values of this BitmapText, laying it out again first if its text or layout has changed.
+	 *
+	 * @method Whirl.BitmapText#calculateDerived
+	 *
+	 * @returns {this}
+	 */
+	calculateDerived() {
+		if (this._measured !== this._getMeasureKey()) {
+			this.measure();
+		}
+
+		return super.calculateDerived();
+	}
+
+	/**
+	 * Get a string that changes whenever the text or any part of its layout changes.
+	 *
+	 * @ignore
+	 * @method Whirl.BitmapText#_getMeasureKey
+	 *
+	 * @returns {string}
+	 */
+	_getMeasureKey() {
+		return [
+			this.text,
+			this.font && this.font._id,
+			this.fontSize,
+			this.letterSpacing,
+			this.lineHeight,
+			this.align,
+		].join("|");
+	}
+}
+
+export default BitmapText;
@@ -0,0 +1,417 @@
+import Rectangle from "~/geometry/Rectangle";
+import Circle from "~/geometry/Circle";
+import Point from "~/geometry/Point";
+import getValue from "~/lib/getValue";
+
+/**
+ * @classdesc
+ * An arcade physics body that moves an {@link Whirl.Entity|Entity} around the game world and lets it collide with other bodies.
+ *
+ * Bodies are either axis-aligned rectangles or circles. The shape of a body is positioned relative to the top-left corner of the {@link Whirl.Sprite#bounds|bounds} of its entity (after its anchor has been applied) and is scaled along with the entity. Bodies stay axis-aligned, ignoring the rotation and skew of their entity and its parents. By default, a body is a rectangle the same size as its entity.
+ *
+ * Bodies are created for you by giving the `body` option when creating an entity, and are simulated by the {@link Whirl.Game.PhysicsManager|PhysicsManager}. Only entities with a `bounds` Rectangle (such as {@link Whirl.Sprite|Sprites}) can be moved by a body.
+ *
+ * @class Body
+ * @memberof Whirl
+ *
+ * @param {Whirl.Entity} entity Entity this body belongs to.
+ * @param {boolean|object|Whirl.geometry.Rectangle|Whirl.geometry.Circle} [options] Shape of the body, or an object of optional presets. Give `true` to use a rectangle the same size as the entity.
+ * @param {Whirl.geometry.Rectangle|Whirl.geometry.Circle} options.shape Shape of the body, positioned relative to the top-left corner of the entity. Defaults to a rectangle the same size as the entity.
+ * @param {number} options.velocityX=0 Initial horizontal velocity in pixels per second.
+ * @param {number} options.velocityY=0 Initial vertical velocity in pixels per second.
+ * @param {number} options.accelerationX=0 Horizontal acceleration in pixels per second squared.
+ * @param {number} options.accelerationY=0 Vertical acceleration in pixels per second squared.
+ * @param {number} options.dragX=0 Horizontal deceleration in pixels per second squared, applied while there is no horizontal acceleration.
+ * @param {number} options.dragY=0 Vertical deceleration in pixels per second squared, applied while there is no vertical acceleration.
+ * @param {number} options.maxVelocityX=Infinity Maximum horizontal speed in pixels per second.
+ * @param {number} options.maxVelocityY=Infinity Maximum vertical speed in pixels per second.
+ * @param {number} options.bounce=0 Restitution of the body on both axes between `0` (no bounce) and `1` (full bounce). Alternatively, give each axis individually with the `bounceX` and `bounceY` options.
+ * @param {number} options.gravityX=0 Horizontal gravity applied to this body in addition to the world gravity.
+ * @param {number} options.gravityY=0 Vertical gravity applied to this body in addition to the world gravity.
+ * @param {boolean} options.allowGravity=true Apply gravity to this body.
+ * @param {boolean} options.immovable=false Prevent this body from being pushed by collisions with other bodies.
+ * @param {number} options.mass=1 Mass of this body, used to share out separation and momentum in collisions between two movable bodies.
+ * @param {boolean} options.collideWorldBounds=false Keep this body inside of the {@link Whirl.Stage#limits|limits} of its stage.
+ *
+ * @example
+ * const player = game.Sprite({
+ * 	w: 32,
+ * 	h: 48,
+ * 	body: {
+ * 		dragX: 800,
+ * 		maxVelocityX: 200,
+ * 		collideWorldBounds: true,
+ * 	},
+ * });
+ *
+ * player.body.velocity.y = -400; // Jump
+ *
+ * @example
+ * // Circular body with a radius of 16, centered in a 32x32 sprite
+ * game.Sprite({
+ * 	w: 32,
+ * 	h: 32,
+ * 	body: Whirl.geometry.Circle(16, 16, 16),
+ * });
+ */
+class Body {
+	/**
+	 * Entity this body belongs to.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.Entity}
+	 * @readonly
+	 */
+	entity;
+
+	/**
+	 * Flag indicating whether this body is simulated or not.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {boolean}
+	 * @default true
+	 */
+	enabled = true;
+
+	/**
+	 * Shape of the body relative to the top-left corner of its entity, before the entity scale is applied.
+	 *
+	 * If `null`, the body is a rectangle the same size as its entity.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Rectangle|Whirl.geometry.Circle|null}
+	 */
+	shape;
+
+	/**
+	 * Axis-aligned bounding box of the body in world space.
+	 *
+	 * Updated each simulation step from the position of the entity.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Rectangle}
+	 * @readonly
+	 */
+	bounds = Rectangle();
+
+	/**
+	 * Velocity in pixels per second.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	velocity;
+
+	/**
+	 * Acceleration in pixels per second squared.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	acceleration;
+
+	/**
+	 * Deceleration in pixels per second squared, applied on each axis while there is no acceleration on that axis.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	drag;
+
+	/**
+	 * Maximum speed on each axis in pixels per second.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @default (Infinity, Infinity)
+	 */
+	maxVelocity;
+
+	/**
+	 * Restitution on each axis between `0` (no bounce) and `1` (full bounce).
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	bounce;
+
+	/**
+	 * Gravity applied to this body in addition to the {@link Whirl.Game.ConfigManager#physics gravityX|world gravity}.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	gravity;
+
+	/**
+	 * Apply gravity to this body.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {boolean}
+	 * @default true
+	 */
+	allowGravity;
+
+	/**
+	 * Prevent this body from being pushed by collisions with other bodies. Immovable bodies still move by their own velocity, making them useful for moving platforms.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {boolean}
+	 * @default false
+	 */
+	immovable;
+
+	/**
+	 * Mass of this body.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {number}
+	 * @default 1
+	 */
+	mass;
+
+	/**
+	 * Keep this body inside of the {@link Whirl.Stage#limits|limits} of its stage.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {boolean}
+	 * @default false
+	 */
+	collideWorldBounds;
+
+	/**
+	 * Sides of this body that touched another body during the last simulation step.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {{up: boolean, down: boolean, left: boolean, right: boolean}}
+	 * @readonly
+	 */
+	touching = {up: false, down: false, left: false, right: false};
+
+	/**
+	 * Sides of this body that were blocked by the world bounds during the last simulation step.
+	 *
+	 * @memberof Whirl.Body#
+	 * @type {{up: boolean, down: boolean, left: boolean, right: boolean}}
+	 * @readonly
+	 *
+	 * @example
+	 * if (player.body.blocked.down || player.body.touching.down) {
+	 * 	// Player is on the ground
+	 * }
+	 */
+	blocked = {up: false, down: false, left: false, right: false};
+
+	/**
+	 * Stage the body was last simulated in.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.Stage|null}
+	 * @readonly
+	 */
+	_stage = null;
+
+	/**
+	 * Step count of the simulation step the body was last simulated in.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Body#
+	 * @type {number}
+	 * @readonly
+	 */
+	_step = -1;
+
+	/**
+	 * World position of the bounding box when it was last read from or written to the entity.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Body#
+	 * @type {Whirl.geometry.Point}
+	 * @readonly
+	 */
+	_synced = Point();
+
+	constructor(entity, options = {}) {
+		this.entity = entity;
+
+		if (options instanceof Rectangle.class || options instanceof Circle.class) {
+			options = {shape: options};
+		} else if (typeof options !== "object" || options === null) {
+			options = {};
+		}
+
+		this.shape = getValue(options, "shape", null);
+
+		this.velocity = Point(getValue(options, "velocityX", 0), getValue(options, "velocityY", 0));
+		this.acceleration = Point(
+			getValue(options, "accelerationX", 0),
+			getValue(options, "accelerationY", 0)
+		);
+		this.drag = Point(getValue(options, "dragX", 0), getValue(options, "dragY", 0));
+		this.maxVelocity = Point(
+			getValue(options, "maxVelocityX", Infinity),
+			getValue(options, "maxVelocityY", Infinity)
+		);
+
+		const bounce = getValue(options, "bounce", 0);
+		this.bounce = Point(getValue(options, "bounceX", bounce), getValue(options, "bounceY", bounce));
+
+		this.gravity = Point(getValue(options, "gravityX", 0), getValue(options, "gravityY", 0));
+		this.allowGravity = getValue(options, "allowGravity", true);
+
+		this.immovable = getValue(options, "immovable", false);
+		this.mass = getValue(options, "mass", 1);
+		this.collideWorldBounds = getValue(options, "collideWorldBounds", false);
+	}
+
+	/**
+	 * Flag indicating whether the body is a circle or not.
+	 *
+	 * @alias Whirl.Body#isCircle
+	 * @type {boolean}
+	 * @readonly
+	 */
+	get isCircle() {
+		return this.shape instanceof Circle.class;
+	}
+
+	/**
+	 * Radius of the body in world space if it is a circle, else `0`.
+	 *
+	 * @alias Whirl.Body#radius
+	 * @type {number}
+	 * @readonly
+	 */
+	get radius() {
+		return this.isCircle ? this.bounds.w / 2 : 0;
+	}
+
+	/**
+	 * Set the velocity of the body.
+	 *
+	 * @method Whirl.Body#setVelocity
+	 *
+	 * @param {number} x Horizontal velocity in pixels per second.
+	 * @param {number} [y=x] Vertical velocity in pixels per second.
+	 * @returns {this}
+	 */
+	setVelocity(x, y = x) {
+		this.velocity.x = x;
+		this.velocity.y = y;
+
+		return this;
+	}
+
+	/**
+	 * Read the world position and size of the bounding box from the entity.
+	 *
+	 * @ignore
+	 * @method Whirl.Body#_sync
+	 *
+	 * @returns {boolean} `false` if the entity cannot be simulated.
+	 */
+	_sync() {
+		const {entity} = this;
+
+		if (!entity.bounds || !entity.parent || !entity.parent.derived) {
+			return false;
+		}
+
+		const scale = entity.derived.scale === undefined ? entity.scale : entity.derived.scale;
+		const anchor = entity.anchor || Point();
+		const position = this._toWorld(entity.bounds.x, entity.bounds.y);
+		const originX = position.x - entity.bounds.w * anchor.x * scale;
+		const originY = position.y - entity.bounds.h * anchor.y * scale;
+
+		if (this.shape instanceof Circle.class) {
+			this.bounds.set({
+				x: originX + (this.shape.x - this.shape.r) * scale,
+				y: originY + (this.shape.y - this.shape.r) * scale,
+				w: this.shape.r * 2 * scale,
+				h: this.shape.r * 2 * scale,
+			});
+		} else if (this.shape instanceof Rectangle.class) {
+			this.bounds.set({
+				x: originX + this.shape.x * scale,
+				y: originY + this.shape.y * scale,
+				w: this.shape.w * scale,
+				h: this.shape.h * scale,
+			});
+		} else {
+			this.bounds.set({
+				x: originX,
+				y: originY,
+				w: entity.bounds.w * scale,
+				h: entity.bounds.h * scale,
+			});
+		}
+
+		this._synced.set(this.bounds);
+
+		return true;
+	}
+
+	/**
+	 * Move the entity by the distance the bounding box has moved since it was last synced.
+	 *
+	 * @ignore
+	 * @method Whirl.Body#_apply
+	 */
+	_apply() {
+		const {bounds, parent} = this.entity;
+		const matrix = parent.derived && parent.derived.matrix;
+
+		// Convert the distance moved in the game world into the space of the parent
+		if (matrix) {
+			const from = matrix.applyInverse(this._synced.x, this._synced.y);
+			const to = matrix.applyInverse(this.bounds.x, this.bounds.y);
+
+			bounds.x += to.x - from.x;
+			bounds.y += to.y - from.y;
+		} else {
+			bounds.x += this.bounds.x - this._synced.x;
+			bounds.y += this.bounds.y - this._synced.y;
+		}
+
+		this._synced.set(this.bounds);
+	}
+
+	/**
+	 * Convert a point in the space of the parent of the entity into a point in the game world.
+	 *
+	 * @ignore
+	 * @method Whirl.Body#_toWorld
+	 *
+	 * @param {number} x X-coordinate of the point.
+	 * @param {number} y Y-coordinate of the point.
+	 * @returns {Whirl.geometry.Point}
+	 */
+	_toWorld(x, y) {
+		const {derived} = this.entity.parent;
+
+		if (derived.matrix) {
+			return derived.matrix.apply(x, y);
+		}
+
+		return Point(x + (derived.x || 0), y + (derived.y || 0));
+	}
+
+	/**
+	 * Clear the touching and blocked flags ahead of a new simulation step.
+	 *
+	 * @ignore
+	 * @method Whirl.Body#_reset
+	 */
+	_reset() {
+		this.touching.up = this.touching.down = this.touching.left = this.touching.right = false;
+		this.blocked.up = this.blocked.down = this.blocked.left = this.blocked.right = false;
+	}
+}
+
+export default Body;
@@ -17,6 +17,7 @@ import getValue from "~/lib/getValue";
  *
  * @param {Whirl.Game} game Game instance this container belongs to and should be managed by.
  * @param {object} [options] Optional presets when initialising this object.
+ * @param {number} [options.timeScale=1] Rate at which time passes for this container and its children.
  * @param {Entity[]} [children] Array of children to initialise into this container.
  *
  * @example
@@ -32,12 +33,27 @@ class Container extends Entity {
 	 *
 	 * When an object is added as a child of a container its position is made relative to the container position, instead of the base game world position.
 	 *
+	 * The {@link Whirl.Entity#pivot|pivot point} of the container is placed at this position, and children are rotated, scaled and skewed around it along with the container.
+	 *
 	 * @memberof Whirl.Container#
 	 * @type {Whirl.geometry.Point}
 	 * @default (0, 0)
 	 */
 	position;
 
+	/**
+	 * Rate at which time passes for this container and all of its children relative to its parent.
+	 *
+	 * The time delta given to the {@link Whirl.Base#update|update method} of this container and each of its children is multiplied by this value. Time scales compound down the tree - a container with a time scale of `0.5` inside of another container with a time scale of `0.5` will update its children at a quarter of the speed.
+	 *
+	 * Set to `0` to freeze this container and its children whilst still rendering them.
+	 *
+	 * @memberof Whirl.Container#
+	 * @type {number}
+	 * @default 1
+	 */
+	timeScale;
+
 	constructor(game, options = {}, children = []) {
 		super(game, options);
 
@@ -45,6 +61,8 @@ class Container extends Entity {
 
 		this.position = Point(getValue(options, "x", 0), getValue(options, "y", 0));
 
+		this.timeScale = getValue(options, "timeScale", 1);
+
 		this.child.onAdd = (object) => {
 			if (object instanceof Entity) {
 				if (object.parent) {
@@ -66,17 +84,13 @@ class Container extends Entity {
 	}
 
 	calculateDerived() {
-		this.derived.x = this.position.x;
-		this.derived.y = this.position.y;
-		this.derived.alpha = this.alpha;
-		this.derived.scale = this.scale;
-
-		if (this.parent instanceof Entity) {
-			this.derived.x += this.parent.derived.x;
-			this.derived.y += this.parent.derived.y;
-			this.derived.alpha *= this.parent.derived.alpha;
-			this.derived.scale *= this.parent.derived.scale;
-		}
+		this.updateMatrix(this.position.x, this.position.y);
+
+		super.calculateDerived();
+
+		// Position of the container origin in the game world
+		this.derived.x = this.derived.matrix.tx;
+		this.derived.y = this.derived.matrix.ty;
 
 		return this;
 	}
@@ -0,0 +1,334 @@
+import Rectangle from "~/geometry/Rectangle";
+import Point from "~/geometry/Point";
+import getValue from "~/lib/getValue";
+import roundTo from "~/math/roundTo";
+
+/**
+ * @classdesc
+ * Lets an {@link Whirl.Entity|Entity} be dragged around the game world with the mouse, a pen or a finger.
+ *
+ * Draggables are created for you by giving the `draggable` option when creating an entity, and are moved by the {@link Whirl.Game.InputManager|InputManager}. A drag begins when the pointer is pressed down on an {@link Whirl.Entity#interactive|interactive} Sprite that is, or is inside of, a draggable entity. Entities created with the `draggable` option are made interactive by default.
+ *
+ * The distance the pointer moves is converted from the game world into the space of the parent of the entity, so that entities inside of rotated or scaled containers follow the pointer exactly. {@link Whirl.Sprite|Sprites} are moved by their {@link Whirl.Sprite#bounds|bounds} and {@link Whirl.Container|Containers} by their {@link Whirl.Container#position|position}.
+ *
+ * @class Draggable
+ * @memberof Whirl
+ *
+ * @param {Whirl.Entity} entity Entity to be dragged.
+ * @param {boolean|object} [options] Give `true` to use the default presets, or an object of optional presets.
+ * @param {string} options.axis="both" Axis the entity can be dragged along in the space of its parent - `both`, `x` or `y`.
+ * @param {boolean|Whirl.geometry.Rectangle} options.bounds=null Area of the game world to keep the entity inside of whilst dragging. Give `true` to use the {@link Whirl.Stage#limits|limits} of the stage being dragged in.
+ * @param {number} options.snap=0 Size of the grid to snap the position of the entity to whilst dragging, in the space of its parent. Give `0` to disable snapping.
+ *
+ * @example
+ * const card = game.Sprite({
+ * 	w: 60,
+ * 	h: 90,
+ * 	draggable: {
+ * 		snap: 10,
+ * 		bounds: true,
+ * 	},
+ * });
+ *
+ * card.event.on("dragEnd", ({dropTarget}) => {
+ * 	if (!dropTarget) {
+ * 		card.draggable.reset();
+ * 	}
+ * });
+ */
+class Draggable {
+	/**
+	 * Entity this draggable belongs to.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {Whirl.Entity}
+	 * @readonly
+	 */
+	entity;
+
+	/**
+	 * Flag indicating whether the entity can be dragged or not.
+	 *
+	 * Disabling a draggable whilst it is being dragged does not stop the current drag.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {boolean}
+	 * @default true
+	 */
+	enabled = true;
+
+	/**
+	 * Axis the entity can be dragged along in the space of its parent - `both`, `x` or `y`.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {string}
+	 * @default "both"
+	 */
+	axis;
+
+	/**
+	 * Area of the game world to keep the entity inside of whilst dragging.
+	 *
+	 * If `true`, the {@link Whirl.Stage#limits|limits} of the stage being dragged in are used. Sprites are kept inside by their derived bounds and Containers by their position.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {boolean|Whirl.geometry.Rectangle|null}
+	 * @default null
+	 */
+	bounds;
+
+	/**
+	 * Size of the grid to snap the position of the entity to whilst dragging, in the space of its parent. Snapping is applied before the entity is kept inside of its bounds.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {number}
+	 * @default 0
+	 */
+	snap;
+
+	/**
+	 * Flag indicating whether the entity is currently being dragged or not.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	isDragging = false;
+
+	/**
+	 * Flag indicating whether the entity has moved since the current or last drag began.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	hasMoved = false;
+
+	/**
+	 * Position of the entity in the space of its parent when the current or last drag began.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {Whirl.geometry.Point}
+	 * @readonly
+	 */
+	startPosition = Point();
+
+	/**
+	 * Viewport the entity is being dragged in.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {Whirl.Viewport|null}
+	 * @readonly
+	 */
+	viewport = null;
+
+	/**
+	 * Position of the pointer in the space of the parent of the entity when the drag began.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Draggable#
+	 * @type {Whirl.geometry.Point}
+	 * @readonly
+	 */
+	_grab = Point();
+
+	/**
+	 * Box of the entity in the game world relative to its world position when the drag began, used to keep it inside of its bounds.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Draggable#
+	 * @type {Whirl.geometry.Rectangle}
+	 * @readonly
+	 */
+	_box = Rectangle();
+
+	constructor(entity, options = {}) {
+		this.entity = entity;
+
+		if (typeof options !== "object") {
+			options = {};
+		}
+
+		this.axis = getValue(options, "axis", "both");
+
+		this.bounds = getValue(options, "bounds", null);
+
+		this.snap = getValue(options, "snap", 0);
+	}
+
+	/**
+	 * Position of the entity in the space of its parent that is moved by dragging.
+	 *
+	 * @memberof Whirl.Draggable#
+	 * @type {Whirl.geometry.Point|Whirl.geometry.Rectangle}
+	 * @readonly
+	 */
+	get position() {
+		return this.entity.position || this.entity.bounds;
+	}
+
+	/**
+	 * Move the entity back to where it was when the current or last drag began, such as when it is dropped somewhere it is not allowed.
+	 *
+	 * @method Whirl.Draggable#reset
+	 *
+	 * @returns {this}
+	 */
+	reset() {
+		this.position.x = this.startPosition.x;
+		this.position.y = this.startPosition.y;
+
+		return this;
+	}
+
+	/**
+	 * Begin dragging the entity from a point in the game world.
+	 *
+	 * @ignore
+	 * @method Whirl.Draggable#_start
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport the entity is dragged in.
+	 * @param {Whirl.geometry.Point} worldPos Position of the pointer in the game world.
+	 */
+	_start(viewport, worldPos) {
+		const {entity, position} = this;
+
+		this.isDragging = true;
+		this.hasMoved = false;
+		this.viewport = viewport;
+
+		this.startPosition.set({x: position.x, y: position.y});
+		this._toLocal(worldPos, this._grab);
+
+		const origin = this._toWorld(position);
+		const box = entity.derived.bounds;
+
+		if (box) {
+			this._box.set({x: box.x - origin.x, y: box.y - origin.y, w: box.w, h: box.h});
+		} else {
+			this._box.set({x: 0, y: 0, w: 0, h: 0});
+		}
+	}
+
+	/**
+	 * Move the entity to follow the pointer.
+	 *
+	 * @ignore
+	 * @method Whirl.Draggable#_move
+	 *
+	 * @param {Whirl.geometry.Point} worldPos Position of the pointer in the game world.
+	 * @returns {boolean} `true` if the entity moved.
+	 */
+	_move(worldPos) {
+		const {position, startPosition, snap} = this;
+		const pointer = this._toLocal(worldPos);
+
+		let x = startPosition.x;
+		let y = startPosition.y;
+
+		if (this.axis !== "y") {
+			x += pointer.x - this._grab.x;
+		}
+
+		if (this.axis !== "x") {
+			y += pointer.y - this._grab.y;
+		}
+
+		if (snap > 0) {
+			x = roundTo(x, snap);
+			y = roundTo(y, snap);
+		}
+
+		const limits = this.bounds === true ? this.viewport.stage.limits : this.bounds;
+
+		if (limits instanceof Rectangle.class) {
+			const target = this._clamp(this._toWorld(Point(x, y)), limits);
+			const clamped = this._toLocal(target);
+
+			x = clamped.x;
+			y = clamped.y;
+		}
+
+		if (x === position.x && y === position.y) {
+			return false;
+		}
+
+		position.x = x;
+		position.y = y;
+
+		this.hasMoved = true;
+
+		return true;
+	}
+
+	/**
+	 * Finish dragging the entity.
+	 *
+	 * @ignore
+	 * @method Whirl.Draggable#_end
+	 */
+	_end() {
+		this.isDragging = false;
+		this.viewport = null;
+	}
+
+	/**
+	 * Move a world position of the entity so that its box stays inside of the given limits. Boxes larger than the limits are aligned to their top-left corner.
+	 *
+	 * @ignore
+	 * @method Whirl.Draggable#_clamp
+	 *
+	 * @param {Whirl.geometry.Point} origin World position of the entity.
+	 * @param {Whirl.geometry.Rectangle} limits Area to stay inside of.
+	 * @returns {Whirl.geometry.Point} The given point, moved.
+	 */
+	_clamp(origin, limits) {
+		const box = this._box;
+
+		origin.x = Math.max(limits.x - box.x, Math.min(origin.x, limits.x + limits.w - box.x - box.w));
+		origin.y = Math.max(limits.y - box.y, Math.min(origin.y, limits.y + limits.h - box.y - box.h));
+
+		return origin;
+	}
+
+	/**
+	 * Convert a point in the space of the parent of the entity into a point in the game world.
+	 *
+	 * @ignore
+	 * @method Whirl.Draggable#_toWorld
+	 *
+	 * @param {Whirl.geometry.Point} point Point in the space of the parent.
+	 * @returns {Whirl.geometry.Point}
+	 */
+	_toWorld(point) {
+		const {parent} = this.entity;
+
+		if (parent && parent.derived && parent.derived.matrix) {
+			return parent.derived.matrix.apply(point.x, point.y);
+		}
+
+		return Point(point.x, point.y);
+	}
+
+	/**
+	 * Convert a point in the game world into a point in the space of the parent of the entity.
+	 *
+	 * @ignore
+	 * @method Whirl.Draggable#_toLocal
+	 *
+	 * @param {Whirl.geometry.Point} point Point in the game world.
+	 * @param {Whirl.geometry.Point} [out] Point to store the result in. If not given, a new Point is created.
+	 * @returns {Whirl.geometry.Point}
+	 */
+	_toLocal(point, out) {
+		const {parent} = this.entity;
+
+		if (parent && parent.derived && parent.derived.matrix) {
+			return parent.derived.matrix.applyInverse(point.x, point.y, out);
+		}
+
+		return (out || Point()).set({x: point.x, y: point.y});
+	}
+}
+
+export default Draggable;
@@ -1,5 +1,12 @@
 import Base from "~/objects/Base";
 import getValue from "~/lib/getValue";
+import {apply as mixin} from "~/mixins/Mixin";
+import Event from "~/mixins/EventMixin";
+import Point from "~/geometry/Point";
+import Matrix from "~/geometry/Matrix";
+import radians from "~/math/radians";
+import Body from "~/objects/Body";
+import Draggable from "~/objects/Draggable";
 
 /**
  * @classdesc
@@ -14,14 +21,26 @@ import getValue from "~/lib/getValue";
  * @class Entity
  * @memberof Whirl
  * @extends Whirl.Base
+ * @mixes Whirl.mixins.Event
  * @abstract
  *
  * @param {Whirl.Game} game Game instance this entity belongs to and should be managed by.
  * @param {object} [options] Optional presets when initialising this object.
  * @param {number} options.alpha=1 Alpha/Transparency of this entity.
  * @param {number} options.scale=1 Scale of this entity. Increasing this value enlargens the object, decreasing it makes it smaller.
+ * @param {number} options.scaleX=1 Horizontal scale of this entity, applied on top of `scale`.
+ * @param {number} options.scaleY=1 Vertical scale of this entity, applied on top of `scale`.
+ * @param {number} options.rotation=0 Clockwise rotation of this entity in degrees.
+ * @param {number} options.skewX=0 Horizontal skew of this entity in degrees.
+ * @param {number} options.skewY=0 Vertical skew of this entity in degrees.
+ * @param {Whirl.geometry.Point} options.pivot Point in local space that this entity is rotated, scaled and skewed around. Alternatively, give each pivot value individually with the `pivotX` and `pivotY` options.
+ * @param {number} options.pivotX=0 X-coordinate of the pivot point.
+ * @param {number} options.pivotY=0 Y-coordinate of the pivot point.
  * @param {number} options.layer=0 Z-layer this object should be rendered on. Objects with a higher `layer` value that are on the same implicit level as other objects with a lower `layer` value will be rendered on top.
- * @param {Whirl.geometry.Rectangle} options.body Rectangle shape used as the physics body for this entity.
+ * @param {boolean|object|Whirl.geometry.Rectangle|Whirl.geometry.Circle} options.body Give the entity an arcade physics body. Either `true`, the shape of the body, or an object of presets for the body. See {@link Whirl.Body|Body}.
+ * @param {boolean} options.interactive=false Have this entity receive pointer events when the pointer is over it. Defaults to `true` if the `draggable` option is given.
+ * @param {boolean|object} options.draggable Let this entity be dragged with the pointer. Either `true` or an object of presets for dragging. See {@link Whirl.Draggable|Draggable}.
+ * @param {boolean} options.autoUpdate=true Have the {@link Whirl.Entity#update|update method} of this entity invoked each simulation step.
  *
  * @example
  * class MyObject extends Whirl.Entity {
@@ -31,6 +50,8 @@ import getValue from "~/lib/getValue";
  * }
  */
 class Entity extends Base {
+	mixins = [Event];
+
 	/**
 	 * Parent object that holds this entity.
 	 *
@@ -62,6 +83,8 @@ class Entity extends Base {
 	 *
 	 * Note that changing this value will scale both the entities rendered size as well as its physics body's size.
 	 *
+	 * Scale is inherited, so scaling a {@link Whirl.Container|Container} also scales the size and distance between each of its children.
+	 *
 	 * Image sprite entities that are scaled under a {@link Whirl.Viewport|viewport with antialiasing enabled} may become pixelated and blurry.
 	 *
 	 * @memberof Whirl.Entity#
@@ -71,11 +94,33 @@ class Entity extends Base {
 	scale;
 
 	/**
-	 * Clockwise rotation (**in degrees**) of this entity.
+	 * Horizontal scale of this entity, multiplied with its {@link Whirl.Entity#scale|scale}.
 	 *
-	 * Parent entities do not propogate this value down to their children.
+	 * Physics bodies only take the uniform `scale` into account.
 	 *
-	 * Note that the built-in physics engine *does not* take this value into account, and will not rotate its corresponding physics body.
+	 * @memberof Whirl.Entity#
+	 * @type {number}
+	 * @default 1
+	 */
+	scaleX;
+
+	/**
+	 * Vertical scale of this entity, multiplied with its {@link Whirl.Entity#scale|scale}.
+	 *
+	 * Physics bodies only take the uniform `scale` into account.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {number}
+	 * @default 1
+	 */
+	scaleY;
+
+	/**
+	 * Clockwise rotation (**in degrees**) of this entity around its {@link Whirl.Entity#pivot|pivot point}.
+	 *
+	 * Rotation is inherited, so rotating a {@link Whirl.Container|Container} rotates all of its children around it.
+	 *
+	 * Note that the built-in physics engine *does not* take rotation into account, and will not rotate its corresponding physics body.
 	 *
 	 * @memberof Whirl.Entity#
 	 * @type {number}
@@ -86,6 +131,46 @@ class Entity extends Base {
 	 */
 	rotation;
 
+	/**
+	 * Horizontal skew (**in degrees**) of this entity around its {@link Whirl.Entity#pivot|pivot point}.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {number}
+	 * @default 0
+	 */
+	skewX;
+
+	/**
+	 * Vertical skew (**in degrees**) of this entity around its {@link Whirl.Entity#pivot|pivot point}.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {number}
+	 * @default 0
+	 */
+	skewY;
+
+	/**
+	 * Point in the local space of this entity that it is rotated, scaled and skewed around, and that is placed at its position in its parent.
+	 *
+	 * For {@link Whirl.Sprite|Sprites}, the pivot is an offset in pixels from their {@link Whirl.Sprite#anchor|anchor point}.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	pivot;
+
+	/**
+	 * Local transformation matrix of this entity relative to its parent, built from its position, {@link Whirl.Entity#pivot|pivot}, {@link Whirl.Entity#rotation|rotation}, scale and skew each time its derived values are calculated.
+	 *
+	 * The world transformation matrix, which is this matrix composed with the world matrices of every parent, is available as `derived.matrix`.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {Whirl.geometry.Matrix}
+	 * @readonly
+	 */
+	matrix = Matrix();
+
 	/**
 	 * Z-layer this object should be rendered on.
 	 *
@@ -102,16 +187,74 @@ class Entity extends Base {
 	layer;
 
 	/**
-	 * Rectangle shape used as the physics body for this entity.
+	 * Arcade physics body of this entity, simulated by the {@link Whirl.Game.PhysicsManager|PhysicsManager}.
 	 *
-	 * The rendered output of an entity and its physics body are two separate items. The physics body could be at a completey separate location and size to where the entity is rendered, but can be configured to always be in the same position and size of the entity.
+	 * The rendered output of an entity and its physics body are two separate items. By default the body is the same position and size as the entity, but it can be given its own {@link Whirl.Body#shape|shape} relative to the entity. Moving the body moves the entity along with it.
 	 *
 	 * @memberof Whirl.Entity#
-	 * @type {Whirl.geometry.Rectangle}
-	 * @default {null}
+	 * @type {Whirl.Body|null}
+	 * @default null
 	 */
 	body;
 
+	/**
+	 * Receive pointer events such as {@link Whirl.Entity#event:pointerDown|pointerDown} and {@link Whirl.Entity#event:click|click} when the pointer is over this entity in a {@link Whirl.Viewport|Viewport} that receives mouse input.
+	 *
+	 * Only {@link Whirl.Sprite|Sprites} can be hit by the pointer, using their transformed shape. Pointer events that hit a Sprite propagate up to each of its parent containers, whether they are interactive or not.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {boolean}
+	 * @default false
+	 *
+	 * @example
+	 * const button = game.Sprite({w: 120, h: 40, interactive: true});
+	 *
+	 * button.event.on("click", () => startGame());
+	 */
+	interactive;
+
+	/**
+	 * Drag-and-drop behaviour of this entity, moved by the {@link Whirl.Game.InputManager|InputManager} whilst the pointer drags it.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {Whirl.Draggable|null}
+	 * @default null
+	 */
+	draggable;
+
+	/**
+	 * Have the {@link Whirl.Base#update|update method} of this entity invoked automatically each simulation step while it is part of a {@link Whirl.Stage|Stage}.
+	 *
+	 * Set this to `false` to opt this entity out of updates whilst still having it be rendered and its children be updated. To stop the entity and its children from both updating and rendering, set its {@link Whirl.Base#active|active} property to `false` instead.
+	 *
+	 * @memberof Whirl.Entity#
+	 * @type {boolean}
+	 * @default true
+	 */
+	autoUpdate;
+
+	/**
+	 * Fires on this entity just before its {@link Whirl.Base#update|update method} is invoked.
+	 *
+	 * @event Whirl.Entity#willUpdate
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object This entity.
+	 * @property {number} dt Time in milliseconds that this step simulates.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires on this entity just after its {@link Whirl.Base#update|update method} is invoked.
+	 *
+	 * @event Whirl.Entity#didUpdate
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object This entity.
+	 * @property {number} dt Time in milliseconds that this step simulated.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
 	/**
 	 * Represents the *actual* values of this Entity after all updates and modifications have been applied, taking into account the Entity's parent and its own properties. Rendering and physics systems will use this value to know exactly where the Entity is on the screen.
 	 *
@@ -121,7 +264,7 @@ class Entity extends Base {
 	 *
 	 * You should only rely on this object being in a consistent state when the {@link Whirl.Game#event:didUpdate|Game 'didUpdate' event} fires as it is calculated during the update step.
 	 *
-	 * Entities that act as containers (such as the {@link Whirl.Stage|Stage} and {@link Whirl.Container|Container} objects) must attach `x` and `y` properties to this object that represent how the parent will offset the position of its children.
+	 * The `matrix` property holds the world transformation matrix of the entity, which maps points relative to the entity to points in the game world. Children are transformed by the world matrix of their parent.
 	 *
 	 * @memberof Whirl.Entity#
 	 * @type {object}
@@ -130,6 +273,7 @@ class Entity extends Base {
 	 * {
 	 * 	alpha: 1,
 	 * 	scale: 1,
+	 * 	matrix: Matrix,
 	 * }
 	 */
 	derived = {};
@@ -137,19 +281,42 @@ class Entity extends Base {
 	constructor(game, options = {}) {
 		super(game);
 
+		mixin(this);
+
 		this.alpha = getValue(options, "alpha", 1);
 
 		this.scale = getValue(options, "scale", 1);
 
+		this.scaleX = getValue(options, "scaleX", 1);
+		this.scaleY = getValue(options, "scaleY", 1);
+
 		this.rotation = getValue(options, "rotation", 0);
 
+		this.skewX = getValue(options, "skewX", 0);
+		this.skewY = getValue(options, "skewY", 0);
+
+		if (options.pivot instanceof Point.class) {
+			this.pivot = options.pivot;
+		} else {
+			this.pivot = Point(getValue(options, "pivotX", 0), getValue(options, "pivotY", 0));
+		}
+
 		this.layer = getValue(options, "layer", 0);
 
-		this.body = getValue(options, "body");
+		const body = getValue(options, "body", null);
+		this.body = body ? new Body(this, body) : null;
+
+		const draggable = getValue(options, "draggable", null);
+		this.draggable = draggable ? new Draggable(this, draggable) : null;
+
+		this.interactive = getValue(options, "interactive", !!draggable);
+
+		this.autoUpdate = getValue(options, "autoUpdate", true);
 
 		this.derived = {
 			alpha: this.alpha,
 			scale: this.scale,
+			matrix: Matrix(),
 		};
 	}
 
@@ -173,8 +340,46 @@ class Entity extends Base {
 	 * @returns {this}
 	 */
 	calculateDerived() {
-		this.derived.alpha = this.alpha * this.parent.derived.alpha;
-		this.derived.scale = this.scale * this.parent.derived.scale;
+		const {derived, parent} = this;
+
+		derived.alpha = this.alpha;
+		derived.scale = this.scale;
+		derived.matrix.set(this.matrix);
+
+		if (parent instanceof Entity) {
+			derived.alpha *= parent.derived.alpha;
+			derived.scale *= parent.derived.scale;
+			derived.matrix.set(parent.derived.matrix).multiply(this.matrix);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Build the {@link Whirl.Entity#matrix|local transformation matrix} of this entity from its pivot, rotation, scale and skew.
+	 *
+	 * Subclasses give their own position and pivot offset, such as a {@link Whirl.Sprite|Sprite} placing its anchor point at its bounds position. Invoked before `calculateDerived` composes the world matrix.
+	 *
+	 * @method Whirl.Entity#updateMatrix
+	 *
+	 * @param {number} [x=0] Horizontal position of the pivot point in the space of the parent.
+	 * @param {number} [y=0] Vertical position of the pivot point in the space of the parent.
+	 * @param {number} [pivotX=0] Horizontal offset added to the {@link Whirl.Entity#pivot|pivot point}.
+	 * @param {number} [pivotY=0] Vertical offset added to the {@link Whirl.Entity#pivot|pivot point}.
+	 * @returns {this}
+	 */
+	updateMatrix(x = 0, y = 0, pivotX = 0, pivotY = 0) {
+		this.matrix.setTransform({
+			x,
+			y,
+			pivotX: this.pivot.x + pivotX,
+			pivotY: this.pivot.y + pivotY,
+			scaleX: this.scale * this.scaleX,
+			scaleY: this.scale * this.scaleY,
+			rotation: radians(this.rotation),
+			skewX: radians(this.skewX),
+			skewY: radians(this.skewY),
+		});
 
 		return this;
 	}
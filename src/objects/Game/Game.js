@@ -6,12 +6,23 @@ import {
 	SetupManager,
 	DebugManager,
 	InputManager,
+	AssetManager,
+	TweenManager,
+	PhysicsManager,
+	SceneManager,
 } from "./managers";
+import AnimatedSprite from "~/objects/AnimatedSprite";
+import BitmapFont from "~/objects/BitmapFont";
+import BitmapText from "~/objects/BitmapText";
 import Colour from "~/objects/Colour";
 import Container from "~/objects/Container";
 import Gradient from "~/objects/Gradient";
+import Graphics from "~/objects/Graphics";
+import Image from "~/objects/Image";
 import Sprite from "~/objects/Sprite";
+import Spritesheet from "~/objects/Spritesheet";
 import Stage from "~/objects/Stage";
+import Text from "~/objects/Text";
 import Viewport from "~/objects/Viewport";
 import {apply as mixin} from "~/mixins/Mixin";
 import Event from "~/mixins/EventMixin";
@@ -87,6 +98,38 @@ class Game {
 	 * @type {Whirl.Game.SetupManager}
 	 */
 
+	/**
+	 * The asset manager that handles the loading and storage of external assets such as images, JSON data and audio.
+	 *
+	 * @name asset
+	 * @memberof Whirl.Game#
+	 * @type {Whirl.Game.AssetManager}
+	 */
+
+	/**
+	 * The tween manager that handles animating numeric properties of objects over time.
+	 *
+	 * @name tween
+	 * @memberof Whirl.Game#
+	 * @type {Whirl.Game.TweenManager}
+	 */
+
+	/**
+	 * The physics manager that moves entities with physics bodies and resolves collisions between them.
+	 *
+	 * @name physics
+	 * @memberof Whirl.Game#
+	 * @type {Whirl.Game.PhysicsManager}
+	 */
+
+	/**
+	 * The scene manager that starts, stops and stacks the scenes of the game and transitions between them.
+	 *
+	 * @name scene
+	 * @memberof Whirl.Game#
+	 * @type {Whirl.Game.SceneManager}
+	 */
+
 	constructor(options = {}) {
 		mixin(this);
 
@@ -98,15 +141,26 @@ class Game {
 		this.update = new UpdateManager(this);
 		this.render = new RenderManager(this);
 		this.input = new InputManager(this);
+		this.asset = new AssetManager(this);
+		this.tween = new TweenManager(this);
+		this.physics = new PhysicsManager(this);
+		this.scene = new SceneManager(this);
 		this.setup = new SetupManager(this);
 	}
 
 	// Game Object Factories
+	AnimatedSprite = (...args) => new AnimatedSprite(this, ...args);
+	BitmapFont = (...args) => new BitmapFont(this, ...args);
+	BitmapText = (...args) => new BitmapText(this, ...args);
 	Colour = (...args) => new Colour(this, ...args);
 	Container = (...args) => new Container(this, ...args);
 	Gradient = (...args) => new Gradient(this, ...args);
+	Graphics = (...args) => new Graphics(this, ...args);
+	Image = (...args) => new Image(this, ...args);
 	Sprite = (...args) => new Sprite(this, ...args);
+	Spritesheet = (...args) => new Spritesheet(this, ...args);
 	Stage = (...args) => new Stage(this, ...args);
+	Text = (...args) => new Text(this, ...args);
 	Viewport = (...args) => new Viewport(this, ...args);
 
 	/**
@@ -114,11 +168,28 @@ class Game {
 	 *
 	 * {@link Whirl.Game.SetupManager#setup|Initiates game setup} beforehand if {@link Whirl.Game.ConfigManager#setup|setup is enabled in the ConfigManager}.
 	 *
+	 * If any assets have been {@link Whirl.Game.AssetManager|queued in the AssetManager}, they are {@link Whirl.Game.AssetManager#load|loaded} first and setup and the game loop are deferred until loading has completed. Any error thrown during the deferred setup is logged rather than left as an unhandled rejection.
+	 *
 	 * @method Whirl.Game#start
 	 *
 	 * @returns {this}
 	 */
 	start() {
+		if (this.asset.hasQueued()) {
+			this.asset
+				.load()
+				.then(() => {
+					this.setup.setup();
+
+					this.update.start();
+				})
+				.catch((error) => {
+					this.debug.error(`Failed to start game - ${error.message}`, "Whirl.Game");
+				});
+
+			return this;
+		}
+
 		this.setup.setup();
 
 		this.update.start();
@@ -126,6 +197,32 @@ class Game {
 		return this;
 	}
 
+	/**
+	 * {@link Whirl.Game.UpdateManager#pause|Pauses the game world simulation} without stopping the game loop.
+	 *
+	 * @method Whirl.Game#pause
+	 *
+	 * @returns {this}
+	 */
+	pause() {
+		this.update.pause();
+
+		return this;
+	}
+
+	/**
+	 * {@link Whirl.Game.UpdateManager#resume|Resumes the game world simulation} after it has been paused.
+	 *
+	 * @method Whirl.Game#resume
+	 *
+	 * @returns {this}
+	 */
+	resume() {
+		this.update.resume();
+
+		return this;
+	}
+
 	/**
 	 * {@link Whirl.Game.UpdateManager#stop|Stops the game loop}.
 	 *
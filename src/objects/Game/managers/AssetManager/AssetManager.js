@@ -0,0 +1,459 @@
+import Manager from "../Manager";
+
+// Time in milliseconds to wait for audio data before giving up and using the audio anyway
+const AUDIO_TIMEOUT = 10000;
+
+/**
+ * @classdesc
+ * The asset manager handles the loading and storage of external assets such as images, JSON data, text, audio and fonts.
+ *
+ * Assets are queued under a unique key with the `image`, `json`, `text`, `audio` and `font` methods and are then all loaded at once with the `load` method. Once loaded, an asset can be retrieved anywhere in your game by its key with the `get` method.
+ *
+ * Any assets that are queued before {@link Whirl.Game#start|the game is started} are automatically loaded before {@link Whirl.Game.SetupManager|game setup} takes place and the update loop begins. This makes it easy to guarantee that all of the assets your game needs are available by the time the {@link Whirl.Game#event:didSetup|didSetup event} fires.
+ *
+ * @class AssetManager
+ * @memberof Whirl.Game
+ *
+ * @example
+ * const game = Whirl.createGame();
+ *
+ * game.asset
+ * 	.image("player", "./img/player.png")
+ * 	.asset.json("level1", "./levels/1.json")
+ * 	.asset.audio("jump", "./sfx/jump.wav");
+ *
+ * game.event.once("didSetup", ({stage, game}) => {
+ * 	stage.child.add(
+ * 		game.Sprite({
+ * 			fill: game.Image("player"),
+ * 		})
+ * 	);
+ * });
+ *
+ * // Loads all assets, then runs setup and starts the game loop
+ * game.start();
+ */
+class AssetManager extends Manager {
+	/**
+	 * Map of asset keys to their loaded data.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.AssetManager#
+	 * @type {object}
+	 * @readonly
+	 */
+	_assets = {};
+
+	/**
+	 * List of assets that have been queued but not yet loaded.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.AssetManager#
+	 * @type {object[]}
+	 * @readonly
+	 */
+	_queue = [];
+
+	/**
+	 * Flag indicating whether assets are currently being loaded or not.
+	 *
+	 * @memberof Whirl.Game.AssetManager#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	loading = false;
+
+	/**
+	 * Fires each time a single asset has finished loading, whether it succeeded or failed.
+	 *
+	 * @event Whirl.Game#assetProgress
+	 * @type {object}
+	 *
+	 * @property {string} key Key of the asset.
+	 * @property {string} type Type of the asset - `image`, `json`, `text`, `audio` or `font`.
+	 * @property {number} loaded Number of assets that have finished loading so far.
+	 * @property {number} total Total number of assets being loaded.
+	 * @property {number} progress Fraction of assets that have finished loading between `0` and `1`.
+	 */
+
+	/**
+	 * Fires when an asset fails to load.
+	 *
+	 * @event Whirl.Game#assetError
+	 * @type {object}
+	 *
+	 * @property {string} key Key of the asset.
+	 * @property {string} type Type of the asset - `image`, `json`, `text`, `audio` or `font`.
+	 * @property {string} url URL the asset was being loaded from.
+	 * @property {any} error The error that caused the failure.
+	 */
+
+	/**
+	 * Fires once every queued asset has finished loading, whether they succeeded or failed.
+	 *
+	 * @event Whirl.Game#assetComplete
+	 * @type {object}
+	 *
+	 * @property {string[]} keys Keys of all assets that loaded successfully.
+	 * @property {string[]} failed Keys of all assets that failed to load.
+	 */
+
+	constructor(game) {
+		super(game);
+	}
+
+	/**
+	 * Queue an image to be loaded.
+	 *
+	 * Once loaded, the stored asset is an [image element](https://developer.mozilla.org/en-US/docs/Web/API/HTMLImageElement) that can be given to an {@link Whirl.Image|Image texture} by its key.
+	 *
+	 * @method Whirl.Game.AssetManager#image
+	 *
+	 * @param {string} key Unique key to store the image under.
+	 * @param {string} url URL of the image.
+	 * @returns {Whirl.Game} Game instance the AssetManager belongs to.
+	 *
+	 * @example
+	 * game.asset.image("player", "./img/player.png");
+	 */
+	image(key, url) {
+		return this._enqueue(key, "image", url);
+	}
+
+	/**
+	 * Queue JSON data to be loaded.
+	 *
+	 * Once loaded, the stored asset is the parsed JSON data.
+	 *
+	 * @method Whirl.Game.AssetManager#json
+	 *
+	 * @param {string} key Unique key to store the data under.
+	 * @param {string} url URL of the JSON file.
+	 * @returns {Whirl.Game} Game instance the AssetManager belongs to.
+	 *
+	 * @example
+	 * game.asset.json("level1", "./levels/1.json");
+	 */
+	json(key, url) {
+		return this._enqueue(key, "json", url);
+	}
+
+	/**
+	 * Queue a text file to be loaded, such as the data of a {@link Whirl.BitmapFont|BitmapFont}.
+	 *
+	 * Once loaded, the stored asset is the contents of the file as a string.
+	 *
+	 * @method Whirl.Game.AssetManager#text
+	 *
+	 * @param {string} key Unique key to store the text under.
+	 * @param {string} url URL of the text file.
+	 * @returns {Whirl.Game} Game instance the AssetManager belongs to.
+	 *
+	 * @example
+	 * game.asset.text("pixelFontData", "./fonts/pixel.fnt");
+	 */
+	text(key, url) {
+		return this._enqueue(key, "text", url);
+	}
+
+	/**
+	 * Queue an audio file to be loaded.
+	 *
+	 * Once loaded, the stored asset is an [audio element](https://developer.mozilla.org/en-US/docs/Web/API/HTMLAudioElement) that has loaded at least its first frame, and carries on buffering the rest in the background, so it may pause to buffer the first time it is played. Browsers that do not load audio until the user interacts with the page store the element anyway once nothing has loaded for 10 seconds, in which case it is loaded when first played.
+	 *
+	 * @method Whirl.Game.AssetManager#audio
+	 *
+	 * @param {string} key Unique key to store the audio under.
+	 * @param {string} url URL of the audio file.
+	 * @returns {Whirl.Game} Game instance the AssetManager belongs to.
+	 *
+	 * @example
+	 * game.asset.audio("jump", "./sfx/jump.wav");
+	 */
+	audio(key, url) {
+		return this._enqueue(key, "audio", url);
+	}
+
+	/**
+	 * Queue a web font to be loaded.
+	 *
+	 * Once loaded, the font is added to the document so that it can be used by its family name, such as by a {@link Whirl.Text|Text} entity, and the stored asset is its [FontFace](https://developer.mozilla.org/en-US/docs/Web/API/FontFace).
+	 *
+	 * @method Whirl.Game.AssetManager#font
+	 *
+	 * @param {string} family Font family name to use the font by, also used as the key to store it under.
+	 * @param {string} url URL of the font file.
+	 * @param {object} [descriptors] Descriptors of the font face, such as `weight` and `style`. See the [FontFace constructor](https://developer.mozilla.org/en-US/docs/Web/API/FontFace/FontFace).
+	 * @returns {Whirl.Game} Game instance the AssetManager belongs to.
+	 *
+	 * @example
+	 * game.asset.font("Press Start", "./fonts/press-start.woff2");
+	 */
+	font(family, url, descriptors = {}) {
+		return this._enqueue(family, "font", url, descriptors);
+	}
+
+	/**
+	 * Load all queued assets.
+	 *
+	 * Assets are loaded in parallel. Assets that fail to load are reported with the {@link Whirl.Game#event:assetError|assetError event} and do not stop the remaining assets from loading.
+	 *
+	 * Implicitly called {@link Whirl.Game#start|by the Game#start method} if there are any assets queued.
+	 *
+	 * @method Whirl.Game.AssetManager#load
+	 *
+	 * @emits Whirl.Game#assetProgress
+	 * @emits Whirl.Game#assetError
+	 * @emits Whirl.Game#assetComplete
+	 *
+	 * @returns {Promise<Whirl.Game>} Resolves with the game instance the AssetManager belongs to once every queued asset has finished loading.
+	 *
+	 * @example
+	 * game.event.on("assetProgress", ({progress}) => {
+	 * 	loadingBar.bounds.w = progress * 200;
+	 * });
+	 *
+	 * game.asset
+	 * 	.image("level2", "./img/level2.png")
+	 * 	.asset.load()
+	 * 	.then(() => startLevel2());
+	 */
+	load() {
+		const queue = this._queue;
+		const total = queue.length;
+		const keys = [];
+		const failed = [];
+		let loaded = 0;
+
+		this._queue = [];
+		this.loading = true;
+
+		return Promise.all(
+			queue.map(({key, type, url, options}) =>
+				this._loadAsset(type, url, key, options)
+					.then((data) => {
+						this._assets[key] = data;
+
+						keys.push(key);
+					})
+					.catch((error) => {
+						failed.push(key);
+
+						this.game.debug.error(
+							`Failed to load ${type} asset "${key}" from "${url}".`,
+							"Whirl.Game#AssetManager"
+						);
+
+						this.game.event.emit("assetError", {
+							key,
+							type,
+							url,
+							error,
+						});
+					})
+					.then(() => {
+						loaded++;
+
+						this.game.event.emit("assetProgress", {
+							key,
+							type,
+							loaded,
+							total,
+							progress: loaded / total,
+						});
+					})
+			)
+		).then(() => {
+			this.loading = false;
+
+			this.game.event.emit("assetComplete", {
+				keys,
+				failed,
+			});
+
+			return this.game;
+		});
+	}
+
+	/**
+	 * Retrieve a loaded asset by its key.
+	 *
+	 * @method Whirl.Game.AssetManager#get
+	 *
+	 * @param {string} key Key of the asset.
+	 * @returns {any|null} The loaded asset, or `null` if no asset has been loaded under the given key.
+	 *
+	 * @example
+	 * game.asset.get("level1"); // {...}
+	 */
+	get(key) {
+		return Object.prototype.hasOwnProperty.call(this._assets, key) ? this._assets[key] : null;
+	}
+
+	/**
+	 * Determine if an asset has been loaded under the given key.
+	 *
+	 * @method Whirl.Game.AssetManager#has
+	 *
+	 * @param {string} key Key of the asset.
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return Object.prototype.hasOwnProperty.call(this._assets, key);
+	}
+
+	/**
+	 * Remove a loaded asset from the asset store.
+	 *
+	 * Objects that still hold a reference to the asset (such as an {@link Whirl.Image|Image texture}) will continue to use it.
+	 *
+	 * @method Whirl.Game.AssetManager#remove
+	 *
+	 * @param {string} key Key of the asset to remove.
+	 * @returns {any|null} The asset that was removed, or `null` if no asset was loaded under the given key.
+	 */
+	remove(key) {
+		const asset = this.get(key);
+
+		delete this._assets[key];
+
+		return asset;
+	}
+
+	/**
+	 * Determine if there are any assets queued that have not yet been loaded.
+	 *
+	 * @method Whirl.Game.AssetManager#hasQueued
+	 *
+	 * @returns {boolean}
+	 */
+	hasQueued() {
+		return this._queue.length > 0;
+	}
+
+	/**
+	 * Add an asset to the load queue.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.AssetManager#_enqueue
+	 *
+	 * @param {string} key Unique key to store the asset under.
+	 * @param {string} type Type of the asset.
+	 * @param {string} url URL of the asset.
+	 * @param {object} [options] Extra presets needed to load the asset.
+	 * @returns {Whirl.Game} Game instance the AssetManager belongs to.
+	 */
+	_enqueue(key, type, url, options = {}) {
+		if (this.has(key) || this._queue.some((item) => item.key === key)) {
+			this.game.debug.warn(
+				`Asset key "${key}" is already in use. The existing asset will be overwritten.`,
+				"Whirl.Game#AssetManager"
+			);
+
+			this._queue = this._queue.filter((item) => item.key !== key);
+		}
+
+		this._queue.push({
+			key,
+			type,
+			url,
+			options,
+		});
+
+		return this.game;
+	}
+
+	/**
+	 * Load a single asset of the given type.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.AssetManager#_loadAsset
+	 *
+	 * @param {string} type Type of the asset.
+	 * @param {string} url URL of the asset.
+	 * @param {string} key Key the asset is stored under.
+	 * @param {object} options Extra presets needed to load the asset.
+	 * @returns {Promise<any>} Resolves with the loaded asset, or rejects if it could not be loaded.
+	 */
+	_loadAsset(type, url, key, options) {
+		try {
+			if (type === "font") {
+				const font = new FontFace(key, `url(${url})`, options);
+
+				return font.load().then(() => {
+					document.fonts.add(font);
+
+					return font;
+				});
+			}
+
+			if (type === "json" || type === "text") {
+				return fetch(url).then((response) => {
+					if (!response.ok) {
+						throw new Error(`Whirl | ${response.status} ${response.statusText}`);
+					}
+
+					return type === "json" ? response.json() : response.text();
+				});
+			}
+
+			if (type === "audio") {
+				return this._loadAudio(url);
+			}
+
+			return new Promise((resolve, reject) => {
+				const element = document.createElement("img");
+
+				element.addEventListener("load", () => resolve(element), {once: true});
+				element.addEventListener("error", reject, {once: true});
+
+				element.src = url;
+			});
+		} catch (error) {
+			// Such as a font descriptor the browser does not accept
+			return Promise.reject(error);
+		}
+	}
+
+	/**
+	 * Load an audio element.
+	 *
+	 * Resolves as soon as the first frame of audio has loaded, rather than waiting for the browser to buffer enough to play it all the way through. Some browsers (notably on mobile devices) do not load any audio until the user interacts with the page, so the audio is resolved anyway if nothing has loaded after a while.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.AssetManager#_loadAudio
+	 *
+	 * @param {string} url URL of the audio.
+	 * @returns {Promise<HTMLAudioElement>} Resolves with the audio element.
+	 */
+	_loadAudio(url) {
+		return new Promise((resolve, reject) => {
+			const element = document.createElement("audio");
+			const timeout = setTimeout(() => resolve(element), AUDIO_TIMEOUT);
+
+			element.addEventListener(
+				"loadeddata",
+				() => {
+					clearTimeout(timeout);
+
+					resolve(element);
+				},
+				{once: true}
+			);
+			element.addEventListener(
+				"error",
+				(error) => {
+					clearTimeout(timeout);
+
+					reject(error);
+				},
+				{once: true}
+			);
+
+			element.preload = "auto";
+			element.src = url;
+		});
+	}
+}
+
+export default AssetManager;
@@ -97,6 +97,24 @@ class ConfigManager extends Manager {
 	 * @default true
 	 */
 
+	/**
+	 * Poll connected gamepads at the start of each update tick.
+	 *
+	 * @name input gamepad
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {boolean}
+	 * @default true
+	 */
+
+	/**
+	 * Default distance from the center between `0` and `1` that gamepad axes must move past before they register. Can be overridden per gamepad with its {@link Whirl.Game.InputManager.Gamepad#deadZone|deadZone} property.
+	 *
+	 * @name input gamepadDeadZone
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {number}
+	 * @default 0.15
+	 */
+
 	/**
 	 * Prevent the default browser behaviour on mouse and keyboard input events.
 	 *
@@ -106,6 +124,55 @@ class ConfigManager extends Manager {
 	 * @default true
 	 */
 
+	/**
+	 * Run the game simulation in fixed-size steps instead of once per browser frame.
+	 *
+	 * When enabled, the {@link Whirl.Game.UpdateManager|UpdateManager} runs as many steps of `1000 / update frameRate` milliseconds as needed to catch up to the current time each frame, and renderers interpolate {@link Whirl.Sprite|Sprites} between their previous and current state. This makes game logic such as physics behave the same regardless of the refresh rate of the screen.
+	 *
+	 * @name update fixedStep
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {boolean}
+	 * @default false
+	 */
+
+	/**
+	 * Number of simulation steps run per second when {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping} is enabled.
+	 *
+	 * @name update frameRate
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {number}
+	 * @default 60
+	 */
+
+	/**
+	 * Maximum number of simulation steps that may be run in a single frame when {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping} is enabled.
+	 *
+	 * If the game falls further behind than this (Eg, the browser tab was in the background) the remaining time is discarded instead of trying to catch up all at once.
+	 *
+	 * @name update maxSteps
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {number}
+	 * @default 5
+	 */
+
+	/**
+	 * Horizontal gravity in pixels per second squared that the {@link Whirl.Game.PhysicsManager|PhysicsManager} applies to every physics body.
+	 *
+	 * @name physics gravityX
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {number}
+	 * @default 0
+	 */
+
+	/**
+	 * Vertical gravity in pixels per second squared that the {@link Whirl.Game.PhysicsManager|PhysicsManager} applies to every physics body. Positive values pull bodies down.
+	 *
+	 * @name physics gravityY
+	 * @memberof Whirl.Game.ConfigManager#
+	 * @type {number}
+	 * @default 0
+	 */
+
 	/**
 	 * Default width of all newly created {@link Whirl.Stage|Stages} and {@link Whirl.Viewport|Viewports}.
 	 *
@@ -146,7 +213,14 @@ class ConfigManager extends Manager {
 		renderer: null,
 		"input mouse": true,
 		"input keyboard": true,
+		"input gamepad": true,
+		"input gamepadDeadZone": 0.15,
 		"input preventDefault": true,
+		"update fixedStep": false,
+		"update frameRate": 60,
+		"update maxSteps": 5,
+		"physics gravityX": 0,
+		"physics gravityY": 0,
 		w: 640,
 		h: 480,
 	};
@@ -0,0 +1,496 @@
+// Bitmasks of the mouse buttons in the `buttons` property of pointer events
+const MOUSE_BUTTONS = {
+	left: 1,
+	right: 2,
+	middle: 4,
+};
+
+/**
+ * @classdesc
+ * An ActionMap binds named game actions (such as `jump` or `moveX`) to any number of inputs from the keyboard, mouse and gamepads, so that game code can ask whether an action is happening instead of checking each input itself.
+ *
+ * Every action has a value between `-1` and `1`, taken from whichever of its bindings is pushed the furthest. Button-like bindings give `0` or `1`, and axis-like bindings (such as a pair of keys or an analogue stick) give anything in between. An action is active while the size of its value reaches its threshold.
+ *
+ * The state of each action is sampled once at the start of each update tick, after gamepads are polled, so that it stays consistent for the whole tick. An action that just became active or inactive is only reported as such to the first simulation step that runs afterwards.
+ *
+ * Bindings are plain objects that can be changed at runtime and saved to JSON, such as for a controls screen in the game settings. Each binding has a `device` and the properties for that device:
+ *
+ * | Device | Properties | Value |
+ * | --- | --- | --- |
+ * | `key` | `key` - name of the key as defined in {@link Whirl.key.keys} or {@link Whirl.key.modifiers} | `1` while the key is held down |
+ * | `key` | `negative` and `positive` - names of two keys | `-1` or `1` while one of the keys is held down |
+ * | `mouse` | `button` - `left`, `right` or `middle` | `1` while the button is held down over a canvas |
+ * | `gamepad` | `button` - name or index of a {@link Whirl.Game.InputManager.Gamepad.buttons|gamepad button} | How far the button is pressed |
+ * | `gamepad` | `axis` - name or index of a {@link Whirl.Game.InputManager.Gamepad.axes|gamepad axis}, and optionally `invert` | Value of the axis with its dead zone applied |
+ *
+ * Gamepad bindings read every connected gamepad unless given the `gamepad` property with the index of a single gamepad.
+ *
+ * The action map of a game is available as {@link Whirl.Game.InputManager#actions|`game.input.actions`}.
+ *
+ * @class ActionMap
+ * @memberof Whirl.Game.InputManager
+ *
+ * @param {Whirl.Game} game Game instance this object belongs to and should be managed by.
+ *
+ * @example
+ * const {actions} = game.input;
+ *
+ * actions.add("jump", [
+ * 	{device: "key", key: "Space"},
+ * 	{device: "gamepad", button: "A"},
+ * ]);
+ *
+ * actions.add("moveX", [
+ * 	{device: "key", negative: "ArrowLeft", positive: "ArrowRight"},
+ * 	{device: "gamepad", axis: "LeftStickX"},
+ * ]);
+ *
+ * // In an update method
+ * player.body.velocity.x = actions.getValue("moveX") * 200;
+ *
+ * if (actions.justActivated("jump")) {
+ * 	player.body.velocity.y = -400;
+ * }
+ *
+ * @example
+ * // Save and restore rebound controls
+ * localStorage.setItem("controls", JSON.stringify(game.input.actions));
+ *
+ * game.input.actions.load(localStorage.getItem("controls"));
+ */
+class ActionMap {
+	/**
+	 * Game instance this object belongs to.
+	 *
+	 * @memberof Whirl.Game.InputManager.ActionMap#
+	 * @type {Whirl.Game}
+	 * @readonly
+	 */
+	game;
+
+	/**
+	 * Map of action names to their state.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager.ActionMap#
+	 * @type {Map<string, Whirl.Game.InputManager.ActionMap~Action>}
+	 * @readonly
+	 */
+	_actions = new Map();
+
+	/**
+	 * @typedef {object} Whirl.Game.InputManager.ActionMap~Action
+	 *
+	 * @property {object[]} bindings Inputs bound to the action.
+	 * @property {number} threshold Size of the value at which the action becomes active.
+	 * @property {number} value Value sampled at the start of the current update tick.
+	 * @property {boolean} active Whether the action was active at the start of the current update tick.
+	 * @property {boolean} wasActive Whether the action was active at the end of the previous simulation step.
+	 */
+
+	constructor(game) {
+		this.game = game;
+	}
+
+	/**
+	 * Add a new action, or replace the bindings of an existing action.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#add
+	 *
+	 * @param {string} name Name of the action.
+	 * @param {object|object[]} [bindings=[]] One or many bindings to the action.
+	 * @param {object} [options] Optional presets for the action.
+	 * @param {number} [options.threshold=0.5] Size of the value at which the action becomes active.
+	 * @returns {this}
+	 */
+	add(name, bindings = [], options = {}) {
+		const existing = this._actions.get(name);
+
+		this._actions.set(name, {
+			bindings: [],
+			threshold: options.threshold === undefined ? 0.5 : options.threshold,
+			value: existing ? existing.value : 0,
+			active: existing ? existing.active : false,
+			wasActive: existing ? existing.wasActive : false,
+		});
+
+		return this.bind(name, bindings);
+	}
+
+	/**
+	 * Remove an action and all of its bindings.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#remove
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {this}
+	 */
+	remove(name) {
+		this._actions.delete(name);
+
+		return this;
+	}
+
+	/**
+	 * Determine if an action exists.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#has
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {boolean}
+	 */
+	has(name) {
+		return this._actions.has(name);
+	}
+
+	/**
+	 * Bind one or many more inputs to an existing action. Bindings that the action already has are ignored.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#bind
+	 *
+	 * @param {string} name Name of the action.
+	 * @param {object|object[]} bindings One or many bindings to add.
+	 * @returns {this}
+	 *
+	 * @example
+	 * game.input.actions.bind("jump", {device: "key", key: "w"});
+	 */
+	bind(name, bindings) {
+		const action = this._getAction(name, "bind input to");
+
+		if (!action) {
+			return this;
+		}
+
+		(Array.isArray(bindings) ? bindings : [bindings]).forEach((binding) => {
+			if (!this._isValid(binding)) {
+				return this.game.debug.warn(
+					`Failed to bind input to action "${name}" - binding is not valid.`,
+					"Whirl.Game.InputManager.ActionMap"
+				);
+			}
+
+			if (!action.bindings.some((other) => this._isSame(binding, other))) {
+				action.bindings.push({...binding});
+			}
+		});
+
+		return this;
+	}
+
+	/**
+	 * Remove an input from an action, or remove every input from an action if no binding is given.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#unbind
+	 *
+	 * @param {string} name Name of the action.
+	 * @param {object} [binding] Binding to remove. Matches any binding with the same properties.
+	 * @returns {this}
+	 */
+	unbind(name, binding) {
+		const action = this._getAction(name, "unbind input from");
+
+		if (action) {
+			action.bindings = binding
+				? action.bindings.filter((other) => !this._isSame(binding, other))
+				: [];
+		}
+
+		return this;
+	}
+
+	/**
+	 * Retrieve a copy of the bindings of an action.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#getBindings
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {object[]} Bindings of the action, or an empty list if the action does not exist.
+	 */
+	getBindings(name) {
+		const action = this._actions.get(name);
+
+		return action ? action.bindings.map((binding) => ({...binding})) : [];
+	}
+
+	/**
+	 * Get the value of an action at the start of the current update tick.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#getValue
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {number} Value between `-1` and `1`, or `0` if the action does not exist.
+	 */
+	getValue(name) {
+		const action = this._actions.get(name);
+
+		return action ? action.value : 0;
+	}
+
+	/**
+	 * Determine if an action is active during the current update tick.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#isActive
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {boolean}
+	 */
+	isActive(name) {
+		const action = this._actions.get(name);
+
+		return !!action && action.active;
+	}
+
+	/**
+	 * Determine if an action became active since the last simulation step.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#justActivated
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {boolean}
+	 */
+	justActivated(name) {
+		const action = this._actions.get(name);
+
+		return !!action && action.active && !action.wasActive;
+	}
+
+	/**
+	 * Determine if an action stopped being active since the last simulation step.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#justDeactivated
+	 *
+	 * @param {string} name Name of the action.
+	 * @returns {boolean}
+	 */
+	justDeactivated(name) {
+		const action = this._actions.get(name);
+
+		return !!action && !action.active && action.wasActive;
+	}
+
+	/**
+	 * Get the bindings of every action as a plain object of action names to lists of bindings, which can be given to `JSON.stringify`.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#toJSON
+	 *
+	 * @returns {object}
+	 *
+	 * @example
+	 * game.input.actions.toJSON(); // {jump: [{device: "key", key: "Space"}]}
+	 */
+	toJSON() {
+		const json = {};
+
+		this._actions.forEach((action, name) => {
+			json[name] = this.getBindings(name);
+		});
+
+		return json;
+	}
+
+	/**
+	 * Replace the bindings of actions with saved bindings, such as those previously returned by `toJSON`.
+	 *
+	 * Actions that do not exist yet are added. Actions that are not in the saved bindings keep their current bindings.
+	 *
+	 * @method Whirl.Game.InputManager.ActionMap#load
+	 *
+	 * @param {string|object} json JSON string or object of action names to lists of bindings.
+	 * @returns {this}
+	 */
+	load(json) {
+		let data = json;
+
+		if (typeof json === "string") {
+			try {
+				data = JSON.parse(json);
+			} catch (error) {
+				this.game.debug.error(
+					"Failed to load action bindings - given string is not valid JSON.",
+					"Whirl.Game.InputManager.ActionMap"
+				);
+
+				return this;
+			}
+		}
+
+		Object.keys(data || {}).forEach((name) => {
+			if (this._actions.has(name)) {
+				this.unbind(name).bind(name, data[name]);
+			} else {
+				this.add(name, data[name]);
+			}
+		});
+
+		return this;
+	}
+
+	/**
+	 * Sample the value of every action at the start of an update tick.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.InputManager|InputManager}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.ActionMap#_poll
+	 */
+	_poll() {
+		this._actions.forEach((action) => {
+			let value = 0;
+
+			action.bindings.forEach((binding) => {
+				const bindingValue = this._getBindingValue(binding);
+
+				if (Math.abs(bindingValue) > Math.abs(value)) {
+					value = bindingValue;
+				}
+			});
+
+			action.value = value;
+			action.active = value !== 0 && Math.abs(value) >= action.threshold;
+		});
+	}
+
+	/**
+	 * Remember whether each action is active at the end of a simulation step.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.InputManager|InputManager}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.ActionMap#_update
+	 */
+	_update() {
+		this._actions.forEach((action) => {
+			action.wasActive = action.active;
+		});
+	}
+
+	/**
+	 * Read the current value of a single binding.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.ActionMap#_getBindingValue
+	 *
+	 * @param {object} binding Binding to read.
+	 * @returns {number}
+	 */
+	_getBindingValue(binding) {
+		const {input} = this.game;
+
+		// Keys pressed and released again since the last tick still count
+		const isKeyDown = (key) => input.isDown(key) || input.justPressed(key);
+
+		if (binding.device === "key") {
+			if (binding.key !== undefined) {
+				return isKeyDown(binding.key) ? 1 : 0;
+			}
+
+			return (isKeyDown(binding.positive) ? 1 : 0) - (isKeyDown(binding.negative) ? 1 : 0);
+		}
+
+		if (binding.device === "mouse") {
+			const mask = MOUSE_BUTTONS[binding.button];
+
+			return input.mouseElements.some((mouseElement) =>
+				[...mouseElement.pointers.values()].some(
+					(pointer) => pointer.type === "mouse" && pointer.buttons & mask
+				)
+			)
+				? 1
+				: 0;
+		}
+
+		const gamepads =
+			binding.gamepad === undefined
+				? input.gamepads.filter(Boolean)
+				: [input.getGamepad(binding.gamepad)].filter(Boolean);
+
+		let value = 0;
+
+		gamepads.forEach((gamepad) => {
+			let gamepadValue;
+
+			if (binding.axis !== undefined) {
+				gamepadValue = gamepad.getAxis(binding.axis) * (binding.invert ? -1 : 1);
+			} else {
+				gamepadValue = gamepad.getValue(binding.button);
+			}
+
+			if (Math.abs(gamepadValue) > Math.abs(value)) {
+				value = gamepadValue;
+			}
+		});
+
+		return value;
+	}
+
+	/**
+	 * Determine if a binding has a known device and the properties that device needs.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.ActionMap#_isValid
+	 *
+	 * @param {object} binding Binding to check.
+	 * @returns {boolean}
+	 */
+	_isValid(binding) {
+		if (!binding || typeof binding !== "object") {
+			return false;
+		}
+
+		switch (binding.device) {
+			case "key":
+				return (
+					binding.key !== undefined ||
+					(binding.negative !== undefined && binding.positive !== undefined)
+				);
+			case "mouse":
+				return Object.prototype.hasOwnProperty.call(MOUSE_BUTTONS, binding.button);
+			case "gamepad":
+				return binding.button !== undefined || binding.axis !== undefined;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Determine if two bindings have the same properties.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.ActionMap#_isSame
+	 *
+	 * @param {object} a First binding.
+	 * @param {object} b Second binding.
+	 * @returns {boolean}
+	 */
+	_isSame(a, b) {
+		const keys = Object.keys(a);
+
+		return keys.length === Object.keys(b).length && keys.every((key) => a[key] === b[key]);
+	}
+
+	/**
+	 * Retrieve an action, logging a warning if it does not exist.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.ActionMap#_getAction
+	 *
+	 * @param {string} name Name of the action.
+	 * @param {string} task Description of what was being attempted, for the warning.
+	 * @returns {Whirl.Game.InputManager.ActionMap~Action|undefined}
+	 */
+	_getAction(name, task) {
+		const action = this._actions.get(name);
+
+		if (!action) {
+			this.game.debug.warn(
+				`Failed to ${task} action "${name}" - action does not exist.`,
+				"Whirl.Game.InputManager.ActionMap"
+			);
+		}
+
+		return action;
+	}
+}
+
+export default ActionMap;
@@ -0,0 +1,345 @@
+import Point from "~/geometry/Point";
+
+/**
+ * @classdesc
+ * A Gamepad holds the state of one gamepad connected to the browser through the [Gamepad API](https://developer.mozilla.org/en-US/docs/Web/API/Gamepad_API), polled by the {@link Whirl.Game.InputManager|InputManager} at the start of each update tick while {@link Whirl.Game.ConfigManager#input gamepad|gamepad input is enabled}.
+ *
+ * Buttons and axes can be referred to by their index or, for gamepads with the [standard mapping](https://w3c.github.io/gamepad/#remapping), by their name as listed in {@link Whirl.Game.InputManager.Gamepad.buttons} and {@link Whirl.Game.InputManager.Gamepad.axes}.
+ *
+ * Gamepads are created for you when they connect. Retrieve one with the {@link Whirl.Game.InputManager#getGamepad|getGamepad method}.
+ *
+ * @class Gamepad
+ * @memberof Whirl.Game.InputManager
+ *
+ * @param {Whirl.Game} game Game instance this object belongs to and should be managed by.
+ * @param {Gamepad} rawGamepad Gamepad object given by the browser.
+ *
+ * @example
+ * const pad = game.input.getGamepad(0);
+ *
+ * if (pad) {
+ * 	const stick = pad.getStick("left");
+ *
+ * 	player.body.velocity.x = stick.x * 200;
+ *
+ * 	if (pad.justPressed("A")) {
+ * 		player.jump();
+ * 	}
+ * }
+ */
+class Gamepad {
+	/**
+	 * Names of the buttons of a gamepad with the standard mapping, in order of their index.
+	 *
+	 * @name buttons
+	 * @memberof Whirl.Game.InputManager.Gamepad
+	 * @type {string[]}
+	 * @constant
+	 */
+	static buttons = [
+		"A",
+		"B",
+		"X",
+		"Y",
+		"LB",
+		"RB",
+		"LT",
+		"RT",
+		"Select",
+		"Start",
+		"LeftStick",
+		"RightStick",
+		"DPadUp",
+		"DPadDown",
+		"DPadLeft",
+		"DPadRight",
+		"Home",
+	];
+
+	/**
+	 * Names of the axes of a gamepad with the standard mapping, in order of their index.
+	 *
+	 * Horizontal axes are negative to the left and vertical axes are negative upwards.
+	 *
+	 * @name axes
+	 * @memberof Whirl.Game.InputManager.Gamepad
+	 * @type {string[]}
+	 * @constant
+	 */
+	static axes = ["LeftStickX", "LeftStickY", "RightStickX", "RightStickY"];
+
+	/**
+	 * Game instance this object belongs to.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {Whirl.Game}
+	 * @readonly
+	 */
+	game;
+
+	/**
+	 * Index of the gamepad given by the browser. Stays the same for as long as the gamepad is connected.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {number}
+	 * @readonly
+	 */
+	index;
+
+	/**
+	 * Name of the device given by the browser.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {string}
+	 * @readonly
+	 */
+	id;
+
+	/**
+	 * Layout of the buttons and axes of the gamepad. Button and axis names are only meaningful when this is `standard`.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {string}
+	 * @readonly
+	 */
+	mapping;
+
+	/**
+	 * Flag indicating whether the gamepad is still connected or not.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	connected = true;
+
+	/**
+	 * Distance from the center between `0` and `1` that the axes of this gamepad must move past before they register, to ignore the drift of worn analogue sticks.
+	 *
+	 * If `null`, the {@link Whirl.Game.ConfigManager#input gamepadDeadZone|`input gamepadDeadZone`} config value is used.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {number|null}
+	 * @default null
+	 */
+	deadZone = null;
+
+	/**
+	 * Value of each button between `0` and `1`, in order of their index. Digital buttons are either `0` or `1`.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {number[]}
+	 * @readonly
+	 */
+	values = [];
+
+	/**
+	 * Raw value of each axis between `-1` and `1`, in order of their index, without the dead zone applied.
+	 *
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {number[]}
+	 * @readonly
+	 */
+	rawAxes = [];
+
+	/**
+	 * Whether each button is held down, in order of their index.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {boolean[]}
+	 * @readonly
+	 */
+	_down = [];
+
+	/**
+	 * Whether each button was held down at the end of the previous simulation step, in order of their index.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager.Gamepad#
+	 * @type {boolean[]}
+	 * @readonly
+	 */
+	_wasDown = [];
+
+	constructor(game, rawGamepad) {
+		this.game = game;
+
+		this.index = rawGamepad.index;
+		this.id = rawGamepad.id;
+		this.mapping = rawGamepad.mapping;
+
+		this._poll(rawGamepad);
+		this._wasDown = this._down.slice();
+	}
+
+	/**
+	 * Determine if a button is currently held down.
+	 *
+	 * @method Whirl.Game.InputManager.Gamepad#isDown
+	 *
+	 * @param {string|number} button Name or index of the button.
+	 * @returns {boolean}
+	 */
+	isDown(button) {
+		return !!this._down[this._getIndex(button, Gamepad.buttons)];
+	}
+
+	/**
+	 * Determine if a button was pressed down since the last simulation step.
+	 *
+	 * @method Whirl.Game.InputManager.Gamepad#justPressed
+	 *
+	 * @param {string|number} button Name or index of the button.
+	 * @returns {boolean}
+	 */
+	justPressed(button) {
+		const index = this._getIndex(button, Gamepad.buttons);
+
+		return !!this._down[index] && !this._wasDown[index];
+	}
+
+	/**
+	 * Determine if a button was released since the last simulation step.
+	 *
+	 * @method Whirl.Game.InputManager.Gamepad#justReleased
+	 *
+	 * @param {string|number} button Name or index of the button.
+	 * @returns {boolean}
+	 */
+	justReleased(button) {
+		const index = this._getIndex(button, Gamepad.buttons);
+
+		return !this._down[index] && !!this._wasDown[index];
+	}
+
+	/**
+	 * Get how far a button is pressed down, such as an analogue trigger.
+	 *
+	 * @method Whirl.Game.InputManager.Gamepad#getValue
+	 *
+	 * @param {string|number} button Name or index of the button.
+	 * @returns {number} Value between `0` and `1`.
+	 */
+	getValue(button) {
+		return this.values[this._getIndex(button, Gamepad.buttons)] || 0;
+	}
+
+	/**
+	 * Get the value of a single axis with the dead zone applied.
+	 *
+	 * Values inside of the dead zone are `0`, and values outside of it are rescaled so that the axis still moves smoothly from `0` to `1`.
+	 *
+	 * @method Whirl.Game.InputManager.Gamepad#getAxis
+	 *
+	 * @param {string|number} axis Name or index of the axis.
+	 * @returns {number} Value between `-1` and `1`.
+	 *
+	 * @example
+	 * pad.getAxis("LeftStickX"); // -0.5
+	 */
+	getAxis(axis) {
+		const value = this.rawAxes[this._getIndex(axis, Gamepad.axes)] || 0;
+
+		return Math.sign(value) * this._applyDeadZone(Math.abs(value));
+	}
+
+	/**
+	 * Get the position of an analogue stick with the dead zone applied to its distance from the center, so that diagonal movement is not cut off like when each axis is read separately.
+	 *
+	 * @method Whirl.Game.InputManager.Gamepad#getStick
+	 *
+	 * @param {string} [stick="left"] Which stick to read - `left` or `right`.
+	 * @returns {Whirl.geometry.Point} Position of the stick, where each component is between `-1` and `1`.
+	 */
+	getStick(stick = "left") {
+		const offset = stick === "right" ? 2 : 0;
+		const x = this.rawAxes[offset] || 0;
+		const y = this.rawAxes[offset + 1] || 0;
+		const distance = Math.sqrt(x * x + y * y);
+
+		if (distance === 0) {
+			return Point(0, 0);
+		}
+
+		const scale = this._applyDeadZone(Math.min(distance, 1)) / distance;
+
+		return Point(x * scale, y * scale);
+	}
+
+	/**
+	 * Update the state of this gamepad from the latest gamepad object given by the browser.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.Gamepad#_poll
+	 *
+	 * @param {Gamepad} rawGamepad Gamepad object given by the browser.
+	 */
+	_poll(rawGamepad) {
+		this._down = [];
+		this.values = [];
+
+		for (let i = 0; i < rawGamepad.buttons.length; i++) {
+			const button = rawGamepad.buttons[i];
+
+			// Some browsers give plain numbers instead of button objects
+			if (typeof button === "number") {
+				this.values.push(button);
+				this._down.push(button > 0.5);
+			} else {
+				this.values.push(button.value);
+				this._down.push(button.pressed);
+			}
+		}
+
+		this.rawAxes = Array.from(rawGamepad.axes);
+	}
+
+	/**
+	 * Remember which buttons are held down at the end of a simulation step.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.InputManager|InputManager}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.Gamepad#_update
+	 */
+	_update() {
+		this._wasDown = this._down;
+	}
+
+	/**
+	 * Rescale a distance from the center so that the dead zone reads as `0` and the rest of the range is stretched to fit between `0` and `1`.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.Gamepad#_applyDeadZone
+	 *
+	 * @param {number} value Distance from the center between `0` and `1`.
+	 * @returns {number}
+	 */
+	_applyDeadZone(value) {
+		const deadZone =
+			this.deadZone === null ? this.game.config.get("input gamepadDeadZone") : this.deadZone;
+
+		if (value <= deadZone) {
+			return 0;
+		}
+
+		return Math.min((value - deadZone) / (1 - deadZone), 1);
+	}
+
+	/**
+	 * Resolve the name of a button or axis into its index.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.Gamepad#_getIndex
+	 *
+	 * @param {string|number} name Name or index.
+	 * @param {string[]} names List of names to search.
+	 * @returns {number} Index, or `-1` if the name does not exist.
+	 */
+	_getIndex(name, names) {
+		return typeof name === "number" ? name : names.indexOf(name);
+	}
+}
+
+export default Gamepad;
@@ -1,11 +1,18 @@
 import Manager from "../Manager";
 import MouseElement from "./MouseElement";
+import KeyElement from "./KeyElement";
+import Gamepad from "./Gamepad";
+import ActionMap from "./ActionMap";
 import Mixin from "~/mixins/Mixin";
 import Event from "~/mixins/EventMixin";
+import Entity from "~/objects/Entity";
+import modifiers from "~/key/modifiers";
 
 /**
  * @classdesc
- * The input manager provides utilities for handling user input to your game and takes input events from the mouse and keyboard.
+ * The input manager provides utilities for handling user input to your game and takes input events from the mouse, keyboard and gamepads.
+ *
+ * Pointer input on a Viewport is hit-tested against the {@link Whirl.Entity#interactive|interactive} Sprites in its stage, which then receive pointer events such as `pointerDown` and `click`. Entities with a {@link Whirl.Entity#draggable|draggable} behaviour are moved by the pointer that presses down on them.
  *
  * @class InputManager
  * @memberof Whirl.Game
@@ -29,8 +36,264 @@ class InputManager extends Manager {
 	 */
 	keyElements = [];
 
+	/**
+	 * Connected gamepads, indexed by the {@link Whirl.Game.InputManager.Gamepad#index|index} the browser gives them. Indexes of gamepads that are not connected are `null`.
+	 *
+	 * Polled at the start of each update tick while {@link Whirl.Game.ConfigManager#input gamepad|gamepad input is enabled}.
+	 *
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {Array<Whirl.Game.InputManager.Gamepad|null>}
+	 * @default []
+	 * @readonly
+	 */
+	gamepads = [];
+
+	/**
+	 * Named game actions bound to inputs from the keyboard, mouse and gamepads.
+	 *
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {Whirl.Game.InputManager.ActionMap}
+	 * @readonly
+	 */
+	actions;
+
+	/**
+	 * Map of key names to whether that key is currently held down.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {object}
+	 * @readonly
+	 */
+	_keysDown = {};
+
+	/**
+	 * Map of key names that were pressed down since the end of the last simulation step.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {object}
+	 * @readonly
+	 */
+	_keysPressed = {};
+
+	/**
+	 * Map of key names that were released since the end of the last simulation step.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {object}
+	 * @readonly
+	 */
+	_keysReleased = {};
+
+	/**
+	 * Map of Viewports to the interactive entity that each pointer is currently over in each of them, keyed by pointer ID.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {Map<Whirl.Viewport, Map<number, Whirl.Entity>>}
+	 * @readonly
+	 */
+	_hovered = new Map();
+
+	/**
+	 * Map of Viewports to the interactive entity that each pointer was last pressed down on in each of them, keyed by pointer ID.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {Map<Whirl.Viewport, Map<number, Whirl.Entity>>}
+	 * @readonly
+	 */
+	_pressed = new Map();
+
+	/**
+	 * Map of pointer IDs to the draggable that each pointer is currently dragging.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager#
+	 * @type {Map<number, Whirl.Draggable>}
+	 * @readonly
+	 */
+	_drags = new Map();
+
+	/**
+	 * Fires when a key is pressed down while {@link Whirl.Game.ConfigManager#input keyboard|keyboard input is enabled}.
+	 *
+	 * Fires repeatedly if the key is held down long enough to trigger the operating system's key repeat.
+	 *
+	 * @event Whirl.Game#keyDown
+	 * @type {object}
+	 *
+	 * @property {KeyboardEvent} rawEvent The original DOM event.
+	 * @property {string} key Name of the key as defined in {@link Whirl.key.keys}. Falls back to the [`key` property](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key) of the raw event if the key has no name.
+	 * @property {string} code [Code](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code) of the physical key.
+	 * @property {number} keyCode Deprecated numeric keycode of the key.
+	 * @property {boolean} repeat `true` if this event was caused by the key being held down.
+	 */
+
+	/**
+	 * Fires when a key is released while {@link Whirl.Game.ConfigManager#input keyboard|keyboard input is enabled}.
+	 *
+	 * Also fires for every held key when the window loses focus or the page is hidden, as the browser does not report keys that are released in the meantime.
+	 *
+	 * @event Whirl.Game#keyUp
+	 * @type {object}
+	 *
+	 * @property {KeyboardEvent|Event} rawEvent The original DOM event. Is the `blur` or `visibilitychange` event if the key was released because the page lost focus.
+	 * @property {string} key Name of the key as defined in {@link Whirl.key.keys}. Falls back to the [`key` property](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/key) of the raw event if the key has no name.
+	 * @property {string} code [Code](https://developer.mozilla.org/en-US/docs/Web/API/KeyboardEvent/code) of the physical key. `undefined` if the page lost focus.
+	 * @property {number} keyCode Deprecated numeric keycode of the key. `undefined` if the page lost focus.
+	 * @property {boolean} repeat Always `false`.
+	 */
+
+	/**
+	 * Fires when a gamepad is connected, or when a gamepad that was already connected is first used, while {@link Whirl.Game.ConfigManager#input gamepad|gamepad input is enabled}.
+	 *
+	 * Browsers only reveal gamepads to a page once a button on them has been pressed.
+	 *
+	 * @event Whirl.Game#gamepadConnected
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.InputManager.Gamepad} gamepad The connected gamepad.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires when a gamepad is disconnected.
+	 *
+	 * @event Whirl.Game#gamepadDisconnected
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.InputManager.Gamepad} gamepad The disconnected gamepad. Its {@link Whirl.Game.InputManager.Gamepad#connected|connected} flag is `false`.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when the pointer is pressed down over it.
+	 *
+	 * Pointer events propagate from the entity that was hit up through each of its parent containers until a listener calls `stopPropagation`.
+	 *
+	 * @event Whirl.Entity#pointerDown
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object Entity the event is currently being emitted on.
+	 * @property {Whirl.Entity} target Entity that was hit by the pointer.
+	 * @property {Whirl.Viewport} viewport Viewport the pointer is in.
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer} pointer State of the pointer. Each finger on a touch screen is a separate pointer.
+	 * @property {Whirl.geometry.Point} screenPos Position of the pointer relative to the Viewport.
+	 * @property {Whirl.geometry.Point} worldPos Position of the pointer in the game world.
+	 * @property {PointerEvent} rawEvent The original DOM event.
+	 * @property {function} stopPropagation Stop the event from being emitted on any further parent containers.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when the pointer is released over it.
+	 *
+	 * @event Whirl.Entity#pointerUp
+	 * @type {object}
+	 *
+	 * @see Whirl.Entity#event:pointerDown
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when the pointer is pressed down and then released over it.
+	 *
+	 * @event Whirl.Entity#click
+	 * @type {object}
+	 *
+	 * @see Whirl.Entity#event:pointerDown
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when the pointer moves over it.
+	 *
+	 * @event Whirl.Entity#pointerMove
+	 * @type {object}
+	 *
+	 * @see Whirl.Entity#event:pointerDown
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when the pointer moves onto it.
+	 *
+	 * @event Whirl.Entity#pointerOver
+	 * @type {object}
+	 *
+	 * @see Whirl.Entity#event:pointerDown
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when the pointer moves off of it, or leaves the Viewport whilst over it.
+	 *
+	 * @event Whirl.Entity#pointerOut
+	 * @type {object}
+	 *
+	 * @see Whirl.Entity#event:pointerDown
+	 */
+
+	/**
+	 * Fires on a {@link Whirl.Entity#draggable|draggable} entity when the pointer presses down on it, or on an interactive Sprite inside of it, and begins dragging it.
+	 *
+	 * @event Whirl.Entity#dragStart
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object Entity being dragged.
+	 * @property {Whirl.Viewport} viewport Viewport the entity is being dragged in.
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer} pointer State of the pointer dragging the entity.
+	 * @property {Whirl.geometry.Point} screenPos Position of the pointer relative to the Viewport.
+	 * @property {Whirl.geometry.Point} worldPos Position of the pointer in the game world.
+	 * @property {PointerEvent} rawEvent The original DOM event.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires on a {@link Whirl.Entity#draggable|draggable} entity each time dragging moves it.
+	 *
+	 * @event Whirl.Entity#drag
+	 * @type {object}
+	 *
+	 * @see Whirl.Entity#event:dragStart
+	 */
+
+	/**
+	 * Fires on a {@link Whirl.Entity#draggable|draggable} entity when the pointer dragging it is released or cancelled.
+	 *
+	 * @event Whirl.Entity#dragEnd
+	 * @type {object}
+	 *
+	 * @property {Whirl.Sprite|null} dropTarget Entity the dragged entity was dropped on, or `null` if it was not dropped on anything.
+	 *
+	 * @see Whirl.Entity#event:dragStart
+	 */
+
+	/**
+	 * Fires on an {@link Whirl.Entity#interactive|interactive} entity when a dragged entity is dropped on it, just before the `dragEnd` event fires on the dragged entity.
+	 *
+	 * The drop target is the topmost interactive Sprite under the pointer, other than the dragged entity and its children. Like other pointer events, the event propagates up through each of the parent containers of the drop target.
+	 *
+	 * @event Whirl.Entity#drop
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} dragged Entity that was dropped.
+	 *
+	 * @see Whirl.Entity#event:pointerDown
+	 *
+	 * @example
+	 * slot.event.on("drop", ({dragged}) => {
+	 * 	inventory.put(dragged);
+	 * });
+	 */
+
 	constructor(game) {
 		super(game);
+
+		this.actions = new ActionMap(game);
+
+		if (game.config.get("input keyboard")) {
+			this.registerKeyElement();
+		}
 	}
 
 	/**
@@ -86,6 +349,573 @@ class InputManager extends Manager {
 
 		return mouseElement;
 	}
+
+	/**
+	 * Register an element to listen for keyboard-related events.
+	 *
+	 * Implicitly called with the `document` during game instantiation if {@link Whirl.Game.ConfigManager#input keyboard|keyboard input is enabled}. You only need to call this yourself if you would like to listen for keyboard input on other elements as well.
+	 *
+	 * @method Whirl.Game.InputManager#registerKeyElement
+	 *
+	 * @param {string|HTMLElement|Document} [selector=document] Selector for, or an instance of, the element to listen to keyboard-related events on.
+	 * @param {boolean} [attach=true] Automatically attach event listeners to the registered element.
+	 * @returns {Whirl.Game.InputManager.KeyElement}
+	 *
+	 * @example
+	 * game.input.registerKeyElement("#chatBox");
+	 */
+	registerKeyElement(selector = document, attach = true) {
+		const element = typeof selector === "string" ? document.querySelector(selector) : selector;
+
+		if (!element) {
+			return this.game.debug.error(
+				"Failed to register key element - element from given selector does not exist.",
+				"Whirl.Game#InputManager"
+			);
+		}
+
+		let keyElement = this.keyElements.find((el) => el.element === element);
+
+		if (!keyElement) {
+			keyElement = new KeyElement(this.game, element);
+
+			this.keyElements.push(keyElement);
+		}
+
+		if (attach && !keyElement.hasEvents) {
+			keyElement.attachEvents();
+		}
+
+		return keyElement;
+	}
+
+	/**
+	 * Determine if a key is currently held down.
+	 *
+	 * @method Whirl.Game.InputManager#isDown
+	 *
+	 * @param {string} key Name of the key as defined in {@link Whirl.key.keys}, or a modifier name as defined in {@link Whirl.key.modifiers}.
+	 * @returns {boolean}
+	 *
+	 * @example
+	 * if (game.input.isDown("ArrowRight")) {
+	 * 	player.bounds.x += 5;
+	 * }
+	 */
+	isDown(key) {
+		return !!this._keysDown[key];
+	}
+
+	/**
+	 * Determine if a key was pressed down since the last simulation step.
+	 *
+	 * Is `true` for exactly one simulation step after the key is pressed, regardless of how long it is held down for. When {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping is enabled}, a press is only seen by the first step of a frame that runs several steps, and is kept for the next frame if a frame runs no steps at all.
+	 *
+	 * @method Whirl.Game.InputManager#justPressed
+	 *
+	 * @param {string} key Name of the key as defined in {@link Whirl.key.keys}, or a modifier name as defined in {@link Whirl.key.modifiers}.
+	 * @returns {boolean}
+	 *
+	 * @example
+	 * if (game.input.justPressed("Space")) {
+	 * 	player.jump();
+	 * }
+	 */
+	justPressed(key) {
+		return !!this._keysPressed[key];
+	}
+
+	/**
+	 * Determine if a key was released since the last simulation step.
+	 *
+	 * Is `true` for exactly one simulation step after the key is released.
+	 *
+	 * @method Whirl.Game.InputManager#justReleased
+	 *
+	 * @param {string} key Name of the key as defined in {@link Whirl.key.keys}, or a modifier name as defined in {@link Whirl.key.modifiers}.
+	 * @returns {boolean}
+	 */
+	justReleased(key) {
+		return !!this._keysReleased[key];
+	}
+
+	/**
+	 * Retrieve a connected gamepad.
+	 *
+	 * @method Whirl.Game.InputManager#getGamepad
+	 *
+	 * @param {number} [index=0] Index of the gamepad.
+	 * @returns {Whirl.Game.InputManager.Gamepad|null} The gamepad, or `null` if no gamepad with the index is connected.
+	 *
+	 * @example
+	 * const pad = game.input.getGamepad();
+	 *
+	 * if (pad && pad.isDown("Start")) {
+	 * 	game.update.pause();
+	 * }
+	 */
+	getGamepad(index = 0) {
+		return this.gamepads[index] || null;
+	}
+
+	/**
+	 * Find the topmost {@link Whirl.Entity#interactive|interactive} Sprite at a point in the game world rendered by a Viewport.
+	 *
+	 * Sprites on a higher {@link Whirl.Entity#layer|layer} are checked first, and the transformed shape of each Sprite is used. Nothing is hit in a stage that is not {@link Whirl.Base#active|active}, such as the stage of a {@link Whirl.Game.SceneManager#pause|paused scene}.
+	 *
+	 * @method Whirl.Game.InputManager#hitTest
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport whose stage to search.
+	 * @param {Whirl.geometry.Point} worldPos Point in the game world.
+	 * @param {Whirl.Entity} [ignore] Entity to skip along with all of its children, such as an entity being dragged.
+	 * @returns {Whirl.Sprite|null} The hit Sprite, or `null` if no interactive Sprite is at the point.
+	 *
+	 * @example
+	 * const hit = game.input.hitTest(viewport, viewport.translateToWorld(120, 80));
+	 */
+	hitTest(viewport, worldPos, ignore = null) {
+		if (!viewport.stage || !viewport.stage.active || !worldPos) {
+			return null;
+		}
+
+		const isIgnored = (sprite) => {
+			for (let object = sprite; object instanceof Entity; object = object.parent) {
+				if (object === ignore) {
+					return true;
+				}
+			}
+
+			return false;
+		};
+
+		// Sprites are found in the order that they are rendered, so the topmost is last
+		const hits = viewport.stage
+			.queryPoint(worldPos)
+			.filter((sprite) => sprite.interactive && !(ignore && isIgnored(sprite)));
+
+		return hits.length ? hits[hits.length - 1] : null;
+	}
+
+	/**
+	 * Hit-test a pointer event on a Viewport and emit the relevant pointer events on the interactive entities involved.
+	 *
+	 * Invoked internally by each {@link Whirl.Game.InputManager.MouseElement|MouseElement}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_dispatchPointer
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport the pointer event happened in.
+	 * @param {string} type Type of pointer event - one of `down`, `up`, `move` or `cancel`.
+	 * @param {object} input Pointer event data with the `rawEvent`, `pointer`, `screenPos` and `worldPos` properties.
+	 */
+	_dispatchPointer(viewport, type, input) {
+		const {id} = input.pointer;
+		const target = this.hitTest(viewport, input.worldPos);
+
+		if (!this._pressed.has(viewport)) {
+			this._pressed.set(viewport, new Map());
+		}
+
+		const pressedMap = this._pressed.get(viewport);
+
+		if (type === "move") {
+			this._moveDrag(viewport, input);
+
+			this._setHovered(viewport, id, target, input);
+
+			if (target) {
+				this._emitPointer("pointerMove", target, viewport, input);
+			}
+		} else if (type === "down") {
+			this._setHovered(viewport, id, target, input);
+
+			pressedMap.set(id, target);
+
+			if (target) {
+				this._emitPointer("pointerDown", target, viewport, input);
+
+				this._startDrag(target, viewport, input);
+			}
+		} else if (type === "cancel") {
+			pressedMap.delete(id);
+
+			this._endDrag(viewport, input, false);
+		} else if (type === "up") {
+			const pressed = pressedMap.get(id);
+
+			pressedMap.delete(id);
+
+			// Releasing an entity that was dragged is not a click
+			const dragged = this._endDrag(viewport, input, true);
+
+			if (target) {
+				this._emitPointer("pointerUp", target, viewport, input);
+
+				if (target === pressed && !dragged) {
+					this._emitPointer("click", target, viewport, input);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Change the entity that a pointer is over in a Viewport, emitting `pointerOut` on the previous entity and `pointerOver` on the new entity.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_setHovered
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport the pointer is in.
+	 * @param {number} pointerId ID of the pointer.
+	 * @param {Whirl.Entity|null} target Entity the pointer is now over.
+	 * @param {object} input Pointer event data.
+	 */
+	_setHovered(viewport, pointerId, target, input) {
+		if (!this._hovered.has(viewport)) {
+			this._hovered.set(viewport, new Map());
+		}
+
+		const hoveredMap = this._hovered.get(viewport);
+		const previous = hoveredMap.get(pointerId) || null;
+
+		if (previous === target) {
+			return;
+		}
+
+		if (target) {
+			hoveredMap.set(pointerId, target);
+		} else {
+			hoveredMap.delete(pointerId);
+		}
+
+		if (previous) {
+			this._emitPointer("pointerOut", previous, viewport, input);
+		}
+
+		if (target) {
+			this._emitPointer("pointerOver", target, viewport, input);
+		}
+	}
+
+	/**
+	 * Emit a pointer event on an entity and propagate it up through each of its parent containers.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_emitPointer
+	 *
+	 * @param {string} name Name of the event.
+	 * @param {Whirl.Entity} target Entity that was hit by the pointer.
+	 * @param {Whirl.Viewport} viewport Viewport the pointer is in.
+	 * @param {object} input Pointer event data.
+	 * @param {object} [extra] Additional properties to add to the event data.
+	 */
+	_emitPointer(name, target, viewport, input, extra = {}) {
+		let stopped = false;
+
+		const data = {
+			object: target,
+			target,
+			viewport,
+			pointer: input.pointer,
+			screenPos: input.screenPos,
+			worldPos: input.worldPos,
+			rawEvent: input.rawEvent,
+			...extra,
+			stopPropagation: () => {
+				stopped = true;
+			},
+			game: this.game,
+		};
+
+		for (let object = target; object instanceof Entity && !stopped; object = object.parent) {
+			data.object = object;
+
+			object.event.emit(name, data);
+		}
+	}
+
+	/**
+	 * Begin dragging the closest {@link Whirl.Entity#draggable|draggable} entity to a hit Sprite, starting with the Sprite itself and going up through its parent containers.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_startDrag
+	 *
+	 * @emits Whirl.Entity#dragStart
+	 *
+	 * @param {Whirl.Entity} target Entity that was hit by the pointer.
+	 * @param {Whirl.Viewport} viewport Viewport the pointer is in.
+	 * @param {object} input Pointer event data.
+	 */
+	_startDrag(target, viewport, input) {
+		const {id} = input.pointer;
+
+		if (this._drags.has(id)) {
+			return;
+		}
+
+		for (let object = target; object instanceof Entity; object = object.parent) {
+			const {draggable} = object;
+
+			if (draggable && draggable.enabled && !draggable.isDragging) {
+				draggable._start(viewport, input.worldPos);
+
+				this._drags.set(id, draggable);
+
+				object.event.emit("dragStart", this._getDragData(object, viewport, input));
+
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Move the entity being dragged by a pointer to follow it.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_moveDrag
+	 *
+	 * @emits Whirl.Entity#drag
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport the pointer is in.
+	 * @param {object} input Pointer event data.
+	 */
+	_moveDrag(viewport, input) {
+		const draggable = this._drags.get(input.pointer.id);
+
+		if (!draggable || draggable.viewport !== viewport) {
+			return;
+		}
+
+		if (draggable._move(input.worldPos)) {
+			const {entity} = draggable;
+
+			entity.event.emit("drag", this._getDragData(entity, viewport, input));
+		}
+	}
+
+	/**
+	 * Stop dragging the entity being dragged by a pointer, and find the entity it was dropped on.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_endDrag
+	 *
+	 * @emits Whirl.Entity#drop
+	 * @emits Whirl.Entity#dragEnd
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport the pointer is in.
+	 * @param {object} input Pointer event data.
+	 * @param {boolean} drop Look for an entity to drop the dragged entity on. `false` if the drag was cancelled.
+	 * @returns {boolean} `true` if the pointer was dragging an entity and moved it.
+	 */
+	_endDrag(viewport, input, drop) {
+		const {id} = input.pointer;
+		const draggable = this._drags.get(id);
+
+		if (!draggable || draggable.viewport !== viewport) {
+			return false;
+		}
+
+		const {entity} = draggable;
+		const dropTarget = drop ? this.hitTest(viewport, input.worldPos, entity) : null;
+
+		this._drags.delete(id);
+
+		draggable._end();
+
+		if (dropTarget) {
+			this._emitPointer("drop", dropTarget, viewport, input, {dragged: entity});
+		}
+
+		entity.event.emit("dragEnd", {...this._getDragData(entity, viewport, input), dropTarget});
+
+		return draggable.hasMoved;
+	}
+
+	/**
+	 * Create the event data for a drag event.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_getDragData
+	 *
+	 * @param {Whirl.Entity} entity Entity being dragged.
+	 * @param {Whirl.Viewport} viewport Viewport the entity is being dragged in.
+	 * @param {object} input Pointer event data.
+	 * @returns {object}
+	 */
+	_getDragData(entity, viewport, input) {
+		return {
+			object: entity,
+			viewport,
+			pointer: input.pointer,
+			screenPos: input.screenPos,
+			worldPos: input.worldPos,
+			rawEvent: input.rawEvent,
+			game: this.game,
+		};
+	}
+
+	/**
+	 * Mark a key as held down. Key repeats of a key that is already held down are ignored.
+	 *
+	 * Holding down either side of a modifier key also holds down its {@link Whirl.key.modifiers|modifier name}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_setKeyDown
+	 *
+	 * @param {string} key Name of the key.
+	 */
+	_setKeyDown(key) {
+		if (!this._keysDown[key]) {
+			this._keysDown[key] = true;
+			this._keysPressed[key] = true;
+		}
+
+		const modifier = this._getModifier(key);
+
+		if (modifier) {
+			this._setKeyDown(modifier);
+		}
+	}
+
+	/**
+	 * Mark a key as released.
+	 *
+	 * A {@link Whirl.key.modifiers|modifier name} is only released once the keys on both sides of the keyboard are released.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_setKeyUp
+	 *
+	 * @param {string} key Name of the key.
+	 */
+	_setKeyUp(key) {
+		this._keysDown[key] = false;
+		this._keysReleased[key] = true;
+
+		const modifier = this._getModifier(key);
+
+		if (modifier && !modifiers[modifier].some((side) => this._keysDown[side])) {
+			this._setKeyUp(modifier);
+		}
+	}
+
+	/**
+	 * Find the modifier name that a key on one side of the keyboard belongs to.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_getModifier
+	 *
+	 * @param {string} key Name of the key.
+	 * @returns {string|undefined} Modifier name, such as `Shift` for `ShiftLeft`.
+	 */
+	_getModifier(key) {
+		return Object.keys(modifiers).find((modifier) => modifiers[modifier].includes(key));
+	}
+
+	/**
+	 * Sample the input state that is polled rather than received through events, at the start of an update tick.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.UpdateManager|UpdateManager}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_poll
+	 */
+	_poll() {
+		this._pollGamepads();
+
+		this.actions._poll();
+	}
+
+	/**
+	 * Poll the state of every gamepad from the browser, and track gamepads being connected and disconnected.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_pollGamepads
+	 *
+	 * @emits Whirl.Game#gamepadConnected
+	 * @emits Whirl.Game#gamepadDisconnected
+	 */
+	_pollGamepads() {
+		if (
+			!this.game.config.get("input gamepad") ||
+			typeof navigator === "undefined" ||
+			!navigator.getGamepads
+		) {
+			return;
+		}
+
+		const rawGamepads = navigator.getGamepads() || [];
+		const length = Math.max(rawGamepads.length, this.gamepads.length);
+
+		for (let i = 0; i < length; i++) {
+			const rawGamepad = rawGamepads[i];
+			const gamepad = this.gamepads[i] || null;
+
+			if (rawGamepad && rawGamepad.connected !== false) {
+				if (gamepad && gamepad.id === rawGamepad.id) {
+					gamepad._poll(rawGamepad);
+
+					continue;
+				}
+
+				// A different gamepad has taken over the index without a poll in between
+				if (gamepad) {
+					this._disconnectGamepad(gamepad);
+				}
+
+				const connected = new Gamepad(this.game, rawGamepad);
+
+				this.gamepads[i] = connected;
+
+				this.game.event.emit("gamepadConnected", {
+					gamepad: connected,
+					game: this.game,
+				});
+			} else if (gamepad) {
+				this._disconnectGamepad(gamepad);
+			}
+		}
+	}
+
+	/**
+	 * Remove a gamepad from the list of connected gamepads.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_disconnectGamepad
+	 *
+	 * @emits Whirl.Game#gamepadDisconnected
+	 *
+	 * @param {Whirl.Game.InputManager.Gamepad} gamepad Gamepad that was disconnected.
+	 */
+	_disconnectGamepad(gamepad) {
+		gamepad.connected = false;
+
+		this.gamepads[gamepad.index] = null;
+
+		this.game.event.emit("gamepadDisconnected", {
+			gamepad,
+			game: this.game,
+		});
+	}
+
+	/**
+	 * Clear the keys, buttons and actions that were just pressed or released at the end of a simulation step, so that the next step does not see them again.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.UpdateManager|UpdateManager}.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager#_update
+	 */
+	_update() {
+		this._keysPressed = {};
+		this._keysReleased = {};
+
+		this.gamepads.forEach((gamepad) => {
+			if (gamepad) {
+				gamepad._update();
+			}
+		});
+
+		this.actions._update();
+	}
 }
 
 export default InputManager;
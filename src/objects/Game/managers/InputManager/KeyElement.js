@@ -0,0 +1,203 @@
+import getByEvent from "~/key/getByEvent";
+import modifiers from "~/key/modifiers";
+
+/**
+ * @classdesc
+ * A KeyElement represents an element (typically the `document`) that listens on keyboard-related events and forwards them to the {@link Whirl.Game.InputManager|InputManager} to update the tracked key state and emit the associated game events.
+ *
+ * Browsers do not fire `keyup` events for keys that are released after the page loses focus, so every held key is released as soon as the window is blurred or the page is hidden.
+ *
+ * @class KeyElement
+ * @memberof Whirl.Game.InputManager
+ *
+ * @param {Whirl.Game} game Game instance this object belongs to and should be managed by.
+ * @param {HTMLElement|Document} element DOM element to attach event listeners to.
+ */
+class KeyElement {
+	/**
+	 * Game instance this object belongs to.
+	 *
+	 * @memberof Whirl.Game.InputManager.KeyElement#
+	 * @type {Whirl.Game}
+	 * @readonly
+	 */
+	game;
+
+	/**
+	 * The actual element to listen for key presses on.
+	 *
+	 * @memberof Whirl.Game.InputManager.KeyElement#
+	 * @type {HTMLElement|Document}
+	 * @readonly
+	 */
+	element;
+
+	/**
+	 * Flag indicating whether the element has events attached to it or not.
+	 *
+	 * @memberof Whirl.Game.InputManager.KeyElement#
+	 * @type {boolean}
+	 */
+	hasEvents = false;
+
+	listeners = [];
+
+	constructor(game, element) {
+		this.game = game;
+
+		this.element = element;
+	}
+
+	/**
+	 * Create an event listener for a raw keyboard event and map it to a custom emit name. Returns an object that implements the [EventListener interface](https://developer.mozilla.org/en-US/docs/Web/API/EventListener) and can handle raw DOM events and adds it to the {@link Whirl.Game.InputManager.KeyElement#listeners|list of listeners}.
+	 *
+	 * @method Whirl.Game.InputManager.KeyElement#createListener
+	 *
+	 * @param {string} rawName Name of the [native DOM keyboard event](https://developer.mozilla.org/en-US/docs/Web/Events#Keyboard_events) to listen on.
+	 * @param {string} emitName Event name to emit on the game instance (Eg, `keyDown`).
+	 */
+	createListener = (rawName, emitName) => {
+		const listener = {
+			rawName,
+			emitName,
+			handleEvent: (rawEvent) => {
+				if (!this.game.config.get("input keyboard")) {
+					return;
+				}
+
+				if (this.game.config.get("input preventDefault")) {
+					rawEvent.preventDefault();
+				}
+
+				const key = getByEvent(rawEvent);
+				const {input} = this.game;
+
+				if (emitName === "keyDown") {
+					input._setKeyDown(key);
+				} else {
+					input._setKeyUp(key);
+				}
+
+				this.game.event.emit(emitName, {
+					rawEvent,
+					key,
+					code: rawEvent.code,
+					keyCode: rawEvent.keyCode,
+					repeat: rawEvent.repeat,
+				});
+			},
+		};
+
+		this.element.addEventListener(rawName, listener);
+
+		this.listeners.push(listener);
+	};
+
+	/**
+	 * Create an event listener that releases every held key when the given target fires an event, and adds it to the {@link Whirl.Game.InputManager.KeyElement#listeners|list of listeners}.
+	 *
+	 * Used to listen for the window losing focus and the page being hidden. Does nothing if the target does not exist.
+	 *
+	 * @method Whirl.Game.InputManager.KeyElement#createReleaseListener
+	 *
+	 * @param {EventTarget} target Target to listen for the event on.
+	 * @param {string} rawName Name of the native DOM event to listen on.
+	 */
+	createReleaseListener = (target, rawName) => {
+		if (!target) {
+			return;
+		}
+
+		const listener = {
+			target,
+			rawName,
+			emitName: "keyUp",
+			handleEvent: (rawEvent) => {
+				if (rawName === "visibilitychange" && !target.hidden) {
+					return;
+				}
+
+				this.releaseKeys(rawEvent);
+			},
+		};
+
+		target.addEventListener(rawName, listener);
+
+		this.listeners.push(listener);
+	};
+
+	/**
+	 * Release every key that is currently held down and emit a `keyUp` event for each of them.
+	 *
+	 * @method Whirl.Game.InputManager.KeyElement#releaseKeys
+	 *
+	 * @param {Event} rawEvent The DOM event that caused the keys to be released.
+	 */
+	releaseKeys(rawEvent) {
+		if (!this.game.config.get("input keyboard")) {
+			return;
+		}
+
+		const {input} = this.game;
+
+		// Modifier names are released along with the keys on either side of them, unless they were pressed by a keycode that does not tell the sides apart
+		const keys = Object.keys(input._keysDown).filter(
+			(key) =>
+				input._keysDown[key] &&
+				!(modifiers[key] && modifiers[key].some((side) => input._keysDown[side]))
+		);
+
+		keys.forEach((key) => {
+			input._setKeyUp(key);
+
+			this.game.event.emit("keyUp", {
+				rawEvent,
+				key,
+				code: undefined,
+				keyCode: undefined,
+				repeat: false,
+			});
+		});
+	}
+
+	/**
+	 * Attach all keyboard event listeners to the element. Logs a warning and does nothing if the element already has listeners attached.
+	 *
+	 * @method Whirl.Game.InputManager.KeyElement#attachEvents
+	 */
+	attachEvents() {
+		if (this.hasEvents) {
+			return this.game.debug.warn(
+				"Failed to attach keyboard events - KeyElement already has events attached.",
+				"Whirl.Game.InputManager.KeyElement"
+			);
+		}
+
+		this.createListener("keydown", "keyDown");
+		this.createListener("keyup", "keyUp");
+
+		const doc = this.element.ownerDocument || this.element;
+
+		this.createReleaseListener(doc.defaultView, "blur");
+		this.createReleaseListener(doc, "visibilitychange");
+
+		this.hasEvents = true;
+	}
+
+	/**
+	 * Remove all keyboard event listeners from the element and clear the {@link Whirl.Game.InputManager.KeyElement#listeners|listeners list}.
+	 *
+	 * @method Whirl.Game.InputManager.KeyElement#removeEvents
+	 */
+	removeEvents() {
+		this.listeners.forEach((listener) => {
+			(listener.target || this.element).removeEventListener(listener.rawName, listener);
+		});
+
+		this.listeners = [];
+
+		this.hasEvents = false;
+	}
+}
+
+export default KeyElement;
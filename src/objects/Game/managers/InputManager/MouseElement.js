@@ -2,14 +2,18 @@ import Point from "~/geometry/Point";
 
 /**
  * @classdesc
- * A MouseElement represents an element that can listen on mouse-related events and will fire the associated Viewport event listeners when done so.
+ * A MouseElement represents an element that listens on [pointer events](https://developer.mozilla.org/en-US/docs/Web/API/Pointer_events) from mice, pens and touch screens, and fires the associated Viewport event listeners when done so.
+ *
+ * Each active pointer is tracked individually, so that multiple fingers on a touch screen can be followed at once. When two fingers touch the same Viewport, their movement is recognised as pinch and pan gestures.
+ *
+ * Presses, releases and movement of each pointer are also passed to the {@link Whirl.Game.InputManager|InputManager} to emit pointer events on the {@link Whirl.Entity#interactive|interactive} entities under the pointer.
  *
  * @class MouseElement
  * @memberof Whirl.Game.InputManager
  *
  * @param {Whirl.Game} game Game instance this object belongs to and should be managed by.
  * @param {HTMLElement} element DOM element to attach event listeners to.
- * @param {Whirl.Viewport|Whirl.Viewport[]} viewports One or many viewports that are rendered to the given element and receive event emissions when mouse events are fired on that element.
+ * @param {Whirl.Viewport|Whirl.Viewport[]} viewports One or many viewports that are rendered to the given element and receive event emissions when pointer events are fired on that element.
  */
 class MouseElement {
 	/**
@@ -22,7 +26,7 @@ class MouseElement {
 	game;
 
 	/**
-	 * The actual element to listen for mouse clicks on.
+	 * The actual element to listen for pointer input on.
 	 *
 	 * @memberof Whirl.Game.InputManager.MouseElement#
 	 * @type {HTMLElement}
@@ -33,13 +37,24 @@ class MouseElement {
 	/**
 	 * List of viewports that listen for events on this element.
 	 *
-	 * These viewports must have the {@link Whirl.mixins.Event|Event mixin} applied to them (automatically added by default when {@link Whirl.Game.InputManager#registerMouseElement|registering the mouse element}) and will have events emitted on them when this MouseElement receives mouse input inside {@link Whirl.Viewport#bounds|the viewport bounds}.
+	 * These viewports must have the {@link Whirl.mixins.Event|Event mixin} applied to them (automatically added by default when {@link Whirl.Game.InputManager#registerMouseElement|registering the mouse element}) and will have events emitted on them when this MouseElement receives pointer input inside {@link Whirl.Viewport#bounds|the viewport bounds}.
 	 *
 	 * @memberof Whirl.Game.InputManager.MouseElement#
 	 * @type {Whirl.Viewport[]}
 	 */
 	viewports;
 
+	/**
+	 * Map of pointer IDs to the state of each pointer that is currently on the element.
+	 *
+	 * Mouse pointers are tracked whilst they hover over the element. Touch pointers are only tracked whilst they touch the screen.
+	 *
+	 * @memberof Whirl.Game.InputManager.MouseElement#
+	 * @type {Map<number, Whirl.Game.InputManager.MouseElement~Pointer>}
+	 * @readonly
+	 */
+	pointers = new Map();
+
 	/**
 	 * Flag indicating whether the element has events attached to it or not.
 	 *
@@ -50,6 +65,138 @@ class MouseElement {
 
 	listeners = [];
 
+	/**
+	 * Map of Viewports to the state of the two-finger gesture that is in progress in each of them.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager.MouseElement#
+	 * @type {Map<Whirl.Viewport, object>}
+	 * @readonly
+	 */
+	_gestures = new Map();
+
+	/**
+	 * Value of the `touch-action` style of the element before events were attached, restored when they are removed.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.InputManager.MouseElement#
+	 * @type {string}
+	 * @readonly
+	 */
+	_touchAction = "";
+
+	/**
+	 * @typedef {object} Whirl.Game.InputManager.MouseElement~Pointer
+	 *
+	 * @property {number} id Unique ID of the pointer given by the browser.
+	 * @property {string} type Type of device - `mouse`, `pen` or `touch`.
+	 * @property {boolean} isPrimary `true` if this is the primary pointer of its type, such as the first finger to touch the screen.
+	 * @property {boolean} isDown `true` if the pointer is pressed down.
+	 * @property {number} pressure Pressure of the pointer between `0` and `1`.
+	 * @property {number} buttons Bitmask of the [buttons that are held down](https://developer.mozilla.org/en-US/docs/Web/API/MouseEvent/buttons).
+	 * @property {Whirl.geometry.Point} pagePos Position of the pointer on the page.
+	 * @property {Whirl.geometry.Point} downPos Position of the pointer on the page when it was last pressed down.
+	 * @property {Whirl.Viewport[]} captured Viewports the pointer was pressed down in. These keep receiving events from the pointer until it is released, even if it moves outside of them.
+	 */
+
+	/**
+	 * Fires on a Viewport when a pointer is pressed down inside of it.
+	 *
+	 * @event Whirl.Viewport#pointerDown
+	 * @type {object}
+	 *
+	 * @property {PointerEvent} rawEvent The original DOM event.
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer} pointer State of the pointer.
+	 * @property {Whirl.geometry.Point} pagePos Position of the pointer on the page.
+	 * @property {Whirl.geometry.Point} elementPos Position of the pointer relative to the element.
+	 * @property {Whirl.geometry.Point} screenPos Position of the pointer relative to the Viewport.
+	 * @property {Whirl.geometry.Point} worldPos Position of the pointer in the game world.
+	 */
+
+	/**
+	 * Fires on a Viewport when a pointer is released inside of it, or anywhere if it was pressed down inside of it.
+	 *
+	 * @event Whirl.Viewport#pointerUp
+	 * @type {object}
+	 *
+	 * @see Whirl.Viewport#event:pointerDown
+	 */
+
+	/**
+	 * Fires on a Viewport each time a pointer moves inside of it, or anywhere whilst it is pressed down if it was pressed down inside of it.
+	 *
+	 * @event Whirl.Viewport#pointerMove
+	 * @type {object}
+	 *
+	 * @see Whirl.Viewport#event:pointerDown
+	 */
+
+	/**
+	 * Fires on a Viewport when the browser cancels a pointer that was pressed down inside of it, such as when a touch is interrupted.
+	 *
+	 * @event Whirl.Viewport#pointerCancel
+	 * @type {object}
+	 *
+	 * @see Whirl.Viewport#event:pointerDown
+	 */
+
+	/**
+	 * Fires on a Viewport when a second finger touches it, beginning a two-finger gesture.
+	 *
+	 * @event Whirl.Viewport#gestureStart
+	 * @type {object}
+	 *
+	 * @property {Whirl.geometry.Point} screenPos Midpoint of the two fingers relative to the Viewport.
+	 * @property {Whirl.geometry.Point} worldPos Midpoint of the two fingers in the game world.
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer[]} pointers The two pointers making the gesture.
+	 */
+
+	/**
+	 * Fires on a Viewport when the distance between the two fingers of a gesture changes.
+	 *
+	 * @event Whirl.Viewport#pinch
+	 * @type {object}
+	 *
+	 * @property {number} scale Distance between the fingers relative to their distance when the gesture began.
+	 * @property {number} deltaScale Distance between the fingers relative to their distance when this event was last fired.
+	 * @property {Whirl.geometry.Point} screenPos Midpoint of the two fingers relative to the Viewport.
+	 * @property {Whirl.geometry.Point} worldPos Midpoint of the two fingers in the game world.
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer[]} pointers The two pointers making the gesture.
+	 *
+	 * @example
+	 * viewport.event.on("pinch", ({deltaScale}) => {
+	 * 	viewport.zoom *= deltaScale;
+	 * });
+	 */
+
+	/**
+	 * Fires on a Viewport when the midpoint of the two fingers of a gesture moves.
+	 *
+	 * @event Whirl.Viewport#pan
+	 * @type {object}
+	 *
+	 * @property {number} deltaX Distance moved horizontally on the screen since this event was last fired.
+	 * @property {number} deltaY Distance moved vertically on the screen since this event was last fired.
+	 * @property {Whirl.geometry.Point} screenPos Midpoint of the two fingers relative to the Viewport.
+	 * @property {Whirl.geometry.Point} worldPos Midpoint of the two fingers in the game world.
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer[]} pointers The two pointers making the gesture.
+	 *
+	 * @example
+	 * viewport.event.on("pan", ({deltaX, deltaY}) => {
+	 * 	viewport.scroll.x -= deltaX / viewport.zoom;
+	 * 	viewport.scroll.y -= deltaY / viewport.zoom;
+	 * });
+	 */
+
+	/**
+	 * Fires on a Viewport when one of the fingers of a gesture is lifted.
+	 *
+	 * @event Whirl.Viewport#gestureEnd
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.InputManager.MouseElement~Pointer[]} pointers The two pointers that made the gesture.
+	 */
+
 	constructor(game, element, viewports) {
 		this.game = game;
 
@@ -63,10 +210,11 @@ class MouseElement {
 	 *
 	 * @method Whirl.Game.InputManager.MouseElement#createListener
 	 *
-	 * @param {string} rawName Name of the [native DOM mouse event](https://developer.mozilla.org/en-US/docs/Web/Events#Mouse_events) to listen on.
+	 * @param {string} rawName Name of the [native DOM event](https://developer.mozilla.org/en-US/docs/Web/Events#Mouse_events) to listen on.
 	 * @param {string} emitName Event name to emit on the listener (Eg, `mouseLB`).
+	 * @param {string} [pointerType] Type of pointer event to track the pointer with and to pass to the {@link Whirl.Game.InputManager|InputManager} for hit-testing - one of `down`, `up`, `move`, `cancel` or `leave`.
 	 */
-	createListener = (rawName, emitName) => {
+	createListener = (rawName, emitName, pointerType = null) => {
 		const listener = {
 			rawName,
 			emitName,
@@ -76,7 +224,7 @@ class MouseElement {
 				}
 
 				if (this.game.config.get("input preventDefault")) {
-					event.preventDefault();
+					rawEvent.preventDefault();
 				}
 
 				const eventData = {
@@ -85,16 +233,18 @@ class MouseElement {
 					scrollYDelta: rawEvent.deltaY || null,
 				};
 
-				const pagePos = (eventData.pagePos = Point(event.clientX, event.clientY));
+				const pagePos = (eventData.pagePos = Point(rawEvent.clientX, rawEvent.clientY));
+
+				if (pointerType) {
+					this._handlePointer(pointerType, emitName, rawEvent, eventData);
+
+					return;
+				}
 
 				for (let i = 0; i < this.viewports.length; i++) {
 					const viewport = this.viewports[i];
-					const elementPos = (eventData.elementPos = viewport.translateToElement(pagePos));
-
-					if (elementPos && viewport.bounds.isPointInside(elementPos)) {
-						const screenPos = (eventData.screenPos = viewport.translateToScreen(elementPos));
-						eventData.worldPos = viewport.translateToWorld(screenPos);
 
+					if (this._locate(viewport, pagePos, eventData)) {
 						viewport.event.emit(emitName, eventData);
 					}
 				}
@@ -107,7 +257,9 @@ class MouseElement {
 	};
 
 	/**
-	 * Attach all mouse event listeners to the element. Logs a warning and does nothing if the element already has listeners attached.
+	 * Attach all pointer event listeners to the element. Logs a warning and does nothing if the element already has listeners attached.
+	 *
+	 * Disables the default touch behaviour of the browser on the element (such as scrolling and zooming the page) so that touch input reaches the game.
 	 *
 	 * @method Whirl.Game.InputManager.MouseElement#attachEvents
 	 */
@@ -122,12 +274,22 @@ class MouseElement {
 		this.createListener("click", "mouseLB");
 		this.createListener("contextmenu", "mouseRB");
 		this.createListener("wheel", "mouseScroll");
+		this.createListener("pointerdown", "pointerDown", "down");
+		this.createListener("pointerup", "pointerUp", "up");
+		this.createListener("pointermove", "pointerMove", "move");
+		this.createListener("pointercancel", "pointerCancel", "cancel");
+		this.createListener("pointerleave", "pointerLeave", "leave");
+
+		if (this.element.style) {
+			this._touchAction = this.element.style.touchAction;
+			this.element.style.touchAction = "none";
+		}
 
 		this.hasEvents = true;
 	}
 
 	/**
-	 * Remove all mouse event listeners from the element and clear the {@link Whirl.Game.InputManager.MouseElement#listeners|listeners list}.
+	 * Remove all pointer event listeners from the element and clear the {@link Whirl.Game.InputManager.MouseElement#listeners|listeners list}.
 	 *
 	 * @method Whirl.Game.InputManager.MouseElement#removeEvents
 	 */
@@ -136,7 +298,232 @@ class MouseElement {
 			this.element.removeEventListener(listener.rawName, listener);
 		});
 
+		if (this.hasEvents && this.element.style) {
+			this.element.style.touchAction = this._touchAction;
+		}
+
 		this.listeners = [];
+		this.pointers.clear();
+		this._gestures.clear();
+
+		this.hasEvents = false;
+	}
+
+	/**
+	 * Calculate the position of a point on the page relative to a Viewport and store it on the event data.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.MouseElement#_locate
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport to locate the point in.
+	 * @param {Whirl.geometry.Point} pagePos Position on the page.
+	 * @param {object} eventData Event data to store the `elementPos`, `screenPos` and `worldPos` properties on.
+	 * @returns {boolean} `true` if the point is inside of the Viewport bounds.
+	 */
+	_locate(viewport, pagePos, eventData) {
+		const elementPos = (eventData.elementPos = viewport.translateToElement(pagePos));
+
+		if (!elementPos) {
+			return false;
+		}
+
+		const screenPos = (eventData.screenPos = viewport.translateToScreen(elementPos));
+		eventData.worldPos = viewport.translateToWorld(screenPos);
+
+		return viewport.bounds.isPointInside(elementPos);
+	}
+
+	/**
+	 * Update the tracked state of a pointer from a raw pointer event and emit the relevant events on each Viewport it affects.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.MouseElement#_handlePointer
+	 *
+	 * @param {string} type Type of pointer event - one of `down`, `up`, `move`, `cancel` or `leave`.
+	 * @param {string} emitName Event name to emit on the Viewports.
+	 * @param {PointerEvent} rawEvent The original DOM event.
+	 * @param {object} eventData Event data with the `rawEvent` and `pagePos` properties.
+	 */
+	_handlePointer(type, emitName, rawEvent, eventData) {
+		const {input} = this.game;
+		const pointer = this._trackPointer(type, rawEvent, eventData.pagePos);
+
+		eventData.pointer = pointer;
+
+		for (let i = 0; i < this.viewports.length; i++) {
+			const viewport = this.viewports[i];
+			const inside = this._locate(viewport, eventData.pagePos, eventData);
+			const captured = pointer.captured.includes(viewport);
+
+			if (type === "leave") {
+				input._setHovered(viewport, pointer.id, null, eventData);
+
+				viewport.event.emit(emitName, eventData);
+
+				continue;
+			}
+
+			if (type === "down" && inside) {
+				pointer.captured.push(viewport);
+			}
+
+			if (!inside && !captured) {
+				// The pointer is no longer over anything in this viewport
+				input._setHovered(viewport, pointer.id, null, eventData);
+
+				continue;
+			}
+
+			viewport.event.emit(emitName, eventData);
+
+			input._dispatchPointer(viewport, type, eventData);
+
+			if (pointer.type === "touch") {
+				this._updateGesture(viewport);
+			}
+		}
+
+		if (type === "up" || type === "cancel") {
+			pointer.captured = [];
+
+			// Touch pointers stop existing once they leave the screen
+			if (pointer.type !== "mouse") {
+				this.viewports.forEach((viewport) =>
+					input._setHovered(viewport, pointer.id, null, eventData)
+				);
+
+				this.pointers.delete(pointer.id);
+			}
+		} else if (type === "leave") {
+			this.pointers.delete(pointer.id);
+		}
+	}
+
+	/**
+	 * Create or update the tracked state of the pointer that caused a raw pointer event.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.MouseElement#_trackPointer
+	 *
+	 * @param {string} type Type of pointer event.
+	 * @param {PointerEvent} rawEvent The original DOM event.
+	 * @param {Whirl.geometry.Point} pagePos Position of the pointer on the page.
+	 * @returns {Whirl.Game.InputManager.MouseElement~Pointer}
+	 */
+	_trackPointer(type, rawEvent, pagePos) {
+		const id = rawEvent.pointerId || 0;
+		let pointer = this.pointers.get(id);
+
+		if (!pointer) {
+			pointer = {
+				id,
+				type: rawEvent.pointerType || "mouse",
+				isPrimary: rawEvent.isPrimary !== false,
+				isDown: false,
+				pressure: 0,
+				buttons: 0,
+				pagePos: Point(),
+				downPos: Point(),
+				captured: [],
+			};
+
+			this.pointers.set(id, pointer);
+		}
+
+		pointer.pressure = rawEvent.pressure || 0;
+		pointer.buttons = rawEvent.buttons || 0;
+		pointer.pagePos.set(pagePos);
+
+		if (type === "down") {
+			pointer.isDown = true;
+			pointer.downPos.set(pagePos);
+
+			// Keep receiving moves from the pointer whilst it is dragged outside of the element
+			if (this.element.setPointerCapture) {
+				this.element.setPointerCapture(id);
+			}
+		} else if (type === "up" || type === "cancel") {
+			pointer.isDown = false;
+		}
+
+		return pointer;
+	}
+
+	/**
+	 * Begin, continue or end the two-finger gesture in a Viewport depending on how many touch pointers are pressed down in it.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.InputManager.MouseElement#_updateGesture
+	 *
+	 * @emits Whirl.Viewport#gestureStart
+	 * @emits Whirl.Viewport#pinch
+	 * @emits Whirl.Viewport#pan
+	 * @emits Whirl.Viewport#gestureEnd
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport to update the gesture of.
+	 */
+	_updateGesture(viewport) {
+		const touches = [...this.pointers.values()].filter(
+			(pointer) => pointer.type === "touch" && pointer.isDown && pointer.captured.includes(viewport)
+		);
+		let gesture = this._gestures.get(viewport);
+
+		if (
+			gesture &&
+			!(touches.includes(gesture.pointers[0]) && touches.includes(gesture.pointers[1]))
+		) {
+			this._gestures.delete(viewport);
+
+			viewport.event.emit("gestureEnd", {pointers: gesture.pointers});
+
+			gesture = null;
+		}
+
+		if (touches.length < 2) {
+			return;
+		}
+
+		const pointers = gesture ? gesture.pointers : touches.slice(0, 2);
+		const [a, b] = pointers;
+		const distance = a.pagePos.distanceFrom(b.pagePos);
+		const center = Point((a.pagePos.x + b.pagePos.x) / 2, (a.pagePos.y + b.pagePos.y) / 2);
+		const data = {pointers};
+
+		this._locate(viewport, center, data);
+
+		delete data.elementPos;
+
+		if (!gesture) {
+			this._gestures.set(viewport, {
+				pointers,
+				startDistance: distance,
+				distance,
+				center,
+			});
+
+			viewport.event.emit("gestureStart", data);
+
+			return;
+		}
+
+		if (distance !== gesture.distance && gesture.startDistance > 0 && gesture.distance > 0) {
+			viewport.event.emit("pinch", {
+				...data,
+				scale: distance / gesture.startDistance,
+				deltaScale: distance / gesture.distance,
+			});
+		}
+
+		if (center.x !== gesture.center.x || center.y !== gesture.center.y) {
+			viewport.event.emit("pan", {
+				...data,
+				deltaX: center.x - gesture.center.x,
+				deltaY: center.y - gesture.center.y,
+			});
+		}
+
+		gesture.distance = distance;
+		gesture.center = center;
 	}
 }
 
@@ -143,6 +143,10 @@ class ObjectManager extends Manager {
 			if (this.game.setup.viewport === object) {
 				this.game.setup.viewport = null;
 			}
+
+			this.game.input.mouseElements.forEach((mouseElement) => {
+				mouseElement.viewports = mouseElement.viewports.filter((item) => object._id !== item._id);
+			});
 		}
 
 		if (object instanceof Stage) {
@@ -0,0 +1,601 @@
+import Manager from "../Manager";
+import Body from "~/objects/Body";
+import Entity from "~/objects/Entity";
+import Container from "~/objects/Container";
+import clamp from "~/math/clamp";
+
+/**
+ * @classdesc
+ * The physics manager runs a simple arcade physics simulation for every entity in the game world that has a {@link Whirl.Body|physics body}.
+ *
+ * Each simulation step, after the {@link Whirl.Base#update|update method} of every entity has been invoked, the physics manager:
+ *
+ * 1. Applies acceleration, gravity and drag to the velocity of each body and moves it by its velocity.
+ * 2. Keeps bodies that {@link Whirl.Body#collideWorldBounds|collide with the world bounds} inside of the {@link Whirl.Stage#limits|limits} of their stage.
+ * 3. Runs every {@link Whirl.Game.PhysicsManager#addCollider|collider}, separating colliding bodies and emitting `collide` and `overlap` events on the entities involved.
+ *
+ * Bodies only collide with other bodies when asked to by a collider or by the `collide` method. Collisions between bodies are resolved along the axis of least penetration for rectangles, and along the line between their centers for circles.
+ *
+ * @class PhysicsManager
+ * @memberof Whirl.Game
+ *
+ * @example
+ * const game = Whirl.createGame({
+ * 	"physics gravityY": 900,
+ * });
+ *
+ * const ground = game.Sprite({y: 400, w: 640, h: 80, body: {immovable: true, allowGravity: false}});
+ * const player = game.Sprite({x: 100, y: 100, w: 32, h: 48, body: true});
+ *
+ * game.physics.addCollider(player, ground);
+ *
+ * player.event.on("collide", ({other}) => {
+ * 	if (other === ground) {
+ * 		console.log("Landed!");
+ * 	}
+ * });
+ */
+class PhysicsManager extends Manager {
+	/**
+	 * Colliders that are run each simulation step.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.PhysicsManager#
+	 * @type {Whirl.Game.PhysicsManager~Collider[]}
+	 * @readonly
+	 */
+	_colliders = [];
+
+	/**
+	 * Fires on both entities involved when two bodies collide and are separated.
+	 *
+	 * @event Whirl.Entity#collide
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object This entity.
+	 * @property {Whirl.Entity} other The entity this entity collided with.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires on both entities involved when two bodies are checked for overlap and are found to overlap.
+	 *
+	 * @event Whirl.Entity#overlap
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object This entity.
+	 * @property {Whirl.Entity} other The entity this entity overlaps.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires on an entity when its body is stopped by the limits of its stage.
+	 *
+	 * @event Whirl.Entity#worldBounds
+	 * @type {object}
+	 *
+	 * @property {Whirl.Entity} object This entity.
+	 * @property {boolean} up Body was stopped by the top of the world.
+	 * @property {boolean} down Body was stopped by the bottom of the world.
+	 * @property {boolean} left Body was stopped by the left of the world.
+	 * @property {boolean} right Body was stopped by the right of the world.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * @typedef {object} Whirl.Game.PhysicsManager~Collider
+	 *
+	 * @property {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} a First object or group.
+	 * @property {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>|null} b Second object or group. If `null`, every body in the first group is checked against every other body in the first group.
+	 * @property {boolean} overlapOnly Only check for overlaps without separating bodies.
+	 * @property {function|null} callback Invoked with both entities each time they collide or overlap.
+	 * @property {boolean} active Flag indicating whether the collider is run or not.
+	 */
+
+	constructor(game) {
+		super(game);
+	}
+
+	/**
+	 * Add a collider that checks two objects or groups for collisions every simulation step.
+	 *
+	 * Groups are given as a {@link Whirl.Container|Container}, whose descendants with bodies are checked, or as an array of entities and containers.
+	 *
+	 * @method Whirl.Game.PhysicsManager#addCollider
+	 *
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} a First object or group.
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} [b] Second object or group. If not given, every body in the first group is checked against every other body in the first group.
+	 * @param {object} [options] Optional presets of the collider.
+	 * @param {boolean} [options.overlapOnly=false] Only check for overlaps without separating bodies.
+	 * @param {function} [options.callback] Invoked with both entities each time they collide or overlap.
+	 * @returns {Whirl.Game.PhysicsManager~Collider} The created collider.
+	 *
+	 * @example
+	 * game.physics.addCollider(player, platforms);
+	 * game.physics.addCollider(player, coins, {
+	 * 	overlapOnly: true,
+	 * 	callback: (player, coin) => coin.destroy(),
+	 * });
+	 */
+	addCollider(a, b = null, options = {}) {
+		const collider = {
+			a,
+			b,
+			overlapOnly: Boolean(options.overlapOnly),
+			callback: options.callback || null,
+			active: true,
+		};
+
+		this._colliders.push(collider);
+
+		return collider;
+	}
+
+	/**
+	 * Remove a collider so that it is no longer run.
+	 *
+	 * @method Whirl.Game.PhysicsManager#removeCollider
+	 *
+	 * @param {Whirl.Game.PhysicsManager~Collider} collider Collider to remove.
+	 * @returns {Whirl.Game} Game instance the PhysicsManager belongs to.
+	 */
+	removeCollider(collider) {
+		this._colliders = this._colliders.filter((item) => item !== collider);
+
+		return this.game;
+	}
+
+	/**
+	 * Immediately check two objects or groups for collisions, separating any colliding bodies.
+	 *
+	 * @method Whirl.Game.PhysicsManager#collide
+	 *
+	 * @emits Whirl.Entity#collide
+	 *
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} a First object or group.
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} [b] Second object or group. If not given, the first group is checked against itself.
+	 * @param {function} [callback] Invoked with both entities each time they collide.
+	 * @returns {boolean} `true` if any bodies collided.
+	 */
+	collide(a, b = null, callback = null) {
+		return this._checkNow(a, b, false, callback);
+	}
+
+	/**
+	 * Immediately check two objects or groups for overlaps without separating them.
+	 *
+	 * @method Whirl.Game.PhysicsManager#overlap
+	 *
+	 * @emits Whirl.Entity#overlap
+	 *
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} a First object or group.
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} [b] Second object or group. If not given, the first group is checked against itself.
+	 * @param {function} [callback] Invoked with both entities each time they overlap.
+	 * @returns {boolean} `true` if any bodies overlap.
+	 *
+	 * @example
+	 * if (game.physics.overlap(player, goal)) {
+	 * 	nextLevel();
+	 * }
+	 */
+	overlap(a, b = null, callback = null) {
+		return this._checkNow(a, b, true, callback);
+	}
+
+	/**
+	 * Run one simulation step of physics for every stage.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.UpdateManager|UpdateManager} each simulation step, after the game world has been updated.
+	 *
+	 * Each body is moved by the step time scaled by the {@link Whirl.Stage#timeScale|time scale} of its stage and of every {@link Whirl.Container#timeScale|Container} it is inside of, the same as the entity itself is {@link Whirl.Stage#updateChildren|updated}. Bodies whose time is scaled to zero are left where they are.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_update
+	 *
+	 * @param {number} dt Time in milliseconds that this step simulates, after pausing and time scaling have been applied.
+	 */
+	_update(dt) {
+		const {config} = this.game;
+		const step = this.game.update.stepCount;
+		const gravityX = config.get("physics gravityX");
+		const gravityY = config.get("physics gravityY");
+		const bodies = [];
+
+		const stages = this.game.object._stages;
+		for (let i = 0; i < stages.length; i++) {
+			const stage = stages[i];
+
+			if (!stage.active || stage.timeScale === 0) {
+				continue;
+			}
+
+			const timeScales = [];
+
+			this._collect(stage.container, [], timeScales, stage.timeScale).forEach((body, j) => {
+				const seconds = (dt * timeScales[j]) / 1000;
+
+				if (seconds === 0 || !body._sync()) {
+					return;
+				}
+
+				body._stage = stage;
+				body._step = step;
+				body._reset();
+
+				this._integrate(body, seconds, gravityX, gravityY);
+
+				if (body.collideWorldBounds) {
+					this._collideWorldBounds(body, stage.limits);
+				}
+
+				bodies.push(body);
+			});
+		}
+
+		for (let i = 0; i < this._colliders.length; i++) {
+			const collider = this._colliders[i];
+
+			if (collider.active) {
+				this._check(
+					collider.a,
+					collider.b,
+					collider.overlapOnly,
+					collider.callback,
+					(body) => body._step === step
+				);
+			}
+		}
+
+		for (let i = 0; i < bodies.length; i++) {
+			bodies[i]._apply();
+		}
+	}
+
+	/**
+	 * Collect the enabled bodies of all active entities in a tree of objects.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_collect
+	 *
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} object Object, group or array of objects and groups.
+	 * @param {Whirl.Body[]} [bodies=[]] Array to add the bodies to.
+	 * @param {number[]} [timeScales] Array to add the time scale of each body to, in the same order as the bodies. The time scale is the product of the given time scale and the time scale of every Container the body is inside of.
+	 * @param {number} [timeScale=1] Time scale that applies to the given object.
+	 * @returns {Whirl.Body[]}
+	 */
+	_collect(object, bodies = [], timeScales = null, timeScale = 1) {
+		if (Array.isArray(object)) {
+			object.forEach((item) => this._collect(item, bodies, timeScales, timeScale));
+		} else if (object instanceof Entity && object.active) {
+			if (object instanceof Container) {
+				timeScale *= object.timeScale;
+			}
+
+			if (object.body instanceof Body && object.body.enabled) {
+				bodies.push(object.body);
+
+				if (timeScales) {
+					timeScales.push(timeScale);
+				}
+			}
+
+			if (object.child) {
+				this._collect(object.child.get(), bodies, timeScales, timeScale);
+			}
+		}
+
+		return bodies;
+	}
+
+	/**
+	 * Apply acceleration, gravity and drag to the velocity of a body and move it by its velocity.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_integrate
+	 *
+	 * @param {Whirl.Body} body Body to move.
+	 * @param {number} seconds Time in seconds to simulate.
+	 * @param {number} gravityX Horizontal world gravity.
+	 * @param {number} gravityY Vertical world gravity.
+	 */
+	_integrate(body, seconds, gravityX, gravityY) {
+		const {velocity, acceleration, drag, maxVelocity} = body;
+		const accelerationX = acceleration.x + (body.allowGravity ? gravityX + body.gravity.x : 0);
+		const accelerationY = acceleration.y + (body.allowGravity ? gravityY + body.gravity.y : 0);
+
+		velocity.x = this._applyDrag(
+			velocity.x + accelerationX * seconds,
+			acceleration.x,
+			drag.x * seconds
+		);
+		velocity.y = this._applyDrag(
+			velocity.y + accelerationY * seconds,
+			acceleration.y,
+			drag.y * seconds
+		);
+
+		velocity.x = clamp(velocity.x, -maxVelocity.x, maxVelocity.x);
+		velocity.y = clamp(velocity.y, -maxVelocity.y, maxVelocity.y);
+
+		body.bounds.x += velocity.x * seconds;
+		body.bounds.y += velocity.y * seconds;
+	}
+
+	/**
+	 * Reduce a velocity toward zero by the given amount of drag, if there is no acceleration.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_applyDrag
+	 *
+	 * @param {number} velocity Velocity on a single axis.
+	 * @param {number} acceleration Acceleration on the same axis.
+	 * @param {number} drag Amount to reduce the velocity by.
+	 * @returns {number} The new velocity.
+	 */
+	_applyDrag(velocity, acceleration, drag) {
+		if (acceleration !== 0 || drag === 0) {
+			return velocity;
+		}
+
+		if (Math.abs(velocity) <= drag) {
+			return 0;
+		}
+
+		return velocity - Math.sign(velocity) * drag;
+	}
+
+	/**
+	 * Keep a body inside of the limits of its stage, bouncing it off of the edges it hits.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_collideWorldBounds
+	 *
+	 * @emits Whirl.Entity#worldBounds
+	 *
+	 * @param {Whirl.Body} body Body to keep inside.
+	 * @param {Whirl.geometry.Rectangle} limits Limits of the stage.
+	 */
+	_collideWorldBounds(body, limits) {
+		const {bounds, velocity, blocked} = body;
+
+		if (bounds.x < limits.x) {
+			bounds.x = limits.x;
+			velocity.x = Math.abs(velocity.x) * body.bounce.x;
+			blocked.left = true;
+		} else if (bounds.x + bounds.w > limits.x + limits.w) {
+			bounds.x = limits.x + limits.w - bounds.w;
+			velocity.x = -Math.abs(velocity.x) * body.bounce.x;
+			blocked.right = true;
+		}
+
+		if (bounds.y < limits.y) {
+			bounds.y = limits.y;
+			velocity.y = Math.abs(velocity.y) * body.bounce.y;
+			blocked.up = true;
+		} else if (bounds.y + bounds.h > limits.y + limits.h) {
+			bounds.y = limits.y + limits.h - bounds.h;
+			velocity.y = -Math.abs(velocity.y) * body.bounce.y;
+			blocked.down = true;
+		}
+
+		if (blocked.up || blocked.down || blocked.left || blocked.right) {
+			body.entity.event.emit("worldBounds", {
+				object: body.entity,
+				...blocked,
+				game: this.game,
+			});
+		}
+	}
+
+	/**
+	 * Sync the bodies of two objects or groups with their entities, check them against each other and move their entities by the result.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_checkNow
+	 *
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} a First object or group.
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>|null} b Second object or group.
+	 * @param {boolean} overlapOnly Only check for overlaps without separating bodies.
+	 * @param {function|null} callback Invoked with both entities each time they collide or overlap.
+	 * @returns {boolean} `true` if any bodies collided or overlap.
+	 */
+	_checkNow(a, b, overlapOnly, callback) {
+		const bodies = this._collect(b === null ? a : [a, b]).filter((body) => body._sync());
+
+		const result = this._check(a, b, overlapOnly, callback, (body) => bodies.includes(body));
+
+		if (!overlapOnly) {
+			bodies.forEach((body) => body._apply());
+		}
+
+		return result;
+	}
+
+	/**
+	 * Check two objects or groups against each other.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_check
+	 *
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>} a First object or group.
+	 * @param {Whirl.Entity|Whirl.Container|Array<Whirl.Entity|Whirl.Container>|null} b Second object or group, or `null` to check the first group against itself.
+	 * @param {boolean} overlapOnly Only check for overlaps without separating bodies.
+	 * @param {function|null} callback Invoked with both entities each time they collide or overlap.
+	 * @param {function} filter Returns `true` for bodies that are ready to be checked.
+	 * @returns {boolean} `true` if any bodies collided or overlap.
+	 */
+	_check(a, b, overlapOnly, callback, filter) {
+		const groupA = this._collect(a).filter(filter);
+		const groupB = b === null ? groupA : this._collect(b).filter(filter);
+		let result = false;
+
+		for (let i = 0; i < groupA.length; i++) {
+			for (let j = b === null ? i + 1 : 0; j < groupB.length; j++) {
+				const bodyA = groupA[i];
+				const bodyB = groupB[j];
+
+				if (bodyA === bodyB || bodyA._stage !== bodyB._stage) {
+					continue;
+				}
+
+				const contact = this._getContact(bodyA, bodyB);
+
+				if (!contact) {
+					continue;
+				}
+
+				result = true;
+
+				if (!overlapOnly) {
+					this._separate(bodyA, bodyB, contact);
+				}
+
+				const name = overlapOnly ? "overlap" : "collide";
+
+				bodyA.entity.event.emit(name, {
+					object: bodyA.entity,
+					other: bodyB.entity,
+					game: this.game,
+				});
+				bodyB.entity.event.emit(name, {
+					object: bodyB.entity,
+					other: bodyA.entity,
+					game: this.game,
+				});
+
+				if (callback) {
+					callback(bodyA.entity, bodyB.entity);
+				}
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Find the contact normal and penetration depth between two overlapping bodies.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_getContact
+	 *
+	 * @param {Whirl.Body} a First body.
+	 * @param {Whirl.Body} b Second body.
+	 * @returns {{x: number, y: number, depth: number}|null} Unit normal pointing from the first body to the second body and the depth to separate them by, or `null` if the bodies do not overlap.
+	 */
+	_getContact(a, b) {
+		if (a.isCircle && b.isCircle) {
+			const dx = b.bounds.x + b.radius - (a.bounds.x + a.radius);
+			const dy = b.bounds.y + b.radius - (a.bounds.y + a.radius);
+			const distance = Math.sqrt(dx * dx + dy * dy);
+			const depth = a.radius + b.radius - distance;
+
+			if (depth <= 0) {
+				return null;
+			}
+
+			// Push concentric circles apart vertically
+			return distance === 0 ? {x: 0, y: 1, depth} : {x: dx / distance, y: dy / distance, depth};
+		}
+
+		if (a.isCircle || b.isCircle) {
+			const circle = a.isCircle ? a : b;
+			const rectangle = a.isCircle ? b : a;
+			const centerX = circle.bounds.x + circle.radius;
+			const centerY = circle.bounds.y + circle.radius;
+			const {bounds} = rectangle;
+			const dx = clamp(centerX, bounds.x, bounds.x + bounds.w) - centerX;
+			const dy = clamp(centerY, bounds.y, bounds.y + bounds.h) - centerY;
+			const distance = Math.sqrt(dx * dx + dy * dy);
+
+			// Circles with their center inside of the rectangle are treated as their bounding box
+			if (distance !== 0) {
+				const depth = circle.radius - distance;
+
+				if (depth <= 0) {
+					return null;
+				}
+
+				const sign = a.isCircle ? 1 : -1;
+
+				return {x: (dx / distance) * sign, y: (dy / distance) * sign, depth};
+			}
+		}
+
+		const overlapX = Math.min(
+			a.bounds.x + a.bounds.w - b.bounds.x,
+			b.bounds.x + b.bounds.w - a.bounds.x
+		);
+		const overlapY = Math.min(
+			a.bounds.y + a.bounds.h - b.bounds.y,
+			b.bounds.y + b.bounds.h - a.bounds.y
+		);
+
+		if (overlapX <= 0 || overlapY <= 0) {
+			return null;
+		}
+
+		if (overlapX < overlapY) {
+			const right = a.bounds.x + a.bounds.w / 2 <= b.bounds.x + b.bounds.w / 2;
+
+			return {x: right ? 1 : -1, y: 0, depth: overlapX};
+		}
+
+		const down = a.bounds.y + a.bounds.h / 2 <= b.bounds.y + b.bounds.h / 2;
+
+		return {x: 0, y: down ? 1 : -1, depth: overlapY};
+	}
+
+	/**
+	 * Push two colliding bodies apart along the contact normal and exchange momentum between them.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.PhysicsManager#_separate
+	 *
+	 * @param {Whirl.Body} a First body.
+	 * @param {Whirl.Body} b Second body.
+	 * @param {{x: number, y: number, depth: number}} contact Contact between the bodies.
+	 */
+	_separate(a, b, contact) {
+		const {x: nx, y: ny, depth} = contact;
+
+		if (Math.abs(nx) >= Math.abs(ny)) {
+			a.touching[nx > 0 ? "right" : "left"] = true;
+			b.touching[nx > 0 ? "left" : "right"] = true;
+		} else {
+			a.touching[ny > 0 ? "down" : "up"] = true;
+			b.touching[ny > 0 ? "up" : "down"] = true;
+		}
+
+		const inverseA = a.immovable ? 0 : 1 / a.mass;
+		const inverseB = b.immovable ? 0 : 1 / b.mass;
+		const inverseTotal = inverseA + inverseB;
+
+		if (inverseTotal === 0) {
+			return;
+		}
+
+		a.bounds.x -= nx * depth * (inverseA / inverseTotal);
+		a.bounds.y -= ny * depth * (inverseA / inverseTotal);
+		b.bounds.x += nx * depth * (inverseB / inverseTotal);
+		b.bounds.y += ny * depth * (inverseB / inverseTotal);
+
+		// Only exchange momentum if the bodies are moving toward each other
+		const approach = (b.velocity.x - a.velocity.x) * nx + (b.velocity.y - a.velocity.y) * ny;
+
+		if (approach >= 0) {
+			return;
+		}
+
+		const bounce =
+			Math.abs(nx) * Math.max(a.bounce.x, b.bounce.x) +
+			Math.abs(ny) * Math.max(a.bounce.y, b.bounce.y);
+		const impulse = (-(1 + bounce) * approach) / inverseTotal;
+
+		a.velocity.x -= impulse * inverseA * nx;
+		a.velocity.y -= impulse * inverseA * ny;
+		b.velocity.x += impulse * inverseB * nx;
+		b.velocity.y += impulse * inverseB * ny;
+	}
+}
+
+export default PhysicsManager;
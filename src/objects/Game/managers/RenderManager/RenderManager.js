@@ -1,6 +1,9 @@
 import Manager from "../Manager";
 import {Renderer, CanvasRenderer} from "~/render";
 import Sprite from "~/objects/Sprite";
+import Text from "~/objects/Text";
+import BitmapText from "~/objects/BitmapText";
+import Graphics from "~/objects/Graphics";
 
 /**
  * @classdesc
@@ -26,6 +29,17 @@ class RenderManager extends Manager {
 	 */
 	renderer = null;
 
+	/**
+	 * Total number of Sprites that were drawn and culled across every Viewport in the last rendered frame.
+	 *
+	 * See {@link Whirl.Viewport#stats|Viewport#stats} for the numbers of each individual Viewport.
+	 *
+	 * @memberof Whirl.Game.RenderManager#
+	 * @type {{drawn: number, culled: number}}
+	 * @readonly
+	 */
+	stats = {drawn: 0, culled: 0};
+
 	/**
 	 * Fires after the update loop has completed but before any rendering has taken place.
 	 *
@@ -77,8 +91,14 @@ class RenderManager extends Manager {
 
 		this.renderer.preRenderAll(viewports);
 
+		this.stats.drawn = 0;
+		this.stats.culled = 0;
+
 		for (let i = 0; i < viewports.length; i++) {
 			this._Viewport(viewports[i]);
+
+			this.stats.drawn += viewports[i].stats.drawn;
+			this.stats.culled += viewports[i].stats.culled;
 		}
 
 		this.renderer.postRenderAll(viewports);
@@ -89,6 +109,8 @@ class RenderManager extends Manager {
 	/**
 	 * Render a single Viewport.
 	 *
+	 * Sprites whose bounding box is wholly outside of the visible area of the game world are skipped if the Viewport has {@link Whirl.Viewport#cull|culling} enabled.
+	 *
 	 * @ignore
 	 * @method Whirl.Game.RenderManager#_Viewport
 	 *
@@ -96,15 +118,49 @@ class RenderManager extends Manager {
 	 */
 	_Viewport(viewport) {
 		const renderables = viewport.getRenderables();
+		const {alpha} = this.game.update;
+		const {stage, stats} = viewport;
+
+		stats.drawn = 0;
+		stats.culled = 0;
+
+		// Sprites skipped by the spatial index never reach the renderables list
+		if (stage && stage.index && viewport.cull) {
+			stats.culled = stage.index.size - renderables.length;
+		}
 
 		this.renderer.preRenderViewport(viewport);
 
 		for (let i = 0; i < renderables.length; i++) {
-			if (renderables[i] instanceof Sprite) {
-				this.renderer.Sprite(viewport, renderables[i]);
+			const sprite = renderables[i];
+
+			if (sprite instanceof Sprite) {
+				sprite.interpolate(alpha);
+
+				if (viewport.cull && !viewport.derived.view.overlaps(sprite.derived.renderBounds)) {
+					stats.culled++;
+
+					continue;
+				}
+
+				if (sprite instanceof Text) {
+					this.renderer.Text(viewport, sprite);
+				} else if (sprite instanceof BitmapText) {
+					this.renderer.BitmapText(viewport, sprite);
+				} else if (sprite instanceof Graphics) {
+					this.renderer.Graphics(viewport, sprite);
+				} else {
+					this.renderer.Sprite(viewport, sprite);
+				}
+
+				stats.drawn++;
 			}
 		}
 
+		if (viewport.fadeAlpha > 0) {
+			this.renderer.Fade(viewport);
+		}
+
 		this.renderer.postRenderViewport(viewport);
 	}
 }
@@ -0,0 +1,731 @@
+import Manager from "../Manager";
+import Scene from "~/objects/Scene";
+import Stage from "~/objects/Stage";
+import Viewport from "~/objects/Viewport";
+import getValue from "~/lib/getValue";
+
+// Direction each slide transition moves the view in
+const slideDirections = {
+	left: [-1, 0],
+	right: [1, 0],
+	up: [0, -1],
+	down: [0, 1],
+};
+
+/**
+ * @classdesc
+ * The scene manager switches between the {@link Whirl.Scene|scenes} of a game, such as a title screen, each level and a pause menu.
+ *
+ * Scenes are registered as classes under a key and a new instance is created each time one is started. Each running scene has its own {@link Whirl.Stage|Stage} and is rendered by a {@link Whirl.Viewport|Viewport}.
+ *
+ * {@link Whirl.Game.SceneManager#start|Starting} a scene stops every running scene and renders the new one in the main viewport, optionally with a fade or slide transition. {@link Whirl.Game.SceneManager#launch|Launching} a scene stacks it on top of the running scenes in a viewport of its own, such as a pause menu over the level being played.
+ *
+ * Transitions are animated by the {@link Whirl.Game.TweenManager|TweenManager} in real time, so they play even whilst the game world is {@link Whirl.Game.UpdateManager#pause|paused}.
+ *
+ * @class SceneManager
+ * @memberof Whirl.Game
+ *
+ * @example
+ * game.scene.add("title", Title).add("level", Level).add("pause", PauseMenu);
+ *
+ * game.scene.start("title");
+ *
+ * // Later
+ * game.scene.start("level", {number: 1}, {transition: {type: "fade", duration: 800}});
+ *
+ * // Pause the level under a menu
+ * game.scene.pause("level");
+ * game.scene.launch("pause");
+ */
+class SceneManager extends Manager {
+	/**
+	 * Fires when a scene has loaded its assets and been created.
+	 *
+	 * @event Whirl.Game#sceneStart
+	 * @type {object}
+	 *
+	 * @property {Whirl.Scene} scene The started scene.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires when a scene stops, after its stage has been destroyed.
+	 *
+	 * @event Whirl.Game#sceneStop
+	 * @type {object}
+	 *
+	 * @property {Whirl.Scene} scene The stopped scene.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires when a scene is paused.
+	 *
+	 * @event Whirl.Game#scenePause
+	 * @type {object}
+	 *
+	 * @property {Whirl.Scene} scene The paused scene.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires when a scene is resumed.
+	 *
+	 * @event Whirl.Game#sceneResume
+	 * @type {object}
+	 *
+	 * @property {Whirl.Scene} scene The resumed scene.
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Presets of a transition between scenes.
+	 *
+	 * Give a string instead of an object to use the default presets of that type of transition.
+	 *
+	 * @typedef {object|string} Whirl.Game.SceneManager~Transition
+	 * @property {string} [type="fade"] Type of transition - `fade` through a colour, or `slide` the old scene off screen and the new scene on.
+	 * @property {number} [duration=500] Duration of the whole transition in milliseconds, split evenly between the old scene leaving and the new scene arriving.
+	 * @property {string|Function} [easing="quadratic.inOut"] Easing of each half of the transition. See {@link Whirl.easing}.
+	 * @property {Whirl.Colour} [colour=null] Colour to fade through. Black if not given.
+	 * @property {string} [direction="left"] Direction the view slides in - `left`, `right`, `up` or `down`.
+	 */
+
+	/**
+	 * Registered scene classes by their key.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.SceneManager#
+	 * @type {Map<string, Function>}
+	 * @readonly
+	 */
+	_classes = new Map();
+
+	/**
+	 * Running scenes in the order they were started, so that the last scene is on top.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.SceneManager#
+	 * @type {Whirl.Scene[]}
+	 * @readonly
+	 */
+	_scenes = [];
+
+	/**
+	 * Launched scenes whose viewport was created for them, and is destroyed when they stop.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.SceneManager#
+	 * @type {Set<Whirl.Scene>}
+	 * @readonly
+	 */
+	_overlays = new Set();
+
+	/**
+	 * Flag indicating whether a transition between scenes is playing or not.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.SceneManager#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	_switching = false;
+
+	constructor(game) {
+		super(game);
+	}
+
+	/**
+	 * Register a scene class under a key. Registering another class under a key that is already used replaces it for the next time the scene starts.
+	 *
+	 * @method Whirl.Game.SceneManager#add
+	 *
+	 * @param {string} key Unique key of the scene.
+	 * @param {Function} SceneClass Class extending {@link Whirl.Scene}.
+	 * @returns {this}
+	 */
+	add(key, SceneClass) {
+		if (typeof SceneClass !== "function" || !(SceneClass.prototype instanceof Scene)) {
+			this.game.debug.warn(
+				`Scene "${key}" must be a class extending Whirl.Scene.`,
+				"Whirl.Game.SceneManager"
+			);
+
+			return this;
+		}
+
+		this._classes.set(key, SceneClass);
+
+		return this;
+	}
+
+	/**
+	 * Stop a scene if it is running and unregister its class.
+	 *
+	 * @method Whirl.Game.SceneManager#remove
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {this}
+	 */
+	remove(key) {
+		if (this.get(key)) {
+			this.stop(key);
+		}
+
+		this._classes.delete(key);
+
+		return this;
+	}
+
+	/**
+	 * Determine if a scene class has been registered under a key.
+	 *
+	 * @method Whirl.Game.SceneManager#has
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return this._classes.has(key);
+	}
+
+	/**
+	 * Get a running scene, including scenes that are loading or paused.
+	 *
+	 * @method Whirl.Game.SceneManager#get
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {Whirl.Scene|null} The running scene, or `null` if it is not running.
+	 */
+	get(key) {
+		return this._scenes.find((scene) => scene.key === key) || null;
+	}
+
+	/**
+	 * Determine if a scene is running and not paused or still loading.
+	 *
+	 * @method Whirl.Game.SceneManager#isActive
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {boolean}
+	 */
+	isActive(key) {
+		const scene = this.get(key);
+
+		return !!scene && scene.status === "running";
+	}
+
+	/**
+	 * Get every running scene, including scenes that are loading or paused, from the bottom of the stack to the top.
+	 *
+	 * @method Whirl.Game.SceneManager#getRunning
+	 *
+	 * @returns {Whirl.Scene[]}
+	 */
+	getRunning() {
+		return this._scenes.slice();
+	}
+
+	/**
+	 * Stop every running scene and start a scene in the main viewport.
+	 *
+	 * The main viewport is the viewport of the bottommost running scene that was not given a viewport of its own when launched. If no scene is running, the {@link Whirl.Game.SetupManager#viewport|viewport created by setup} is used.
+	 *
+	 * With a transition, the running scenes are stopped once the main viewport has faded or slid out, and the new scene fades or slides in once it has been created. Starting another scene whilst a transition is playing is ignored. If the new scene throws an error whilst being loaded or created, with or without a transition, it is removed, the viewport is revealed again straight away and the error is logged.
+	 *
+	 * @method Whirl.Game.SceneManager#start
+	 *
+	 * @emits Whirl.Game#sceneStop
+	 * @emits Whirl.Game#sceneStart
+	 *
+	 * @param {string} key Key of the scene.
+	 * @param {object} [data={}] Data given to the `preload` and `create` hooks of the scene.
+	 * @param {object} [options] Optional presets.
+	 * @param {Whirl.Game.SceneManager~Transition} options.transition=null Transition to play between the running scenes and the new scene.
+	 * @param {Whirl.Viewport} options.viewport Viewport to render the scene in instead of the main viewport.
+	 * @param {object} options.stage Presets of the {@link Whirl.Stage|Stage} created for the scene.
+	 * @returns {Promise<Whirl.Scene|null>} Resolves with the scene once it has been created and any transition has finished, or with `null` if it could not be started or failed during the transition.
+	 *
+	 * @example
+	 * game.scene.start("level", {number: 2}, {
+	 * 	transition: {type: "slide", direction: "up", duration: 600},
+	 * });
+	 */
+	start(key, data = {}, options = {}) {
+		if (!this._classes.has(key)) {
+			this.game.debug.error(`Scene "${key}" has not been added.`, "Whirl.Game.SceneManager");
+
+			return Promise.resolve(null);
+		}
+
+		if (this._switching) {
+			this.game.debug.warn(
+				`Scene "${key}" was not started whilst another scene transition is playing.`,
+				"Whirl.Game.SceneManager"
+			);
+
+			return Promise.resolve(null);
+		}
+
+		const viewport = getValue(options, "viewport", this._getMainViewport());
+
+		if (!viewport) {
+			this.game.debug.error(
+				`Scene "${key}" was not started as there is no viewport to render it in.`,
+				"Whirl.Game.SceneManager"
+			);
+
+			return Promise.resolve(null);
+		}
+
+		const transition = this._getTransition(getValue(options, "transition", null));
+
+		const swap = () => {
+			for (let i = this._scenes.length - 1; i >= 0; i--) {
+				this._stop(this._scenes[i]);
+			}
+
+			return this._run(key, data, viewport, getValue(options, "stage", {}));
+		};
+
+		if (!transition) {
+			return swap().catch((error) => this._recover(key, viewport, error));
+		}
+
+		this._switching = true;
+
+		return this._transition(viewport, transition, "out")
+			.then(swap)
+			.then((scene) => this._transition(viewport, transition, "in").then(() => scene))
+			.then((scene) => {
+				this._switching = false;
+
+				return scene;
+			})
+			.catch((error) => {
+				this._switching = false;
+
+				return this._recover(key, viewport, error);
+			});
+	}
+
+	/**
+	 * Start a scene on top of the running scenes without stopping them.
+	 *
+	 * Unless given a viewport, the scene is rendered by a new Viewport covering the main viewport that does not {@link Whirl.Viewport#clear|clear} what is beneath it, and which is destroyed when the scene stops.
+	 *
+	 * If the scene throws an error whilst being loaded or created, it is removed and the error is logged in the same way as {@link Whirl.Game.SceneManager#start|starting a scene}.
+	 *
+	 * @method Whirl.Game.SceneManager#launch
+	 *
+	 * @emits Whirl.Game#sceneStart
+	 *
+	 * @param {string} key Key of the scene.
+	 * @param {object} [data={}] Data given to the `preload` and `create` hooks of the scene.
+	 * @param {object} [options] Optional presets.
+	 * @param {Whirl.Game.SceneManager~Transition} options.transition=null Transition to bring the scene in with.
+	 * @param {Whirl.Viewport} options.viewport Viewport to render the scene in.
+	 * @param {object} options.stage Presets of the {@link Whirl.Stage|Stage} created for the scene.
+	 * @returns {Promise<Whirl.Scene|null>} Resolves with the scene once it has been created and any transition has finished, or with `null` if it could not be launched or failed whilst being created.
+	 *
+	 * @example
+	 * game.scene.pause("level");
+	 *
+	 * game.scene.launch("pause", {}, {transition: {type: "slide", direction: "down"}});
+	 */
+	launch(key, data = {}, options = {}) {
+		if (!this._classes.has(key)) {
+			this.game.debug.error(`Scene "${key}" has not been added.`, "Whirl.Game.SceneManager");
+
+			return Promise.resolve(null);
+		}
+
+		if (this.get(key)) {
+			this.game.debug.warn(`Scene "${key}" is already running.`, "Whirl.Game.SceneManager");
+
+			return Promise.resolve(null);
+		}
+
+		let viewport = getValue(options, "viewport", null);
+		let overlay = false;
+
+		if (!viewport) {
+			const main = this._getMainViewport();
+
+			viewport = new Viewport(this.game, {
+				...(main && {x: main.bounds.x, y: main.bounds.y, w: main.bounds.w, h: main.bounds.h}),
+				clear: false,
+			});
+			overlay = true;
+		}
+
+		const transition = this._getTransition(getValue(options, "transition", null));
+
+		return this._run(key, data, viewport, getValue(options, "stage", {}), overlay)
+			.then((scene) => this._transition(viewport, transition, "in").then(() => scene))
+			.catch((error) => this._recover(key, viewport, error));
+	}
+
+	/**
+	 * Stop a running scene, calling its `shutdown` hook and destroying its stage.
+	 *
+	 * @method Whirl.Game.SceneManager#stop
+	 *
+	 * @emits Whirl.Game#sceneStop
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {this}
+	 */
+	stop(key) {
+		const scene = this.get(key);
+
+		if (!scene) {
+			this.game.debug.warn(`Scene "${key}" is not running.`, "Whirl.Game.SceneManager");
+
+			return this;
+		}
+
+		this._stop(scene);
+
+		return this;
+	}
+
+	/**
+	 * Pause a running scene. The stage of a paused scene is still rendered, but it is not updated, does not run physics and does not receive pointer input.
+	 *
+	 * @method Whirl.Game.SceneManager#pause
+	 *
+	 * @emits Whirl.Game#scenePause
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {this}
+	 */
+	pause(key) {
+		const scene = this.get(key);
+
+		if (!scene || scene.status !== "running") {
+			return this;
+		}
+
+		scene.status = "paused";
+		scene.stage.active = false;
+
+		scene.pause();
+
+		this.game.event.emit("scenePause", {
+			scene,
+			game: this.game,
+		});
+
+		return this;
+	}
+
+	/**
+	 * Resume a paused scene.
+	 *
+	 * @method Whirl.Game.SceneManager#resume
+	 *
+	 * @emits Whirl.Game#sceneResume
+	 *
+	 * @param {string} key Key of the scene.
+	 * @returns {this}
+	 */
+	resume(key) {
+		const scene = this.get(key);
+
+		if (!scene || scene.status !== "paused") {
+			return this;
+		}
+
+		scene.status = "running";
+		scene.stage.active = true;
+
+		scene.resume();
+
+		this.game.event.emit("sceneResume", {
+			scene,
+			game: this.game,
+		});
+
+		return this;
+	}
+
+	/**
+	 * Call the `update` hook of every running scene whose stage is active.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_update
+	 *
+	 * @param {number} deltaTime Time in milliseconds since the last step, scaled by the global time scale.
+	 */
+	_update(deltaTime) {
+		// Copied as scenes may start or stop others whilst updating
+		const scenes = this._scenes.slice();
+
+		for (let i = 0; i < scenes.length; i++) {
+			const scene = scenes[i];
+
+			if (scene.status === "running" && scene.stage.active) {
+				scene.update(deltaTime * scene.stage.timeScale);
+			}
+		}
+	}
+
+	/**
+	 * Create an instance of a scene with a new stage, load its assets and create it.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_run
+	 *
+	 * @emits Whirl.Game#sceneStart
+	 *
+	 * @param {string} key Key of the scene.
+	 * @param {object} data Data given to the `preload` and `create` hooks of the scene.
+	 * @param {Whirl.Viewport} viewport Viewport to render the scene in.
+	 * @param {object} stageOptions Presets of the stage of the scene.
+	 * @param {boolean} [overlay=false] Destroy the viewport when the scene stops.
+	 * @returns {Promise<Whirl.Scene>} Resolves with the scene once it has been created, or rejects with the error thrown whilst loading or creating it once the scene has been removed.
+	 */
+	_run(key, data, viewport, stageOptions, overlay = false) {
+		const SceneClass = this._classes.get(key);
+		const scene = new SceneClass(this.game, key);
+
+		scene.stage = new Stage(this.game, stageOptions);
+		scene.viewport = viewport;
+		scene.status = "loading";
+
+		viewport.setStage(scene.stage);
+
+		this._scenes.push(scene);
+
+		if (overlay) {
+			this._overlays.add(scene);
+		}
+
+		let created;
+
+		// Scenes without assets to load are created straight away
+		try {
+			scene.preload(data);
+
+			created = this.game.asset.hasQueued()
+				? this.game.asset.load().then(() => this._create(scene, data))
+				: Promise.resolve(this._create(scene, data));
+		} catch (error) {
+			created = Promise.reject(error);
+		}
+
+		return created.catch((error) => {
+			this._remove(scene);
+
+			throw error;
+		});
+	}
+
+	/**
+	 * Create a scene once its assets have loaded, unless it was stopped whilst loading. The scene is only marked as running once its `create` hook has returned.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_create
+	 *
+	 * @emits Whirl.Game#sceneStart
+	 *
+	 * @param {Whirl.Scene} scene Scene to create.
+	 * @param {object} data Data given to the `create` hook of the scene.
+	 * @returns {Whirl.Scene} The given scene.
+	 */
+	_create(scene, data) {
+		if (scene.status !== "loading") {
+			return scene;
+		}
+
+		scene.create(data);
+
+		// The scene may have stopped itself whilst being created
+		if (scene.status !== "loading") {
+			return scene;
+		}
+
+		scene.status = "running";
+
+		this.game.event.emit("sceneStart", {
+			scene,
+			game: this.game,
+		});
+
+		return scene;
+	}
+
+	/**
+	 * Shut down a running scene and destroy its stage, along with its viewport if it was created for it.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_stop
+	 *
+	 * @emits Whirl.Game#sceneStop
+	 *
+	 * @param {Whirl.Scene} scene Scene to stop.
+	 */
+	_stop(scene) {
+		scene.shutdown();
+
+		this._remove(scene);
+
+		this.game.event.emit("sceneStop", {
+			scene,
+			game: this.game,
+		});
+	}
+
+	/**
+	 * Remove a scene from the running scenes and destroy its stage, along with its viewport if it was created for it.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_remove
+	 *
+	 * @param {Whirl.Scene} scene Scene to remove.
+	 */
+	_remove(scene) {
+		scene.status = "stopped";
+
+		this._scenes = this._scenes.filter((item) => item !== scene);
+
+		scene.stage.destroy();
+
+		if (this._overlays.has(scene)) {
+			this._overlays.delete(scene);
+
+			scene.viewport.destroy();
+		}
+	}
+
+	/**
+	 * Reveal a viewport straight away and log the error of a scene that failed to start in it.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_recover
+	 *
+	 * @param {string} key Key of the scene that failed.
+	 * @param {Whirl.Viewport} viewport Viewport the scene was started in.
+	 * @param {Error} error Error thrown by the scene.
+	 * @returns {null}
+	 */
+	_recover(key, viewport, error) {
+		this.game.tween.stop(viewport);
+		viewport.fadeAlpha = 0;
+		viewport.shift.set({x: 0, y: 0});
+
+		this.game.debug.error(
+			`Scene "${key}" failed to start - ${error.message}`,
+			"Whirl.Game.SceneManager"
+		);
+
+		return null;
+	}
+
+	/**
+	 * Find the viewport new scenes are started in.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_getMainViewport
+	 *
+	 * @returns {Whirl.Viewport|null}
+	 */
+	_getMainViewport() {
+		const scene = this._scenes.find((item) => !this._overlays.has(item));
+
+		if (scene) {
+			return scene.viewport;
+		}
+
+		return this.game.setup.viewport || this.game.object._viewports[0] || null;
+	}
+
+	/**
+	 * Fill in the default presets of a transition.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_getTransition
+	 *
+	 * @param {Whirl.Game.SceneManager~Transition|null} transition Transition presets.
+	 * @returns {object|null} Complete transition presets, or `null` for no transition.
+	 */
+	_getTransition(transition) {
+		if (!transition) {
+			return null;
+		}
+
+		if (typeof transition === "string") {
+			transition = {type: transition};
+		}
+
+		const type = getValue(transition, "type", "fade");
+
+		if (type !== "fade" && type !== "slide") {
+			this.game.debug.warn(
+				`Unknown scene transition "${type}" - no transition is played.`,
+				"Whirl.Game.SceneManager"
+			);
+
+			return null;
+		}
+
+		return {
+			type,
+			duration: getValue(transition, "duration", 500),
+			easing: getValue(transition, "easing", "quadratic.inOut"),
+			colour: getValue(transition, "colour", null),
+			direction: getValue(transition, "direction", "left"),
+		};
+	}
+
+	/**
+	 * Play one half of a transition on a viewport.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.SceneManager#_transition
+	 *
+	 * @param {Whirl.Viewport} viewport Viewport to transition.
+	 * @param {object|null} transition Complete transition presets.
+	 * @param {string} phase `out` to hide the viewport, or `in` to reveal it.
+	 * @returns {Promise} Resolves once the transition has finished.
+	 */
+	_transition(viewport, transition, phase) {
+		if (!transition) {
+			return Promise.resolve();
+		}
+
+		const options = {
+			duration: transition.duration / 2,
+			easing: transition.easing,
+			realTime: true,
+		};
+
+		if (transition.type === "fade") {
+			viewport.fadeColour = transition.colour;
+
+			if (phase === "in") {
+				viewport.fadeAlpha = 1;
+			}
+
+			return Promise.resolve(
+				this.game.tween.to(viewport, {fadeAlpha: phase === "out" ? 1 : 0}, options)
+			);
+		}
+
+		const [x, y] = slideDirections[transition.direction] || slideDirections.left;
+		const {w, h} = viewport.bounds;
+
+		if (phase === "in") {
+			viewport.shift.set({x: -x * w, y: -y * h});
+
+			return Promise.resolve(this.game.tween.to(viewport, {"shift.x": 0, "shift.y": 0}, options));
+		}
+
+		return Promise.resolve(
+			this.game.tween.to(viewport, {"shift.x": x * w, "shift.y": y * h}, options)
+		);
+	}
+}
+
+export default SceneManager;
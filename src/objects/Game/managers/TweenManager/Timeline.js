@@ -0,0 +1,259 @@
+import Tween from "./Tween";
+import getValue from "~/lib/getValue";
+import {apply as mixin} from "~/mixins/Mixin";
+import Event from "~/mixins/EventMixin";
+
+/**
+ * @classdesc
+ * A timeline sequences a group of tweens so that each one begins after the previous one has finished, unless given an explicit position.
+ *
+ * Like tweens, timelines are [thenable](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise#thenables) and can be awaited to wait for every tween in them to finish, either by playing through to their end or by being stopped.
+ *
+ * Timelines are typically created with the {@link Whirl.Game.TweenManager#timeline|TweenManager timeline method} rather than instantiated directly.
+ *
+ * @class Timeline
+ * @memberof Whirl.Game.TweenManager
+ *
+ * @param {Whirl.Game} game Game instance this timeline belongs to.
+ *
+ * @example
+ * await game.tween
+ * 	.timeline()
+ * 	.to(sprite, {"bounds.y": 100}, {duration: 300})
+ * 	.wait(200)
+ * 	.to(sprite, {alpha: 0}, {duration: 500})
+ * 	.to(viewport, {zoom: 2}, {duration: 500, offset: -500})
+ * 	.start();
+ */
+class Timeline {
+	mixins = [Event];
+
+	/**
+	 * Game instance this timeline belongs to.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Timeline#
+	 * @type {Whirl.Game}
+	 * @readonly
+	 */
+	game;
+
+	/**
+	 * Tweens in this timeline, in the order they were added.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Timeline#
+	 * @type {Whirl.Game.TweenManager.Tween[]}
+	 * @readonly
+	 */
+	tweens = [];
+
+	/**
+	 * Time in milliseconds from the start of the timeline at which the next tween added will begin.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Timeline#
+	 * @type {number}
+	 * @readonly
+	 */
+	cursor = 0;
+
+	/**
+	 * Flag indicating whether every tween in the last play of the timeline played through to its end.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Timeline#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	complete = false;
+
+	/**
+	 * Promise that resolves when the current play of the timeline finishes.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Timeline#
+	 * @type {Promise<Whirl.Game.TweenManager.Timeline~Result>}
+	 * @readonly
+	 */
+	_promise;
+
+	/**
+	 * Fires when every tween in the timeline has played through to its end. Does not fire if any of them were stopped.
+	 *
+	 * @event Whirl.Game.TweenManager.Timeline#didComplete
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.TweenManager.Timeline} timeline This timeline.
+	 */
+
+	constructor(game) {
+		mixin(this);
+
+		this.game = game;
+
+		this._promise = Promise.resolve({
+			timeline: this,
+			complete: false,
+		});
+	}
+
+	/**
+	 * Add a tween to the timeline that animates properties of a target to the given values.
+	 *
+	 * Accepts all options of a {@link Whirl.Game.TweenManager.Tween|Tween}, plus options to position the tween in the timeline. Any delay given is added on top of the position of the tween.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#to
+	 *
+	 * @param {object} target Object whose properties are animated.
+	 * @param {object<string, number>} props Map of property paths to the values they should be animated to.
+	 * @param {object} [options] Optional presets of the tween.
+	 * @param {number} [options.at] Time in milliseconds from the start of the timeline at which the tween begins. Defaults to the end of the previously added tween.
+	 * @param {number} [options.offset=0] Time in milliseconds to shift the beginning of the tween by relative to the end of the previously added tween. Negative values overlap the previous tween.
+	 * @returns {this}
+	 */
+	to(target, props, options = {}) {
+		const at = getValue(options, "at", this.cursor + getValue(options, "offset", 0));
+		const tween = new Tween(this.game, target, props, {
+			...options,
+			delay: Math.max(at, 0) + getValue(options, "delay", 0),
+		});
+
+		this.tweens.push(tween);
+
+		this.cursor = tween.delay + tween.duration * (tween.repeat + 1);
+
+		if (tween.repeat < 0) {
+			this.cursor = Infinity;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Add a tween to the timeline that animates properties of a target from the given values to their current values.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#from
+	 *
+	 * @param {object} target Object whose properties are animated.
+	 * @param {object<string, number>} props Map of property paths to the values they should be animated from.
+	 * @param {object} [options] Optional presets of the tween. See {@link Whirl.Game.TweenManager.Timeline#to|the to method}.
+	 * @returns {this}
+	 */
+	from(target, props, options = {}) {
+		return this.to(target, this.game.tween._readCurrent(target, props), {
+			...options,
+			from: props,
+		});
+	}
+
+	/**
+	 * Leave a gap before the next tween added to the timeline begins.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#wait
+	 *
+	 * @param {number} duration Time in milliseconds to wait.
+	 * @returns {this}
+	 */
+	wait(duration) {
+		this.cursor += duration;
+
+		return this;
+	}
+
+	/**
+	 * Start every tween in the timeline from the beginning.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#start
+	 *
+	 * @emits Whirl.Game.TweenManager.Timeline#didComplete
+	 *
+	 * @returns {this}
+	 */
+	start() {
+		this.complete = false;
+
+		this.tweens.forEach((tween) => tween.start());
+
+		const promise = Promise.all(this.tweens).then((results) => {
+			const complete = results.every((result) => result.complete);
+
+			// Ignore plays of the timeline that were superseded by restarting it
+			if (promise === this._promise) {
+				this.complete = complete;
+
+				if (complete) {
+					this.event.emit("didComplete", {
+						timeline: this,
+					});
+				}
+			}
+
+			return {
+				timeline: this,
+				complete,
+			};
+		});
+
+		this._promise = promise;
+
+		return this;
+	}
+
+	/**
+	 * Stop every tween in the timeline. Anything awaiting the timeline is resolved once every tween has stopped.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#stop
+	 *
+	 * @returns {this}
+	 */
+	stop() {
+		this.tweens.forEach((tween) => tween.stop());
+
+		return this;
+	}
+
+	/**
+	 * Pause every tween in the timeline.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#pause
+	 *
+	 * @returns {this}
+	 */
+	pause() {
+		this.tweens.forEach((tween) => tween.pause());
+
+		return this;
+	}
+
+	/**
+	 * Resume every tween in the timeline after it has been paused.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#resume
+	 *
+	 * @returns {this}
+	 */
+	resume() {
+		this.tweens.forEach((tween) => tween.resume());
+
+		return this;
+	}
+
+	/**
+	 * @typedef {object} Whirl.Game.TweenManager.Timeline~Result
+	 *
+	 * @property {Whirl.Game.TweenManager.Timeline} timeline The timeline that finished.
+	 * @property {boolean} complete `true` if every tween played through to its end, `false` if any of them were stopped.
+	 */
+
+	/**
+	 * Attach callbacks that are invoked once every tween in the timeline has completed or been stopped. Allows the timeline to be awaited.
+	 *
+	 * @method Whirl.Game.TweenManager.Timeline#then
+	 *
+	 * @param {function} [onFulfilled] Invoked with a {@link Whirl.Game.TweenManager.Timeline~Result|result object} when every tween has finished.
+	 * @param {function} [onRejected] Never invoked. Only exists to implement the Promise interface.
+	 * @returns {Promise}
+	 */
+	then(onFulfilled, onRejected) {
+		return this._promise.then(onFulfilled, onRejected);
+	}
+}
+
+export default Timeline;
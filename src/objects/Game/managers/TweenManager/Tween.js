@@ -0,0 +1,631 @@
+import * as easing from "~/easing";
+import lerp from "~/math/lerp";
+import getValue from "~/lib/getValue";
+import {apply as mixin} from "~/mixins/Mixin";
+import Event from "~/mixins/EventMixin";
+
+/**
+ * @classdesc
+ * A tween animates one or more numeric properties of a target object from their current values to given end values over a period of time.
+ *
+ * Properties are given as dot-separated paths relative to the target object, so nested properties such as `bounds.x` of a {@link Whirl.Sprite|Sprite} can be animated directly.
+ *
+ * Tweens are [thenable](https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Promise#thenables), so a started tween can be awaited to wait for it to finish.
+ *
+ * Tweens are typically created with the {@link Whirl.Game.TweenManager|TweenManager} rather than instantiated directly.
+ *
+ * @class Tween
+ * @memberof Whirl.Game.TweenManager
+ *
+ * @param {Whirl.Game} game Game instance this tween belongs to.
+ * @param {object} target Object whose properties are animated.
+ * @param {object<string, number>} props Map of property paths to the values they should be animated to.
+ * @param {object} [options] Optional presets when initialising this tween.
+ * @param {number} options.duration=1000 Time in milliseconds that a single play through of the tween takes.
+ * @param {number} options.delay=0 Time in milliseconds to wait after the tween is started before it begins animating.
+ * @param {function|string} options.easing=Whirl.easing.linear Easing function to apply, or the path of an easing function in {@link Whirl.easing} (Eg, `"quadratic.inOut"`).
+ * @param {number} options.repeat=0 Number of times to play the tween again after the first play through. Use `-1` to repeat forever.
+ * @param {boolean} options.yoyo=false Play every other repeat of the tween in reverse, from the end values back to the start values.
+ * @param {object<string, number>} options.from Map of property paths to the values they should be animated from. Properties not given default to their value at the time the tween begins animating.
+ * @param {boolean} options.realTime=false Animate in real time, ignoring {@link Whirl.Game.UpdateManager#pause|pausing} and {@link Whirl.Game.UpdateManager#timeScale|time scaling} of the game world. Useful for animating user interfaces such as pause menus.
+ *
+ * @example
+ * await game.tween.to(sprite, {"bounds.x": 400, alpha: 0}, {duration: 500, easing: "quadratic.out"});
+ */
+class Tween {
+	mixins = [Event];
+
+	/**
+	 * Game instance this tween belongs to.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {Whirl.Game}
+	 * @readonly
+	 */
+	game;
+
+	/**
+	 * Object whose properties are animated.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {object}
+	 * @readonly
+	 */
+	target;
+
+	/**
+	 * Map of property paths to the values they are animated to.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {object<string, number>}
+	 */
+	props;
+
+	/**
+	 * Time in milliseconds that a single play through of the tween takes.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {number}
+	 * @default 1000
+	 */
+	duration;
+
+	/**
+	 * Time in milliseconds to wait after the tween is started before it begins animating.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {number}
+	 * @default 0
+	 */
+	delay;
+
+	/**
+	 * Easing function applied to the progress of the tween.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {function}
+	 * @default Whirl.easing.linear
+	 */
+	easing;
+
+	/**
+	 * Number of times to play the tween again after the first play through. `-1` repeats forever.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {number}
+	 * @default 0
+	 */
+	repeat;
+
+	/**
+	 * Play every other repeat of the tween in reverse.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @default false
+	 */
+	yoyo;
+
+	/**
+	 * Animate in real time, ignoring pausing and time scaling of the game world.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @default false
+	 */
+	realTime;
+
+	/**
+	 * Flag indicating whether the tween has been started and has not yet completed or been stopped.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	playing = false;
+
+	/**
+	 * Flag indicating whether the tween is paused or not.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	paused = false;
+
+	/**
+	 * Flag indicating whether the tween has played through to its end.
+	 *
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	complete = false;
+
+	/**
+	 * Map of property paths to the values they are animated from, if given.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {object<string, number>}
+	 * @readonly
+	 */
+	_from;
+
+	/**
+	 * Resolved properties being animated, each with the object that owns the property, its key and its start and end values.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {object[]}
+	 * @readonly
+	 */
+	_values = [];
+
+	/**
+	 * Time in milliseconds since the tween was started or last repeated, including the delay.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {number}
+	 * @readonly
+	 */
+	_time = 0;
+
+	/**
+	 * Flag indicating whether the delay has passed and the start values have been read.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	_began = false;
+
+	/**
+	 * Number of repeats left to play.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {number}
+	 * @readonly
+	 */
+	_repeatsLeft = 0;
+
+	/**
+	 * Flag indicating whether the current play through is in reverse.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	_reversed = false;
+
+	/**
+	 * Tweens to start once this tween completes.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {Whirl.Game.TweenManager.Tween[]}
+	 * @readonly
+	 */
+	_chained = [];
+
+	/**
+	 * Promise that resolves when the current play of the tween finishes.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {Promise<Whirl.Game.TweenManager.Tween~Result>}
+	 * @readonly
+	 */
+	_promise;
+
+	/**
+	 * Resolve function of the current promise.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager.Tween#
+	 * @type {function}
+	 * @readonly
+	 */
+	_resolve;
+
+	/**
+	 * Fires when the tween begins animating, after its delay has passed.
+	 *
+	 * @event Whirl.Game.TweenManager.Tween#didStart
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.TweenManager.Tween} tween This tween.
+	 * @property {object} target Object whose properties are animated.
+	 */
+
+	/**
+	 * Fires each time the tween has applied new values to its target.
+	 *
+	 * @event Whirl.Game.TweenManager.Tween#didUpdate
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.TweenManager.Tween} tween This tween.
+	 * @property {object} target Object whose properties are animated.
+	 * @property {number} progress Eased progress of the current play through between `0` and `1`.
+	 */
+
+	/**
+	 * Fires each time the tween repeats.
+	 *
+	 * @event Whirl.Game.TweenManager.Tween#didRepeat
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.TweenManager.Tween} tween This tween.
+	 * @property {object} target Object whose properties are animated.
+	 * @property {number} repeatsLeft Number of repeats left to play. `-1` if the tween repeats forever.
+	 */
+
+	/**
+	 * Fires when the tween has played through to its end.
+	 *
+	 * @event Whirl.Game.TweenManager.Tween#didComplete
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.TweenManager.Tween} tween This tween.
+	 * @property {object} target Object whose properties are animated.
+	 */
+
+	/**
+	 * Fires when the tween is stopped before it completes.
+	 *
+	 * @event Whirl.Game.TweenManager.Tween#didStop
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game.TweenManager.Tween} tween This tween.
+	 * @property {object} target Object whose properties are animated.
+	 */
+
+	constructor(game, target, props, options = {}) {
+		mixin(this);
+
+		this.game = game;
+
+		this.target = target;
+
+		this.props = {...props};
+
+		this.duration = getValue(options, "duration", 1000);
+
+		this.delay = getValue(options, "delay", 0);
+
+		this.easing = this._resolveEasing(getValue(options, "easing", easing.linear));
+
+		this.repeat = getValue(options, "repeat", 0);
+
+		this.yoyo = getValue(options, "yoyo", false);
+
+		this.realTime = getValue(options, "realTime", false);
+
+		this._from = getValue(options, "from", {});
+
+		this._promise = Promise.resolve(this._result());
+	}
+
+	/**
+	 * Start the tween from the beginning, restarting it if it is already playing.
+	 *
+	 * Start values of each property are read once the delay of the tween has passed.
+	 *
+	 * @method Whirl.Game.TweenManager.Tween#start
+	 *
+	 * @returns {this}
+	 */
+	start() {
+		if (this.playing) {
+			this.game.tween._remove(this);
+		} else {
+			this._promise = new Promise((resolve) => {
+				this._resolve = resolve;
+			});
+		}
+
+		this.playing = true;
+		this.paused = false;
+		this.complete = false;
+		this._time = 0;
+		this._began = false;
+		this._repeatsLeft = this.repeat;
+		this._reversed = false;
+
+		this.game.tween._add(this);
+
+		return this;
+	}
+
+	/**
+	 * Stop the tween, leaving its properties at their current values.
+	 *
+	 * Tweens chained to this tween are not started. Anything awaiting the tween is resolved.
+	 *
+	 * @method Whirl.Game.TweenManager.Tween#stop
+	 *
+	 * @emits Whirl.Game.TweenManager.Tween#didStop
+	 *
+	 * @returns {this}
+	 */
+	stop() {
+		if (!this.playing) {
+			return this;
+		}
+
+		this.game.tween._remove(this);
+
+		this.playing = false;
+		this.paused = false;
+
+		this.event.emit("didStop", {
+			tween: this,
+			target: this.target,
+		});
+
+		this._resolve(this._result());
+
+		return this;
+	}
+
+	/**
+	 * Pause the tween at its current point.
+	 *
+	 * @method Whirl.Game.TweenManager.Tween#pause
+	 *
+	 * @returns {this}
+	 */
+	pause() {
+		if (this.playing) {
+			this.paused = true;
+		}
+
+		return this;
+	}
+
+	/**
+	 * Resume the tween after it has been paused.
+	 *
+	 * @method Whirl.Game.TweenManager.Tween#resume
+	 *
+	 * @returns {this}
+	 */
+	resume() {
+		this.paused = false;
+
+		return this;
+	}
+
+	/**
+	 * Start the given tweens once this tween completes.
+	 *
+	 * @method Whirl.Game.TweenManager.Tween#chain
+	 *
+	 * @param {...Whirl.Game.TweenManager.Tween} tweens Tweens to start.
+	 * @returns {this}
+	 *
+	 * @example
+	 * const moveUp = game.tween.create(sprite, {"bounds.y": 100});
+	 * const fadeOut = game.tween.create(sprite, {alpha: 0});
+	 *
+	 * moveUp.chain(fadeOut).start();
+	 */
+	chain(...tweens) {
+		this._chained.push(...tweens);
+
+		return this;
+	}
+
+	/**
+	 * @typedef {object} Whirl.Game.TweenManager.Tween~Result
+	 *
+	 * @property {Whirl.Game.TweenManager.Tween} tween The tween that finished.
+	 * @property {boolean} complete `true` if the tween played through to its end, `false` if it was stopped.
+	 */
+
+	/**
+	 * Attach callbacks that are invoked once the current play of the tween completes or is stopped. Allows the tween to be awaited.
+	 *
+	 * If the tween is not playing, the callbacks are invoked on the next microtask.
+	 *
+	 * @method Whirl.Game.TweenManager.Tween#then
+	 *
+	 * @param {function} [onFulfilled] Invoked with a {@link Whirl.Game.TweenManager.Tween~Result|result object} when the tween finishes.
+	 * @param {function} [onRejected] Never invoked. Only exists to implement the Promise interface.
+	 * @returns {Promise}
+	 *
+	 * @example
+	 * game.tween.to(sprite, {alpha: 0}).then(({complete}) => complete && sprite.destroy());
+	 */
+	then(onFulfilled, onRejected) {
+		return this._promise.then(onFulfilled, onRejected);
+	}
+
+	/**
+	 * Advance the tween by the given time delta and apply the new values to the target.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager.Tween#_update
+	 *
+	 * @emits Whirl.Game.TweenManager.Tween#didStart
+	 * @emits Whirl.Game.TweenManager.Tween#didUpdate
+	 * @emits Whirl.Game.TweenManager.Tween#didRepeat
+	 * @emits Whirl.Game.TweenManager.Tween#didComplete
+	 *
+	 * @param {number} dt Time in milliseconds to advance the tween by.
+	 */
+	_update(dt) {
+		if (!this.playing || this.paused) {
+			return;
+		}
+
+		this._time += dt;
+
+		if (this._time < this.delay) {
+			return;
+		}
+
+		if (!this._began) {
+			this._began = true;
+
+			this._readValues();
+
+			this.event.emit("didStart", {
+				tween: this,
+				target: this.target,
+			});
+		}
+
+		const elapsed = this._time - this.delay;
+		const through = this.duration > 0 ? Math.min(elapsed / this.duration, 1) : 1;
+
+		this._apply(this._reversed ? 1 - through : through);
+
+		if (through < 1) {
+			return;
+		}
+
+		if (this._repeatsLeft !== 0) {
+			if (this._repeatsLeft > 0) {
+				this._repeatsLeft--;
+			}
+
+			if (this.yoyo) {
+				this._reversed = !this._reversed;
+			}
+
+			// Carry time over into the next play through, skipping the delay
+			this._time = this.delay + Math.min(elapsed - this.duration, this.duration);
+
+			this.event.emit("didRepeat", {
+				tween: this,
+				target: this.target,
+				repeatsLeft: this._repeatsLeft,
+			});
+
+			return;
+		}
+
+		this.game.tween._remove(this);
+
+		this.playing = false;
+		this.complete = true;
+
+		this.event.emit("didComplete", {
+			tween: this,
+			target: this.target,
+		});
+
+		this._resolve(this._result());
+
+		this._chained.forEach((tween) => tween.start());
+	}
+
+	/**
+	 * Create the result that the promise of the tween resolves with. The tween itself cannot be resolved with as it is a thenable.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager.Tween#_result
+	 *
+	 * @returns {Whirl.Game.TweenManager.Tween~Result}
+	 */
+	_result() {
+		return {
+			tween: this,
+			complete: this.complete,
+		};
+	}
+
+	/**
+	 * Resolve each property path to the object that owns it and read its start value.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager.Tween#_readValues
+	 */
+	_readValues() {
+		this._values = [];
+
+		Object.keys(this.props).forEach((path) => {
+			const keys = path.split(".");
+			const key = keys.pop();
+			const object = keys.reduce((item, k) => (item == null ? item : item[k]), this.target);
+
+			if (object == null || typeof object[key] !== "number") {
+				this.game.debug.warn(
+					`Cannot tween property "${path}" as it is not a number. Skipping.`,
+					"Whirl.Game.TweenManager.Tween"
+				);
+
+				return;
+			}
+
+			this._values.push({
+				object,
+				key,
+				start: Object.prototype.hasOwnProperty.call(this._from, path)
+					? this._from[path]
+					: object[key],
+				end: this.props[path],
+			});
+		});
+	}
+
+	/**
+	 * Set each property to its value at the given point through the tween.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager.Tween#_apply
+	 *
+	 * @emits Whirl.Game.TweenManager.Tween#didUpdate
+	 *
+	 * @param {number} through Linear progress between `0` and `1`.
+	 */
+	_apply(through) {
+		const progress = this.easing(through);
+
+		for (let i = 0; i < this._values.length; i++) {
+			const {object, key, start, end} = this._values[i];
+
+			object[key] = lerp(start, end, progress);
+		}
+
+		this.event.emit("didUpdate", {
+			tween: this,
+			target: this.target,
+			progress,
+		});
+	}
+
+	/**
+	 * Resolve an easing function from a function or a path in the easing library.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager.Tween#_resolveEasing
+	 *
+	 * @param {function|string} value Easing function or path.
+	 * @returns {function}
+	 */
+	_resolveEasing(value) {
+		const fn =
+			typeof value === "string"
+				? value.split(".").reduce((item, key) => (item ? item[key] : item), easing)
+				: value;
+
+		if (typeof fn !== "function") {
+			this.game.debug.warn(
+				`Invalid easing "${value}" given to Tween. Using linear easing instead.`,
+				"Whirl.Game.TweenManager.Tween"
+			);
+
+			return easing.linear;
+		}
+
+		return fn;
+	}
+}
+
+export default Tween;
@@ -0,0 +1,202 @@
+import Manager from "../Manager";
+import Tween from "./Tween";
+import Timeline from "./Timeline";
+
+/**
+ * @classdesc
+ * The tween manager animates numeric properties of objects over time.
+ *
+ * Any numeric property of any object can be animated by giving its dot-separated path relative to the object, such as `bounds.x` or `alpha` of a {@link Whirl.Sprite|Sprite}, or `zoom` of a {@link Whirl.Viewport|Viewport}.
+ *
+ * Tweens are advanced once per simulation step by the {@link Whirl.Game.UpdateManager|UpdateManager}, after the game world has been updated. By default they respect {@link Whirl.Game.UpdateManager#pause|pausing} and {@link Whirl.Game.UpdateManager#timeScale|time scaling} of the game world.
+ *
+ * @class TweenManager
+ * @memberof Whirl.Game
+ *
+ * @example
+ * // Slide a sprite to the right, then fade it out
+ * await game.tween.to(sprite, {"bounds.x": 400}, {duration: 500, easing: "cubic.out"});
+ * await game.tween.to(sprite, {alpha: 0}, {duration: 250});
+ *
+ * @example
+ * // Pulse forever
+ * game.tween.to(sprite, {scale: 1.2}, {duration: 400, yoyo: true, repeat: -1});
+ */
+class TweenManager extends Manager {
+	/**
+	 * Tweens that are currently playing.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Game.TweenManager#
+	 * @type {Whirl.Game.TweenManager.Tween[]}
+	 * @readonly
+	 */
+	_tweens = [];
+
+	constructor(game) {
+		super(game);
+	}
+
+	/**
+	 * Create and start a tween that animates properties of a target from their current values to the given values.
+	 *
+	 * @method Whirl.Game.TweenManager#to
+	 *
+	 * @param {object} target Object whose properties are animated.
+	 * @param {object<string, number>} props Map of property paths to the values they should be animated to.
+	 * @param {object} [options] Optional presets of the tween. See {@link Whirl.Game.TweenManager.Tween|Tween}.
+	 * @returns {Whirl.Game.TweenManager.Tween} The started tween.
+	 *
+	 * @example
+	 * game.tween.to(viewport, {zoom: 2}, {duration: 1000, easing: "quadratic.inOut"});
+	 */
+	to(target, props, options) {
+		return this.create(target, props, options).start();
+	}
+
+	/**
+	 * Create and start a tween that animates properties of a target from the given values to their current values.
+	 *
+	 * @method Whirl.Game.TweenManager#from
+	 *
+	 * @param {object} target Object whose properties are animated.
+	 * @param {object<string, number>} props Map of property paths to the values they should be animated from.
+	 * @param {object} [options] Optional presets of the tween. See {@link Whirl.Game.TweenManager.Tween|Tween}.
+	 * @returns {Whirl.Game.TweenManager.Tween} The started tween.
+	 *
+	 * @example
+	 * // Fade in
+	 * game.tween.from(sprite, {alpha: 0});
+	 */
+	from(target, props, options = {}) {
+		return this.create(target, this._readCurrent(target, props), {
+			...options,
+			from: props,
+		}).start();
+	}
+
+	/**
+	 * Create a tween without starting it. Start it later with its {@link Whirl.Game.TweenManager.Tween#start|start method} or by {@link Whirl.Game.TweenManager.Tween#chain|chaining} it to another tween.
+	 *
+	 * @method Whirl.Game.TweenManager#create
+	 *
+	 * @param {object} target Object whose properties are animated.
+	 * @param {object<string, number>} props Map of property paths to the values they should be animated to.
+	 * @param {object} [options] Optional presets of the tween. See {@link Whirl.Game.TweenManager.Tween|Tween}.
+	 * @returns {Whirl.Game.TweenManager.Tween} The created tween.
+	 */
+	create(target, props, options) {
+		return new Tween(this.game, target, props, options);
+	}
+
+	/**
+	 * Create an empty timeline to sequence tweens in.
+	 *
+	 * @method Whirl.Game.TweenManager#timeline
+	 *
+	 * @returns {Whirl.Game.TweenManager.Timeline} The created timeline.
+	 */
+	timeline() {
+		return new Timeline(this.game);
+	}
+
+	/**
+	 * Stop all playing tweens, or only the tweens that animate the given target.
+	 *
+	 * @method Whirl.Game.TweenManager#stop
+	 *
+	 * @param {object} [target] Only stop tweens that animate this object.
+	 * @returns {Whirl.Game} Game instance the TweenManager belongs to.
+	 */
+	stop(target) {
+		this._tweens
+			.filter((tween) => target === undefined || tween.target === target)
+			.forEach((tween) => tween.stop());
+
+		return this.game;
+	}
+
+	/**
+	 * Determine if any tweens are playing, or if any tweens that animate the given target are playing.
+	 *
+	 * @method Whirl.Game.TweenManager#isTweening
+	 *
+	 * @param {object} [target] Only check tweens that animate this object.
+	 * @returns {boolean}
+	 */
+	isTweening(target) {
+		return this._tweens.some((tween) => target === undefined || tween.target === target);
+	}
+
+	/**
+	 * Add a tween to the list of playing tweens.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager#_add
+	 *
+	 * @param {Whirl.Game.TweenManager.Tween} tween Tween to add.
+	 */
+	_add(tween) {
+		this._tweens.push(tween);
+	}
+
+	/**
+	 * Remove a tween from the list of playing tweens.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager#_remove
+	 *
+	 * @param {Whirl.Game.TweenManager.Tween} tween Tween to remove.
+	 */
+	_remove(tween) {
+		const index = this._tweens.indexOf(tween);
+
+		if (index !== -1) {
+			this._tweens.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Read the current values of the given property paths of a target.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager#_readCurrent
+	 *
+	 * @param {object} target Object to read the properties of.
+	 * @param {object<string, number>} props Map with the property paths to read as keys.
+	 * @returns {object<string, number>} Map of the property paths to their current values.
+	 */
+	_readCurrent(target, props) {
+		const current = {};
+
+		Object.keys(props).forEach((path) => {
+			current[path] = path
+				.split(".")
+				.reduce((item, key) => (item == null ? item : item[key]), target);
+		});
+
+		return current;
+	}
+
+	/**
+	 * Advance every playing tween by one simulation step.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.UpdateManager|UpdateManager} each simulation step.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.TweenManager#_update
+	 *
+	 * @param {number} stepDelta Time in milliseconds that this step simulates.
+	 * @param {number} scaledDelta Time in milliseconds that this step simulates after pausing and time scaling have been applied.
+	 */
+	_update(stepDelta, scaledDelta) {
+		// Tweens may be added and removed whilst updating
+		const tweens = this._tweens.slice();
+
+		for (let i = 0; i < tweens.length; i++) {
+			tweens[i]._update(tweens[i].realTime ? stepDelta : scaledDelta);
+		}
+	}
+}
+
+export default TweenManager;
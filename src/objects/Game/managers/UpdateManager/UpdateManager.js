@@ -41,12 +41,79 @@ class UpdateManager extends Manager {
 	/**
 	 * Current desired frame rate that the game updates at per second.
 	 *
+	 * When {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping is enabled} this is the number of simulation steps that are run per second, regardless of how often the browser requests a new frame.
+	 *
+	 * Read from the {@link Whirl.Game.ConfigManager#update frameRate|`update frameRate` configuration variable} at the beginning of each update tick.
+	 *
 	 * @memberof Whirl.Game.UpdateManager#
 	 * @type {number}
 	 * @readonly
 	 */
 	frameRate = 60;
 
+	/**
+	 * Total simulation steps elapsed whilst the game is running.
+	 *
+	 * When fixed stepping is disabled this is always equal to the {@link Whirl.Game.UpdateManager#frameCount|frame count}. When it is enabled, zero, one or many steps may run each frame.
+	 *
+	 * @memberof Whirl.Game.UpdateManager#
+	 * @type {number}
+	 * @readonly
+	 */
+	stepCount = 0;
+
+	/**
+	 * Time in milliseconds that has not yet been consumed by a simulation step.
+	 *
+	 * Only used when {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping is enabled}.
+	 *
+	 * @memberof Whirl.Game.UpdateManager#
+	 * @type {number}
+	 * @readonly
+	 */
+	accumulator = 0;
+
+	/**
+	 * Interpolation value between `0` and `1` that represents how far between the previous and the current simulation step the current frame is being rendered.
+	 *
+	 * Renderers use this value to draw {@link Whirl.Sprite|Sprites} in between their previous and current state so that movement appears smooth even when the simulation step rate is lower than the refresh rate of the screen.
+	 *
+	 * Always `1` if fixed stepping is disabled.
+	 *
+	 * @memberof Whirl.Game.UpdateManager#
+	 * @type {number}
+	 * @readonly
+	 */
+	alpha = 1;
+
+	/**
+	 * Flag indicating whether the game world simulation is paused or not.
+	 *
+	 * While paused, the update loop keeps running, the game keeps rendering and input keeps being received, but no objects in the game world have their {@link Whirl.Base#update|update method} invoked.
+	 *
+	 * Do not modify this property directly. Instead, use the `pause` and `resume` methods.
+	 *
+	 * @memberof Whirl.Game.UpdateManager#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	paused = false;
+
+	/**
+	 * Rate at which time passes in the game world.
+	 *
+	 * The time delta given to the {@link Whirl.Base#update|update method} of every object in the game world is multiplied by this value. For example, `0.25` runs the game in slow-motion at a quarter of the speed.
+	 *
+	 * This value is applied on top of the time scale of each {@link Whirl.Stage#timeScale|Stage} and {@link Whirl.Container#timeScale|Container}.
+	 *
+	 * Does not affect the rate at which simulation steps are run, only the time delta given to the objects being updated.
+	 *
+	 * @memberof Whirl.Game.UpdateManager#
+	 * @type {number}
+	 * @default 1
+	 */
+	timeScale = 1;
+
 	/**
 	 * Total frames elapsed whilst the game is running.
 	 *
@@ -174,6 +241,52 @@ class UpdateManager extends Manager {
 	 * @property {number} elapsedTime Time in milliseconds since the game was started.
 	 */
 
+	/**
+	 * Fires at the beginning of each simulation step, before the game world is updated and its derived values are calculated.
+	 *
+	 * If {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping is enabled} this event may fire zero, one or many times per update tick and `stepDelta` will always be the same value. Otherwise, it fires exactly once per update tick and `stepDelta` is equal to the `frameDelta`.
+	 *
+	 * Use this event (instead of `didUpdate`) for game logic such as physics that should run at a consistent rate.
+	 *
+	 * @event Whirl.Game#willStep
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game} game Current game instance.
+	 * @property {number} stepCount Total simulation steps elapsed whilst the game is running.
+	 * @property {number} stepDelta Time in milliseconds that this step simulates.
+	 * @property {number} scaledDelta Time in milliseconds that this step simulates after the {@link Whirl.Game.UpdateManager#timeScale|time scale} has been applied. Always `0` if the game is {@link Whirl.Game.UpdateManager#paused|paused}.
+	 */
+
+	/**
+	 * Fires at the end of each simulation step, after the game world is updated and its derived values are calculated.
+	 *
+	 * @event Whirl.Game#didStep
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game} game Current game instance.
+	 * @property {number} stepCount Total simulation steps elapsed whilst the game is running.
+	 * @property {number} stepDelta Time in milliseconds that this step simulated.
+	 * @property {number} scaledDelta Time in milliseconds that this step simulated after the {@link Whirl.Game.UpdateManager#timeScale|time scale} has been applied. Always `0` if the game is {@link Whirl.Game.UpdateManager#paused|paused}.
+	 */
+
+	/**
+	 * Fires when the game world simulation is paused with the `pause` method.
+	 *
+	 * @event Whirl.Game#didPause
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
+	/**
+	 * Fires when the game world simulation is resumed with the `resume` method.
+	 *
+	 * @event Whirl.Game#didResume
+	 * @type {object}
+	 *
+	 * @property {Whirl.Game} game Current game instance.
+	 */
+
 	/**
 	 * Fires after the update and rendering step of the game takes place.
 	 *
@@ -225,7 +338,9 @@ class UpdateManager extends Manager {
 
 		this.running = true;
 		this.startTime = performance.now();
+		this.lastDelta = this.startTime;
 		this.elapsedTime = 0;
+		this.accumulator = 0;
 
 		requestAnimationFrame(this._update);
 
@@ -245,7 +360,7 @@ class UpdateManager extends Manager {
 	 *
 	 * Note that this is a **request** to stop the game execution. Its timing is not exact in that one extra update tick may occur after this method is invoked as the update manager attempts to perform cleanup and keeps the game state consistent by not stopping in the middle of its update process.
 	 *
-	 * In general you should never completely stop the execution of the game update loop after it has been started. The game update loop is essential for user input, asset loading, window scaling, etc. Even if you are implementing something such as a pause screen for your game you should aim to pause the *physics* simulation of the game, not the game itself.
+	 * In general you should never completely stop the execution of the game update loop after it has been started. The game update loop is essential for user input, asset loading, window scaling, etc. Even if you are implementing something such as a pause screen for your game you should aim to {@link Whirl.Game.UpdateManager#pause|pause the simulation} of the game, not the game itself.
 	 *
 	 * May also be invoked directly under the game instance object with {@link Whirl.Game#start|the `<game>.start` method}.
 	 *
@@ -274,13 +389,82 @@ class UpdateManager extends Manager {
 		return this.game;
 	};
 
+	/**
+	 * Pause the game world simulation.
+	 *
+	 * Unlike {@link Whirl.Game.UpdateManager#stop|stopping the game}, the update loop keeps running while paused so the game keeps rendering and receiving input, but no objects in the game world have their {@link Whirl.Base#update|update method} invoked until the game is resumed.
+	 *
+	 * Does nothing if the game is already paused.
+	 *
+	 * May also be invoked directly under the game instance object with {@link Whirl.Game#pause|the `<game>.pause` method}.
+	 *
+	 * @method Whirl.Game.UpdateManager#pause
+	 *
+	 * @emits Whirl.Game#didPause
+	 *
+	 * @returns {Whirl.Game} Game instance the UpdateManager belongs to.
+	 *
+	 * @example
+	 * game.event.on("keyDown", ({key}) => {
+	 * 	if (key === "p") {
+	 * 		game.update.paused ? game.update.resume() : game.update.pause();
+	 * 	}
+	 * });
+	 */
+	pause = () => {
+		if (this.paused) {
+			return this.game;
+		}
+
+		this.paused = true;
+
+		this.game.event.emit("didPause", {
+			game: this.game,
+		});
+
+		return this.game;
+	};
+
+	/**
+	 * Resume the game world simulation after it has been {@link Whirl.Game.UpdateManager#pause|paused}.
+	 *
+	 * Does nothing if the game is not paused.
+	 *
+	 * May also be invoked directly under the game instance object with {@link Whirl.Game#resume|the `<game>.resume` method}.
+	 *
+	 * @method Whirl.Game.UpdateManager#resume
+	 *
+	 * @emits Whirl.Game#didResume
+	 *
+	 * @returns {Whirl.Game} Game instance the UpdateManager belongs to.
+	 */
+	resume = () => {
+		if (!this.paused) {
+			return this.game;
+		}
+
+		this.paused = false;
+
+		this.game.event.emit("didResume", {
+			game: this.game,
+		});
+
+		return this.game;
+	};
+
 	/**
 	 * Conducts one update tick of the game instance.
 	 *
+	 * If {@link Whirl.Game.ConfigManager#update fixedStep|fixed stepping is enabled}, the time elapsed since the last tick is added to the {@link Whirl.Game.UpdateManager#accumulator|accumulator} and as many simulation steps of `1000 / frameRate` milliseconds as fit inside of it are run, up to a maximum of {@link Whirl.Game.ConfigManager#update maxSteps|`update maxSteps`} steps. Any time left over beyond that maximum is discarded so that a slow frame cannot cause the game to fall further and further behind.
+	 *
+	 * Otherwise, a single step is run that simulates the entire time elapsed since the last tick.
+	 *
 	 * @ignore
 	 * @method Whirl.Game.UpdateManager#_update
 	 *
 	 * @emits Whirl.Game#willUpdate
+	 * @emits Whirl.Game#willStep
+	 * @emits Whirl.Game#didStep
 	 * @emits Whirl.Game#didUpdate
 	 * @emits Whirl.Game#didStop
 	 *
@@ -300,9 +484,37 @@ class UpdateManager extends Manager {
 		this.frameDelta = delta - this.lastDelta;
 		this.lastDelta = delta;
 
-		const stages = this.game.object._stages;
-		for (let i = 0; i < stages.length; i++) {
-			stages[i].calculateDerived();
+		this.game.input._poll();
+
+		const {config} = this.game;
+
+		this.frameRate = config.get("update frameRate");
+
+		if (config.get("update fixedStep")) {
+			const stepDelta = 1000 / this.frameRate;
+			const maxSteps = config.get("update maxSteps");
+
+			this.accumulator += this.frameDelta;
+
+			let steps = 0;
+			while (this.accumulator >= stepDelta && steps < maxSteps) {
+				this._step(stepDelta);
+
+				this.accumulator -= stepDelta;
+				steps++;
+			}
+
+			// Discard whole steps that could not be caught up on
+			if (this.accumulator >= stepDelta) {
+				this.accumulator %= stepDelta;
+			}
+
+			this.alpha = this.accumulator / stepDelta;
+		} else {
+			this._step(this.frameDelta);
+
+			this.accumulator = 0;
+			this.alpha = 1;
 		}
 
 		const viewports = this.game.object._viewports;
@@ -331,6 +543,58 @@ class UpdateManager extends Manager {
 			});
 		}
 	};
+
+	/**
+	 * Conducts one simulation step of the game world.
+	 *
+	 * Calls the {@link Whirl.Scene#update|update hook} of every running {@link Whirl.Game.SceneManager|scene}, {@link Whirl.Base#update|updates} every active entity in each active Stage (unless the game is {@link Whirl.Game.UpdateManager#paused|paused}), runs the {@link Whirl.Game.PhysicsManager|physics simulation}, advances all playing {@link Whirl.Game.TweenManager|tweens} and then calculates the derived values of every Stage.
+	 *
+	 * @ignore
+	 * @method Whirl.Game.UpdateManager#_step
+	 *
+	 * @emits Whirl.Game#willStep
+	 * @emits Whirl.Game#didStep
+	 *
+	 * @param {number} stepDelta Time in milliseconds that this step simulates.
+	 */
+	_step(stepDelta) {
+		const scaledDelta = this.paused ? 0 : stepDelta * this.timeScale;
+
+		this.stepCount++;
+
+		this.game.event.emit("willStep", {
+			game: this.game,
+			stepCount: this.stepCount,
+			stepDelta,
+			scaledDelta,
+		});
+
+		this.game.scene._update(scaledDelta);
+
+		const stages = this.game.object._stages;
+		for (let i = 0; i < stages.length; i++) {
+			if (stages[i].active) {
+				stages[i].updateChildren(scaledDelta * stages[i].timeScale);
+			}
+		}
+
+		this.game.physics._update(scaledDelta);
+		this.game.tween._update(stepDelta, scaledDelta);
+
+		for (let i = 0; i < stages.length; i++) {
+			stages[i].calculateDerived();
+		}
+
+		this.game.event.emit("didStep", {
+			game: this.game,
+			stepCount: this.stepCount,
+			stepDelta,
+			scaledDelta,
+		});
+
+		// Input that was just pressed or released is only seen by the first step that runs after it
+		this.game.input._update();
+	}
 }
 
 export default UpdateManager;
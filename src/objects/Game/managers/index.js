@@ -6,3 +6,7 @@ export {default as RenderManager} from "./RenderManager";
 export {default as SetupManager} from "./SetupManager";
 export {default as UpdateManager} from "./UpdateManager";
 export {default as InputManager} from "./InputManager";
+export {default as AssetManager} from "./AssetManager";
+export {default as TweenManager} from "./TweenManager";
+export {default as PhysicsManager} from "./PhysicsManager";
+export {default as SceneManager} from "./SceneManager";
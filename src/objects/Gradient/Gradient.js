@@ -1,6 +1,10 @@
 import Texture from "~/objects/Texture";
 import Colour from "~/objects/Colour";
 import Point from "~/geometry/Point";
+import getValue from "~/lib/getValue";
+
+// Shapes a gradient can spread its colours in
+const TYPES = ["linear", "radial", "conic"];
 
 /**
  * @classdesc
@@ -8,6 +12,8 @@ import Point from "~/geometry/Point";
  *
  * Gradients are defined by a starting point to an ending point as a percentage of the current parent that is rendering it, as well as a list of colour stops. For example, if two {@link Whirl.Sprite|Sprite} objects of different sizes use the same Gradient instance, the start and end points and its colour stops will scale differently depending on the Sprite.
  *
+ * Gradients are linear by default. Give a {@link Whirl.Gradient#type|type} of `radial` to spread the colours outwards from one circle to another, or `conic` to sweep them around a center point.
+ *
  * @class Gradient
  * @memberof Whirl
  * @extends Whirl.Texture
@@ -17,6 +23,10 @@ import Point from "~/geometry/Point";
  * @param {Whirl.geometry.Point} options.start Start point as a percentage of the parent.
  * @param {Whirl.geometry.Point} options.end End point as a percentage of the parent.
  * @param {Whirl.Gradient~ColourStop[]} options.stops Array of colour stop tuples that represent each colour in the gradient from start to end.
+ * @param {string} options.type="linear" Shape the colours are spread in - `linear`, `radial` or `conic`. Radial and conic gradients default their start and end points to the center of the parent.
+ * @param {number} options.startRadius=0 Radius of the inner circle of a radial gradient as a percentage of the larger side of the parent.
+ * @param {number} options.endRadius=0.5 Radius of the outer circle of a radial gradient as a percentage of the larger side of the parent.
+ * @param {number} options.angle=0 Angle in degrees clockwise from the right that a conic gradient begins at.
  *
  * @example
  * game.Gradient({});
@@ -40,12 +50,53 @@ import Point from "~/geometry/Point";
  * 		],
  * 	}),
  * });
+ *
+ * @example
+ * // Glow that fades out from the center into a dark background
+ * Sprite({
+ * 	fill: Gradient({
+ * 		type: "radial",
+ * 		stops: [
+ * 			[0, Colour(255, 255, 200)],
+ * 			[1, Colour(20, 20, 40)],
+ * 		],
+ * 	}),
+ * });
+ *
+ * @example
+ * // Colour wheel that spins
+ * const wheel = Gradient({
+ * 	type: "conic",
+ * 	stops: [
+ * 		[0, Colour(255, 0, 0)],
+ * 		[1 / 3, Colour(0, 255, 0)],
+ * 		[2 / 3, Colour(0, 0, 255)],
+ * 		[1, Colour(255, 0, 0)],
+ * 	],
+ * });
+ *
+ * game.tween.to(wheel, {angle: 360}, {duration: 2000, repeat: -1});
  */
 class Gradient extends Texture {
+	/**
+	 * Shape the colours of this gradient are spread in.
+	 *
+	 * - `linear` - Along the straight line from the {@link Whirl.Gradient#start|start} point to the {@link Whirl.Gradient#end|end} point.
+	 * - `radial` - Outwards from the circle around the start point with a radius of {@link Whirl.Gradient#startRadius|startRadius} to the circle around the end point with a radius of {@link Whirl.Gradient#endRadius|endRadius}.
+	 * - `conic` - Clockwise around the start point, beginning at the {@link Whirl.Gradient#angle|angle}. The end point is not used.
+	 *
+	 * With the {@link Whirl.render.Canvas|Canvas renderer}, conic gradients need a browser that supports the [`createConicGradient` method](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/createConicGradient), and are drawn with the colour of their first stop otherwise.
+	 *
+	 * @memberof Whirl.Gradient#
+	 * @type {string}
+	 * @default "linear"
+	 */
+	type;
+
 	/**
 	 * Start point of this gradient as a percentage of its parent object.
 	 *
-	 * For example, `Point(0, 0)` will begin the gradient at the top-left of the parent.
+	 * For example, `Point(0, 0)` will begin the gradient at the top-left of the parent. This is the center of the inner circle of a radial gradient, and the center of a conic gradient.
 	 *
 	 * @memberof Whirl.Gradient#
 	 * @type {Whirl.geometry.Point}
@@ -56,7 +107,7 @@ class Gradient extends Texture {
 	/**
 	 * End point of this gradient as a percentage of its parent object.
 	 *
-	 * For example, `Point(1, 1)` will end the gradient at the bottom-right of the parent.
+	 * For example, `Point(1, 1)` will end the gradient at the bottom-right of the parent. This is the center of the outer circle of a radial gradient.
 	 *
 	 * @memberof Whirl.Gradient#
 	 * @type {Whirl.geometry.Point}
@@ -64,6 +115,35 @@ class Gradient extends Texture {
 	 */
 	end;
 
+	/**
+	 * Radius of the inner circle of a radial gradient, where the first colour stop begins, as a percentage of the larger of the width and height of its parent.
+	 *
+	 * @memberof Whirl.Gradient#
+	 * @type {number}
+	 * @default 0
+	 */
+	startRadius;
+
+	/**
+	 * Radius of the outer circle of a radial gradient, where the last colour stop ends, as a percentage of the larger of the width and height of its parent.
+	 *
+	 * For example, `0.5` with both points in the center of a square parent reaches the middle of each of its sides.
+	 *
+	 * @memberof Whirl.Gradient#
+	 * @type {number}
+	 * @default 0.5
+	 */
+	endRadius;
+
+	/**
+	 * Angle in degrees clockwise from the right that a conic gradient begins at. Tween it to spin the gradient.
+	 *
+	 * @memberof Whirl.Gradient#
+	 * @type {number}
+	 * @default 0
+	 */
+	angle;
+
 	/**
 	 * Individual gradient stop defined by an `offset` and `Colour`.
 	 *
@@ -100,20 +180,39 @@ class Gradient extends Texture {
 	constructor(game, options = {}) {
 		super(game);
 
+		this.type = getValue(options, "type", "linear");
+
+		if (!TYPES.includes(this.type)) {
+			this.game.debug.warn(
+				`Invalid gradient type "${this.type}" given to Gradient. Using "linear" instead.`,
+				"Whirl.Gradient"
+			);
+
+			this.type = "linear";
+		}
+
+		const centered = this.type !== "linear";
+
 		if (options.start instanceof Point.class) {
 			this.start = options.start;
 		} else {
-			// Top-middle
-			this.start = Point(0.5, 0);
+			// Top-middle, or the center for radial and conic gradients
+			this.start = Point(0.5, centered ? 0.5 : 0);
 		}
 
 		if (options.end instanceof Point.class) {
 			this.end = options.end;
 		} else {
-			// Bottom-middle
-			this.end = Point(0.5, 1);
+			// Bottom-middle, or the center for radial and conic gradients
+			this.end = Point(0.5, centered ? 0.5 : 1);
 		}
 
+		this.startRadius = getValue(options, "startRadius", 0);
+
+		this.endRadius = getValue(options, "endRadius", 0.5);
+
+		this.angle = getValue(options, "angle", 0);
+
 		this.stops = options.stops;
 	}
 
@@ -0,0 +1,983 @@
+import Sprite from "~/objects/Sprite";
+import Texture from "~/objects/Texture";
+import getValue from "~/lib/getValue";
+import Circle from "~/geometry/Circle";
+import Line from "~/geometry/Line";
+import Path from "~/geometry/Path";
+import Polygon from "~/geometry/Polygon";
+import Rectangle from "~/geometry/Rectangle";
+import Point from "~/geometry/Point";
+import radians from "~/math/radians";
+import clamp from "~/math/clamp";
+
+// Ratio of the length of a miter to the stroke width past which browsers bevel the join instead
+const MITER_LIMIT = 10;
+
+/**
+ * @classdesc
+ * Graphics entities draw vector shapes in the game world, such as debug visuals or simple games that do not need image assets.
+ *
+ * Shapes are built from {@link Whirl.geometry|geometry} - {@link Whirl.geometry.Circle|circles}, {@link Whirl.geometry.Line|lines}, {@link Whirl.geometry.Rectangle|rectangles} with optionally rounded corners, {@link Whirl.geometry.Polygon|polygons}, arcs and {@link Whirl.geometry.Path|paths} of lines and curves. Each shape is filled and outlined with its own textures, which default to the {@link Whirl.Sprite#fill|fill} and {@link Whirl.Graphics#stroke|stroke} of the Graphics at the time the shape is drawn. Unlike other Sprites, a Graphics has no fill unless one is given, so shapes are only outlined by default. Outlines are drawn over the fill.
+ *
+ * Shape coordinates are relative to the position of the {@link Whirl.Sprite#bounds|bounds} of the Graphics, which is where the point `(0, 0)` of the shapes is placed, so the {@link Whirl.Sprite#anchor|anchor} is not used. Draw shapes around the origin to rotate and scale them around their center. The width and height of the bounds are measured to fit every shape and its outline, so they should not be set directly.
+ *
+ * Shapes are kept until the Graphics is {@link Whirl.Graphics#clear|cleared}, and the geometry given to draw them is copied, so changing it afterwards has no effect.
+ *
+ * Paths can also be built on the Graphics itself with the same methods as a {@link Whirl.geometry.Path|Path}, such as {@link Whirl.Graphics#lineTo|lineTo} and {@link Whirl.Graphics#bezierCurveTo|bezierCurveTo}. Each command is added to the path begun by the last call to {@link Whirl.Graphics#beginPath|beginPath}, or to a new path with the default style if any other shape has been drawn since.
+ *
+ * @class Graphics
+ * @memberof Whirl
+ * @extends Whirl.Sprite
+ *
+ * @param {Whirl.Game} game Game instance this graphics belongs to and should be managed by.
+ * @param {object} [options] Optional presets when initialising this object. Also accepts all options of a {@link Whirl.Sprite|Sprite} except for `w`, `h` and the anchor.
+ * @param {Whirl.Texture} options.fill=null Texture to fill shapes with by default.
+ * @param {Whirl.Texture} options.stroke=null Texture to outline shapes with by default.
+ * @param {number} options.strokeWidth=1 Width of the outline of shapes in pixels by default.
+ * @param {string} options.lineCap="butt" Shape of the ends of lines and open arcs by default - `butt`, `round` or `square`.
+ * @param {string} options.lineJoin="miter" Shape of the corners of outlines by default - `miter`, `round` or `bevel`.
+ * @param {number} options.resolution=1 Scale to draw the shapes at when they are drawn as an image, such as by the {@link Whirl.render.Webgl|WebGL renderer}.
+ *
+ * @example
+ * const {Colour} = game;
+ *
+ * const target = game.Graphics({
+ * 	x: 200,
+ * 	y: 150,
+ * 	fill: Colour(255, 255, 255),
+ * 	stroke: Colour(200, 0, 0),
+ * 	strokeWidth: 4,
+ * });
+ *
+ * target
+ * 	.drawCircle(0, 0, 40)
+ * 	.drawCircle(0, 0, 20, {fill: Colour(200, 0, 0)})
+ * 	.drawLine(-50, 0, 50, 0, {stroke: Colour(0, 0, 0), strokeWidth: 1})
+ * 	.drawRect(-60, 50, 120, 20, {radius: 10});
+ *
+ * @example
+ * // Wave outlined without a fill
+ * game.Graphics({stroke: game.Colour(0, 120, 255), strokeWidth: 3})
+ * 	.moveTo(0, 0)
+ * 	.quadraticCurveTo(25, -30, 50, 0)
+ * 	.quadraticCurveTo(75, 30, 100, 0);
+ */
+class Graphics extends Sprite {
+	/**
+	 * Texture to outline shapes with when they are drawn without a stroke of their own. Shapes are not outlined by default if `null`.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {Whirl.Texture|null}
+	 * @default null
+	 */
+	stroke;
+
+	/**
+	 * Width of the outline of shapes in pixels when they are drawn without a stroke width of their own.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {number}
+	 * @default 1
+	 */
+	strokeWidth;
+
+	/**
+	 * Shape of the ends of lines and open arcs when they are drawn without a line cap of their own - `butt`, `round` or `square`.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {string}
+	 * @default "butt"
+	 */
+	lineCap;
+
+	/**
+	 * Shape of the corners of outlines when shapes are drawn without a line join of their own - `miter`, `round` or `bevel`.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {string}
+	 * @default "miter"
+	 */
+	lineJoin;
+
+	/**
+	 * Scale to draw the shapes at when they are drawn as an image, such as by the {@link Whirl.render.Webgl|WebGL renderer}. Increase this to keep shapes sharp when they are zoomed in or scaled up.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {number}
+	 * @default 1
+	 */
+	resolution;
+
+	/**
+	 * A single shape drawn by a Graphics entity.
+	 *
+	 * @typedef {object} Whirl.Graphics~Shape
+	 * @property {string} type Type of the shape - `circle`, `rectangle`, `line`, `polygon`, `arc` or `path`.
+	 * @property {Whirl.geometry.Geometry} geometry Copy of the geometry of the shape. Arcs are described by the Circle they are a part of.
+	 * @property {Whirl.Texture|null} fill Texture to fill the shape with. Lines are never filled.
+	 * @property {Whirl.Texture|null} stroke Texture to outline the shape with. Lines without a stroke are drawn with their fill instead.
+	 * @property {number} strokeWidth Width of the outline in pixels.
+	 * @property {string} lineCap Shape of the ends of lines and open arcs.
+	 * @property {string} lineJoin Shape of the corners of the outline.
+	 * @property {number} radius Radius of the corners of rectangles, no larger than half of their shortest side.
+	 * @property {number} startAngle Angle in degrees clockwise from the right of the circle that arcs begin at.
+	 * @property {number} endAngle Angle in degrees clockwise from the right of the circle that arcs end at.
+	 * @property {Whirl.geometry.Rectangle} box Area covered by the geometry of the shape, not including its outline. {@link Whirl.Gradient|Gradients} are stretched over this area.
+	 */
+
+	/**
+	 * Shapes to draw, in the order they are drawn.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {Whirl.Graphics~Shape[]}
+	 * @readonly
+	 */
+	shapes = [];
+
+	/**
+	 * Area covered by every shape and its outline, relative to the origin of the shapes. The top-left of this area is the top-left of the local space of the Graphics that renderers draw in.
+	 *
+	 * @memberof Whirl.Graphics#
+	 * @type {Whirl.geometry.Rectangle}
+	 * @readonly
+	 */
+	area = Rectangle();
+
+	/**
+	 * Number that increases each time the shapes change, used to only draw the shapes into an image again when they change.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Graphics#
+	 * @type {number}
+	 * @readonly
+	 */
+	_version = 0;
+
+	/**
+	 * Path shape that path commands are added to, or `null` if the next path command should begin a new path.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Graphics#
+	 * @type {Whirl.Graphics~Shape|null}
+	 * @readonly
+	 */
+	_path = null;
+
+	constructor(game, options = {}) {
+		super(game, options);
+
+		this.setStroke(getValue(options, "stroke", null), getValue(options, "strokeWidth", 1));
+
+		this.lineCap = getValue(options, "lineCap", "butt");
+
+		this.lineJoin = getValue(options, "lineJoin", "miter");
+
+		this.resolution = getValue(options, "resolution", 1);
+
+		this.measure();
+
+		this.derived.bounds = this.bounds.duplicate();
+		this.derived.previousBounds = this.bounds.duplicate();
+		this.derived.renderBounds = this.bounds.duplicate();
+	}
+
+	/**
+	 * Set the texture to fill shapes with when they are drawn without a fill of their own. Shapes that have already been drawn are not changed.
+	 *
+	 * @method Whirl.Graphics#setFill
+	 *
+	 * @param {Whirl.Texture|null} [fill=null] Texture to fill shapes with, or `null` to not fill them.
+	 * @returns {this}
+	 */
+	setFill(fill = null) {
+		if (fill !== null && !(fill instanceof Texture)) {
+			this.game.debug.warn(
+				"Invalid Texture instance given to Graphics#setFill. Removing the fill instead.",
+				"Whirl.Graphics"
+			);
+
+			fill = null;
+		}
+
+		this.fill = fill;
+
+		return this;
+	}
+
+	/**
+	 * Set the texture to outline shapes with when they are drawn without a stroke of their own. Shapes that have already been drawn are not changed.
+	 *
+	 * @method Whirl.Graphics#setStroke
+	 *
+	 * @param {Whirl.Texture|null} [stroke=null] Texture to outline shapes with, or `null` to not outline them.
+	 * @param {number} [width] Width of the outline in pixels. Stays the same if not given.
+	 * @returns {this}
+	 */
+	setStroke(stroke = null, width = this.strokeWidth) {
+		if (stroke !== null && !(stroke instanceof Texture)) {
+			this.game.debug.warn(
+				"Invalid Texture instance given to Graphics#setStroke. Removing the stroke instead.",
+				"Whirl.Graphics"
+			);
+
+			stroke = null;
+		}
+
+		this.stroke = stroke;
+		this.strokeWidth = width;
+
+		return this;
+	}
+
+	/**
+	 * Style of a single shape. Any option that is not given uses the matching property of the Graphics.
+	 *
+	 * @typedef {object} Whirl.Graphics~ShapeStyle
+	 * @property {Whirl.Texture|null} [fill] Texture to fill the shape with, or `null` to not fill it.
+	 * @property {Whirl.Texture|null} [stroke] Texture to outline the shape with, or `null` to not outline it.
+	 * @property {number} [strokeWidth] Width of the outline in pixels.
+	 * @property {string} [lineCap] Shape of the ends of lines and open arcs - `butt`, `round` or `square`.
+	 * @property {string} [lineJoin] Shape of the corners of the outline - `miter`, `round` or `bevel`.
+	 * @property {number} [radius=0] Radius of the corners of rectangles.
+	 */
+
+	/**
+	 * Draw a shape from a geometry object.
+	 *
+	 * @method Whirl.Graphics#drawShape
+	 *
+	 * @param {Whirl.geometry.Circle|Whirl.geometry.Line|Whirl.geometry.Rectangle|Whirl.geometry.Polygon|Whirl.geometry.Path} geometry Geometry of the shape, relative to the origin of the shapes.
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the shape.
+	 * @returns {this}
+	 *
+	 * @example
+	 * graphics.drawShape(player.body.bounds, {fill: null, stroke: game.Colour(0, 255, 0)});
+	 */
+	drawShape(geometry, style = {}) {
+		if (geometry instanceof Circle.class) {
+			return this._addShape("circle", geometry, style);
+		}
+
+		if (geometry instanceof Rectangle.class) {
+			return this._addShape("rectangle", geometry, style);
+		}
+
+		if (geometry instanceof Line.class) {
+			return this._addShape("line", geometry, style);
+		}
+
+		if (geometry instanceof Polygon.class) {
+			return this._addShape("polygon", geometry, style);
+		}
+
+		if (geometry instanceof Path.class) {
+			return this._addShape("path", geometry, style);
+		}
+
+		this.game.debug.warn("Invalid geometry given to Graphics#drawShape.", "Whirl.Graphics");
+
+		return this;
+	}
+
+	/**
+	 * Draw a circle.
+	 *
+	 * @method Whirl.Graphics#drawCircle
+	 *
+	 * @param {number} x X-coordinate of the center of the circle.
+	 * @param {number} y Y-coordinate of the center of the circle.
+	 * @param {number} r Radius of the circle.
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the circle.
+	 * @returns {this}
+	 */
+	drawCircle(x, y, r, style) {
+		return this.drawShape(Circle(x, y, r), style);
+	}
+
+	/**
+	 * Draw a rectangle. Give the `radius` style option to round its corners.
+	 *
+	 * @method Whirl.Graphics#drawRect
+	 *
+	 * @param {number} x X-coordinate of the top-left of the rectangle.
+	 * @param {number} y Y-coordinate of the top-left of the rectangle.
+	 * @param {number} w Width of the rectangle.
+	 * @param {number} h Height of the rectangle.
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the rectangle.
+	 * @returns {this}
+	 *
+	 * @example
+	 * graphics.drawRect(0, 0, 120, 40, {radius: 8});
+	 */
+	drawRect(x, y, w, h, style) {
+		return this.drawShape(Rectangle(x, y, w, h), style);
+	}
+
+	/**
+	 * Draw a straight line. Lines are drawn with their stroke, or with their fill if they have no stroke.
+	 *
+	 * @method Whirl.Graphics#drawLine
+	 *
+	 * @param {number} x1 X-coordinate of the starting point.
+	 * @param {number} y1 Y-coordinate of the starting point.
+	 * @param {number} x2 X-coordinate of the ending point.
+	 * @param {number} y2 Y-coordinate of the ending point.
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the line.
+	 * @returns {this}
+	 */
+	drawLine(x1, y1, x2, y2, style) {
+		return this.drawShape(Line(x1, y1, x2, y2), style);
+	}
+
+	/**
+	 * Draw a closed shape through a list of points.
+	 *
+	 * @method Whirl.Graphics#drawPolygon
+	 *
+	 * @param {Whirl.geometry.Point[]|number[]} points Vertices of the polygon in order. Alternatively, give a flat array of alternating x and y coordinates.
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the polygon.
+	 * @returns {this}
+	 *
+	 * @example
+	 * graphics.drawPolygon([0, -20, 20, 20, -20, 20]);
+	 */
+	drawPolygon(points, style) {
+		return this.drawShape(Polygon(points), style);
+	}
+
+	/**
+	 * Draw part of the outline of a circle, clockwise from one angle to another.
+	 *
+	 * Arcs with a fill are drawn as a slice of the circle, joined to its center. Arcs without a fill are drawn as an open curve.
+	 *
+	 * @method Whirl.Graphics#drawArc
+	 *
+	 * @param {number} x X-coordinate of the center of the circle.
+	 * @param {number} y Y-coordinate of the center of the circle.
+	 * @param {number} r Radius of the circle.
+	 * @param {number} startAngle Angle in degrees clockwise from the right of the circle to begin at.
+	 * @param {number} endAngle Angle in degrees clockwise from the right of the circle to end at.
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the arc.
+	 * @returns {this}
+	 *
+	 * @example
+	 * // Health wheel that is 75% full
+	 * graphics.drawArc(0, 0, 30, -90, -90 + 360 * 0.75);
+	 */
+	drawArc(x, y, r, startAngle, endAngle, style = {}) {
+		return this._addShape("arc", Circle(x, y, r), style, {startAngle, endAngle});
+	}
+
+	/**
+	 * Begin a new path that the following path commands are added to.
+	 *
+	 * @method Whirl.Graphics#beginPath
+	 *
+	 * @param {Whirl.Graphics~ShapeStyle} [style] Style of the path.
+	 * @returns {this}
+	 */
+	beginPath(style) {
+		return this._addShape("path", Path(), style);
+	}
+
+	/**
+	 * Begin a new subpath of the current path at a point.
+	 *
+	 * @method Whirl.Graphics#moveTo
+	 * @see Whirl.geometry.Path#moveTo
+	 *
+	 * @param {number} x X-coordinate of the point.
+	 * @param {number} y Y-coordinate of the point.
+	 * @returns {this}
+	 */
+	moveTo(x, y) {
+		return this._addToPath("moveTo", x, y);
+	}
+
+	/**
+	 * Add a straight line to the current path.
+	 *
+	 * @method Whirl.Graphics#lineTo
+	 * @see Whirl.geometry.Path#lineTo
+	 *
+	 * @param {number} x X-coordinate of the end of the line.
+	 * @param {number} y Y-coordinate of the end of the line.
+	 * @returns {this}
+	 */
+	lineTo(x, y) {
+		return this._addToPath("lineTo", x, y);
+	}
+
+	/**
+	 * Add a quadratic Bézier curve to the current path.
+	 *
+	 * @method Whirl.Graphics#quadraticCurveTo
+	 * @see Whirl.geometry.Path#quadraticCurveTo
+	 *
+	 * @param {number} cpx X-coordinate of the control point.
+	 * @param {number} cpy Y-coordinate of the control point.
+	 * @param {number} x X-coordinate of the end of the curve.
+	 * @param {number} y Y-coordinate of the end of the curve.
+	 * @returns {this}
+	 */
+	quadraticCurveTo(cpx, cpy, x, y) {
+		return this._addToPath("quadraticCurveTo", cpx, cpy, x, y);
+	}
+
+	/**
+	 * Add a cubic Bézier curve to the current path.
+	 *
+	 * @method Whirl.Graphics#bezierCurveTo
+	 * @see Whirl.geometry.Path#bezierCurveTo
+	 *
+	 * @param {number} cp1x X-coordinate of the first control point.
+	 * @param {number} cp1y Y-coordinate of the first control point.
+	 * @param {number} cp2x X-coordinate of the second control point.
+	 * @param {number} cp2y Y-coordinate of the second control point.
+	 * @param {number} x X-coordinate of the end of the curve.
+	 * @param {number} y Y-coordinate of the end of the curve.
+	 * @returns {this}
+	 */
+	bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y) {
+		return this._addToPath("bezierCurveTo", cp1x, cp1y, cp2x, cp2y, x, y);
+	}
+
+	/**
+	 * Add part of the outline of a circle to the current path.
+	 *
+	 * @method Whirl.Graphics#arc
+	 * @see Whirl.geometry.Path#arc
+	 *
+	 * @param {number} x X-coordinate of the center of the circle.
+	 * @param {number} y Y-coordinate of the center of the circle.
+	 * @param {number} r Radius of the circle.
+	 * @param {number} startAngle Angle in degrees clockwise from the right of the circle to begin at.
+	 * @param {number} endAngle Angle in degrees clockwise from the right of the circle to end at.
+	 * @param {boolean} [anticlockwise=false] Go around the circle anticlockwise from the start angle to the end angle.
+	 * @returns {this}
+	 */
+	arc(x, y, r, startAngle, endAngle, anticlockwise = false) {
+		return this._addToPath("arc", x, y, r, startAngle, endAngle, anticlockwise);
+	}
+
+	/**
+	 * Close the current subpath of the current path back to its start.
+	 *
+	 * @method Whirl.Graphics#closePath
+	 * @see Whirl.geometry.Path#closePath
+	 *
+	 * @returns {this}
+	 */
+	closePath() {
+		return this._addToPath("closePath");
+	}
+
+	/**
+	 * Remove every shape.
+	 *
+	 * @method Whirl.Graphics#clear
+	 *
+	 * @returns {this}
+	 */
+	clear() {
+		this.shapes = [];
+		this._path = null;
+
+		return this.measure();
+	}
+
+	/**
+	 * Measure the area covered by the shapes and resize the bounds to fit it.
+	 *
+	 * Called automatically whenever a shape is drawn or the Graphics is cleared.
+	 *
+	 * @method Whirl.Graphics#measure
+	 *
+	 * @returns {this}
+	 */
+	measure() {
+		const {shapes} = this;
+
+		if (shapes.length === 0) {
+			this.area.set({x: 0, y: 0, w: 0, h: 0});
+		} else {
+			let minX = Infinity;
+			let minY = Infinity;
+			let maxX = -Infinity;
+			let maxY = -Infinity;
+
+			for (let i = 0; i < shapes.length; i++) {
+				const {type, geometry, box} = shapes[i];
+
+				// Paths that have just begun do not cover any area yet
+				if (type === "path" && geometry.commands.length === 0) {
+					continue;
+				}
+
+				const padding = this._getPadding(shapes[i]);
+
+				minX = Math.min(minX, box.x - padding);
+				minY = Math.min(minY, box.y - padding);
+				maxX = Math.max(maxX, box.x + box.w + padding);
+				maxY = Math.max(maxY, box.y + box.h + padding);
+			}
+
+			if (minX === Infinity) {
+				this.area.set({x: 0, y: 0, w: 0, h: 0});
+			} else {
+				this.area.set({x: minX, y: minY, w: maxX - minX, h: maxY - minY});
+			}
+		}
+
+		this.bounds.w = this.area.w;
+		this.bounds.h = this.area.h;
+
+		this._version++;
+
+		return this;
+	}
+
+	/**
+	 * Build the local transformation matrix of this Graphics so that the origin of its shapes is placed at the position of its bounds.
+	 *
+	 * @method Whirl.Graphics#updateMatrix
+	 *
+	 * @param {number} [x=0] Horizontal position of the origin of the shapes in the space of the parent.
+	 * @param {number} [y=0] Vertical position of the origin of the shapes in the space of the parent.
+	 * @returns {this}
+	 */
+	updateMatrix(x, y) {
+		return super.updateMatrix(x, y, -this.area.x, -this.area.y);
+	}
+
+	/**
+	 * Determine if a point in the game world is inside of any shape of this Graphics, taking its rotation, scale and skew and those of its parents into account.
+	 *
+	 * Points are inside of a shape if they are inside of its fill, or within half of the stroke width of its outline.
+	 *
+	 * @method Whirl.Graphics#isPointInside
+	 *
+	 * @param {number|Whirl.geometry.Point} x X-coordinate of the point in the game world. An instance of a Point can be given instead as the only argument.
+	 * @param {number} [y] Y-coordinate of the point.
+	 * @returns {boolean}
+	 */
+	isPointInside(px, py) {
+		const local = this.derived.matrix.applyInverse(px, py);
+		const x = local.x + this.area.x;
+		const y = local.y + this.area.y;
+
+		for (let i = 0; i < this.shapes.length; i++) {
+			const shape = this.shapes[i];
+			const distance = this._getDistance(shape, x, y);
+			const stroke = shape.type === "line" ? shape.stroke || shape.fill : shape.stroke;
+
+			if (shape.type !== "line" && shape.fill && distance <= 0) {
+				return true;
+			}
+
+			if (stroke && Math.abs(distance) <= shape.strokeWidth / 2) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Add a shape with a copy of the given geometry.
+	 *
+	 * @ignore
+	 * @method Whirl.Graphics#_addShape
+	 *
+	 * @param {string} type Type of the shape.
+	 * @param {Whirl.geometry.Geometry} geometry Geometry of the shape.
+	 * @param {Whirl.Graphics~ShapeStyle} style Style of the shape.
+	 * @param {object} [extra] Additional properties of the shape.
+	 * @returns {this}
+	 */
+	_addShape(type, geometry, style = {}, extra = {}) {
+		const fill = getValue(style, "fill", this.fill);
+		const stroke = getValue(style, "stroke", this.stroke);
+
+		if (
+			(fill !== null && !(fill instanceof Texture)) ||
+			(stroke !== null && !(stroke instanceof Texture))
+		) {
+			this.game.debug.warn(
+				"Invalid Texture instance given to a shape of a Graphics. Skipping the shape.",
+				"Whirl.Graphics"
+			);
+
+			return this;
+		}
+
+		const shape = {
+			type,
+			geometry: geometry.duplicate(),
+			fill,
+			stroke,
+			strokeWidth: getValue(style, "strokeWidth", this.strokeWidth),
+			lineCap: getValue(style, "lineCap", this.lineCap),
+			lineJoin: getValue(style, "lineJoin", this.lineJoin),
+			radius: 0,
+			startAngle: getValue(extra, "startAngle", 0),
+			endAngle: getValue(extra, "endAngle", 360),
+			box: null,
+		};
+
+		if (type === "rectangle") {
+			const {w, h} = shape.geometry;
+
+			shape.radius = Math.min(
+				Math.max(getValue(style, "radius", 0), 0),
+				Math.abs(w) / 2,
+				Math.abs(h) / 2
+			);
+		}
+
+		shape.box = this._getBox(shape);
+
+		this.shapes.push(shape);
+
+		this._path = type === "path" ? shape : null;
+
+		return this.measure();
+	}
+
+	/**
+	 * Add a command to the current path, beginning a new path with the default style if there is no current path.
+	 *
+	 * @ignore
+	 * @method Whirl.Graphics#_addToPath
+	 *
+	 * @param {string} name Name of the command.
+	 * @param {...number} values Values of the command.
+	 * @returns {this}
+	 */
+	_addToPath(name, ...values) {
+		if (!this._path) {
+			this.beginPath();
+		}
+
+		const shape = this._path;
+
+		shape.geometry[name](...values);
+		shape.box = this._getBox(shape);
+
+		return this.measure();
+	}
+
+	/**
+	 * Get the area covered by the geometry of a shape.
+	 *
+	 * @ignore
+	 * @method Whirl.Graphics#_getBox
+	 *
+	 * @param {Whirl.Graphics~Shape} shape Shape to measure.
+	 * @returns {Whirl.geometry.Rectangle}
+	 */
+	_getBox(shape) {
+		const {geometry} = shape;
+
+		switch (shape.type) {
+			case "circle":
+				return Rectangle(
+					geometry.x - geometry.r,
+					geometry.y - geometry.r,
+					geometry.r * 2,
+					geometry.r * 2
+				);
+
+			case "rectangle":
+				return Rectangle(
+					Math.min(geometry.x, geometry.x + geometry.w),
+					Math.min(geometry.y, geometry.y + geometry.h),
+					Math.abs(geometry.w),
+					Math.abs(geometry.h)
+				);
+
+			case "line":
+				return Rectangle(
+					Math.min(geometry.x1, geometry.x2),
+					Math.min(geometry.y1, geometry.y2),
+					Math.abs(geometry.x2 - geometry.x1),
+					Math.abs(geometry.y2 - geometry.y1)
+				);
+
+			case "polygon":
+			case "path":
+				return geometry.box;
+
+			default: {
+				const sweep = getSweep(shape.startAngle, shape.endAngle);
+				const points = [getArcPoint(shape, shape.startAngle), getArcPoint(shape, shape.endAngle)];
+
+				// Include each of the right, bottom, left and top of the circle that the arc passes
+				for (let angle = 0; angle < 360; angle += 90) {
+					if (isAngleInSweep(angle, shape.startAngle, sweep)) {
+						points.push(getArcPoint(shape, angle));
+					}
+				}
+
+				if (shape.fill) {
+					points.push(Point(geometry.x, geometry.y));
+				}
+
+				return Polygon(points).box;
+			}
+		}
+	}
+
+	/**
+	 * Get how far the outline of a shape reaches outside of its box.
+	 *
+	 * @ignore
+	 * @method Whirl.Graphics#_getPadding
+	 *
+	 * @param {Whirl.Graphics~Shape} shape Shape to measure.
+	 * @returns {number}
+	 */
+	_getPadding(shape) {
+		const {type, lineCap, lineJoin} = shape;
+		const stroke = type === "line" ? shape.stroke || shape.fill : shape.stroke;
+
+		if (!stroke) {
+			return 0;
+		}
+
+		let scale = 1;
+
+		// Square caps reach past the ends of the line diagonally
+		if (lineCap === "square") {
+			if (type === "line" || (type === "arc" && !shape.fill)) {
+				scale = Math.SQRT2;
+			} else if (type === "path" && shape.geometry.flatten().some(({closed}) => !closed)) {
+				scale = Math.SQRT2;
+			}
+		}
+
+		// Miters reach further out the sharper the corner is
+		if (lineJoin === "miter") {
+			let corners = [];
+
+			if (type === "polygon") {
+				corners = getCornerAngles(shape.geometry.points, true);
+			} else if (type === "path") {
+				corners = [];
+
+				shape.geometry.flatten().forEach(({points, closed}) => {
+					corners.push(...getCornerAngles(points, closed));
+				});
+			} else if (type === "rectangle" && shape.radius === 0) {
+				corners = [90];
+			} else if (type === "arc" && shape.fill) {
+				corners = [90, getSweep(shape.startAngle, shape.endAngle)];
+			}
+
+			for (let i = 0; i < corners.length; i++) {
+				const miter = 1 / Math.sin(radians(corners[i]) / 2);
+
+				if (miter <= MITER_LIMIT) {
+					scale = Math.max(scale, miter);
+				}
+			}
+		}
+
+		return (shape.strokeWidth / 2) * scale;
+	}
+
+	/**
+	 * Get the distance of a point from the outline of a shape, which is negative if the point is inside of the shape.
+	 *
+	 * @ignore
+	 * @method Whirl.Graphics#_getDistance
+	 *
+	 * @param {Whirl.Graphics~Shape} shape Shape to measure from.
+	 * @param {number} x X-coordinate of the point relative to the origin of the shapes.
+	 * @param {number} y Y-coordinate of the point relative to the origin of the shapes.
+	 * @returns {number}
+	 */
+	_getDistance(shape, x, y) {
+		const {geometry} = shape;
+
+		switch (shape.type) {
+			case "circle":
+				return Math.hypot(x - geometry.x, y - geometry.y) - geometry.r;
+
+			case "rectangle": {
+				const {box, radius} = shape;
+
+				// Distance from a rectangle shrunk by the radius of its corners, minus the radius
+				const qx = Math.abs(x - box.x - box.w / 2) - box.w / 2 + radius;
+				const qy = Math.abs(y - box.y - box.h / 2) - box.h / 2 + radius;
+
+				return (
+					Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - radius
+				);
+			}
+
+			case "line":
+				return getSegmentDistance(x, y, geometry.x1, geometry.y1, geometry.x2, geometry.y2);
+
+			case "polygon": {
+				const {points} = geometry;
+				let distance = Infinity;
+
+				for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+					distance = Math.min(
+						distance,
+						getSegmentDistance(x, y, points[j].x, points[j].y, points[i].x, points[i].y)
+					);
+				}
+
+				return geometry.isPointInside(x, y) ? -distance : distance;
+			}
+
+			case "path": {
+				const subpaths = geometry.flatten();
+				let distance = Infinity;
+
+				// Only the lines that are drawn count towards the outline, not the edges that close the fill
+				subpaths.forEach(({points, closed}) => {
+					for (
+						let i = closed ? 0 : 1, j = closed ? points.length - 1 : 0;
+						i < points.length;
+						j = i++
+					) {
+						distance = Math.min(
+							distance,
+							getSegmentDistance(x, y, points[j].x, points[j].y, points[i].x, points[i].y)
+						);
+					}
+				});
+
+				return geometry.isPointInside(x, y) ? -distance : distance;
+			}
+
+			default: {
+				const sweep = getSweep(shape.startAngle, shape.endAngle);
+				const fromCenter = Math.hypot(x - geometry.x, y - geometry.y);
+				const angle = (Math.atan2(y - geometry.y, x - geometry.x) * 180) / Math.PI;
+				const start = getArcPoint(shape, shape.startAngle);
+				const end = getArcPoint(shape, shape.endAngle);
+				const inSweep = isAngleInSweep(angle, shape.startAngle, sweep);
+				let distance = inSweep ? Math.abs(fromCenter - geometry.r) : Infinity;
+
+				if (shape.fill) {
+					// Slices are also outlined along the radius at each end
+					distance = Math.min(
+						distance,
+						getSegmentDistance(x, y, geometry.x, geometry.y, start.x, start.y),
+						getSegmentDistance(x, y, geometry.x, geometry.y, end.x, end.y)
+					);
+
+					return inSweep && fromCenter <= geometry.r ? -distance : distance;
+				}
+
+				return Math.min(
+					distance,
+					Math.hypot(x - start.x, y - start.y),
+					Math.hypot(x - end.x, y - end.y)
+				);
+			}
+		}
+	}
+}
+
+/**
+ * Get the angle in degrees that an arc sweeps clockwise from its start angle to its end angle.
+ *
+ * @ignore
+ *
+ * @param {number} startAngle Angle the arc begins at.
+ * @param {number} endAngle Angle the arc ends at.
+ * @returns {number} Angle between `0` and `360`.
+ */
+const getSweep = (startAngle, endAngle) => {
+	const sweep = endAngle - startAngle;
+
+	return sweep >= 360 ? 360 : ((sweep % 360) + 360) % 360;
+};
+
+/**
+ * Determine if an angle lies within the sweep of an arc.
+ *
+ * @ignore
+ *
+ * @param {number} angle Angle to check in degrees.
+ * @param {number} startAngle Angle the arc begins at.
+ * @param {number} sweep Angle the arc sweeps clockwise.
+ * @returns {boolean}
+ */
+const isAngleInSweep = (angle, startAngle, sweep) =>
+	(((angle - startAngle) % 360) + 360) % 360 <= sweep;
+
+/**
+ * Get the point on the circle of an arc shape at an angle.
+ *
+ * @ignore
+ *
+ * @param {Whirl.Graphics~Shape} shape Arc shape.
+ * @param {number} angle Angle in degrees.
+ * @returns {Whirl.geometry.Point}
+ */
+const getArcPoint = ({geometry}, angle) =>
+	Point(
+		geometry.x + Math.cos(radians(angle)) * geometry.r,
+		geometry.y + Math.sin(radians(angle)) * geometry.r
+	);
+
+/**
+ * Get the angle in degrees between the two edges at each corner of a line through a list of points.
+ *
+ * @ignore
+ *
+ * @param {Whirl.geometry.Point[]} points Points along the line.
+ * @param {boolean} closed Whether the last point joins back to the first, making corners at both.
+ * @returns {number[]}
+ */
+const getCornerAngles = (points, closed) => {
+	const angles = [];
+
+	for (let i = closed ? 0 : 1; i < (closed ? points.length : points.length - 1); i++) {
+		const point = points[i];
+		const previous = points[(i + points.length - 1) % points.length];
+		const next = points[(i + 1) % points.length];
+		const ax = previous.x - point.x;
+		const ay = previous.y - point.y;
+		const bx = next.x - point.x;
+		const by = next.y - point.y;
+		const lengths = Math.hypot(ax, ay) * Math.hypot(bx, by);
+
+		// Rounding errors can push the cosine just outside of its range
+		if (lengths > 0) {
+			angles.push((Math.acos(clamp((ax * bx + ay * by) / lengths, -1, 1)) * 180) / Math.PI);
+		}
+	}
+
+	return angles;
+};
+
+/**
+ * Get the distance of a point from a line segment.
+ *
+ * @ignore
+ *
+ * @param {number} px X-coordinate of the point.
+ * @param {number} py Y-coordinate of the point.
+ * @param {number} x1 X-coordinate of the start of the segment.
+ * @param {number} y1 Y-coordinate of the start of the segment.
+ * @param {number} x2 X-coordinate of the end of the segment.
+ * @param {number} y2 Y-coordinate of the end of the segment.
+ * @returns {number}
+ */
+const getSegmentDistance = (px, py, x1, y1, x2, y2) => {
+	const dx = x2 - x1;
+	const dy = y2 - y1;
+	const length = dx * dx + dy * dy;
+	const t = length === 0 ? 0 : clamp(((px - x1) * dx + (py - y1) * dy) / length, 0, 1);
+
+	return Math.hypot(px - x1 - t * dx, py - y1 - t * dy);
+};
+
+export default Graphics;
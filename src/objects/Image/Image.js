@@ -0,0 +1,163 @@
+import Texture from "~/objects/Texture";
+import Rectangle from "~/geometry/Rectangle";
+import getValue from "~/lib/getValue";
+
+/**
+ * @classdesc
+ * Represents an image, or a rectangular section of an image, that is stretched to fill the bounds of the object rendering it.
+ *
+ * The source of the image can either be given directly as an [image](https://developer.mozilla.org/en-US/docs/Web/API/HTMLImageElement) or [canvas](https://developer.mozilla.org/en-US/docs/Web/API/HTMLCanvasElement) element, or as the key of an image that has been loaded by the {@link Whirl.Game.AssetManager|AssetManager}.
+ *
+ * @class Image
+ * @memberof Whirl
+ * @extends Whirl.Texture
+ *
+ * @param {Whirl.Game} game Game instance this texture belongs to and should be managed by.
+ * @param {string|HTMLImageElement|HTMLCanvasElement} source Key of an image loaded by the {@link Whirl.Game.AssetManager|AssetManager}, or the image element itself.
+ * @param {object} [options] Optional presets when initialising this object.
+ * @param {Whirl.geometry.Rectangle} options.crop Section of the source image to use. Alternatively, give each value individually with the `x`, `y`, `w` and `h` options.
+ *
+ * Passed as reference - changing properties of the given Rectangle instance will also change the section of the image that is rendered.
+ * @param {number} options.x=0 X-coordinate of the top-left of the section of the source image to use.
+ * @param {number} options.y=0 Y-coordinate of the top-left of the section of the source image to use.
+ * @param {number} options.w Width of the section of the source image to use. Defaults to the width of the source image.
+ * @param {number} options.h Height of the section of the source image to use. Defaults to the height of the source image.
+ *
+ * @example
+ * game.asset.image("player", "./img/player.png");
+ *
+ * ...
+ *
+ * game.Sprite({
+ * 	fill: game.Image("player"),
+ * });
+ *
+ * @example
+ * // Only use the 32x32 top-left section of the image
+ * game.Image("tiles", {
+ * 	crop: Whirl.geometry.Rectangle(0, 0, 32, 32),
+ * });
+ */
+class Image extends Texture {
+	/**
+	 * Section of the source image that is used when rendering, in pixels.
+	 *
+	 * If not given during instantiation, defaults to the entire source image. If the source image has not yet loaded then its width and height are filled in once it has.
+	 *
+	 * @memberof Whirl.Image#
+	 * @type {Whirl.geometry.Rectangle}
+	 */
+	crop;
+
+	constructor(game, source, options = {}) {
+		super(game);
+
+		this.setSource(source);
+
+		if (options.crop instanceof Rectangle.class) {
+			this.crop = options.crop;
+		} else {
+			this.crop = Rectangle(
+				getValue(options, "x", 0),
+				getValue(options, "y", 0),
+				getValue(options, "w", 0),
+				getValue(options, "h", 0)
+			);
+
+			const fitW = !Object.prototype.hasOwnProperty.call(options, "w");
+			const fitH = !Object.prototype.hasOwnProperty.call(options, "h");
+
+			if (fitW || fitH) {
+				this.fitCrop(fitW, fitH);
+			}
+		}
+	}
+
+	/**
+	 * Set the source image of this texture.
+	 *
+	 * Does not change the {@link Whirl.Image#crop|crop} section of the image.
+	 *
+	 * @method Whirl.Image#setSource
+	 *
+	 * @param {string|HTMLImageElement|HTMLCanvasElement} source Key of an image loaded by the {@link Whirl.Game.AssetManager|AssetManager}, or the image element itself.
+	 * @returns {this}
+	 *
+	 * @example
+	 * image.setSource("playerHurt");
+	 */
+	setSource(source) {
+		const data = typeof source === "string" ? this.game.asset.get(source) : source;
+
+		if (!(data instanceof window.HTMLImageElement) && !(data instanceof window.HTMLCanvasElement)) {
+			this.game.debug.warn(
+				`Invalid image source given to Image#setSource "${source}".`,
+				"Whirl.Image"
+			);
+
+			this._data = null;
+
+			return this;
+		}
+
+		this._data = data;
+
+		return this;
+	}
+
+	/**
+	 * Determine if the source image has loaded and can be rendered.
+	 *
+	 * @method Whirl.Image#isReady
+	 *
+	 * @returns {boolean}
+	 */
+	isReady() {
+		if (!this._data) {
+			return false;
+		}
+
+		if (this._data instanceof window.HTMLImageElement) {
+			return this._data.complete && this._data.naturalWidth > 0;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Set the width and/or height of the {@link Whirl.Image#crop|crop section} to the width and height of the source image, waiting for the image to load first if needed.
+	 *
+	 * @ignore
+	 * @method Whirl.Image#fitCrop
+	 *
+	 * @param {boolean} w Fit the width.
+	 * @param {boolean} h Fit the height.
+	 */
+	fitCrop(w, h) {
+		const data = this._data;
+
+		if (!data) {
+			return;
+		}
+
+		const fit = () => {
+			const width = data.naturalWidth || data.width;
+			const height = data.naturalHeight || data.height;
+
+			if (w) {
+				this.crop.w = width - this.crop.x;
+			}
+			if (h) {
+				this.crop.h = height - this.crop.y;
+			}
+		};
+
+		if (data instanceof window.HTMLImageElement && !this.isReady()) {
+			data.addEventListener("load", fit, {once: true});
+		} else {
+			fit();
+		}
+	}
+}
+
+export default Image;
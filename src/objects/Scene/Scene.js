@@ -0,0 +1,141 @@
+/**
+ * @classdesc
+ * Scenes split a game into self-contained parts, such as a title screen, each level and a pause menu, that can be switched between or stacked on top of each other.
+ *
+ * Extend this class and override any of its hooks, then register the class with the {@link Whirl.Game.SceneManager|SceneManager} under a key. Each time a scene is started, a new instance of the class is created with a fresh {@link Whirl.Stage|Stage} to fill with entities, which is destroyed again when the scene stops.
+ *
+ * Hooks are called in the following order:
+ *
+ * 1. `preload` - Queue any assets the scene needs. They are {@link Whirl.Game.AssetManager#load|loaded} before `create` is called.
+ * 2. `create` - Build the game world of the scene.
+ * 3. `update` - Runs every step whilst the scene is running.
+ * 4. `pause` and `resume` - Run when the scene is paused and resumed.
+ * 5. `shutdown` - Clean up anything outside of the stage of the scene, such as event listeners on the game.
+ *
+ * @class Scene
+ * @memberof Whirl
+ *
+ * @param {Whirl.Game} game Game instance this scene belongs to.
+ * @param {string} key Key the scene was registered under.
+ *
+ * @example
+ * class Level extends Whirl.Scene {
+ * 	preload() {
+ * 		this.game.asset.image("tiles", "./img/tiles.png");
+ * 	}
+ *
+ * 	create({number}) {
+ * 		this.player = this.game.Sprite({w: 20, h: 20});
+ *
+ * 		this.stage.child.add(this.player);
+ * 	}
+ *
+ * 	update(dt) {
+ * 		this.player.bounds.x += dt * 0.1;
+ * 	}
+ * }
+ *
+ * game.scene.add("level", Level);
+ * game.scene.start("level", {number: 1});
+ */
+class Scene {
+	/**
+	 * Game instance this scene belongs to.
+	 *
+	 * @memberof Whirl.Scene#
+	 * @type {Whirl.Game}
+	 * @readonly
+	 */
+	game;
+
+	/**
+	 * Key the scene was registered under in the {@link Whirl.Game.SceneManager|SceneManager}.
+	 *
+	 * @memberof Whirl.Scene#
+	 * @type {string}
+	 * @readonly
+	 */
+	key;
+
+	/**
+	 * Stage holding the game world of this scene. Created when the scene starts and destroyed when it stops.
+	 *
+	 * @memberof Whirl.Scene#
+	 * @type {Whirl.Stage|null}
+	 * @readonly
+	 */
+	stage = null;
+
+	/**
+	 * Viewport the stage of this scene is rendered by.
+	 *
+	 * @memberof Whirl.Scene#
+	 * @type {Whirl.Viewport|null}
+	 * @readonly
+	 */
+	viewport = null;
+
+	/**
+	 * Current state of the scene - `loading` whilst its assets load, `running`, `paused` or `stopped`.
+	 *
+	 * @memberof Whirl.Scene#
+	 * @type {string}
+	 * @readonly
+	 */
+	status = "stopped";
+
+	constructor(game, key) {
+		this.game = game;
+		this.key = key;
+	}
+
+	/**
+	 * Queue the assets the scene needs in the {@link Whirl.Game.AssetManager|AssetManager}.
+	 *
+	 * @method Whirl.Scene#preload
+	 *
+	 * @param {object} data Data the scene was started with.
+	 */
+	preload() {}
+
+	/**
+	 * Build the game world of the scene once its assets have loaded.
+	 *
+	 * @method Whirl.Scene#create
+	 *
+	 * @param {object} data Data the scene was started with.
+	 */
+	create() {}
+
+	/**
+	 * Update the scene. Runs every step whilst the scene is running, before the entities in its stage are updated.
+	 *
+	 * @method Whirl.Scene#update
+	 *
+	 * @param {number} deltaTime Time in milliseconds since the last step, scaled by the {@link Whirl.Stage#timeScale|time scale} of the stage. `0` whilst the game is {@link Whirl.Game.UpdateManager#paused|paused}.
+	 */
+	update() {}
+
+	/**
+	 * Runs when the scene is paused.
+	 *
+	 * @method Whirl.Scene#pause
+	 */
+	pause() {}
+
+	/**
+	 * Runs when the scene is resumed after being paused.
+	 *
+	 * @method Whirl.Scene#resume
+	 */
+	resume() {}
+
+	/**
+	 * Runs when the scene stops, just before its stage is destroyed.
+	 *
+	 * @method Whirl.Scene#shutdown
+	 */
+	shutdown() {}
+}
+
+export default Scene;
@@ -4,6 +4,8 @@ import Colour from "~/objects/Colour";
 import getValue from "~/lib/getValue";
 import Rectangle from "~/geometry/Rectangle";
 import Point from "~/geometry/Point";
+import Matrix from "~/geometry/Matrix";
+import lerp from "~/math/lerp";
 
 /**
  * @classdesc
@@ -43,7 +45,7 @@ class Sprite extends Entity {
 	/**
 	 * Position and size of the sprite. The `x` and `y` properties define the coordinate position, the `w` and `h` properties define the rendered size.
 	 *
-	 * Note that Sprite bounds do not affect its physics body. You could even have the Sprite render at a completely different location to its physics body but still be moved when the body is moved from a different location.
+	 * The {@link Whirl.Entity#body|physics body} of a Sprite is positioned relative to its bounds, and moves the bounds along with it when it is simulated.
 	 *
 	 * @memberof Whirl.Sprite#
 	 * @type {Whirl.geometry.Rectangle}
@@ -75,6 +77,16 @@ class Sprite extends Entity {
 	 */
 	fill = null;
 
+	/**
+	 * Flag indicating whether the derived values of this Sprite have been calculated at least once.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Sprite#
+	 * @type {boolean}
+	 * @readonly
+	 */
+	_hasDerived = false;
+
 	constructor(game, options = {}) {
 		super(game, options);
 
@@ -99,6 +111,10 @@ class Sprite extends Entity {
 
 		// Set initial state of `derived`
 		this.derived.bounds = this.bounds.duplicate();
+		this.derived.previousBounds = this.bounds.duplicate();
+		this.derived.renderBounds = this.bounds.duplicate();
+		this.derived.previousMatrix = Matrix();
+		this.derived.renderMatrix = Matrix();
 	}
 
 	/**
@@ -133,18 +149,128 @@ class Sprite extends Entity {
 		return this;
 	}
 
+	/**
+	 * Calculate the derived values of this Sprite.
+	 *
+	 * The local matrix places the anchor point of the Sprite at its bounds position. The world matrix (`derived.matrix`) maps points in the local space of the Sprite, where `(0, 0)` is its top-left corner and `(bounds.w, bounds.h)` is its bottom-right corner, to the game world.
+	 *
+	 * `derived.bounds` holds the axis-aligned {@link Whirl.Sprite#getBoundingBox|bounding box} of the transformed Sprite in the game world. The values of the previous simulation step are kept as `derived.previousMatrix` and `derived.previousBounds` for {@link Whirl.Sprite#interpolate|interpolation}.
+	 *
+	 * @method Whirl.Sprite#calculateDerived
+	 *
+	 * @returns {this}
+	 */
 	calculateDerived() {
+		const {derived} = this;
+		const first = !this._hasDerived;
+
+		derived.previousMatrix.set(derived.matrix);
+		derived.previousBounds.set(derived.bounds);
+
+		this.updateMatrix(
+			this.bounds.x,
+			this.bounds.y,
+			this.bounds.w * this.anchor.x,
+			this.bounds.h * this.anchor.y
+		);
+
 		super.calculateDerived();
 
-		this.derived.bounds.x =
-			this.bounds.x - this.bounds.w * this.anchor.x * this.derived.scale + this.parent.derived.x;
-		this.derived.bounds.y =
-			this.bounds.y - this.bounds.h * this.anchor.y * this.derived.scale + this.parent.derived.y;
-		this.derived.bounds.w = this.bounds.w * this.derived.scale;
-		this.derived.bounds.h = this.bounds.h * this.derived.scale;
+		this.getBoundingBox(derived.matrix, derived.bounds);
+
+		// Do not interpolate from the initial state on the very first step
+		if (first) {
+			derived.previousMatrix.set(derived.matrix);
+			derived.previousBounds.set(derived.bounds);
+
+			this._hasDerived = true;
+		}
 
 		return this;
 	}
+
+	/**
+	 * Calculate the transform and bounds that this Sprite should be rendered at (`derived.renderMatrix` and `derived.renderBounds`) by interpolating between its derived values from the previous simulation step (`derived.previousMatrix` and `derived.previousBounds`) and its current derived values.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.RenderManager|RenderManager} before each render with the {@link Whirl.Game.UpdateManager#alpha|UpdateManager interpolation value}. Renderers should draw Sprites using `derived.renderMatrix` instead of `derived.matrix`.
+	 *
+	 * @method Whirl.Sprite#interpolate
+	 *
+	 * @param {number} alpha Interpolation value between `0` (previous step) and `1` (current step).
+	 * @returns {this}
+	 */
+	interpolate(alpha) {
+		const {
+			bounds,
+			previousBounds,
+			renderBounds,
+			matrix,
+			previousMatrix,
+			renderMatrix,
+		} = this.derived;
+
+		renderMatrix.lerp(previousMatrix, matrix, alpha);
+
+		renderBounds.x = lerp(previousBounds.x, bounds.x, alpha);
+		renderBounds.y = lerp(previousBounds.y, bounds.y, alpha);
+		renderBounds.w = lerp(previousBounds.w, bounds.w, alpha);
+		renderBounds.h = lerp(previousBounds.h, bounds.h, alpha);
+
+		return this;
+	}
+
+	/**
+	 * Calculate the axis-aligned rectangle in the game world that wholly contains this Sprite once it is transformed by a matrix.
+	 *
+	 * Used to determine whether a Sprite is visible through a {@link Whirl.Viewport|Viewport} and to index it in the {@link Whirl.Stage#index|spatial index} of its stage.
+	 *
+	 * @method Whirl.Sprite#getBoundingBox
+	 *
+	 * @param {Whirl.geometry.Matrix} [matrix=this.derived.matrix] World matrix of the Sprite, such as `derived.matrix` or `derived.renderMatrix`.
+	 * @param {Whirl.geometry.Rectangle} [out] Rectangle to store the result in. If not given, a new Rectangle is created.
+	 * @returns {Whirl.geometry.Rectangle}
+	 *
+	 * @example
+	 * const sprite = game.Sprite({x: 0, y: 0, w: 50, h: 50, rotation: 90});
+	 *
+	 * // After the next simulation step
+	 * sprite.getBoundingBox(); // Rectangle {x: -50, y: 0, w: 50, h: 50}
+	 */
+	getBoundingBox(matrix = this.derived.matrix, out = Rectangle()) {
+		const {a, b, c, d, tx, ty} = matrix;
+		const {w, h} = this.bounds;
+
+		// Offsets of the top-right, bottom-left and bottom-right corners from the top-left corner
+		const minX = Math.min(0, a * w, c * h, a * w + c * h);
+		const minY = Math.min(0, b * w, d * h, b * w + d * h);
+		const maxX = Math.max(0, a * w, c * h, a * w + c * h);
+		const maxY = Math.max(0, b * w, d * h, b * w + d * h);
+
+		return out.set({
+			x: tx + minX,
+			y: ty + minY,
+			w: maxX - minX,
+			h: maxY - minY,
+		});
+	}
+
+	/**
+	 * Determine if a point in the game world is inside of this Sprite, taking its rotation, scale and skew and those of its parents into account.
+	 *
+	 * @method Whirl.Sprite#isPointInside
+	 *
+	 * @param {number|Whirl.geometry.Point} x X-coordinate of the point in the game world. An instance of a Point can be given instead as the only argument.
+	 * @param {number} [y] Y-coordinate of the point.
+	 * @returns {boolean}
+	 *
+	 * @example
+	 * sprite.isPointInside(viewport.translateToWorld(x, y));
+	 */
+	isPointInside(px, py) {
+		const local = this.derived.matrix.applyInverse(px, py);
+
+		return local.x >= 0 && local.x <= this.bounds.w && local.y >= 0 && local.y <= this.bounds.h;
+	}
 }
 
 export default Sprite;
@@ -0,0 +1,285 @@
+import Image from "~/objects/Image";
+import Rectangle from "~/geometry/Rectangle";
+import getValue from "~/lib/getValue";
+
+/**
+ * @classdesc
+ * A spritesheet is an image that packs together many smaller images, called frames. Each frame is a named rectangular section of the source image.
+ *
+ * Frames can be defined either by slicing the image into a grid of equally sized frames, or by giving an atlas describing the position of each frame (as exported by tools such as [TexturePacker](https://www.codeandweb.com/texturepacker) in the JSON "hash" or "array" formats).
+ *
+ * When used as a texture itself, a spritesheet renders its entire source image. Use the {@link Whirl.Spritesheet#frame|frame method} to retrieve an {@link Whirl.Image|Image texture} of a single frame, or give the spritesheet to an {@link Whirl.AnimatedSprite|AnimatedSprite} to play sequences of frames.
+ *
+ * @class Spritesheet
+ * @memberof Whirl
+ * @extends Whirl.Image
+ *
+ * @param {Whirl.Game} game Game instance this texture belongs to and should be managed by.
+ * @param {string|HTMLImageElement|HTMLCanvasElement} source Key of an image loaded by the {@link Whirl.Game.AssetManager|AssetManager}, or the image element itself.
+ * @param {object} [options] Optional presets when initialising this object.
+ * @param {object|string} options.atlas Atlas data describing each frame, or the key of JSON data loaded by the {@link Whirl.Game.AssetManager|AssetManager}. Each frame is named by its key in the `frames` object (hash format) or by its `filename` property (array format).
+ * @param {number} options.frameW Width of each frame when slicing the image into a grid. Frames are named by their index, starting at `0` in the top-left and counting left to right, top to bottom.
+ * @param {number} options.frameH=options.frameW Height of each frame when slicing the image into a grid.
+ * @param {number} options.margin=0 Space in pixels around the outside of the grid.
+ * @param {number} options.spacing=0 Space in pixels between each frame of the grid.
+ * @param {number} options.frameCount Maximum number of frames to slice from the grid. Defaults to every whole frame that fits in the image.
+ *
+ * @example
+ * // Grid of 32x32 frames
+ * game.Spritesheet("player", {
+ * 	frameW: 32,
+ * });
+ *
+ * @example
+ * // Atlas exported from TexturePacker
+ * game.asset.image("enemies", "./img/enemies.png").asset.json("enemiesAtlas", "./img/enemies.json");
+ *
+ * ...
+ *
+ * const enemies = game.Spritesheet("enemies", {
+ * 	atlas: "enemiesAtlas",
+ * });
+ *
+ * game.Sprite({
+ * 	fill: enemies.frame("slime_01.png"),
+ * });
+ */
+class Spritesheet extends Image {
+	/**
+	 * Map of frame names to the section of the source image they cover, in pixels.
+	 *
+	 * If the spritesheet is sliced into a grid and the source image has not yet loaded, this is filled in once it has.
+	 *
+	 * @memberof Whirl.Spritesheet#
+	 * @type {object<string, Whirl.geometry.Rectangle>}
+	 * @readonly
+	 */
+	frames = {};
+
+	/**
+	 * Cache of Image textures created for each frame.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Spritesheet#
+	 * @type {object<string, Whirl.Image>}
+	 * @readonly
+	 */
+	_frameTextures = {};
+
+	constructor(game, source, options = {}) {
+		super(game, source, options);
+
+		if (Object.prototype.hasOwnProperty.call(options, "atlas")) {
+			this.parseAtlas(options.atlas);
+		} else if (Object.prototype.hasOwnProperty.call(options, "frameW")) {
+			const slice = () =>
+				this.sliceGrid(
+					options.frameW,
+					getValue(options, "frameH", options.frameW),
+					getValue(options, "margin", 0),
+					getValue(options, "spacing", 0),
+					getValue(options, "frameCount", Infinity)
+				);
+
+			if (this._data instanceof window.HTMLImageElement && !this.isReady()) {
+				this._data.addEventListener("load", slice, {once: true});
+			} else {
+				slice();
+			}
+		}
+	}
+
+	/**
+	 * Set the source image of this spritesheet. Frames keep the sections they cover, and frame textures are recreated from the new source when next requested.
+	 *
+	 * @method Whirl.Spritesheet#setSource
+	 *
+	 * @param {string|HTMLImageElement|HTMLCanvasElement} source Key of an image loaded by the {@link Whirl.Game.AssetManager|AssetManager}, or the image element itself.
+	 * @returns {this}
+	 */
+	setSource(source) {
+		super.setSource(source);
+
+		this._frameTextures = {};
+
+		return this;
+	}
+
+	/**
+	 * Slice the source image into a grid of equally sized frames, replacing any existing frames. Frames are named by their index, starting at `0` in the top-left and counting left to right, top to bottom.
+	 *
+	 * The source image must have loaded before it can be sliced.
+	 *
+	 * @method Whirl.Spritesheet#sliceGrid
+	 *
+	 * @param {number} frameW Width of each frame.
+	 * @param {number} [frameH=frameW] Height of each frame.
+	 * @param {number} [margin=0] Space in pixels around the outside of the grid.
+	 * @param {number} [spacing=0] Space in pixels between each frame.
+	 * @param {number} [frameCount=Infinity] Maximum number of frames to slice.
+	 * @returns {this}
+	 */
+	sliceGrid(frameW, frameH = frameW, margin = 0, spacing = 0, frameCount = Infinity) {
+		if (!(frameW > 0) || !(frameH > 0)) {
+			this.game.debug.warn(
+				"Invalid frame size given to Spritesheet#sliceGrid. Frame width and height must be greater than 0.",
+				"Whirl.Spritesheet"
+			);
+
+			return this;
+		}
+
+		if (!this.isReady()) {
+			this.game.debug.warn(
+				"Cannot slice a Spritesheet into a grid before its source image has loaded.",
+				"Whirl.Spritesheet"
+			);
+
+			return this;
+		}
+
+		const width = this._data.naturalWidth || this._data.width;
+		const height = this._data.naturalHeight || this._data.height;
+		const columns = Math.floor((width - margin * 2 + spacing) / (frameW + spacing));
+		const rows = Math.floor((height - margin * 2 + spacing) / (frameH + spacing));
+		const total = Math.min(columns * rows, frameCount);
+
+		this._clearFrames();
+
+		for (let i = 0; i < total; i++) {
+			this.frames[i] = Rectangle(
+				margin + (i % columns) * (frameW + spacing),
+				margin + Math.floor(i / columns) * (frameH + spacing),
+				frameW,
+				frameH
+			);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Define the frames of this spritesheet from atlas data, replacing any existing frames.
+	 *
+	 * Supports the TexturePacker JSON "hash" format, where `frames` is an object of frame names to frame data, and the JSON "array" format, where `frames` is an array of frame data that each have a `filename` property. The section of the source image each frame covers is read from the `frame` property (`{x, y, w, h}`) of its frame data.
+	 *
+	 * Rotated frames are not supported and are skipped.
+	 *
+	 * @method Whirl.Spritesheet#parseAtlas
+	 *
+	 * @param {object|string} atlas Atlas data, or the key of JSON data loaded by the {@link Whirl.Game.AssetManager|AssetManager}.
+	 * @returns {this}
+	 *
+	 * @example
+	 * spritesheet.parseAtlas({
+	 * 	frames: {
+	 * 		"idle_0": {frame: {x: 0, y: 0, w: 32, h: 48}},
+	 * 		"idle_1": {frame: {x: 32, y: 0, w: 32, h: 48}},
+	 * 	},
+	 * });
+	 */
+	parseAtlas(atlas) {
+		const data = typeof atlas === "string" ? this.game.asset.get(atlas) : atlas;
+
+		if (!data || typeof data.frames !== "object" || data.frames === null) {
+			this.game.debug.warn(
+				`Invalid atlas given to Spritesheet#parseAtlas "${atlas}".`,
+				"Whirl.Spritesheet"
+			);
+
+			return this;
+		}
+
+		const entries = Array.isArray(data.frames)
+			? data.frames.map((item) => [item.filename, item])
+			: Object.entries(data.frames);
+
+		this._clearFrames();
+
+		entries.forEach(([name, item]) => {
+			if (!item || !item.frame) {
+				return;
+			}
+
+			if (item.rotated) {
+				this.game.debug.warn(
+					`Rotated atlas frames are not supported. Skipping frame "${name}".`,
+					"Whirl.Spritesheet"
+				);
+
+				return;
+			}
+
+			const {x, y, w, h} = item.frame;
+
+			this.frames[name] = Rectangle(x, y, w, h);
+		});
+
+		return this;
+	}
+
+	/**
+	 * Get an {@link Whirl.Image|Image texture} of a single frame of this spritesheet.
+	 *
+	 * The same Image instance is returned each time the same frame is requested, so frames can be freely passed to the `fill` of many sprites.
+	 *
+	 * @method Whirl.Spritesheet#frame
+	 *
+	 * @param {string|number} name Name of the frame (or index of the frame for spritesheets sliced into a grid).
+	 * @returns {Whirl.Image|null} Image texture of the frame, or `null` if the frame does not exist.
+	 *
+	 * @example
+	 * sprite.setFill(spritesheet.frame(3));
+	 */
+	frame(name) {
+		if (!this.hasFrame(name)) {
+			this.game.debug.warn(`Spritesheet frame "${name}" does not exist.`, "Whirl.Spritesheet");
+
+			return null;
+		}
+
+		if (!this._frameTextures[name]) {
+			this._frameTextures[name] = new Image(this.game, this._data, {
+				crop: this.frames[name],
+			});
+		}
+
+		return this._frameTextures[name];
+	}
+
+	/**
+	 * Determine if a frame exists on this spritesheet.
+	 *
+	 * @method Whirl.Spritesheet#hasFrame
+	 *
+	 * @param {string|number} name Name of the frame (or index of the frame for spritesheets sliced into a grid).
+	 * @returns {boolean}
+	 */
+	hasFrame(name) {
+		return Object.prototype.hasOwnProperty.call(this.frames, name);
+	}
+
+	/**
+	 * Get the names of all frames of this spritesheet.
+	 *
+	 * @method Whirl.Spritesheet#getFrameNames
+	 *
+	 * @returns {string[]}
+	 */
+	getFrameNames() {
+		return Object.keys(this.frames);
+	}
+
+	/**
+	 * Remove all frames and their cached Image textures.
+	 *
+	 * @ignore
+	 * @method Whirl.Spritesheet#_clearFrames
+	 */
+	_clearFrames() {
+		this.frames = {};
+		this._frameTextures = {};
+	}
+}
+
+export default Spritesheet;
@@ -0,0 +1,397 @@
+// Items spanning more cells than this are kept in a separate list instead of being added to every cell
+const MAX_CELLS = 64;
+
+/**
+ * @classdesc
+ * Spatial hash that sorts items into a uniform grid of square cells by their axis-aligned bounding box, so that the items near an area of the game world can be found without checking every item.
+ *
+ * Used internally by {@link Whirl.Stage|Stages} that have their {@link Whirl.Stage#index|spatial index} enabled. The index is kept up to date with the derived bounds of every active {@link Whirl.Sprite|Sprite} each simulation step, only moving the Sprites whose bounds have changed.
+ *
+ * Queries return every item whose bounding box overlaps the queried area, sorted by the order of each item. Unless given its own order, an item is ordered by when it was first inserted.
+ *
+ * @class SpatialHash
+ * @memberof Whirl.Stage
+ *
+ * @param {number} [cellSize=128] Width and height of each cell in pixels. Cells should be around the size of the typical item.
+ */
+class SpatialHash {
+	/**
+	 * Width and height of each cell in pixels.
+	 *
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {number}
+	 * @default 128
+	 * @readonly
+	 */
+	cellSize;
+
+	/**
+	 * Number of items in the spatial hash.
+	 *
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {number}
+	 * @readonly
+	 */
+	size = 0;
+
+	/**
+	 * Map of items to their entry.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {Map<any, Whirl.Stage.SpatialHash~Entry>}
+	 * @readonly
+	 */
+	_entries = new Map();
+
+	/**
+	 * Order given to the next item that is inserted without an order of its own.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {number}
+	 * @readonly
+	 */
+	_nextOrder = 0;
+
+	/**
+	 * Map of cell keys to the entries in each cell.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {Map<string, Array<Whirl.Stage.SpatialHash~Entry>>}
+	 * @readonly
+	 */
+	_cells = new Map();
+
+	/**
+	 * Entries that span too many cells to be added to each of them.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {Array<Whirl.Stage.SpatialHash~Entry>}
+	 * @readonly
+	 */
+	_oversized = [];
+
+	/**
+	 * Incremented on each query to avoid returning an entry that is in many of the queried cells more than once.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Stage.SpatialHash#
+	 * @type {number}
+	 * @readonly
+	 */
+	_queryId = 0;
+
+	/**
+	 * @typedef {object} Whirl.Stage.SpatialHash~Entry
+	 *
+	 * @property {any} item Inserted item.
+	 * @property {number} order Position of the item in the order that queries return items in.
+	 * @property {number} x X-coordinate of the bounding box.
+	 * @property {number} y Y-coordinate of the bounding box.
+	 * @property {number} w Width of the bounding box.
+	 * @property {number} h Height of the bounding box.
+	 * @property {Whirl.Stage.SpatialHash~Cells|null} cells Range of cells the entry is in, or `null` if the entry spans too many cells.
+	 * @property {number} queryId ID of the last query that found this entry.
+	 */
+
+	/**
+	 * @typedef {object} Whirl.Stage.SpatialHash~Cells
+	 *
+	 * @property {number} minX Column of the left-most cell.
+	 * @property {number} minY Row of the top-most cell.
+	 * @property {number} maxX Column of the right-most cell.
+	 * @property {number} maxY Row of the bottom-most cell.
+	 */
+
+	constructor(cellSize = 128) {
+		this.cellSize = cellSize;
+	}
+
+	/**
+	 * Insert an item with the given bounding box.
+	 *
+	 * The bounding box is copied, so changing the given rectangle afterwards will not move the item in the spatial hash. If the item is already in the spatial hash, it is moved instead.
+	 *
+	 * @method Whirl.Stage.SpatialHash#insert
+	 *
+	 * @param {any} item Item to insert.
+	 * @param {Whirl.geometry.Rectangle} rect Bounding box of the item.
+	 * @param {number} [order] Position of the item in the order that queries return items in. Defaults to after every item inserted so far.
+	 * @returns {this}
+	 */
+	insert(item, rect, order) {
+		if (this._entries.has(item)) {
+			return this.update(item, rect, order);
+		}
+
+		const entry = {
+			item,
+			order: order === undefined ? this._nextOrder : order,
+			x: rect.x,
+			y: rect.y,
+			w: rect.w,
+			h: rect.h,
+			cells: this._getCells(rect),
+			queryId: -1,
+		};
+
+		this._nextOrder = Math.max(this._nextOrder, entry.order + 1);
+
+		this._entries.set(item, entry);
+		this.size++;
+
+		this._addToCells(entry);
+
+		return this;
+	}
+
+	/**
+	 * Move an item to a new bounding box.
+	 *
+	 * Only the cells that the item leaves or enters are changed, and nothing is changed at all if the bounding box is the same. Inserts the item if it is not yet in the spatial hash.
+	 *
+	 * @method Whirl.Stage.SpatialHash#update
+	 *
+	 * @param {any} item Item to move.
+	 * @param {Whirl.geometry.Rectangle} rect New bounding box of the item.
+	 * @param {number} [order] New position of the item in the order that queries return items in. Defaults to keeping its current order.
+	 * @returns {this}
+	 */
+	update(item, rect, order) {
+		const entry = this._entries.get(item);
+
+		if (!entry) {
+			return this.insert(item, rect, order);
+		}
+
+		if (order !== undefined) {
+			entry.order = order;
+			this._nextOrder = Math.max(this._nextOrder, order + 1);
+		}
+
+		if (entry.x === rect.x && entry.y === rect.y && entry.w === rect.w && entry.h === rect.h) {
+			return this;
+		}
+
+		entry.x = rect.x;
+		entry.y = rect.y;
+		entry.w = rect.w;
+		entry.h = rect.h;
+
+		const cells = this._getCells(rect);
+
+		if (!isSameCells(cells, entry.cells)) {
+			this._removeFromCells(entry);
+
+			entry.cells = cells;
+
+			this._addToCells(entry);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Remove an item.
+	 *
+	 * @method Whirl.Stage.SpatialHash#remove
+	 *
+	 * @param {any} item Item to remove.
+	 * @returns {boolean} `true` if the item was in the spatial hash.
+	 */
+	remove(item) {
+		const entry = this._entries.get(item);
+
+		if (!entry) {
+			return false;
+		}
+
+		this._removeFromCells(entry);
+
+		this._entries.delete(item);
+		this.size--;
+
+		return true;
+	}
+
+	/**
+	 * Determine if an item is in the spatial hash.
+	 *
+	 * @method Whirl.Stage.SpatialHash#has
+	 *
+	 * @param {any} item Item to look for.
+	 * @returns {boolean}
+	 */
+	has(item) {
+		return this._entries.has(item);
+	}
+
+	/**
+	 * Retrieve every item whose bounding box overlaps the given rectangle.
+	 *
+	 * @method Whirl.Stage.SpatialHash#query
+	 *
+	 * @param {Whirl.geometry.Rectangle} rect Area to search.
+	 * @returns {any[]} Found items in insertion order.
+	 */
+	query(rect) {
+		const queryId = ++this._queryId;
+		const found = [];
+
+		const check = (entry) => {
+			if (
+				entry.queryId !== queryId &&
+				entry.x <= rect.x + rect.w &&
+				entry.x + entry.w >= rect.x &&
+				entry.y <= rect.y + rect.h &&
+				entry.y + entry.h >= rect.y
+			) {
+				entry.queryId = queryId;
+				found.push(entry);
+			}
+		};
+
+		const minX = Math.floor(rect.x / this.cellSize);
+		const minY = Math.floor(rect.y / this.cellSize);
+		const maxX = Math.floor((rect.x + rect.w) / this.cellSize);
+		const maxY = Math.floor((rect.y + rect.h) / this.cellSize);
+
+		// Visiting every cell of a very large area is slower than visiting every filled cell
+		if ((maxX - minX + 1) * (maxY - minY + 1) > this._cells.size) {
+			this._cells.forEach((cell) => cell.forEach(check));
+		} else {
+			for (let cx = minX; cx <= maxX; cx++) {
+				for (let cy = minY; cy <= maxY; cy++) {
+					const cell = this._cells.get(`${cx},${cy}`);
+
+					if (cell) {
+						cell.forEach(check);
+					}
+				}
+			}
+		}
+
+		this._oversized.forEach(check);
+
+		return found.sort((a, b) => a.order - b.order).map((entry) => entry.item);
+	}
+
+	/**
+	 * Remove every item from the spatial hash.
+	 *
+	 * @method Whirl.Stage.SpatialHash#clear
+	 *
+	 * @returns {this}
+	 */
+	clear() {
+		this._entries.clear();
+		this._cells.clear();
+		this._oversized = [];
+		this._nextOrder = 0;
+		this.size = 0;
+
+		return this;
+	}
+
+	/**
+	 * Find the range of cells that a bounding box covers.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage.SpatialHash#_getCells
+	 *
+	 * @param {Whirl.geometry.Rectangle} rect Bounding box.
+	 * @returns {Whirl.Stage.SpatialHash~Cells|null} Range of cells, or `null` if the bounding box covers too many cells.
+	 */
+	_getCells(rect) {
+		const minX = Math.floor(rect.x / this.cellSize);
+		const minY = Math.floor(rect.y / this.cellSize);
+		const maxX = Math.floor((rect.x + rect.w) / this.cellSize);
+		const maxY = Math.floor((rect.y + rect.h) / this.cellSize);
+
+		if ((maxX - minX + 1) * (maxY - minY + 1) > MAX_CELLS) {
+			return null;
+		}
+
+		return {minX, minY, maxX, maxY};
+	}
+
+	/**
+	 * Add an entry to every cell in its range of cells.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage.SpatialHash#_addToCells
+	 *
+	 * @param {Whirl.Stage.SpatialHash~Entry} entry Entry to add.
+	 */
+	_addToCells(entry) {
+		const {cells} = entry;
+
+		if (!cells) {
+			this._oversized.push(entry);
+
+			return;
+		}
+
+		for (let cx = cells.minX; cx <= cells.maxX; cx++) {
+			for (let cy = cells.minY; cy <= cells.maxY; cy++) {
+				const key = `${cx},${cy}`;
+				const cell = this._cells.get(key);
+
+				if (cell) {
+					cell.push(entry);
+				} else {
+					this._cells.set(key, [entry]);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Remove an entry from every cell in its range of cells, deleting cells that are left empty.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage.SpatialHash#_removeFromCells
+	 *
+	 * @param {Whirl.Stage.SpatialHash~Entry} entry Entry to remove.
+	 */
+	_removeFromCells(entry) {
+		const {cells} = entry;
+
+		if (!cells) {
+			this._oversized.splice(this._oversized.indexOf(entry), 1);
+
+			return;
+		}
+
+		for (let cx = cells.minX; cx <= cells.maxX; cx++) {
+			for (let cy = cells.minY; cy <= cells.maxY; cy++) {
+				const key = `${cx},${cy}`;
+				const cell = this._cells.get(key);
+
+				if (cell.length === 1) {
+					this._cells.delete(key);
+				} else {
+					cell.splice(cell.indexOf(entry), 1);
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Determine if two ranges of cells are the same.
+ *
+ * @ignore
+ *
+ * @param {Whirl.Stage.SpatialHash~Cells|null} a First range.
+ * @param {Whirl.Stage.SpatialHash~Cells|null} b Second range.
+ * @returns {boolean}
+ */
+const isSameCells = (a, b) =>
+	a === b ||
+	(!!a && !!b && a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY);
+
+export default SpatialHash;
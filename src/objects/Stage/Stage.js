@@ -1,7 +1,14 @@
 import Base from "~/objects/Base";
 import Container from "~/objects/Container";
+import Sprite from "~/objects/Sprite";
 import Rectangle from "~/geometry/Rectangle";
+import Point from "~/geometry/Point";
+import clamp from "~/math/clamp";
 import getValue from "~/lib/getValue";
+import SpatialHash from "./SpatialHash";
+
+// Reused when indexing Sprites to avoid creating a rectangle for each of them every step
+const swept = Rectangle();
 
 /**
  * @classdesc
@@ -29,6 +36,9 @@ import getValue from "~/lib/getValue";
  * @param {number} options.y=0 Y-coordinate of the stage limit.
  * @param {number} options.w=ConfigManager.w Width of the stage limit.
  * @param {number} options.h=ConfigManager.h Height of the stage limit.
+ * @param {number} options.timeScale=1 Rate at which time passes for the objects in this stage.
+ * @param {boolean} options.spatialIndex=false Maintain a {@link Whirl.Stage#index|spatial index} of the Sprites in this stage.
+ * @param {number} options.cellSize=128 Size of each cell of the spatial index in pixels.
  * @param {Entity[]} [children] Array of children to initialise into the stage world. Will be inserted into the root {@link Whirl.Container|Container}.
  *
  * @example
@@ -66,6 +76,41 @@ class Stage extends Base {
 	 */
 	limits;
 
+	/**
+	 * Rate at which time passes for the objects in this stage relative to the {@link Whirl.Game.UpdateManager#timeScale|global time scale}.
+	 *
+	 * The time delta given to the {@link Whirl.Base#update|update method} of each object in the stage is multiplied by this value. For example, `0.5` runs the stage in slow-motion at half speed, `2` runs it at double speed and `0` freezes it entirely whilst still rendering it.
+	 *
+	 * @memberof Whirl.Stage#
+	 * @type {number}
+	 * @default 1
+	 */
+	timeScale;
+
+	/**
+	 * Spatial index of the active {@link Whirl.Sprite|Sprites} in this stage, updated from their derived bounds each simulation step.
+	 *
+	 * When enabled, the {@link Whirl.Stage#query|query methods} of this stage and {@link Whirl.Viewport|Viewports} rendering this stage only visit the Sprites near the area they are interested in instead of every object in the game world. This is worthwhile for large worlds where most objects are off-screen.
+	 *
+	 * Do not modify this property directly. Instead, use the `setSpatialIndex` method.
+	 *
+	 * @memberof Whirl.Stage#
+	 * @type {Whirl.Stage.SpatialHash|null}
+	 * @readonly
+	 * @default null
+	 */
+	index = null;
+
+	/**
+	 * Sprites that were in the {@link Whirl.Stage#index|spatial index} after it was last updated.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Stage#
+	 * @type {Set<Whirl.Sprite>}
+	 * @readonly
+	 */
+	_indexed = new Set();
+
 	/**
 	 * Alias to the the root {@link Whirl.Stage#container|Container} {@link Whirl.mixins.ChildMixin|Child mixin} that this Stage holds.
 	 *
@@ -93,6 +138,13 @@ class Stage extends Base {
 			);
 		}
 
+		this.timeScale = getValue(options, "timeScale", 1);
+
+		this.setSpatialIndex(
+			getValue(options, "spatialIndex", false),
+			getValue(options, "cellSize", 128)
+		);
+
 		this.setContainer(getValue(options, "container"));
 
 		this.container.child.add(children);
@@ -134,7 +186,218 @@ class Stage extends Base {
 	}
 
 	/**
-	 * Invoke the `calculateDerived` method on all children in the tree of children in the game world.
+	 * Enable or disable the {@link Whirl.Stage#index|spatial index} of this stage.
+	 *
+	 * A newly enabled index is filled at the end of the next simulation step.
+	 *
+	 * @method Whirl.Stage#setSpatialIndex
+	 *
+	 * @param {boolean} [enabled=true] Maintain a spatial index.
+	 * @param {number} [cellSize=128] Size of each cell of the index in pixels. Cells should be around the size of the typical Sprite in this stage.
+	 * @returns {this}
+	 *
+	 * @example
+	 * const stage = game.Stage({w: 20000, h: 20000}).setSpatialIndex(true, 256);
+	 */
+	setSpatialIndex(enabled = true, cellSize = 128) {
+		this.index = enabled ? new SpatialHash(cellSize) : null;
+		this._indexed = new Set();
+
+		return this;
+	}
+
+	/**
+	 * Retrieve every active Sprite in this stage whose derived bounds overlap a rectangle.
+	 *
+	 * @method Whirl.Stage#query
+	 *
+	 * @param {Whirl.geometry.Rectangle} rect Area of the game world to search.
+	 * @returns {Whirl.Sprite[]} Found Sprites in the order that they are rendered.
+	 *
+	 * @example
+	 * const nearby = stage.query(Whirl.geometry.Rectangle(0, 0, 200, 200));
+	 */
+	query(rect) {
+		return this._getCandidates(rect).filter((sprite) => sprite.derived.bounds.overlaps(rect));
+	}
+
+	/**
+	 * Retrieve every active Sprite in this stage that contains a point, taking the rotation, scale and skew of each Sprite into account.
+	 *
+	 * @method Whirl.Stage#queryPoint
+	 *
+	 * @param {number|Whirl.geometry.Point} x X-coordinate of the point. An instance of a Point can be given instead as the only argument.
+	 * @param {number} [y] Y-coordinate of the point.
+	 * @returns {Whirl.Sprite[]} Found Sprites in the order that they are rendered.
+	 *
+	 * @example
+	 * const [top] = stage.queryPoint(viewport.translateToWorld(x, y)).reverse();
+	 */
+	queryPoint(px, py) {
+		let x = px;
+		let y = py;
+
+		if (px instanceof Point.class) {
+			x = px.x;
+			y = px.y;
+		}
+
+		return this._getCandidates(Rectangle(x, y, 0, 0)).filter((sprite) =>
+			sprite.isPointInside(x, y)
+		);
+	}
+
+	/**
+	 * Retrieve every active Sprite in this stage whose derived bounds overlap a circle.
+	 *
+	 * @method Whirl.Stage#queryCircle
+	 *
+	 * @param {Whirl.geometry.Circle} circle Area of the game world to search.
+	 * @returns {Whirl.Sprite[]} Found Sprites in the order that they are rendered.
+	 *
+	 * @example
+	 * // Damage everything within the blast radius
+	 * stage.queryCircle(Whirl.geometry.Circle(x, y, 150)).forEach((sprite) => sprite.event.emit("hit"));
+	 */
+	queryCircle(circle) {
+		const rect = Rectangle(circle.x - circle.r, circle.y - circle.r, circle.r * 2, circle.r * 2);
+
+		return this._getCandidates(rect).filter(({derived: {bounds}}) => {
+			// Distance from the center of the circle to the closest point of the bounds
+			const dx = clamp(circle.x, bounds.x, bounds.x + bounds.w) - circle.x;
+			const dy = clamp(circle.y, bounds.y, bounds.y + bounds.h) - circle.y;
+
+			return dx * dx + dy * dy <= circle.r * circle.r;
+		});
+	}
+
+	/**
+	 * Retrieve the Sprites that may overlap a rectangle, using the spatial index if it is enabled.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage#_getCandidates
+	 *
+	 * @param {Whirl.geometry.Rectangle} rect Area of the game world to search.
+	 * @returns {Whirl.Sprite[]} Sprites that may overlap the area in the order that they are rendered.
+	 */
+	_getCandidates(rect) {
+		return this.index ? this.index.query(rect) : this._getSprites();
+	}
+
+	/**
+	 * Retrieve every active Sprite in the tree of children in the game world in the order that they are rendered.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage#_getSprites
+	 *
+	 * @param {Entity} [object] Current object to search.
+	 * @param {Whirl.Sprite[]} [sprites] Sprites found so far.
+	 * @returns {Whirl.Sprite[]}
+	 */
+	_getSprites(object = this.container, sprites = []) {
+		if (object instanceof Sprite) {
+			sprites.push(object);
+		}
+
+		if (object.child) {
+			object.child
+				.get((item) => item.active)
+				.sort((a, b) => a.layer - b.layer)
+				.forEach((item) => this._getSprites(item, sprites));
+		}
+
+		return sprites;
+	}
+
+	/**
+	 * Update the spatial index from the derived bounds of every active Sprite.
+	 *
+	 * Each Sprite is indexed by the area it covers from its previous to its current derived bounds, so that Sprites are also found whilst being rendered in between the two. Only Sprites whose area has changed are moved in the index, and Sprites that are no longer active in this stage are removed from it.
+	 *
+	 * Sprites are ordered in the index by the order they are rendered in, so that queries return them ready to be rendered.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage#_updateIndex
+	 */
+	_updateIndex() {
+		const sprites = this._getSprites();
+		const indexed = new Set(sprites);
+
+		this._indexed.forEach((sprite) => {
+			if (!indexed.has(sprite)) {
+				this.index.remove(sprite);
+			}
+		});
+
+		this._indexed = indexed;
+
+		sprites.forEach((sprite, order) => {
+			const {bounds, previousBounds} = sprite.derived;
+			const x = Math.min(bounds.x, previousBounds.x);
+			const y = Math.min(bounds.y, previousBounds.y);
+
+			swept.set({
+				x,
+				y,
+				w: Math.max(bounds.x + bounds.w, previousBounds.x + previousBounds.w) - x,
+				h: Math.max(bounds.y + bounds.h, previousBounds.y + previousBounds.h) - y,
+			});
+
+			this.index.update(sprite, swept, order);
+		});
+	}
+
+	/**
+	 * Invoke the `update` method on all active children in the tree of children in the game world, emitting the `willUpdate` and `didUpdate` events on each of them.
+	 *
+	 * Children of inactive entities are not updated. Children of entities with {@link Whirl.Entity#autoUpdate|automatic updates disabled} are still updated.
+	 *
+	 * The time delta is multiplied by the {@link Whirl.Container#timeScale|time scale} of each Container on the way down the tree. Containers with a time scale of `0`, and all of their children, are not updated at all.
+	 *
+	 * Invoked internally by the {@link Whirl.Game.UpdateManager|UpdateManager}.
+	 *
+	 * @ignore
+	 * @method Whirl.Stage#updateChildren
+	 *
+	 * @emits Whirl.Entity#willUpdate
+	 * @emits Whirl.Entity#didUpdate
+	 *
+	 * @param {number} dt Time in milliseconds that this step simulates.
+	 * @param {Entity} object Current object to update.
+	 * @returns {this}
+	 */
+	updateChildren(dt, object = this.container) {
+		if (object instanceof Container) {
+			dt *= object.timeScale;
+		}
+
+		if (dt === 0) {
+			return this;
+		}
+
+		if (object.autoUpdate) {
+			const data = {
+				object,
+				dt,
+				game: this.game,
+			};
+
+			object.event.emit("willUpdate", data);
+
+			object.update(dt, this.game);
+
+			object.event.emit("didUpdate", data);
+		}
+
+		if (object.child) {
+			object.child.get((item) => item.active).forEach((item) => this.updateChildren(dt, item));
+		}
+
+		return this;
+	}
+
+	/**
+	 * Invoke the `calculateDerived` method on all children in the tree of children in the game world, then update the {@link Whirl.Stage#index|spatial index} if it is enabled.
 	 *
 	 * Invoked internally by the {@link Whirl.Game.UpdateManager|UpdateManager}.
 	 *
@@ -151,6 +414,10 @@ class Stage extends Base {
 			object.child.get((item) => item.active).forEach((item) => this.calculateDerived(item));
 		}
 
+		if (object === this.container && this.index) {
+			this._updateIndex();
+		}
+
 		return this;
 	}
 }
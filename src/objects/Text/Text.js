@@ -0,0 +1,420 @@
+import Sprite from "~/objects/Sprite";
+import Texture from "~/objects/Texture";
+import getValue from "~/lib/getValue";
+
+// Shared context used to measure text without needing a Viewport, created when it is first needed
+let measureContext = null;
+
+const getMeasureContext = () => {
+	if (!measureContext) {
+		measureContext = document.createElement("canvas").getContext("2d");
+	}
+
+	return measureContext;
+};
+
+/**
+ * @classdesc
+ * Text entities draw a string of text in the game world with any font the browser can use, including [web fonts](https://developer.mozilla.org/en-US/docs/Web/CSS/@font-face) loaded with the {@link Whirl.Game.AssetManager#font|AssetManager}.
+ *
+ * Text is filled with its {@link Whirl.Sprite#fill|fill} texture and can be outlined with a {@link Whirl.Text#stroke|stroke} texture. Lines are broken at new line characters (`\n`) and, if a {@link Whirl.Text#wrapWidth|wrap width} is given, between words so that no line is wider than it.
+ *
+ * The width and height of the {@link Whirl.Sprite#bounds|bounds} of a Text entity are measured from its text and style, so they should not be set directly. Text is measured again at the next simulation step whenever its text or style changes, or immediately with the {@link Whirl.Text#measure|measure method}.
+ *
+ * @class Text
+ * @memberof Whirl
+ * @extends Whirl.Sprite
+ *
+ * @param {Whirl.Game} game Game instance this text belongs to and should be managed by.
+ * @param {object} [options] Optional presets when initialising this object. Also accepts all options of a {@link Whirl.Sprite|Sprite} except for `w` and `h`.
+ * @param {string} options.text="" Text to draw.
+ * @param {string} options.fontFamily="sans-serif" Font family, as in the CSS `font-family` property.
+ * @param {number} options.fontSize=16 Font size in pixels.
+ * @param {string|number} options.fontWeight="normal" Font weight, as in the CSS `font-weight` property.
+ * @param {string} options.fontStyle="normal" Font style - `normal`, `italic` or `oblique`.
+ * @param {Whirl.Texture} options.stroke=null Texture to outline the text with.
+ * @param {number} options.strokeWidth=1 Width of the outline in pixels.
+ * @param {string} options.align="left" Horizontal alignment of each line - `left`, `center` or `right`.
+ * @param {number} options.lineHeight=1.2 Height of each line as a multiple of the font size.
+ * @param {number} options.wrapWidth=0 Maximum width of each line in pixels before it wraps. Give `0` to only break lines at new line characters.
+ * @param {number} options.resolution=1 Scale to draw the text at when it is drawn as an image, such as by the {@link Whirl.render.Webgl|WebGL renderer}.
+ *
+ * @example
+ * game.asset.font("Press Start", "./fonts/press-start.woff2");
+ *
+ * const title = game.Text({
+ * 	text: "Game Over",
+ * 	fontFamily: "Press Start",
+ * 	fontSize: 32,
+ * 	fill: game.Colour(255, 255, 255),
+ * 	stroke: game.Colour(0, 0, 0),
+ * 	strokeWidth: 4,
+ * 	anchorX: 0.5,
+ * });
+ *
+ * title.text = "You Win";
+ */
+class Text extends Sprite {
+	/**
+	 * Text to draw.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {string}
+	 * @default ""
+	 */
+	text;
+
+	/**
+	 * Font family, as in the CSS `font-family` property.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {string}
+	 * @default "sans-serif"
+	 */
+	fontFamily;
+
+	/**
+	 * Font size in pixels.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {number}
+	 * @default 16
+	 */
+	fontSize;
+
+	/**
+	 * Font weight, as in the CSS `font-weight` property.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {string|number}
+	 * @default "normal"
+	 */
+	fontWeight;
+
+	/**
+	 * Font style - `normal`, `italic` or `oblique`.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {string}
+	 * @default "normal"
+	 */
+	fontStyle;
+
+	/**
+	 * Texture to outline the text with, drawn beneath the fill. No outline is drawn if `null`.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {Whirl.Texture|null}
+	 * @default null
+	 */
+	stroke;
+
+	/**
+	 * Width of the outline in pixels. Half of the outline lies outside of the letters, so the bounds of the text grow by this much to fit it.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {number}
+	 * @default 1
+	 */
+	strokeWidth;
+
+	/**
+	 * Horizontal alignment of each line - `left`, `center` or `right`.
+	 *
+	 * Lines are aligned within the wrap width if one is given, else within the widest line.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {string}
+	 * @default "left"
+	 */
+	align;
+
+	/**
+	 * Height of each line as a multiple of the font size.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {number}
+	 * @default 1.2
+	 */
+	lineHeight;
+
+	/**
+	 * Maximum width of each line in pixels before it wraps onto the next line. Words that are wider than this on their own are broken between their characters.
+	 *
+	 * If `0`, lines only break at new line characters.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {number}
+	 * @default 0
+	 */
+	wrapWidth;
+
+	/**
+	 * Scale to draw the text at when it is drawn as an image, such as by the {@link Whirl.render.Webgl|WebGL renderer}. Increase this to keep text sharp when it is zoomed in or scaled up.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {number}
+	 * @default 1
+	 */
+	resolution;
+
+	/**
+	 * Laid out lines of the text from the last time it was measured.
+	 *
+	 * `x` and `y` are the position in the local space of the Text to draw each line at, with the text aligned to the left and vertically centred on `y`.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {Array<{text: string, width: number, x: number, y: number}>}
+	 * @readonly
+	 */
+	lines = [];
+
+	/**
+	 * Text and style that were last measured, used to only measure again when either changes.
+	 *
+	 * @ignore
+	 * @memberof Whirl.Text#
+	 * @type {string|null}
+	 * @readonly
+	 */
+	_measured = null;
+
+	constructor(game, options = {}) {
+		super(game, options);
+
+		this.text = String(getValue(options, "text", ""));
+
+		this.fontFamily = getValue(options, "fontFamily", "sans-serif");
+
+		this.fontSize = getValue(options, "fontSize", 16);
+
+		this.fontWeight = getValue(options, "fontWeight", "normal");
+
+		this.fontStyle = getValue(options, "fontStyle", "normal");
+
+		this.setStroke(getValue(options, "stroke", null), getValue(options, "strokeWidth", 1));
+
+		this.align = getValue(options, "align", "left");
+
+		this.lineHeight = getValue(options, "lineHeight", 1.2);
+
+		this.wrapWidth = getValue(options, "wrapWidth", 0);
+
+		this.resolution = getValue(options, "resolution", 1);
+
+		this.measure();
+
+		this.derived.bounds = this.bounds.duplicate();
+		this.derived.previousBounds = this.bounds.duplicate();
+		this.derived.renderBounds = this.bounds.duplicate();
+	}
+
+	/**
+	 * Font of the text in the format of the CSS `font` shorthand property.
+	 *
+	 * @memberof Whirl.Text#
+	 * @type {string}
+	 * @readonly
+	 *
+	 * @example
+	 * text.font; // "normal bold 24px Arial"
+	 */
+	get font() {
+		return `${this.fontStyle} ${this.fontWeight} ${this.fontSize}px ${this.fontFamily}`;
+	}
+
+	/**
+	 * Set the text to draw.
+	 *
+	 * @method Whirl.Text#setText
+	 *
+	 * @param {any} text Text to draw. Other values are converted to a string.
+	 * @returns {this}
+	 *
+	 * @example
+	 * score.setText(`Score: ${points}`);
+	 */
+	setText(text) {
+		this.text = String(text);
+
+		return this;
+	}
+
+	/**
+	 * Set the texture to outline the text with.
+	 *
+	 * @method Whirl.Text#setStroke
+	 *
+	 * @param {Whirl.Texture|null} [stroke=null] Texture to outline the text with, or `null` to remove the outline.
+	 * @param {number} [width] Width of the outline in pixels. Stays the same if not given.
+	 * @returns {this}
+	 */
+	setStroke(stroke = null, width = this.strokeWidth) {
+		if (stroke !== null && !(stroke instanceof Texture)) {
+			this.game.debug.warn(
+				"Invalid Texture instance given to Text#setStroke. Removing the stroke instead.",
+				"Whirl.Text"
+			);
+
+			stroke = null;
+		}
+
+		this.stroke = stroke;
+		this.strokeWidth = width;
+
+		return this;
+	}
+
+	/**
+	 * Lay out the lines of the text and resize its bounds to fit them.
+	 *
+	 * Called automatically each simulation step if the text or its style has changed. Call it yourself to read the new size of the text straight away, or if the font it uses has finished loading since it was last measured.
+	 *
+	 * @method Whirl.Text#measure
+	 *
+	 * @returns {this}
+	 */
+	measure() {
+		const ctx = getMeasureContext();
+		const padding = this._getPadding();
+		const height = this.fontSize * this.lineHeight;
+
+		ctx.font = this.font;
+
+		const lines = [];
+		const paragraphs = this.text.split("\n");
+
+		for (let i = 0; i < paragraphs.length; i++) {
+			lines.push(...this._wrap(ctx, paragraphs[i]));
+		}
+
+		const widest = lines.reduce((max, line) => Math.max(max, line.width), 0);
+		const width = this.wrapWidth > 0 ? this.wrapWidth : widest;
+
+		for (let i = 0; i < lines.length; i++) {
+			const line = lines[i];
+			let x = 0;
+
+			if (this.align === "center") {
+				x = (width - line.width) / 2;
+			} else if (this.align === "right") {
+				x = width - line.width;
+			}
+
+			line.x = padding + x;
+			line.y = padding + height * (i + 0.5);
+		}
+
+		this.lines = lines;
+
+		this.bounds.w = width + padding * 2;
+		this.bounds.h = lines.length * height + padding * 2;
+
+		this._measured = this._getMeasureKey();
+
+		return this;
+	}
+
+	/**
+	 * Calculate the derived values of this Text, measuring it again first if its text or style has changed.
+	 *
+	 * @method Whirl.Text#calculateDerived
+	 *
+	 * @returns {this}
+	 */
+	calculateDerived() {
+		if (this._measured !== this._getMeasureKey()) {
+			this.measure();
+		}
+
+		return super.calculateDerived();
+	}
+
+	/**
+	 * Break a paragraph of text into lines that fit inside of the wrap width.
+	 *
+	 * @ignore
+	 * @method Whirl.Text#_wrap
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context to measure with, with the font of the text already set.
+	 * @param {string} paragraph Text without any new line characters.
+	 * @returns {Array<{text: string, width: number}>}
+	 */
+	_wrap(ctx, paragraph) {
+		const measure = (text) => ctx.measureText(text).width;
+
+		if (this.wrapWidth <= 0) {
+			return [{text: paragraph, width: measure(paragraph)}];
+		}
+
+		const lines = [];
+		const words = paragraph.split(" ");
+		let current = "";
+
+		for (let i = 0; i < words.length; i++) {
+			let word = words[i];
+			const joined = current ? `${current} ${word}` : word;
+
+			if (measure(joined) <= this.wrapWidth) {
+				current = joined;
+
+				continue;
+			}
+
+			if (current) {
+				lines.push(current);
+			}
+
+			// Break words that cannot fit on a line of their own between their characters
+			while (word.length > 1 && measure(word) > this.wrapWidth) {
+				let end = word.length - 1;
+
+				while (end > 1 && measure(word.slice(0, end)) > this.wrapWidth) {
+					end--;
+				}
+
+				lines.push(word.slice(0, end));
+				word = word.slice(end);
+			}
+
+			current = word;
+		}
+
+		lines.push(current);
+
+		return lines.map((text) => ({text, width: measure(text)}));
+	}
+
+	/**
+	 * Get the space to leave around the text to fit its outline.
+	 *
+	 * @ignore
+	 * @method Whirl.Text#_getPadding
+	 *
+	 * @returns {number}
+	 */
+	_getPadding() {
+		return this.stroke ? Math.ceil(this.strokeWidth / 2) : 0;
+	}
+
+	/**
+	 * Get a string that changes whenever the text or any part of its style that affects its size changes.
+	 *
+	 * @ignore
+	 * @method Whirl.Text#_getMeasureKey
+	 *
+	 * @returns {string}
+	 */
+	_getMeasureKey() {
+		return [
+			this.text,
+			this.font,
+			this.align,
+			this.lineHeight,
+			this.wrapWidth,
+			this._getPadding(),
+		].join("|");
+	}
+}
+
+export default Text;
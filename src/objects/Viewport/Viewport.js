@@ -42,12 +42,18 @@ import lerp from "~/math/lerp";
  * @param {boolean} options.clip=false Remove all pixels that are outside of the clipping plane from the rendered output on the canvas.
  * @param {boolean} options.clear=true Clear the area being rendered to before each render tick.
  * @param {boolean} options.imageSmoothing=true Canvas anti-aliasing.
+ * @param {boolean} options.cull=true Skip rendering Sprites that are outside of the visible area of the game world.
  * @param {number} options.zoom=1 Initial zoom level. Increasing this value zooms in, decreasing it zooms out.
  * @param {Whirl.geometry.Point|Whirl.Entity} options.target=null Target Point or Entity to follow.
  * @param {number} options.lerp=1 Linear interpolation value to use when animatedly scrolling to a given point or game object.
  * @param {number} options.offset=(0,0) Set the initial offset value relative to the scroll. Alternatively, give each offset value individually with the `offsetX` and `offsetY` options.
  * @param {number} options.offsetX=0 X-coordinate of the offset.
  * @param {number} options.offsetY=0 Y-coordinate of the offset.
+ * @param {Whirl.geometry.Point} options.shift=(0,0) Set the initial on-screen shift of the rendered view. Alternatively, give each shift value individually with the `shiftX` and `shiftY` options.
+ * @param {number} options.shiftX=0 Horizontal shift in pixels.
+ * @param {number} options.shiftY=0 Vertical shift in pixels.
+ * @param {Whirl.Colour} options.fadeColour=null Colour to fade the viewport to. Black if not given.
+ * @param {number} options.fadeAlpha=0 Opacity of the fade colour drawn over the viewport (0-1).
  * @param {string} options.canvas=ConfigManager.canvas Selector for the canvas element to render to. If not given, will default to the `canvas` value stored in {@link Whirl.Game.ConfigManager#canvas|the game configuration}.
  *
  * Implicitely calls the {@link Whirl.Viewport#setCanvas|`setCanvas`} method.
@@ -160,6 +166,31 @@ class Viewport extends Base {
 	 */
 	imageSmoothing;
 
+	/**
+	 * Skip rendering {@link Whirl.Sprite|Sprites} whose transformed {@link Whirl.Sprite#getBoundingBox|bounding box} is wholly outside of the visible area of the game world (`derived.view`).
+	 *
+	 * @memberof Whirl.Viewport#
+	 * @type {boolean}
+	 * @default true
+	 */
+	cull;
+
+	/**
+	 * Number of Sprites that were drawn and culled when this viewport was last rendered.
+	 *
+	 * Sprites that were skipped by the {@link Whirl.Stage#index|spatial index} of the stage are counted as culled.
+	 *
+	 * @memberof Whirl.Viewport#
+	 * @type {{drawn: number, culled: number}}
+	 * @readonly
+	 *
+	 * @example
+	 * game.event.on("didRender", () => {
+	 * 	console.log(`${viewport.stats.drawn} drawn, ${viewport.stats.culled} culled`);
+	 * });
+	 */
+	stats = {drawn: 0, culled: 0};
+
 	/**
 	 * Adjust the zoom level of this viewport camera.
 	 *
@@ -211,6 +242,43 @@ class Viewport extends Base {
 	 */
 	offset;
 
+	/**
+	 * Distance in pixels to move the rendered view across the screen, without moving the {@link Whirl.Viewport#bounds|clipping plane} or the {@link Whirl.Viewport#scroll|camera}.
+	 *
+	 * Used to slide the contents of a viewport on or off screen, such as by {@link Whirl.Game.SceneManager|scene transitions}. Pointer input follows the shifted view.
+	 *
+	 * @memberof Whirl.Viewport#
+	 * @type {Whirl.geometry.Point}
+	 * @default (0, 0)
+	 */
+	shift;
+
+	/**
+	 * Colour drawn over the whole viewport with an opacity of {@link Whirl.Viewport#fadeAlpha|fadeAlpha}, after everything else in the viewport has been rendered.
+	 *
+	 * If `null`, black is used.
+	 *
+	 * @memberof Whirl.Viewport#
+	 * @type {Whirl.Colour|null}
+	 * @default null
+	 */
+	fadeColour;
+
+	/**
+	 * Opacity of the {@link Whirl.Viewport#fadeColour|fade colour} drawn over the viewport between `0` and `1`. Nothing is drawn when this is `0`.
+	 *
+	 * Tween this value to fade the viewport in and out.
+	 *
+	 * @memberof Whirl.Viewport#
+	 * @type {number}
+	 * @default 0
+	 *
+	 * @example
+	 * // Fade to black
+	 * game.tween.to(viewport, {fadeAlpha: 1}, {duration: 500});
+	 */
+	fadeAlpha;
+
 	/**
 	 * Similar to {@link Whirl.Entity#derived|Entity#derived}, but its calculated value takes into account the derived state of the emtire world after all other derived values have been calculated. This allows the Viewport to track objects in the game world and apply post-processing effects to them.
 	 *
@@ -220,6 +288,7 @@ class Viewport extends Base {
 	 * @default
 	 * {
 	 * 	scroll: Point,
+	 * 	view: Rectangle,
 	 * }
 	 *
 	 * @see Whirl.Entity#derived
@@ -258,6 +327,8 @@ class Viewport extends Base {
 
 		this.imageSmoothing = getValue(options, "imageSmoothing", true);
 
+		this.cull = getValue(options, "cull", true);
+
 		this.zoom = getValue(options, "zoom", 1);
 
 		this.lerp = getValue(options, "lerp", 1);
@@ -274,9 +345,20 @@ class Viewport extends Base {
 			this.offset = Point(getValue(options, "offsetX", 0), getValue(options, "offsetY", 0));
 		}
 
+		if (options.shift instanceof Point.class) {
+			this.shift = options.shift;
+		} else {
+			this.shift = Point(getValue(options, "shiftX", 0), getValue(options, "shiftY", 0));
+		}
+
+		this.fadeColour = getValue(options, "fadeColour", null);
+
+		this.fadeAlpha = getValue(options, "fadeAlpha", 0);
+
 		this.setTarget(options.target);
 
 		this.derived.scroll = this.scroll.duplicate();
+		this.derived.view = Rectangle();
 	}
 
 	/**
@@ -420,7 +502,9 @@ class Viewport extends Base {
 	/**
 	 * Retrieve a list of items from which this viewport can render in its view area.
 	 *
-	 * By default, items outside of the viewports' viewbox will be culled from the list and sorted by their `layer` property.
+	 * Items are sorted by their `layer` property. Items outside of the viewports' viewbox are culled by the {@link Whirl.Game.RenderManager|RenderManager} when it renders the viewport.
+	 *
+	 * If the stage has its {@link Whirl.Stage#index|spatial index} enabled and {@link Whirl.Viewport#cull|culling} is enabled, only the {@link Whirl.Sprite|Sprites} in the stage that overlap the {@link Whirl.Viewport#derived|visible area of the world} (`derived.view`) are retrieved.
 	 *
 	 * @method Whirl.Viewport#getRenderables
 	 *
@@ -439,7 +523,9 @@ class Viewport extends Base {
 	 * viewport.getRenderables(); // [...]
 	 */
 	getRenderables(object = this.stage || {}, renderables = []) {
-		if (!object.child) {
+		if (object === this.stage && object.index && this.cull) {
+			renderables.push(...object.index.query(this.derived.view));
+		} else if (!object.child) {
 			renderables.push(object);
 		} else {
 			object.child
@@ -510,7 +596,9 @@ class Viewport extends Base {
 	/**
 	 * Translate a point on the Viewport screen to a point in the game world.
 	 *
-	 * For example, if the Stage inside a Viewport is positioned at coordinate `(50, 50)`, then calling `viewport.translateToWorld(120, 120)` will return `Point {x: 170, y: 170}`.
+	 * Takes the {@link Whirl.Viewport#derived|derived scroll position} and {@link Whirl.Viewport#zoom|zoom} of the Viewport into account, matching where the game world is rendered.
+	 *
+	 * For example, if a Viewport with a zoom of `1` is scrolled to coordinate `(50, 50)`, then calling `viewport.translateToWorld(120, 120)` will return `Point {x: 170, y: 170}`.
 	 *
 	 * Does not take into account the {@link Whirl.Viewport#bounds|Viewport bounds position}. If you would like it to, either make use of the {@link Whirl.Viewport#translateToScreen|translateToScreen} method first, or simply add the bounds `x` and `y` to the returned coordinate's `x` and `y`.
 	 *
@@ -533,11 +621,8 @@ class Viewport extends Base {
 			y = px.y;
 		}
 
-		x -= this.stage.limits.x;
-		y -= this.stage.limits.y;
-
-		x += this.derived.scroll.x;
-		y -= this.derived.scroll.y;
+		x = (x + this.derived.scroll.x) / this.zoom;
+		y = (y + this.derived.scroll.y) / this.zoom;
 
 		return Point(x, y);
 	}
@@ -561,8 +646,18 @@ class Viewport extends Base {
 			this.scroll.y = lerp(this.scroll.y, targetY + this.offset.y, this.lerp);
 		}
 
-		this.derived.scroll.x = this.scroll.x * this.zoom - this.bounds.w * this.anchor.x;
-		this.derived.scroll.y = this.scroll.y * this.zoom - this.bounds.h * this.anchor.y;
+		this.derived.scroll.x =
+			this.scroll.x * this.zoom - this.bounds.w * this.anchor.x - this.shift.x;
+		this.derived.scroll.y =
+			this.scroll.y * this.zoom - this.bounds.h * this.anchor.y - this.shift.y;
+
+		// Area of the game world that is visible through the clipping plane
+		this.derived.view.set({
+			x: this.derived.scroll.x / this.zoom,
+			y: this.derived.scroll.y / this.zoom,
+			w: this.bounds.w / this.zoom,
+			h: this.bounds.h / this.zoom,
+		});
 	}
 }
 
@@ -1,11 +1,21 @@
+export {default as AnimatedSprite} from "./AnimatedSprite";
 export {default as Base} from "./Base";
+export {default as Body} from "./Body";
+export {default as BitmapFont} from "./BitmapFont";
+export {default as BitmapText} from "./BitmapText";
 export {default as Colour} from "./Colour";
 export {default as Container} from "./Container";
+export {default as Draggable} from "./Draggable";
 export {default as Entity} from "./Entity";
 export {default as Game} from "./Game";
 export {default as createGame} from "./Game/createGame";
 export {default as Gradient} from "./Gradient";
+export {default as Graphics} from "./Graphics";
+export {default as Image} from "./Image";
+export {default as Scene} from "./Scene";
 export {default as Sprite} from "./Sprite";
+export {default as Spritesheet} from "./Spritesheet";
 export {default as Stage} from "./Stage";
+export {default as Text} from "./Text";
 export {default as Texture} from "./Texture";
 export {default as Viewport} from "./Viewport";
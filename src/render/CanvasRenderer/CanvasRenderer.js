@@ -1,6 +1,6 @@
 import Renderer from "../Renderer";
-import {Colour, Gradient} from "~/objects";
-import {radians, clamp} from "~/math";
+import {Colour, Gradient, Image} from "~/objects";
+import {clamp, radians} from "~/math";
 
 /**
  * @classdesc
@@ -16,6 +16,16 @@ import {radians, clamp} from "~/math";
  * });
  */
 class CanvasRenderer extends Renderer {
+	/**
+	 * Images that each tinted BitmapText entity has been drawn into, along with the text and tint they were drawn with.
+	 *
+	 * @ignore
+	 * @memberof Whirl.render.Canvas#
+	 * @type {WeakMap<Whirl.BitmapText, object>}
+	 * @readonly
+	 */
+	_tintedTexts = new WeakMap();
+
 	getContext(selector) {
 		const canvas = document.querySelector(selector || this.game.config.get("canvas"));
 
@@ -53,6 +63,8 @@ class CanvasRenderer extends Renderer {
 
 		ctx.save();
 
+		ctx.imageSmoothingEnabled = viewport.imageSmoothing;
+
 		ctx.translate(viewport.bounds.x, viewport.bounds.y);
 
 		ctx.translate(-viewport.derived.scroll.x, -viewport.derived.scroll.y);
@@ -73,51 +85,446 @@ class CanvasRenderer extends Renderer {
 		ctx.restore();
 	}
 
+	Fade(viewport) {
+		const {ctx} = viewport.render;
+		const {zoom, fadeColour} = viewport;
+
+		ctx.save();
+
+		// Undo the scroll and zoom of the viewport to draw over its bounds on the screen
+		ctx.scale(1 / zoom, 1 / zoom);
+		ctx.translate(viewport.derived.scroll.x, viewport.derived.scroll.y);
+
+		ctx.globalAlpha = Math.min(viewport.fadeAlpha, 1);
+		ctx.fillStyle = fadeColour ? fadeColour._data : "#000";
+
+		ctx.fillRect(0, 0, viewport.bounds.w, viewport.bounds.h);
+
+		ctx.restore();
+	}
+
 	Sprite(viewport, sprite) {
 		const {ctx} = viewport.render;
+		const {a, b, c, d, tx, ty} = sprite.derived.renderMatrix;
+		const {bounds} = sprite;
 
 		ctx.save();
 
 		ctx.globalAlpha = sprite.derived.alpha;
 
-		ctx.translate(sprite.derived.bounds.x, sprite.derived.bounds.y);
+		// Draw in the local space of the Sprite
+		ctx.transform(a, b, c, d, tx, ty);
+
+		if (sprite.fill instanceof Colour || sprite.fill instanceof Gradient) {
+			ctx.fillStyle = this._getStyle(ctx, sprite.fill, bounds.w, bounds.h);
+
+			ctx.fillRect(0, 0, bounds.w, bounds.h);
+		} else if (sprite.fill instanceof Image) {
+			if (sprite.fill.isReady()) {
+				const {crop} = sprite.fill;
+
+				ctx.drawImage(sprite.fill._data, crop.x, crop.y, crop.w, crop.h, 0, 0, bounds.w, bounds.h);
+			}
+		}
+
+		ctx.restore();
+	}
+
+	Text(viewport, text) {
+		const {ctx} = viewport.render;
+		const {a, b, c, d, tx, ty} = text.derived.renderMatrix;
+
+		ctx.save();
+
+		ctx.globalAlpha = text.derived.alpha;
 
-		if (sprite.rotation) {
-			const rotationOriginX = sprite.derived.bounds.w * sprite.anchor.x;
-			const rotationOriginY = sprite.derived.bounds.h * sprite.anchor.y;
+		// Draw in the local space of the Text
+		ctx.transform(a, b, c, d, tx, ty);
 
-			ctx.translate(rotationOriginX, rotationOriginY);
+		this._drawText(ctx, text);
+
+		ctx.restore();
+	}
 
-			ctx.rotate(radians(sprite.rotation));
+	BitmapText(viewport, text) {
+		const {ctx} = viewport.render;
+		const {a, b, c, d, tx, ty} = text.derived.renderMatrix;
+		const {font, glyphs} = text;
 
-			ctx.translate(-rotationOriginX, -rotationOriginY);
+		if (!font || !font.isReady() || glyphs.length === 0) {
+			return;
 		}
 
-		if (sprite.fill instanceof Colour) {
-			ctx.fillStyle = sprite.fill._data;
+		ctx.save();
 
-			ctx.fillRect(0, 0, sprite.derived.bounds.w, sprite.derived.bounds.h);
-		} else if (sprite.fill instanceof Gradient) {
-			const gradient = ctx.createLinearGradient(
-				sprite.fill.start.x * sprite.derived.bounds.w,
-				sprite.fill.start.y * sprite.derived.bounds.h,
-				sprite.fill.end.x * sprite.derived.bounds.w,
-				sprite.fill.end.y * sprite.derived.bounds.h
-			);
+		ctx.globalAlpha = text.derived.alpha;
 
-			for (let i = 0; i < sprite.fill.stops.length; i++) {
-				const [offset, colour] = sprite.fill.stops[i];
+		// Draw in the local space of the text at the size of the font
+		ctx.transform(a, b, c, d, tx, ty);
+		ctx.scale(text.fontScale, text.fontScale);
 
-				gradient.addColorStop(clamp(offset, 0, 1), colour._data);
+		if (text.tint) {
+			ctx.drawImage(this._getTintedText(text), 0, 0);
+		} else {
+			this._drawGlyphs(ctx, text);
+		}
+
+		ctx.restore();
+	}
+
+	Graphics(viewport, graphics) {
+		const {ctx} = viewport.render;
+		const {a, b, c, d, tx, ty} = graphics.derived.renderMatrix;
+
+		ctx.save();
+
+		ctx.globalAlpha = graphics.derived.alpha;
+
+		// Draw in the local space of the Graphics
+		ctx.transform(a, b, c, d, tx, ty);
+
+		this._drawGraphics(ctx, graphics);
+
+		ctx.restore();
+	}
+
+	/**
+	 * Draw the shapes of a Graphics entity with the top-left of its area at the origin of a 2D context.
+	 *
+	 * Also used by the {@link Whirl.render.Webgl|WebGL renderer} to draw graphics into images.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_drawGraphics
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context to draw with.
+	 * @param {Whirl.Graphics} graphics Graphics to draw.
+	 */
+	_drawGraphics(ctx, graphics) {
+		const {shapes, area} = graphics;
+
+		ctx.save();
+
+		ctx.translate(-area.x, -area.y);
+
+		for (let i = 0; i < shapes.length; i++) {
+			const shape = shapes[i];
+			const {box} = shape;
+			const fill = shape.type === "line" ? null : shape.fill;
+			const stroke = shape.type === "line" ? shape.stroke || shape.fill : shape.stroke;
+
+			ctx.beginPath();
+
+			this._traceShape(ctx, shape);
+
+			// Stretch gradients over the box of the shape
+			ctx.save();
+			ctx.translate(box.x, box.y);
+
+			const fillStyle = fill && this._getStyle(ctx, fill, box.w, box.h);
+			const strokeStyle = stroke && this._getStyle(ctx, stroke, box.w, box.h);
+
+			if (fillStyle) {
+				ctx.fillStyle = fillStyle;
+				ctx.fill();
 			}
 
-			ctx.fillStyle = gradient;
+			if (strokeStyle && shape.strokeWidth > 0) {
+				ctx.strokeStyle = strokeStyle;
+				ctx.lineWidth = shape.strokeWidth;
+				ctx.lineCap = shape.lineCap;
+				ctx.lineJoin = shape.lineJoin;
+				ctx.stroke();
+			}
 
-			ctx.fillRect(0, 0, sprite.derived.bounds.w, sprite.derived.bounds.h);
+			ctx.restore();
 		}
 
 		ctx.restore();
 	}
+
+	/**
+	 * Add the outline of a shape of a Graphics entity to the current path of a 2D context.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_traceShape
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context to trace with.
+	 * @param {Whirl.Graphics~Shape} shape Shape to trace.
+	 */
+	_traceShape(ctx, shape) {
+		const {geometry} = shape;
+
+		switch (shape.type) {
+			case "circle":
+				ctx.arc(geometry.x, geometry.y, geometry.r, 0, Math.PI * 2);
+				break;
+
+			case "rectangle": {
+				const {x, y, w, h} = shape.box;
+				const r = shape.radius;
+
+				if (r > 0) {
+					ctx.moveTo(x + r, y);
+					ctx.arcTo(x + w, y, x + w, y + h, r);
+					ctx.arcTo(x + w, y + h, x, y + h, r);
+					ctx.arcTo(x, y + h, x, y, r);
+					ctx.arcTo(x, y, x + w, y, r);
+					ctx.closePath();
+				} else {
+					ctx.rect(x, y, w, h);
+				}
+
+				break;
+			}
+
+			case "line":
+				ctx.moveTo(geometry.x1, geometry.y1);
+				ctx.lineTo(geometry.x2, geometry.y2);
+				break;
+
+			case "polygon": {
+				const {points} = geometry;
+
+				for (let i = 0; i < points.length; i++) {
+					ctx.lineTo(points[i].x, points[i].y);
+				}
+
+				ctx.closePath();
+				break;
+			}
+
+			case "path": {
+				const {commands} = geometry;
+
+				for (let i = 0; i < commands.length; i++) {
+					const [name, ...values] = commands[i];
+
+					if (name === "arc") {
+						const [x, y, r, startAngle, endAngle, anticlockwise] = values;
+
+						ctx.arc(x, y, r, radians(startAngle), radians(endAngle), !!anticlockwise);
+					} else {
+						ctx[name](...values);
+					}
+				}
+
+				break;
+			}
+
+			case "arc": {
+				// Slices are joined to the center of the circle
+				if (shape.fill) {
+					ctx.moveTo(geometry.x, geometry.y);
+				}
+
+				ctx.arc(
+					geometry.x,
+					geometry.y,
+					geometry.r,
+					radians(shape.startAngle),
+					radians(shape.endAngle)
+				);
+
+				if (shape.fill) {
+					ctx.closePath();
+				}
+
+				break;
+			}
+		}
+	}
+
+	/**
+	 * Draw the glyphs of a BitmapText entity at the size of its font with its top-left corner at the origin of a 2D context.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_drawGlyphs
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context to draw with.
+	 * @param {Whirl.BitmapText} text Text to draw.
+	 */
+	_drawGlyphs(ctx, text) {
+		const source = text.font._data;
+		const {glyphs} = text;
+
+		for (let i = 0; i < glyphs.length; i++) {
+			const {crop, x, y, w, h} = glyphs[i];
+
+			ctx.drawImage(source, crop.x, crop.y, crop.w, crop.h, x, y, w, h);
+		}
+	}
+
+	/**
+	 * Get the image a tinted BitmapText entity is drawn into at the size of its font, drawing it again if the text or its tint has changed since it was last drawn.
+	 *
+	 * The glyphs are multiplied by the tint colour, then cut back out to their own shapes.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_getTintedText
+	 *
+	 * @param {Whirl.BitmapText} text Text to get the image of.
+	 * @returns {HTMLCanvasElement}
+	 */
+	_getTintedText(text) {
+		let entry = this._tintedTexts.get(text);
+
+		if (!entry) {
+			const canvas = document.createElement("canvas");
+
+			entry = {
+				canvas,
+				ctx: canvas.getContext("2d"),
+				key: null,
+			};
+
+			this._tintedTexts.set(text, entry);
+		}
+
+		const key = `${text._measured}|${text.tint._data}`;
+
+		if (key === entry.key) {
+			return entry.canvas;
+		}
+
+		const {canvas, ctx} = entry;
+
+		canvas.width = Math.max(Math.ceil(text.bounds.w / text.fontScale), 1);
+		canvas.height = Math.max(Math.ceil(text.bounds.h / text.fontScale), 1);
+
+		this._drawGlyphs(ctx, text);
+
+		ctx.globalCompositeOperation = "multiply";
+		ctx.fillStyle = text.tint._data;
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+		ctx.globalCompositeOperation = "destination-in";
+		this._drawGlyphs(ctx, text);
+
+		ctx.globalCompositeOperation = "source-over";
+
+		entry.key = key;
+
+		return canvas;
+	}
+
+	/**
+	 * Draw the lines of a Text entity with its top-left corner at the origin of a 2D context.
+	 *
+	 * Also used by the {@link Whirl.render.Webgl|WebGL renderer} to draw text into images.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_drawText
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context to draw with.
+	 * @param {Whirl.Text} text Text to draw.
+	 */
+	_drawText(ctx, text) {
+		const {lines, bounds} = text;
+		const fill = this._getStyle(ctx, text.fill, bounds.w, bounds.h);
+		const stroke = text.stroke && this._getStyle(ctx, text.stroke, bounds.w, bounds.h);
+
+		ctx.font = text.font;
+		ctx.textAlign = "left";
+		ctx.textBaseline = "middle";
+
+		if (stroke) {
+			ctx.strokeStyle = stroke;
+			ctx.lineWidth = text.strokeWidth;
+			ctx.lineJoin = "round";
+
+			for (let i = 0; i < lines.length; i++) {
+				ctx.strokeText(lines[i].text, lines[i].x, lines[i].y);
+			}
+		}
+
+		if (fill) {
+			ctx.fillStyle = fill;
+
+			for (let i = 0; i < lines.length; i++) {
+				ctx.fillText(lines[i].text, lines[i].x, lines[i].y);
+			}
+		}
+	}
+
+	/**
+	 * Convert a texture into a fill or stroke style of a 2D context, covering an area from the origin.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_getStyle
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context the style is used with.
+	 * @param {Whirl.Texture} texture Texture to convert.
+	 * @param {number} w Width of the area the texture covers.
+	 * @param {number} h Height of the area the texture covers.
+	 * @returns {string|CanvasGradient|CanvasPattern|null} The style, or `null` if the texture cannot be drawn yet.
+	 */
+	_getStyle(ctx, texture, w, h) {
+		if (texture instanceof Colour) {
+			return texture._data;
+		}
+
+		if (texture instanceof Gradient) {
+			const gradient = this._createGradient(ctx, texture, w, h);
+
+			// Fall back to the first colour where the gradient type is not supported
+			if (!gradient) {
+				return texture.stops.length > 0 ? texture.stops[0][1]._data : null;
+			}
+
+			for (let i = 0; i < texture.stops.length; i++) {
+				const [offset, colour] = texture.stops[i];
+
+				gradient.addColorStop(clamp(offset, 0, 1), colour._data);
+			}
+
+			return gradient;
+		}
+
+		if (texture instanceof Image && texture.isReady()) {
+			return ctx.createPattern(texture._data, "repeat");
+		}
+
+		return null;
+	}
+
+	/**
+	 * Create the gradient of a 2D context that matches the type and points of a Gradient texture, covering an area from the origin.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Canvas#_createGradient
+	 *
+	 * @param {CanvasRenderingContext2D} ctx Context to create the gradient with.
+	 * @param {Whirl.Gradient} texture Gradient texture to match.
+	 * @param {number} w Width of the area the gradient covers.
+	 * @param {number} h Height of the area the gradient covers.
+	 * @returns {CanvasGradient|null} The gradient without any colour stops, or `null` if the context cannot create it.
+	 */
+	_createGradient(ctx, texture, w, h) {
+		const {start, end} = texture;
+
+		if (texture.type === "radial") {
+			const size = Math.max(w, h);
+
+			return ctx.createRadialGradient(
+				start.x * w,
+				start.y * h,
+				Math.max(texture.startRadius * size, 0),
+				end.x * w,
+				end.y * h,
+				Math.max(texture.endRadius * size, 0)
+			);
+		}
+
+		if (texture.type === "conic") {
+			if (typeof ctx.createConicGradient !== "function") {
+				return null;
+			}
+
+			return ctx.createConicGradient(radians(texture.angle), start.x * w, start.y * h);
+		}
+
+		return ctx.createLinearGradient(start.x * w, start.y * h, end.x * w, end.y * h);
+	}
 }
 
 export default CanvasRenderer;
@@ -109,6 +109,8 @@ class Renderer {
 	/**
 	 * Render an individual Sprite.
 	 *
+	 * Sprites should be drawn at their {@link Whirl.Sprite#interpolate|interpolated} `derived.renderBounds`, not their `derived.bounds`.
+	 *
 	 * @method Whirl.render.Renderer#Sprite
 	 *
 	 * @abstract
@@ -116,6 +118,57 @@ class Renderer {
 	 * @param {Whirl.Sprite} sprite Sprite object to render.
 	 */
 	Sprite() {}
+
+	/**
+	 * Render an individual Text entity.
+	 *
+	 * Each of the {@link Whirl.Text#lines|laid out lines} should be drawn in the local space of the Text, transformed by its `derived.renderMatrix` like a Sprite.
+	 *
+	 * @method Whirl.render.Renderer#Text
+	 *
+	 * @abstract
+	 * @param {Whirl.Viewport} viewport Viewport to use post-processing effects from.
+	 * @param {Whirl.Text} text Text object to render.
+	 */
+	Text() {}
+
+	/**
+	 * Render an individual BitmapText entity.
+	 *
+	 * Each of its {@link Whirl.BitmapText#glyphs|laid out glyphs} should be drawn from the source image of its font in the local space of the text, scaled by its {@link Whirl.BitmapText#fontScale|font scale} and transformed by its `derived.renderMatrix` like a Sprite. Glyphs should be multiplied by its {@link Whirl.BitmapText#tint|tint} and drawn with the {@link Whirl.Viewport#imageSmoothing|image smoothing} setting of the Viewport.
+	 *
+	 * @method Whirl.render.Renderer#BitmapText
+	 *
+	 * @abstract
+	 * @param {Whirl.Viewport} viewport Viewport to use post-processing effects from.
+	 * @param {Whirl.BitmapText} text BitmapText object to render.
+	 */
+	BitmapText() {}
+
+	/**
+	 * Render an individual Graphics entity.
+	 *
+	 * Each of its {@link Whirl.Graphics#shapes|shapes} should be drawn in order in the local space of the Graphics, transformed by its `derived.renderMatrix` like a Sprite. Shape coordinates are relative to the origin of the shapes, so they should be offset by the top-left of its {@link Whirl.Graphics#area|area} to place them in its local space.
+	 *
+	 * @method Whirl.render.Renderer#Graphics
+	 *
+	 * @abstract
+	 * @param {Whirl.Viewport} viewport Viewport to use post-processing effects from.
+	 * @param {Whirl.Graphics} graphics Graphics object to render.
+	 */
+	Graphics() {}
+
+	/**
+	 * Draw the {@link Whirl.Viewport#fadeColour|fade colour} of a Viewport over its whole clipping plane with an opacity of its {@link Whirl.Viewport#fadeAlpha|fadeAlpha}.
+	 *
+	 * Runs after every renderable item of the Viewport has been drawn and before {@link Whirl.render.Renderer#postRenderViewport|postRenderViewport}, only when `fadeAlpha` is above `0`. The fade covers the {@link Whirl.Viewport#bounds|bounds} of the Viewport on the screen and ignores its scroll, zoom and {@link Whirl.Viewport#shift|shift}.
+	 *
+	 * @method Whirl.render.Renderer#Fade
+	 *
+	 * @abstract
+	 * @param {Whirl.Viewport} viewport Viewport to draw the fade of.
+	 */
+	Fade() {}
 }
 
 export default Renderer;
@@ -1,9 +1,38 @@
 import Renderer from "../Renderer";
+import CanvasRenderer from "../CanvasRenderer";
+import {vertex, fragment} from "./shaders";
+import {Colour, Gradient, Image} from "~/objects";
+import {clamp, radians} from "~/math";
+
+// Maximum number of quads drawn with a single draw call
+const BATCH_SIZE = 10000;
+
+// Number of floats per vertex - position (2), colour (4), texture coordinate (2), fill mode (1), gradient position (2), gradient shape (4)
+const VERTEX_SIZE = 15;
+
+// Fill modes passed to the fragment shader
+const MODE_COLOUR = 0;
+const MODE_GRADIENT = 1;
+const MODE_RADIAL_GRADIENT = 2;
+const MODE_CONIC_GRADIENT = 3;
+const MODE_IMAGE = 4;
+
+// Dimensions of the texture that holds one colour ramp per gradient row
+const GRADIENT_WIDTH = 256;
+const GRADIENT_ROWS = 64;
 
 /**
  * @classdesc
  * Wraps rendering logic for WebGL rendering.
  *
+ * Sprites are drawn as quads that are batched together into as few draw calls as possible. Sprites filled with a {@link Whirl.Colour|Colour} and sprites filled with a {@link Whirl.Gradient|Gradient} can be drawn in the same batch as each gradient is drawn into a row of a shared colour ramp texture. Linear gradients pick their colours from the corners of the quad, while radial and conic gradients pick them for each pixel in the fragment shader so they stay sharp at any zoom. Consecutive sprites filled with an {@link Whirl.Image|Image} of the same source are also drawn in the same batch.
+ *
+ * Each canvas rendered to receives its own WebGL context. Viewports that render to the same canvas share the same context.
+ *
+ * {@link Whirl.Text|Text} and {@link Whirl.Graphics|Graphics} are drawn into images with the {@link Whirl.render.Canvas|Canvas renderer} at their {@link Whirl.Text#resolution|resolution}, which are only drawn again when their appearance changes.
+ *
+ * Unlike the {@link Whirl.render.Canvas|Canvas renderer}, {@link Whirl.Viewport#clip|viewport clipping} is done with a scissor test, so clipping a viewport does not affect the rendered output of any other viewports.
+ *
  * @class Webgl
  * @memberof Whirl.render
  * @extends Whirl.render.Renderer
@@ -14,22 +43,978 @@ import Renderer from "../Renderer";
  * });
  */
 class WebglRenderer extends Renderer {
-	getContext = (canvas) => {
-		const canvasElement = document.querySelector(canvas || this.game.config.get("canvas"));
+	/**
+	 * Number of draw calls made during the last rendered frame.
+	 *
+	 * @memberof Whirl.render.Webgl#
+	 * @type {number}
+	 * @readonly
+	 */
+	drawCalls = 0;
+
+	/**
+	 * Render contexts that have been created for each canvas element.
+	 *
+	 * @ignore
+	 * @memberof Whirl.render.Webgl#
+	 * @type {Map<HTMLCanvasElement, Whirl.render.Renderer~RenderContext>}
+	 * @readonly
+	 */
+	_contexts = new Map();
+
+	/**
+	 * Incrementing index of the current frame being rendered. Used to only check if a gradient has changed once per frame.
+	 *
+	 * @ignore
+	 * @memberof Whirl.render.Webgl#
+	 * @type {number}
+	 * @readonly
+	 */
+	_frame = 0;
+
+	/**
+	 * Canvas renderer used to draw text and graphics into images.
+	 *
+	 * @ignore
+	 * @memberof Whirl.render.Webgl#
+	 * @type {Whirl.render.Canvas}
+	 * @readonly
+	 */
+	_canvasRenderer = new CanvasRenderer(this.game);
 
-		if (!canvasElement) {
+	/**
+	 * Images that each Text and Graphics entity has been drawn into, along with the key of their appearance when they were drawn.
+	 *
+	 * @ignore
+	 * @memberof Whirl.render.Webgl#
+	 * @type {WeakMap<Whirl.Sprite, object>}
+	 * @readonly
+	 */
+	_canvasImages = new WeakMap();
+
+	getContext(selector) {
+		const canvas = document.querySelector(selector || this.game.config.get("canvas"));
+
+		if (!canvas) {
 			this.game.debug.error("Cannot find the given canvas element to render to.", "WebglRenderer");
 
 			return {};
 		}
 
-		const canvasContext = canvasElement.getContext("experimental-webgl");
+		if (this._contexts.has(canvas)) {
+			return this._contexts.get(canvas);
+		}
+
+		// Preserve the drawing buffer so that viewports that do not clear keep their previous output
+		const attributes = {
+			preserveDrawingBuffer: true,
+		};
+		const gl =
+			canvas.getContext("webgl", attributes) || canvas.getContext("experimental-webgl", attributes);
+
+		if (!gl) {
+			this.game.debug.error("WebGL is not supported by the given canvas element.", "WebglRenderer");
+
+			return {};
+		}
+
+		const context = {
+			canvas,
+			ctx: gl,
+			...this._createState(gl),
+		};
+
+		this._contexts.set(canvas, context);
+
+		return context;
+	}
+
+	preRenderAll(viewports) {
+		this._frame++;
+		this.drawCalls = 0;
+
+		for (let i = 0; i < viewports.length; i++) {
+			const viewport = viewports[i];
+			const {canvas, ctx: gl} = viewport.render;
+
+			if (!gl || !viewport.clear) {
+				continue;
+			}
+
+			this._scissor(gl, canvas, viewport.bounds);
+
+			gl.clearColor(0, 0, 0, 0);
+			gl.clear(gl.COLOR_BUFFER_BIT);
+
+			gl.disable(gl.SCISSOR_TEST);
+		}
+	}
+
+	preRenderViewport(viewport) {
+		const context = viewport.render;
+
+		if (!context.ctx) {
+			return;
+		}
+
+		this._bind(context);
+
+		if (viewport.clip) {
+			this._scissor(context.ctx, context.canvas, viewport.bounds);
+		}
+	}
+
+	postRenderViewport(viewport) {
+		const context = viewport.render;
+
+		if (!context.ctx) {
+			return;
+		}
+
+		this._flush(context);
+
+		context.ctx.disable(context.ctx.SCISSOR_TEST);
+	}
+
+	Fade(viewport) {
+		const context = viewport.render;
+		const {bounds, fadeColour} = viewport;
+
+		if (!context.ctx) {
+			return;
+		}
+
+		if (context.quads === BATCH_SIZE) {
+			this._flush(context);
+		}
+
+		const r = fadeColour ? fadeColour.r / 255 : 0;
+		const g = fadeColour ? fadeColour.g / 255 : 0;
+		const b = fadeColour ? fadeColour.b / 255 : 0;
+		const alpha = Math.min(viewport.fadeAlpha, 1);
+
+		const {vertices} = context;
+		let offset = context.quads * 4 * VERTEX_SIZE;
+
+		for (let i = 0; i < 4; i++) {
+			// Corners of the viewport bounds on the canvas in clockwise order from the top-left
+			vertices[offset++] = bounds.x + (i === 1 || i === 2 ? bounds.w : 0);
+			vertices[offset++] = bounds.y + (i >= 2 ? bounds.h : 0);
+			vertices[offset++] = r;
+			vertices[offset++] = g;
+			vertices[offset++] = b;
+			vertices[offset++] = alpha;
+			vertices[offset++] = 0;
+			vertices[offset++] = 0;
+			vertices[offset++] = MODE_COLOUR;
+			offset = pushEmptyGradient(vertices, offset);
+		}
+
+		context.quads++;
+	}
+
+	Sprite(viewport, sprite) {
+		const context = viewport.render;
+		const {fill} = sprite;
+		const {bounds} = sprite;
+		const alpha = Math.min(sprite.derived.alpha, 1);
+
+		if (!context.ctx || alpha <= 0) {
+			return;
+		}
+
+		let r = 0;
+		let g = 0;
+		let b = 0;
+		let mode = MODE_COLOUR;
+		let row, startX, startY, directionX, directionY, length, size, shape;
+		let u0, v0, u1, v1;
+
+		if (fill instanceof Colour) {
+			r = fill.r / 255;
+			g = fill.g / 255;
+			b = fill.b / 255;
+		} else if (fill instanceof Gradient && fill.type !== "linear") {
+			if (bounds.w === 0 || bounds.h === 0) {
+				return;
+			}
+
+			startX = fill.start.x * bounds.w;
+			startY = fill.start.y * bounds.h;
+
+			// Keep the values given to the fragment shader small so they fit its precision
+			size = Math.max(bounds.w, bounds.h);
+
+			if (fill.type === "radial") {
+				shape = [
+					(fill.end.x * bounds.w - startX) / size,
+					(fill.end.y * bounds.h - startY) / size,
+					Math.max(fill.startRadius, 0),
+					Math.max(fill.endRadius, 0),
+				];
+
+				// Gradients between two identical circles paint nothing
+				if (shape[0] === 0 && shape[1] === 0 && shape[2] === shape[3]) {
+					return;
+				}
+
+				mode = MODE_RADIAL_GRADIENT;
+			} else {
+				shape = [radians(fill.angle), 0, 0, 0];
+				mode = MODE_CONIC_GRADIENT;
+			}
+
+			row = this._getGradientRow(context, fill);
+		} else if (fill instanceof Gradient) {
+			startX = fill.start.x * bounds.w;
+			startY = fill.start.y * bounds.h;
+			directionX = fill.end.x * bounds.w - startX;
+			directionY = fill.end.y * bounds.h - startY;
+			length = directionX * directionX + directionY * directionY;
+
+			// Gradients with the same start and end point paint nothing
+			if (length === 0) {
+				return;
+			}
+
+			mode = MODE_GRADIENT;
+			row = this._getGradientRow(context, fill);
+		} else if (fill instanceof Image) {
+			const {crop} = fill;
+
+			if (!fill.isReady() || crop.w === 0 || crop.h === 0) {
+				return;
+			}
+
+			const width = fill._data.naturalWidth || fill._data.width;
+			const height = fill._data.naturalHeight || fill._data.height;
+
+			// Leave the colours of the image unchanged
+			r = g = b = 1;
+
+			mode = MODE_IMAGE;
+			u0 = crop.x / width;
+			v0 = crop.y / height;
+			u1 = (crop.x + crop.w) / width;
+			v1 = (crop.y + crop.h) / height;
+
+			this._useImage(context, fill._data, viewport.imageSmoothing);
+		} else {
+			return;
+		}
+
+		if (context.quads === BATCH_SIZE) {
+			this._flush(context);
+		}
+
+		const {zoom} = viewport;
+		const offsetX = viewport.bounds.x - viewport.derived.scroll.x;
+		const offsetY = viewport.bounds.y - viewport.derived.scroll.y;
+		const matrix = sprite.derived.renderMatrix;
+		const v = (row + 0.5) / GRADIENT_ROWS;
+
+		const {vertices} = context;
+		let offset = context.quads * 4 * VERTEX_SIZE;
+
+		for (let i = 0; i < 4; i++) {
+			// Corners in clockwise order from the top-left
+			const localX = i === 1 || i === 2 ? bounds.w : 0;
+			const localY = i >= 2 ? bounds.h : 0;
+
+			// Transform the corner from the local space of the Sprite into the game world
+			vertices[offset++] = offsetX + zoom * (matrix.a * localX + matrix.c * localY + matrix.tx);
+			vertices[offset++] = offsetY + zoom * (matrix.b * localX + matrix.d * localY + matrix.ty);
+			vertices[offset++] = r;
+			vertices[offset++] = g;
+			vertices[offset++] = b;
+			vertices[offset++] = alpha;
+
+			if (mode === MODE_GRADIENT) {
+				// Project the corner onto the gradient line - `0` at the start point and `1` at the end point
+				const t = ((localX - startX) * directionX + (localY - startY) * directionY) / length;
+
+				vertices[offset++] = (0.5 + t * (GRADIENT_WIDTH - 1)) / GRADIENT_WIDTH;
+				vertices[offset++] = v;
+			} else if (mode === MODE_IMAGE) {
+				vertices[offset++] = localX === 0 ? u0 : u1;
+				vertices[offset++] = localY === 0 ? v0 : v1;
+			} else {
+				vertices[offset++] = 0;
+				vertices[offset++] = mode === MODE_COLOUR ? 0 : v;
+			}
+
+			vertices[offset++] = mode;
+
+			if (mode === MODE_RADIAL_GRADIENT || mode === MODE_CONIC_GRADIENT) {
+				// Position of the corner relative to the start point, which the fragment shader finds the colour of each pixel from
+				vertices[offset++] = (localX - startX) / size;
+				vertices[offset++] = (localY - startY) / size;
+				vertices[offset++] = shape[0];
+				vertices[offset++] = shape[1];
+				vertices[offset++] = shape[2];
+				vertices[offset++] = shape[3];
+			} else {
+				offset = pushEmptyGradient(vertices, offset);
+			}
+		}
+
+		context.quads++;
+	}
+
+	Text(viewport, text) {
+		const context = viewport.render;
+		const {bounds} = text;
+		const alpha = Math.min(text.derived.alpha, 1);
+
+		if (!context.ctx || alpha <= 0 || bounds.w === 0 || bounds.h === 0) {
+			return;
+		}
+
+		const image = this._getTextImage(text);
+
+		this._useImage(context, image.canvas, viewport.imageSmoothing, image.version);
+
+		if (context.quads === BATCH_SIZE) {
+			this._flush(context);
+		}
+
+		this._pushImageQuad(
+			context,
+			viewport,
+			text.derived.renderMatrix,
+			0,
+			0,
+			bounds.w,
+			bounds.h,
+			null,
+			alpha,
+			0,
+			0,
+			1,
+			1
+		);
+	}
+
+	BitmapText(viewport, text) {
+		const context = viewport.render;
+		const {font, glyphs, fontScale: scale, tint} = text;
+		const alpha = Math.min(text.derived.alpha, 1);
+
+		if (!context.ctx || alpha <= 0 || !font || !font.isReady() || glyphs.length === 0) {
+			return;
+		}
+
+		const width = font._data.naturalWidth || font._data.width;
+		const height = font._data.naturalHeight || font._data.height;
+
+		this._useImage(context, font._data, viewport.imageSmoothing);
+
+		for (let i = 0; i < glyphs.length; i++) {
+			const {crop, x, y, w, h} = glyphs[i];
+
+			if (context.quads === BATCH_SIZE) {
+				this._flush(context);
+			}
+
+			this._pushImageQuad(
+				context,
+				viewport,
+				text.derived.renderMatrix,
+				x * scale,
+				y * scale,
+				w * scale,
+				h * scale,
+				tint,
+				alpha,
+				crop.x / width,
+				crop.y / height,
+				(crop.x + crop.w) / width,
+				(crop.y + crop.h) / height
+			);
+		}
+	}
+
+	Graphics(viewport, graphics) {
+		const context = viewport.render;
+		const {bounds} = graphics;
+		const alpha = Math.min(graphics.derived.alpha, 1);
+
+		if (!context.ctx || alpha <= 0 || bounds.w === 0 || bounds.h === 0) {
+			return;
+		}
+
+		const image = this._getGraphicsImage(graphics);
+
+		this._useImage(context, image.canvas, viewport.imageSmoothing, image.version);
+
+		if (context.quads === BATCH_SIZE) {
+			this._flush(context);
+		}
+
+		this._pushImageQuad(
+			context,
+			viewport,
+			graphics.derived.renderMatrix,
+			0,
+			0,
+			bounds.w,
+			bounds.h,
+			null,
+			alpha,
+			0,
+			0,
+			1,
+			1
+		);
+	}
+
+	/**
+	 * Compile the shader program and create the buffers and textures needed to render to a single WebGL context.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_createState
+	 *
+	 * @param {WebGLRenderingContext} gl WebGL context to create the state for.
+	 * @returns {object} State to be merged into the render context of the canvas.
+	 */
+	_createState(gl) {
+		const program = gl.createProgram();
+
+		[
+			[gl.VERTEX_SHADER, vertex],
+			[gl.FRAGMENT_SHADER, fragment],
+		].forEach(([type, source]) => {
+			const shader = gl.createShader(type);
+
+			gl.shaderSource(shader, source);
+			gl.compileShader(shader);
+
+			if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+				this.game.debug.error(
+					`Failed to compile shader - ${gl.getShaderInfoLog(shader)}`,
+					"WebglRenderer"
+				);
+			}
+
+			gl.attachShader(program, shader);
+		});
+
+		gl.linkProgram(program);
+
+		if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+			this.game.debug.error(
+				`Failed to link shader program - ${gl.getProgramInfoLog(program)}`,
+				"WebglRenderer"
+			);
+		}
+
+		const vertices = new Float32Array(BATCH_SIZE * 4 * VERTEX_SIZE);
+
+		const vertexBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, vertices.byteLength, gl.DYNAMIC_DRAW);
+
+		// Every quad is made of two triangles that share the top-left and bottom-right corners
+		const indices = new Uint16Array(BATCH_SIZE * 6);
+		for (let i = 0, j = 0; i < indices.length; i += 6, j += 4) {
+			indices[i] = j;
+			indices[i + 1] = j + 1;
+			indices[i + 2] = j + 2;
+			indices[i + 3] = j;
+			indices[i + 4] = j + 2;
+			indices[i + 5] = j + 3;
+		}
+
+		const indexBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+		gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
+
+		const gradientTexture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, gradientTexture);
+		gl.texImage2D(
+			gl.TEXTURE_2D,
+			0,
+			gl.RGBA,
+			GRADIENT_WIDTH,
+			GRADIENT_ROWS,
+			0,
+			gl.RGBA,
+			gl.UNSIGNED_BYTE,
+			null
+		);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+		const ramp = document.createElement("canvas");
+		ramp.width = GRADIENT_WIDTH;
+		ramp.height = 1;
 
 		return {
-			canvas: canvasElement,
-			ctx: canvasContext,
+			program,
+			attributes: {
+				position: gl.getAttribLocation(program, "aPosition"),
+				colour: gl.getAttribLocation(program, "aColour"),
+				texCoord: gl.getAttribLocation(program, "aTexCoord"),
+				mode: gl.getAttribLocation(program, "aMode"),
+				gradientPosition: gl.getAttribLocation(program, "aGradientPosition"),
+				gradientShape: gl.getAttribLocation(program, "aGradientShape"),
+			},
+			uniforms: {
+				resolution: gl.getUniformLocation(program, "uResolution"),
+				gradients: gl.getUniformLocation(program, "uGradients"),
+				image: gl.getUniformLocation(program, "uImage"),
+			},
+			vertices,
+			vertexBuffer,
+			indexBuffer,
+			quads: 0,
+			gradientTexture,
+			gradientRows: new Map(),
+			nextGradientRow: 0,
+			ramp: ramp.getContext("2d"),
+			imageTextures: new WeakMap(),
+			image: null,
 		};
-	};
+	}
+
+	/**
+	 * Bind the program, buffers and textures of a render context and prepare it for drawing.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_bind
+	 *
+	 * @param {Whirl.render.Renderer~RenderContext} context Render context to bind.
+	 */
+	_bind(context) {
+		const {ctx: gl, canvas, attributes, uniforms} = context;
+		const stride = VERTEX_SIZE * Float32Array.BYTES_PER_ELEMENT;
+
+		gl.viewport(0, 0, canvas.width, canvas.height);
+
+		gl.useProgram(context.program);
+
+		gl.bindBuffer(gl.ARRAY_BUFFER, context.vertexBuffer);
+		gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, context.indexBuffer);
+
+		gl.enableVertexAttribArray(attributes.position);
+		gl.vertexAttribPointer(attributes.position, 2, gl.FLOAT, false, stride, 0);
+		gl.enableVertexAttribArray(attributes.colour);
+		gl.vertexAttribPointer(attributes.colour, 4, gl.FLOAT, false, stride, 8);
+		gl.enableVertexAttribArray(attributes.texCoord);
+		gl.vertexAttribPointer(attributes.texCoord, 2, gl.FLOAT, false, stride, 24);
+		gl.enableVertexAttribArray(attributes.mode);
+		gl.vertexAttribPointer(attributes.mode, 1, gl.FLOAT, false, stride, 32);
+		gl.enableVertexAttribArray(attributes.gradientPosition);
+		gl.vertexAttribPointer(attributes.gradientPosition, 2, gl.FLOAT, false, stride, 36);
+		gl.enableVertexAttribArray(attributes.gradientShape);
+		gl.vertexAttribPointer(attributes.gradientShape, 4, gl.FLOAT, false, stride, 44);
+
+		gl.activeTexture(gl.TEXTURE0);
+		gl.bindTexture(gl.TEXTURE_2D, context.gradientTexture);
+
+		gl.uniform2f(uniforms.resolution, canvas.width, canvas.height);
+		gl.uniform1i(uniforms.gradients, 0);
+		gl.uniform1i(uniforms.image, 1);
+
+		// Colours output by the fragment shader have premultiplied alpha
+		gl.enable(gl.BLEND);
+		gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+	}
+
+	/**
+	 * Draw all quads that have been batched in a render context with a single draw call.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_flush
+	 *
+	 * @param {Whirl.render.Renderer~RenderContext} context Render context to flush.
+	 */
+	_flush(context) {
+		if (context.quads === 0) {
+			return;
+		}
+
+		const {ctx: gl} = context;
+
+		gl.bufferSubData(
+			gl.ARRAY_BUFFER,
+			0,
+			context.vertices.subarray(0, context.quads * 4 * VERTEX_SIZE)
+		);
+
+		gl.drawElements(gl.TRIANGLES, context.quads * 6, gl.UNSIGNED_SHORT, 0);
+
+		context.quads = 0;
+
+		this.drawCalls++;
+	}
+
+	/**
+	 * Restrict drawing to the area of the canvas covered by the given bounds.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_scissor
+	 *
+	 * @param {WebGLRenderingContext} gl WebGL context.
+	 * @param {HTMLCanvasElement} canvas Canvas the context belongs to.
+	 * @param {Whirl.geometry.Rectangle} bounds Area to restrict drawing to, relative to the top-left of the canvas.
+	 */
+	_scissor(gl, canvas, bounds) {
+		gl.enable(gl.SCISSOR_TEST);
+
+		// WebGL window coordinates begin at the bottom-left of the canvas
+		gl.scissor(bounds.x, canvas.height - bounds.y - bounds.h, bounds.w, bounds.h);
+	}
+
+	/**
+	 * Get the row of the gradient ramp texture that holds the colours of the given gradient, drawing the gradient into a row if it has not yet been drawn or has changed since it was last drawn.
+	 *
+	 * If every row is in use then all pending quads are drawn and every row is freed.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_getGradientRow
+	 *
+	 * @param {Whirl.render.Renderer~RenderContext} context Render context the gradient is being drawn with.
+	 * @param {Whirl.Gradient} gradient Gradient to retrieve the row of.
+	 * @returns {number} Index of the texture row.
+	 */
+	_getGradientRow(context, gradient) {
+		let entry = context.gradientRows.get(gradient);
+
+		if (!entry) {
+			if (context.nextGradientRow === GRADIENT_ROWS) {
+				this._flush(context);
+
+				context.gradientRows.clear();
+				context.nextGradientRow = 0;
+			}
+
+			entry = {
+				row: context.nextGradientRow++,
+				key: null,
+				frame: -1,
+			};
+
+			context.gradientRows.set(gradient, entry);
+		}
+
+		if (entry.frame !== this._frame) {
+			entry.frame = this._frame;
+
+			const key = gradient.stops.map(([offset, colour]) => `${offset} ${colour._data}`).join();
+
+			if (key !== entry.key) {
+				entry.key = key;
+
+				this._drawGradientRow(context, gradient, entry.row);
+			}
+		}
+
+		return entry.row;
+	}
+
+	/**
+	 * Add a quad filled with the bound image to the batch of a render context.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_pushImageQuad
+	 *
+	 * @param {Whirl.render.Renderer~RenderContext} context Render context to add the quad to.
+	 * @param {Whirl.Viewport} viewport Viewport being rendered.
+	 * @param {Whirl.geometry.Matrix} matrix Matrix from the local space of the quad to the game world.
+	 * @param {number} x X-coordinate of the quad in its local space.
+	 * @param {number} y Y-coordinate of the quad in its local space.
+	 * @param {number} w Width of the quad.
+	 * @param {number} h Height of the quad.
+	 * @param {Whirl.Colour|null} tint Colour to multiply the image by, or `null` to leave it unchanged.
+	 * @param {number} alpha Opacity of the quad.
+	 * @param {number} u0 Left texture coordinate.
+	 * @param {number} v0 Top texture coordinate.
+	 * @param {number} u1 Right texture coordinate.
+	 * @param {number} v1 Bottom texture coordinate.
+	 */
+	_pushImageQuad(context, viewport, matrix, x, y, w, h, tint, alpha, u0, v0, u1, v1) {
+		const {zoom} = viewport;
+		const r = tint ? tint.r / 255 : 1;
+		const g = tint ? tint.g / 255 : 1;
+		const b = tint ? tint.b / 255 : 1;
+		const offsetX = viewport.bounds.x - viewport.derived.scroll.x;
+		const offsetY = viewport.bounds.y - viewport.derived.scroll.y;
+
+		const {vertices} = context;
+		let offset = context.quads * 4 * VERTEX_SIZE;
+
+		for (let i = 0; i < 4; i++) {
+			// Corners in clockwise order from the top-left
+			const right = i === 1 || i === 2;
+			const bottom = i >= 2;
+			const localX = right ? x + w : x;
+			const localY = bottom ? y + h : y;
+
+			vertices[offset++] = offsetX + zoom * (matrix.a * localX + matrix.c * localY + matrix.tx);
+			vertices[offset++] = offsetY + zoom * (matrix.b * localX + matrix.d * localY + matrix.ty);
+			vertices[offset++] = r;
+			vertices[offset++] = g;
+			vertices[offset++] = b;
+			vertices[offset++] = alpha;
+			vertices[offset++] = right ? u1 : u0;
+			vertices[offset++] = bottom ? v1 : v0;
+			vertices[offset++] = MODE_IMAGE;
+			offset = pushEmptyGradient(vertices, offset);
+		}
+
+		context.quads++;
+	}
+
+	/**
+	 * Get the image a Text entity is drawn into, drawing it again if the text or its style has changed since it was last drawn.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_getTextImage
+	 *
+	 * @param {Whirl.Text} text Text to get the image of.
+	 * @returns {{canvas: HTMLCanvasElement, version: number}} Canvas holding the drawn text, and a number that increases each time it is drawn again.
+	 */
+	_getTextImage(text) {
+		const key = [
+			text._measured,
+			text.resolution,
+			text.strokeWidth,
+			this._getStyleKey(text.fill),
+			this._getStyleKey(text.stroke),
+		].join("|");
+
+		return this._getCanvasImage(text, text.resolution, key, (ctx) =>
+			this._canvasRenderer._drawText(ctx, text)
+		);
+	}
+
+	/**
+	 * Get the image a Graphics entity is drawn into, drawing it again if its shapes or the textures they use have changed since it was last drawn.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_getGraphicsImage
+	 *
+	 * @param {Whirl.Graphics} graphics Graphics to get the image of.
+	 * @returns {{canvas: HTMLCanvasElement, version: number}} Canvas holding the drawn shapes, and a number that increases each time it is drawn again.
+	 */
+	_getGraphicsImage(graphics) {
+		const key = [graphics._version, graphics.resolution];
+
+		for (let i = 0; i < graphics.shapes.length; i++) {
+			const {fill, stroke} = graphics.shapes[i];
+
+			key.push(this._getStyleKey(fill), this._getStyleKey(stroke));
+		}
+
+		return this._getCanvasImage(graphics, graphics.resolution, key.join("|"), (ctx) =>
+			this._canvasRenderer._drawGraphics(ctx, graphics)
+		);
+	}
+
+	/**
+	 * Get the image an entity is drawn into with the Canvas renderer, drawing it again if its key has changed since it was last drawn.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_getCanvasImage
+	 *
+	 * @param {Whirl.Sprite} entity Entity to get the image of.
+	 * @param {number} resolution Scale to draw the entity at.
+	 * @param {string} key String that changes whenever the appearance of the entity changes.
+	 * @param {Function} draw Function that draws the entity into the 2D context it is given, with the top-left of the entity at the origin.
+	 * @returns {{canvas: HTMLCanvasElement, version: number}} Canvas holding the drawn entity, and a number that increases each time it is drawn again.
+	 */
+	_getCanvasImage(entity, resolution, key, draw) {
+		let entry = this._canvasImages.get(entity);
+
+		if (!entry) {
+			const canvas = document.createElement("canvas");
+
+			entry = {
+				canvas,
+				ctx: canvas.getContext("2d"),
+				key: null,
+				version: 0,
+			};
+
+			this._canvasImages.set(entity, entry);
+		}
+
+		if (key === entry.key) {
+			return entry;
+		}
+
+		const {canvas, ctx} = entry;
+		const {bounds} = entity;
+
+		canvas.width = Math.max(Math.ceil(bounds.w * resolution), 1);
+		canvas.height = Math.max(Math.ceil(bounds.h * resolution), 1);
+
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		ctx.scale(canvas.width / bounds.w, canvas.height / bounds.h);
+
+		draw(ctx);
+
+		entry.key = key;
+		entry.version++;
+
+		return entry;
+	}
+
+	/**
+	 * Get a string that changes whenever the appearance of a texture changes, or a different texture is given.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_getStyleKey
+	 *
+	 * @param {Whirl.Texture|null} texture Texture to get the key of.
+	 * @returns {string}
+	 */
+	_getStyleKey(texture) {
+		if (texture instanceof Colour) {
+			return texture._data;
+		}
+
+		if (texture instanceof Gradient) {
+			const {type, start, end, startRadius, endRadius, angle, stops} = texture;
+
+			return `${texture._id} ${type} ${start.x} ${start.y} ${end.x} ${
+				end.y
+			} ${startRadius} ${endRadius} ${angle} ${stops
+				.map(([offset, colour]) => `${offset} ${colour._data}`)
+				.join()}`;
+		}
+
+		if (texture instanceof Image) {
+			return `${texture._id} ${texture.isReady()}`;
+		}
+
+		return "";
+	}
+
+	/**
+	 * Bind the texture of an image source so that it is used by the following image quads, drawing all pending quads first if a different image was bound.
+	 *
+	 * Image elements are uploaded to their texture once. Canvas elements are uploaded once per frame as their contents may change, unless they are given a version, in which case they are only uploaded again when their version changes.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_useImage
+	 *
+	 * @param {Whirl.render.Renderer~RenderContext} context Render context the image is being drawn with.
+	 * @param {HTMLImageElement|HTMLCanvasElement} source Source element of the image.
+	 * @param {boolean} smoothing Sample the texture with linear filtering rather than nearest-neighbour filtering.
+	 * @param {number} [version=null] Number that changes whenever the contents of the source change.
+	 */
+	_useImage(context, source, smoothing, version = null) {
+		const {ctx: gl} = context;
+		let entry = context.imageTextures.get(source);
+
+		if (!entry) {
+			const texture = gl.createTexture();
+
+			gl.activeTexture(gl.TEXTURE1);
+			gl.bindTexture(gl.TEXTURE_2D, texture);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+			gl.activeTexture(gl.TEXTURE0);
+
+			entry = {
+				texture,
+				smoothing: null,
+				frame: -1,
+				version: null,
+			};
+
+			context.imageTextures.set(source, entry);
+		}
+
+		let stale = entry.frame === -1;
+
+		if (version !== null) {
+			stale = stale || entry.version !== version;
+		} else if (source instanceof window.HTMLCanvasElement) {
+			stale = stale || entry.frame !== this._frame;
+		}
+
+		if (context.image === entry && entry.smoothing === smoothing && !stale) {
+			return;
+		}
+
+		this._flush(context);
+
+		gl.activeTexture(gl.TEXTURE1);
+		gl.bindTexture(gl.TEXTURE_2D, entry.texture);
+
+		if (stale) {
+			entry.frame = this._frame;
+			entry.version = version;
+
+			gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+		}
+
+		if (entry.smoothing !== smoothing) {
+			entry.smoothing = smoothing;
+
+			const filter = smoothing ? gl.LINEAR : gl.NEAREST;
+
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter);
+			gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter);
+		}
+
+		gl.activeTexture(gl.TEXTURE0);
+
+		context.image = entry;
+	}
+
+	/**
+	 * Draw the colour stops of a gradient into a row of the gradient ramp texture.
+	 *
+	 * @ignore
+	 * @method Whirl.render.Webgl#_drawGradientRow
+	 *
+	 * @param {Whirl.render.Renderer~RenderContext} context Render context that owns the texture.
+	 * @param {Whirl.Gradient} gradient Gradient to draw.
+	 * @param {number} row Index of the texture row to draw into.
+	 */
+	_drawGradientRow(context, gradient, row) {
+		const {ctx: gl, ramp} = context;
+
+		// Place the first and last texel centres exactly on the start and end of the gradient
+		const rampGradient = ramp.createLinearGradient(0.5, 0, GRADIENT_WIDTH - 0.5, 0);
+
+		for (let i = 0; i < gradient.stops.length; i++) {
+			const [offset, colour] = gradient.stops[i];
+
+			rampGradient.addColorStop(clamp(offset, 0, 1), colour._data);
+		}
+
+		ramp.clearRect(0, 0, GRADIENT_WIDTH, 1);
+		ramp.fillStyle = rampGradient;
+		ramp.fillRect(0, 0, GRADIENT_WIDTH, 1);
+
+		gl.bindTexture(gl.TEXTURE_2D, context.gradientTexture);
+		gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+		gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, row, gl.RGBA, gl.UNSIGNED_BYTE, ramp.canvas);
+	}
 }
 
+/**
+ * Fill the gradient position and shape of a vertex that is not filled with a radial or conic gradient.
+ *
+ * @ignore
+ *
+ * @param {Float32Array} vertices Vertices of the batch being written to.
+ * @param {number} offset Index of the gradient position of the vertex.
+ * @returns {number} Index after the gradient shape of the vertex.
+ */
+const pushEmptyGradient = (vertices, offset) => {
+	vertices.fill(0, offset, offset + 6);
+
+	return offset + 6;
+};
+
 export default WebglRenderer;
@@ -0,0 +1,132 @@
+/**
+ * Vertex shader that converts quad vertices given in canvas pixel coordinates to clip space.
+ *
+ * @ignore
+ * @type {string}
+ */
+export const vertex = `
+attribute vec2 aPosition;
+attribute vec4 aColour;
+attribute vec2 aTexCoord;
+attribute float aMode;
+attribute vec2 aGradientPosition;
+attribute vec4 aGradientShape;
+
+uniform vec2 uResolution;
+
+varying vec4 vColour;
+varying vec2 vTexCoord;
+varying float vMode;
+varying vec2 vGradientPosition;
+varying vec4 vGradientShape;
+
+void main() {
+	vec2 clip = aPosition / uResolution * 2.0 - 1.0;
+
+	gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+	vColour = aColour;
+	vTexCoord = aTexCoord;
+	vMode = aMode;
+	vGradientPosition = aGradientPosition;
+	vGradientShape = aGradientShape;
+}
+`;
+
+/**
+ * Fragment shader that fills a quad with either a solid colour, a row of the gradient ramp texture or an image texture.
+ *
+ * The fill of each quad is picked by its mode (`vMode`) - `0` for a solid colour, `1` for a linear gradient, `2` for a radial gradient, `3` for a conic gradient and `4` for an image. Images are multiplied by the colour of the quad to tint them.
+ *
+ * Linear gradients are given their position along the ramp row by the vertices. Radial and conic gradients find it for each pixel from the position of the pixel relative to the start point of the gradient (`vGradientPosition`), and the shape of the gradient (`vGradientShape`) - the offset of the end point, start radius and end radius of a radial gradient, or the start angle in radians of a conic gradient.
+ *
+ * @ignore
+ * @type {string}
+ */
+export const fragment = `
+precision mediump float;
+
+const float TAU = 6.28318531;
+
+// Width in texels of the gradient ramp texture
+const float RAMP_WIDTH = 256.0;
+
+uniform sampler2D uGradients;
+uniform sampler2D uImage;
+
+varying vec4 vColour;
+varying vec2 vTexCoord;
+varying float vMode;
+varying vec2 vGradientPosition;
+varying vec4 vGradientShape;
+
+vec4 ramp(float t) {
+	float u = (0.5 + clamp(t, 0.0, 1.0) * (RAMP_WIDTH - 1.0)) / RAMP_WIDTH;
+
+	return texture2D(uGradients, vec2(u, vTexCoord.y)) * vColour.a;
+}
+
+vec4 radial() {
+	// Find the largest t where the pixel lies on the circle between the start and end circles at t
+	vec2 p = vGradientPosition;
+	vec2 direction = vGradientShape.xy;
+	float r0 = vGradientShape.z;
+	float dr = vGradientShape.w - r0;
+
+	float a = dot(direction, direction) - dr * dr;
+	float b = dot(p, direction) + r0 * dr;
+	float c = dot(p, p) - r0 * r0;
+	float t;
+
+	if (abs(a) < 0.00001) {
+		if (b == 0.0) {
+			return vec4(0.0);
+		}
+
+		t = c / (2.0 * b);
+	} else {
+		float discriminant = b * b - a * c;
+
+		if (discriminant < 0.0) {
+			return vec4(0.0);
+		}
+
+		float root = sqrt(discriminant);
+		float t0 = (b + root) / a;
+		float t1 = (b - root) / a;
+
+		t = max(t0, t1);
+
+		// Circles with a negative radius are not painted
+		if (r0 + t * dr < 0.0) {
+			t = min(t0, t1);
+		}
+	}
+
+	if (r0 + t * dr < 0.0) {
+		return vec4(0.0);
+	}
+
+	return ramp(t);
+}
+
+vec4 conic() {
+	vec2 p = vGradientPosition;
+
+	return ramp(fract((atan(p.y, p.x) - vGradientShape.x) / TAU));
+}
+
+void main() {
+	if (vMode < 0.5) {
+		gl_FragColor = vec4(vColour.rgb * vColour.a, vColour.a);
+	} else if (vMode < 1.5) {
+		gl_FragColor = texture2D(uGradients, vTexCoord) * vColour.a;
+	} else if (vMode < 2.5) {
+		gl_FragColor = radial();
+	} else if (vMode < 3.5) {
+		gl_FragColor = conic();
+	} else {
+		gl_FragColor = texture2D(uImage, vTexCoord) * vec4(vColour.rgb, 1.0) * vColour.a;
+	}
+}
+`;
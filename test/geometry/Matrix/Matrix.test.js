@@ -0,0 +1,104 @@
+import Matrix from "~/geometry/Matrix";
+import Point from "~/geometry/Point";
+
+const expectPoint = (point, x, y) => {
+	expect(point.x).toBeCloseTo(x);
+	expect(point.y).toBeCloseTo(y);
+};
+
+describe("Matrix", () => {
+	it("leaves points unchanged by default", () => {
+		expectPoint(Matrix().apply(12, 34), 12, 34);
+	});
+
+	it("scales, rotates and then moves points around the pivot point", () => {
+		const matrix = Matrix().setTransform({
+			x: 100,
+			y: 50,
+			pivotX: 10,
+			pivotY: 0,
+			scaleX: 2,
+			rotation: Math.PI / 2,
+		});
+
+		// The pivot point is placed at the position
+		expectPoint(matrix.apply(10, 0), 100, 50);
+
+		// One unit to the right of the pivot is scaled by 2 and rotated to point down
+		expectPoint(matrix.apply(11, 0), 100, 52);
+		expectPoint(matrix.apply(10, 1), 99, 50);
+	});
+
+	it("tilts the vertical axis towards the right when skewed horizontally", () => {
+		const matrix = Matrix().setTransform({skewX: Math.PI / 4});
+
+		expectPoint(matrix.apply(0, 10), 10 * Math.SQRT1_2, 10 * Math.SQRT1_2);
+		expectPoint(matrix.apply(10, 0), 10, 0);
+	});
+
+	it("applies the given matrix before itself when multiplying", () => {
+		const parent = Matrix().setTransform({x: 100, rotation: Math.PI / 2});
+		const child = Matrix().setTransform({x: 10});
+
+		// The child moves 10 to the right in the space of the parent, which points down in the world
+		expectPoint(
+			parent
+				.duplicate()
+				.multiply(child)
+				.apply(0, 0),
+			100,
+			10
+		);
+		expectPoint(
+			child
+				.duplicate()
+				.multiply(parent)
+				.apply(0, 0),
+			110,
+			0
+		);
+	});
+
+	it("undoes its transformation once inverted", () => {
+		const matrix = Matrix().setTransform({x: 30, y: -20, scaleX: 3, scaleY: 0.5, rotation: 1});
+		const point = matrix.apply(7, 9);
+
+		expectPoint(matrix.applyInverse(point), 7, 9);
+		expectPoint(
+			matrix
+				.duplicate()
+				.invert()
+				.apply(point),
+			7,
+			9
+		);
+		expectPoint(
+			matrix
+				.duplicate()
+				.multiply(matrix.duplicate().invert())
+				.apply(5, 6),
+			5,
+			6
+		);
+	});
+
+	it("leaves matrices that scale to zero unchanged when inverted", () => {
+		const matrix = Matrix(0, 0, 0, 0, 10, 10);
+
+		expect(matrix.duplicate().invert()).toEqual(matrix);
+		expectPoint(matrix.applyInverse(4, 5), 4, 5);
+	});
+
+	it("stores results in the given point", () => {
+		const out = Point();
+
+		expect(Matrix(1, 0, 0, 1, 5, 5).apply(Point(1, 2), out)).toBe(out);
+		expectPoint(out, 6, 7);
+	});
+
+	it("interpolates each component between two matrices", () => {
+		const matrix = Matrix().lerp(Matrix(1, 0, 0, 1, 0, 0), Matrix(3, 2, 0, 1, 100, -50), 0.5);
+
+		expect(matrix).toMatchObject({a: 2, b: 1, c: 0, d: 1, tx: 50, ty: -25});
+	});
+});
@@ -0,0 +1,213 @@
+import Path from "~/geometry/Path";
+import Polygon from "~/geometry/Polygon";
+
+// Flat list of the coordinates of a list of points
+const coords = (points) => points.reduce((list, {x, y}) => list.concat(x, y), []);
+
+describe("Path", () => {
+	describe("flatten", () => {
+		it("keeps straight lines as they are", () => {
+			const subpaths = Path()
+				.moveTo(0, 0)
+				.lineTo(10, 0)
+				.lineTo(10, 10)
+				.closePath()
+				.flatten();
+
+			expect(subpaths).toHaveLength(1);
+			expect(coords(subpaths[0].points)).toEqual([0, 0, 10, 0, 10, 10]);
+			expect(subpaths[0].closed).toBe(true);
+		});
+
+		it("begins a new subpath on each move", () => {
+			const subpaths = Path()
+				.moveTo(0, 0)
+				.lineTo(10, 0)
+				.moveTo(20, 20)
+				.lineTo(30, 20)
+				.flatten();
+
+			expect(subpaths.map(({points}) => coords(points))).toEqual([
+				[0, 0, 10, 0],
+				[20, 20, 30, 20],
+			]);
+			expect(subpaths.map(({closed}) => closed)).toEqual([false, false]);
+		});
+
+		it("continues from the start of a closed subpath", () => {
+			const subpaths = Path()
+				.moveTo(5, 5)
+				.lineTo(10, 0)
+				.closePath()
+				.lineTo(0, 10)
+				.flatten();
+
+			expect(coords(subpaths[1].points)).toEqual([5, 5, 0, 10]);
+		});
+
+		it("begins lines that do not follow a point at the end of the line", () => {
+			const [subpath] = Path()
+				.lineTo(10, 10)
+				.lineTo(20, 0)
+				.flatten();
+
+			expect(coords(subpath.points)).toEqual([10, 10, 10, 10, 20, 0]);
+		});
+
+		it("breaks quadratic curves into points along the curve", () => {
+			const [{points}] = Path()
+				.moveTo(0, 0)
+				.quadraticCurveTo(50, 100, 100, 0)
+				.flatten();
+			const last = points[points.length - 1];
+
+			expect(points.length).toBeGreaterThan(4);
+			expect(last.x).toBeCloseTo(100);
+			expect(last.y).toBeCloseTo(0);
+			expect(Math.max(...points.map(({y}) => y))).toBeCloseTo(50, 0);
+		});
+
+		it("breaks cubic curves into points along the curve", () => {
+			const [{points}] = Path()
+				.moveTo(0, 0)
+				.bezierCurveTo(0, 100, 100, 100, 100, 0)
+				.flatten();
+			const last = points[points.length - 1];
+
+			expect(last.x).toBeCloseTo(100);
+			expect(last.y).toBeCloseTo(0);
+			expect(Math.max(...points.map(({y}) => y))).toBeCloseTo(75, 0);
+		});
+
+		it("uses more points for longer curves, within limits", () => {
+			const count = (size) =>
+				Path()
+					.moveTo(0, 0)
+					.quadraticCurveTo(size / 2, size, size, 0)
+					.flatten()[0].points.length;
+
+			expect(count(1)).toBe(5);
+			expect(count(100)).toBeGreaterThan(count(10));
+			expect(count(100000)).toBe(101);
+		});
+
+		it("breaks arcs into points on the circle", () => {
+			const [{points}] = Path()
+				.arc(0, 0, 50, 0, 90)
+				.flatten();
+
+			points.forEach(({x, y}) => expect(Math.hypot(x, y)).toBeCloseTo(50));
+			expect(points[0].x).toBeCloseTo(50);
+			expect(points[0].y).toBeCloseTo(0);
+			expect(points[points.length - 1].x).toBeCloseTo(0);
+			expect(points[points.length - 1].y).toBeCloseTo(50);
+		});
+
+		it("sweeps anticlockwise arcs the other way around the circle", () => {
+			const [{points}] = Path()
+				.arc(0, 0, 50, 0, 90, true)
+				.flatten();
+
+			expect(Math.min(...points.map(({y}) => y))).toBeCloseTo(-50, 0);
+			expect(Math.min(...points.map(({x}) => x))).toBeCloseTo(-50, 0);
+		});
+
+		it("joins arcs to the current point with a straight line", () => {
+			const [{points}] = Path()
+				.moveTo(0, 0)
+				.arc(100, 0, 10, 180, 360)
+				.flatten();
+
+			expect(coords(points.slice(0, 2))).toEqual([0, 0, 90, expect.any(Number)]);
+			expect(points[1].y).toBeCloseTo(0);
+		});
+	});
+
+	describe("isPointInside", () => {
+		// Square with corners at the given coordinates, wound clockwise or anticlockwise
+		const square = (path, min, max, clockwise = true) =>
+			clockwise
+				? path
+						.moveTo(min, min)
+						.lineTo(max, min)
+						.lineTo(max, max)
+						.lineTo(min, max)
+						.closePath()
+				: path
+						.moveTo(min, min)
+						.lineTo(min, max)
+						.lineTo(max, max)
+						.lineTo(max, min)
+						.closePath();
+
+		it("finds points inside of a simple shape", () => {
+			const path = square(Path(), 0, 100);
+
+			expect(path.isPointInside(50, 50)).toBe(true);
+			expect(path.isPointInside(150, 50)).toBe(false);
+			expect(path.isPointInside(-1, -1)).toBe(false);
+		});
+
+		it("treats unclosed subpaths as closed", () => {
+			const path = Path()
+				.moveTo(0, 0)
+				.lineTo(100, 0)
+				.lineTo(50, 80);
+
+			expect(path.isPointInside(50, 20)).toBe(true);
+		});
+
+		it("fills overlapping subpaths wound the same way", () => {
+			const path = square(square(Path(), 0, 100), 25, 75);
+
+			expect(path.isPointInside(50, 50)).toBe(true);
+		});
+
+		it("leaves a hole where subpaths are wound opposite ways", () => {
+			const path = square(square(Path(), 0, 100), 25, 75, false);
+
+			expect(path.isPointInside(50, 50)).toBe(false);
+			expect(path.isPointInside(10, 10)).toBe(true);
+		});
+
+		it("fills the center of a self-intersecting star unlike a polygon", () => {
+			const points = [50, 0, 79, 90, 2, 35, 98, 35, 21, 90];
+			const path = Path().moveTo(points[0], points[1]);
+
+			for (let i = 2; i < points.length; i += 2) {
+				path.lineTo(points[i], points[i + 1]);
+			}
+
+			expect(path.isPointInside(50, 50)).toBe(true);
+			expect(Polygon(points).isPointInside(50, 50)).toBe(false);
+		});
+
+		it("finds points inside of curves", () => {
+			const path = Path().arc(0, 0, 50, 0, 360);
+
+			expect(path.isPointInside(30, 30)).toBe(true);
+			expect(path.isPointInside(40, 40)).toBe(false);
+		});
+	});
+
+	it("measures the bounding box of the flattened path", () => {
+		const box = Path()
+			.moveTo(0, 0)
+			.quadraticCurveTo(50, 100, 100, 0).box;
+
+		expect(box.x).toBeCloseTo(0);
+		expect(box.w).toBeCloseTo(100);
+		expect(box.h).toBeCloseTo(50, 0);
+	});
+
+	it("saves to and loads from JSON, leaving out invalid commands", () => {
+		const path = Path()
+			.moveTo(0, 0)
+			.lineTo(10, 0)
+			.closePath();
+		const json = JSON.parse(JSON.stringify(path));
+
+		expect(json).toEqual([["moveTo", 0, 0], ["lineTo", 10, 0], ["closePath"]]);
+		expect(Path([...json, ["jumpTo", 5, 5], ["lineTo", 5]]).commands).toEqual(json);
+	});
+});
@@ -0,0 +1,74 @@
+import {keys, codes, modifiers, getByCode, getByName, getByEvent} from "~/key";
+
+describe("key", () => {
+	describe("keys", () => {
+		it("maps names to numeric keycodes", () => {
+			expect(keys.x).toBe(88);
+			expect(keys.ArrowRight).toBe(39);
+			expect(keys.Shift).toBe(16);
+			expect(keys.ShiftRight).toBe(16);
+		});
+
+		it("has a keycode for every key that has a code", () => {
+			Object.keys(codes).forEach((name) => {
+				expect(typeof keys[name]).toBe("number");
+			});
+		});
+
+		it("has a keycode for every modifier name", () => {
+			Object.keys(modifiers).forEach((name) => {
+				expect(typeof keys[name]).toBe("number");
+			});
+		});
+	});
+
+	describe("getByName", () => {
+		it("gets the keycode of a key by default", () => {
+			expect(getByName("x")).toBe(88);
+			expect(getByName("Space")).toBe(32);
+			expect(getByName("Control")).toBe(17);
+		});
+
+		it("gets the code of a key when asked for it", () => {
+			expect(getByName("x", {code: true})).toBe("KeyX");
+			expect(getByName("ShiftLeft", {code: true})).toBe("ShiftLeft");
+			expect(getByName("Shift", {code: true})).toBeUndefined();
+		});
+
+		it("returns undefined for unknown names", () => {
+			expect(getByName("Unknown")).toBeUndefined();
+		});
+	});
+
+	describe("getByCode", () => {
+		it("gets the name of a key by its code", () => {
+			expect(getByCode("KeyX")).toBe("x");
+			expect(getByCode("Digit1")).toBe("1");
+			expect(getByCode("ShiftRight")).toBe("ShiftRight");
+		});
+
+		it("gets the name of a key by its keycode, preferring modifier names", () => {
+			expect(getByCode(88)).toBe("x");
+			expect(getByCode(39)).toBe("ArrowRight");
+			expect(getByCode(16)).toBe("Shift");
+			expect(getByCode(18)).toBe("Alt");
+		});
+
+		it("returns the names given to it by getByName", () => {
+			Object.keys(codes).forEach((name) => {
+				expect(getByCode(getByName(name, {code: true}))).toBe(name);
+			});
+		});
+	});
+
+	describe("getByEvent", () => {
+		it("prefers the code of the event", () => {
+			expect(getByEvent({code: "KeyQ", keyCode: 65, key: "a"})).toBe("q");
+		});
+
+		it("falls back to the keycode and then the key of the event", () => {
+			expect(getByEvent({code: "", keyCode: 88, key: "x"})).toBe("x");
+			expect(getByEvent({keyCode: 0, key: "Dead"})).toBe("Dead");
+		});
+	});
+});
@@ -0,0 +1,88 @@
+import Game from "~/objects/Game";
+
+const TEXT_DATA = `info face="Pixel Font" size=-16 bold=0 italic=0 charset="" unicode=1 stretchH=100
+common lineHeight=18 base=14 scaleW=128 scaleH=128 pages=1 packed=0
+page id=0 file="pixel.png"
+chars count=3
+char id=65   x=0     y=0     width=10    height=12    xoffset=0     yoffset=2     xadvance=11    page=0  chnl=15
+char id=86   x=10    y=0     width=10    height=12    xoffset=-1    yoffset=2     xadvance=10    page=0  chnl=15
+char id=97   x=0     y=20    width=8     height=9     xoffset=1     yoffset=5     xadvance=9     page=1  chnl=15
+kernings count=1
+kerning first=65  second=86  amount=-2
+`;
+
+const XML_DATA = `<?xml version="1.0"?>
+<font>
+	<info face="Pixel Font" size="16" bold="0" italic="0" />
+	<common lineHeight="18" base="14" scaleW="128" scaleH="128" pages="1" packed="0" />
+	<pages>
+		<page id="0" file="pixel.png" />
+	</pages>
+	<chars count="1">
+		<char id="65" x="0" y="0" width="10" height="12" xoffset="0" yoffset="2" xadvance="11" page="0" chnl="15" />
+	</chars>
+	<kernings count="1">
+		<kerning first="65" second="86" amount="-2" />
+	</kernings>
+</font>
+`;
+
+describe("BitmapFont", () => {
+	let game;
+	let image;
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		image = document.createElement("canvas");
+	});
+
+	it("parses the text format", () => {
+		const font = game.BitmapFont(image, {data: TEXT_DATA});
+
+		expect(font.size).toBe(16);
+		expect(font.lineHeight).toBe(18);
+		expect(font.base).toBe(14);
+		expect(Object.keys(font.glyphs)).toEqual(["65", "86"]);
+		expect(font.glyphs[86]).toMatchObject({xOffset: -1, yOffset: 2, xAdvance: 10});
+		expect(font.glyphs[86].crop).toMatchObject({x: 10, y: 0, w: 10, h: 12});
+		expect(font.getKerning(65, 86)).toBe(-2);
+		expect(font.getKerning(86, 65)).toBe(0);
+	});
+
+	it("parses the XML format", () => {
+		const font = game.BitmapFont(image, {data: XML_DATA});
+
+		expect(font.size).toBe(16);
+		expect(font.lineHeight).toBe(18);
+		expect(font.glyphs[65].crop).toMatchObject({x: 0, y: 0, w: 10, h: 12});
+		expect(font.glyphs[65].xAdvance).toBe(11);
+		expect(font.getKerning(65, 86)).toBe(-2);
+	});
+
+	it("reads font data loaded by the asset manager", () => {
+		game.asset._assets.pixelFontData = TEXT_DATA;
+
+		const font = game.BitmapFont(image, {data: "pixelFontData"});
+
+		expect(font.glyphs[65].xAdvance).toBe(11);
+	});
+
+	it("falls back to the line height when the size is missing", () => {
+		const font = game.BitmapFont(image, {data: "common lineHeight=20 base=16\n"});
+
+		expect(font.size).toBe(20);
+	});
+
+	it("warns about and ignores invalid font data", () => {
+		const warn = jest.spyOn(game.debug, "warn").mockImplementation(() => {});
+		const font = game.BitmapFont(image, {data: TEXT_DATA});
+
+		font.parse("not a font");
+
+		expect(warn).toHaveBeenCalledWith(
+			"Invalid font data given to BitmapFont#parse.",
+			"Whirl.BitmapFont"
+		);
+		expect(font.glyphs[65]).toBeDefined();
+	});
+});
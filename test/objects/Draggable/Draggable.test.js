@@ -0,0 +1,153 @@
+import Game from "~/objects/Game";
+import Point from "~/geometry/Point";
+import Rectangle from "~/geometry/Rectangle";
+
+describe("Draggable", () => {
+	let game;
+	let stage;
+	let viewport;
+
+	// Send a pointer event at a point in the game world, stepping the stage first so it is hit-tested where it was last moved to
+	const pointer = (type, x, y) => {
+		stage.calculateDerived();
+
+		game.input._dispatchPointer(viewport, type, {
+			rawEvent: null,
+			pointer: {id: 1},
+			screenPos: Point(x, y),
+			worldPos: Point(x, y),
+		});
+	};
+
+	const drag = (from, to) => {
+		pointer("down", ...from);
+		pointer("move", ...to);
+		pointer("up", ...to);
+	};
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+
+		// Nothing is rendered in these tests, so the viewport needs no canvas
+		jest.spyOn(game.debug, "error").mockImplementation(() => {});
+
+		stage = game.Stage({limits: Rectangle(0, 0, 500, 500)});
+		viewport = game.Viewport({canvas: null, stage});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it("moves the entity by the distance the pointer moves", () => {
+		const card = game.Sprite({x: 100, y: 100, w: 50, h: 50, draggable: true});
+
+		stage.child.add(card);
+		drag([110, 110], [160, 130]);
+
+		expect(card.bounds.x).toBe(150);
+		expect(card.bounds.y).toBe(120);
+		expect(card.draggable.isDragging).toBe(false);
+		expect(card.draggable.hasMoved).toBe(true);
+	});
+
+	it("only moves the entity along its axis", () => {
+		const slider = game.Sprite({x: 100, y: 100, w: 50, h: 50, draggable: {axis: "x"}});
+
+		stage.child.add(slider);
+		drag([110, 110], [160, 200]);
+
+		expect(slider.bounds.x).toBe(150);
+		expect(slider.bounds.y).toBe(100);
+	});
+
+	it("snaps the position of the entity to a grid", () => {
+		const tile = game.Sprite({x: 100, y: 100, w: 50, h: 50, draggable: {snap: 25}});
+
+		stage.child.add(tile);
+		drag([110, 110], [123, 148]);
+
+		expect(tile.bounds.x).toBe(125);
+		expect(tile.bounds.y).toBe(150);
+	});
+
+	it("keeps the entity inside of the limits of the stage", () => {
+		const card = game.Sprite({x: 100, y: 100, w: 50, h: 50, draggable: {bounds: true}});
+
+		stage.child.add(card);
+		drag([110, 110], [900, -300]);
+
+		expect(card.bounds.x).toBe(450);
+		expect(card.bounds.y).toBe(0);
+	});
+
+	it("follows the pointer inside of a rotated container", () => {
+		const card = game.Sprite({x: 0, y: 0, w: 50, h: 50, draggable: true});
+		const container = game.Container({x: 200, y: 200, rotation: 90}, [card]);
+
+		stage.child.add(container);
+		drag([190, 210], [190, 260]);
+
+		// Moving down in the game world is moving right in the rotated container
+		expect(card.bounds.x).toBeCloseTo(50);
+		expect(card.bounds.y).toBeCloseTo(0);
+	});
+
+	it("drops the entity on the interactive Sprite under the pointer", () => {
+		const card = game.Sprite({x: 0, y: 0, w: 50, h: 50, draggable: true});
+		const slot = game.Sprite({x: 300, y: 300, w: 100, h: 100, interactive: true});
+		const dropped = jest.fn();
+		const ended = jest.fn();
+
+		slot.event.on("drop", dropped);
+		card.event.on("dragEnd", ended);
+
+		stage.child.add([slot, card]);
+		drag([10, 10], [350, 350]);
+
+		expect(dropped).toHaveBeenCalledTimes(1);
+		expect(dropped.mock.calls[0][0]).toMatchObject({dragged: card, target: slot});
+		expect(ended.mock.calls[0][0].dropTarget).toBe(slot);
+	});
+
+	it("does not drop the entity when the drag is cancelled", () => {
+		const card = game.Sprite({x: 0, y: 0, w: 50, h: 50, draggable: true});
+		const slot = game.Sprite({x: 300, y: 300, w: 100, h: 100, interactive: true});
+		const dropped = jest.fn();
+		const ended = jest.fn();
+
+		slot.event.on("drop", dropped);
+		card.event.on("dragEnd", ended);
+
+		stage.child.add([slot, card]);
+		pointer("down", 10, 10);
+		pointer("move", 350, 350);
+		pointer("cancel", 350, 350);
+
+		expect(dropped).not.toHaveBeenCalled();
+		expect(ended).toHaveBeenCalledTimes(1);
+		expect(ended.mock.calls[0][0].dropTarget).toBeNull();
+	});
+
+	it("moves the entity back to where the drag began when reset", () => {
+		const card = game.Sprite({x: 100, y: 100, w: 50, h: 50, draggable: true});
+
+		stage.child.add(card);
+		drag([110, 110], [300, 300]);
+		card.draggable.reset();
+
+		expect(card.bounds.x).toBe(100);
+		expect(card.bounds.y).toBe(100);
+	});
+
+	it("is not dragged whilst disabled", () => {
+		const card = game.Sprite({x: 100, y: 100, w: 50, h: 50, draggable: true});
+
+		card.draggable.enabled = false;
+		stage.child.add(card);
+		drag([110, 110], [300, 300]);
+
+		expect(card.bounds.x).toBe(100);
+		expect(card.draggable.isDragging).toBe(false);
+	});
+});
@@ -0,0 +1,83 @@
+import Game from "~/objects/Game";
+
+describe("AssetManager", () => {
+	let game;
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+
+		jest.spyOn(console, "error").mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+		jest.useRealTimers();
+	});
+
+	it("reports assets that throw while being requested as failed", async () => {
+		const errors = [];
+
+		game.event.on("assetError", ({key}) => errors.push(key));
+		game.event.on("assetComplete", ({failed}) => errors.push(failed));
+
+		// Neither FontFace nor fetch exist in this environment
+		game.asset.font("title", "./title.woff");
+		game.asset.json("level", "./level.json");
+
+		await game.asset.load();
+
+		expect(errors).toEqual(["title", "level", ["title", "level"]]);
+		expect(game.asset.loading).toBe(false);
+		expect(game.asset.has("title")).toBe(false);
+	});
+
+	it("resolves audio once its first frame has loaded", async () => {
+		const createElement = document.createElement.bind(document);
+		let audio;
+
+		jest.spyOn(document, "createElement").mockImplementation((name) => {
+			audio = createElement(name);
+
+			return audio;
+		});
+
+		game.asset.audio("jump", "./jump.wav");
+
+		const loading = game.asset.load();
+
+		audio.dispatchEvent(new Event("loadeddata"));
+
+		await loading;
+
+		expect(game.asset.get("jump")).toBe(audio);
+	});
+
+	it("resolves audio that never loads after a timeout", async () => {
+		jest.useFakeTimers();
+
+		game.asset.audio("jump", "./jump.wav");
+
+		const loading = game.asset.load();
+
+		jest.runAllTimers();
+
+		await loading;
+
+		expect(game.asset.get("jump")).toBeInstanceOf(HTMLAudioElement);
+	});
+
+	it("logs errors thrown while starting the game after loading", async () => {
+		const error = jest.spyOn(game.debug, "error");
+
+		jest.spyOn(game.setup, "setup").mockImplementation(() => {
+			throw new Error("No canvas");
+		});
+
+		game.asset.text("story", "./story.txt");
+		game.start();
+
+		await new Promise((resolve) => setTimeout(resolve));
+
+		expect(error).toHaveBeenLastCalledWith("Failed to start game - No canvas", "Whirl.Game");
+	});
+});
@@ -0,0 +1,237 @@
+import Game from "~/objects/Game";
+
+const createRawGamepad = ({index = 0, buttons = [], axes = []} = {}) => ({
+	index,
+	id: `Test pad ${index}`,
+	mapping: "standard",
+	connected: true,
+	buttons: buttons.map((value) => ({value, pressed: value > 0.5})),
+	axes,
+});
+
+describe("ActionMap", () => {
+	let game;
+	let actions;
+	let rawGamepads;
+
+	const tick = () => {
+		game.input._poll();
+	};
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		actions = game.input.actions;
+
+		rawGamepads = [];
+		navigator.getGamepads = () => rawGamepads;
+	});
+
+	afterEach(() => {
+		delete navigator.getGamepads;
+	});
+
+	it("activates an action while a bound key is held down", () => {
+		actions.add("jump", {device: "key", key: "Space"});
+
+		game.input._setKeyDown("Space");
+		tick();
+
+		expect(actions.getValue("jump")).toBe(1);
+		expect(actions.isActive("jump")).toBe(true);
+
+		game.input._setKeyUp("Space");
+		game.input._update();
+		tick();
+
+		expect(actions.getValue("jump")).toBe(0);
+		expect(actions.isActive("jump")).toBe(false);
+	});
+
+	it("counts a key pressed and released within a single tick", () => {
+		actions.add("jump", {device: "key", key: "Space"});
+
+		game.input._setKeyDown("Space");
+		game.input._setKeyUp("Space");
+		tick();
+
+		expect(actions.justActivated("jump")).toBe(true);
+	});
+
+	it("reads a pair of keys as an axis", () => {
+		actions.add("moveX", {device: "key", negative: "ArrowLeft", positive: "ArrowRight"});
+
+		game.input._setKeyDown("ArrowLeft");
+		tick();
+
+		expect(actions.getValue("moveX")).toBe(-1);
+
+		game.input._setKeyDown("ArrowRight");
+		game.input._update();
+		tick();
+
+		expect(actions.getValue("moveX")).toBe(0);
+		expect(actions.isActive("moveX")).toBe(false);
+	});
+
+	it("reads mouse buttons held down over a canvas", () => {
+		actions.add("fire", {device: "mouse", button: "right"});
+
+		const pointers = new Map();
+
+		game.input.mouseElements.push({pointers});
+		pointers.set(1, {type: "mouse", buttons: 1});
+		tick();
+
+		expect(actions.isActive("fire")).toBe(false);
+
+		pointers.set(1, {type: "mouse", buttons: 3});
+		tick();
+
+		expect(actions.isActive("fire")).toBe(true);
+
+		pointers.set(1, {type: "touch", buttons: 3});
+		tick();
+
+		expect(actions.isActive("fire")).toBe(false);
+	});
+
+	it("reads gamepad axes with their dead zone and inversion applied", () => {
+		actions.add("moveY", {device: "gamepad", axis: "LeftStickY", invert: true});
+
+		rawGamepads = [createRawGamepad({axes: [0, 0.1]})];
+		tick();
+
+		expect(actions.getValue("moveY")).toBe(0);
+
+		rawGamepads = [createRawGamepad({axes: [0, 1]})];
+		tick();
+
+		expect(actions.getValue("moveY")).toBe(-1);
+		expect(actions.isActive("moveY")).toBe(true);
+	});
+
+	it("takes the gamepad pushed the furthest unless a single gamepad is given", () => {
+		actions.add("accelerate", {device: "gamepad", button: "RT"});
+		actions.add("brake", {device: "gamepad", button: "LT", gamepad: 0});
+
+		rawGamepads = [
+			createRawGamepad({index: 0, buttons: [0, 0, 0, 0, 0, 0, 0.2, 0.3]}),
+			createRawGamepad({index: 1, buttons: [0, 0, 0, 0, 0, 0, 0.9, 0.8]}),
+		];
+		tick();
+
+		expect(actions.getValue("accelerate")).toBe(0.8);
+		expect(actions.getValue("brake")).toBe(0.2);
+	});
+
+	it("takes the binding pushed the furthest and keeps its sign", () => {
+		actions.add("moveX", [
+			{device: "key", negative: "ArrowLeft", positive: "ArrowRight"},
+			{device: "gamepad", axis: "LeftStickX"},
+		]);
+
+		rawGamepads = [createRawGamepad({axes: [0.575]})];
+		tick();
+
+		expect(actions.getValue("moveX")).toBeCloseTo(0.5);
+
+		game.input._setKeyDown("ArrowLeft");
+		tick();
+
+		expect(actions.getValue("moveX")).toBe(-1);
+	});
+
+	it("only activates an action once its value reaches the threshold", () => {
+		actions.add("accelerate", {device: "gamepad", button: "RT"}, {threshold: 0.75});
+
+		rawGamepads = [createRawGamepad({buttons: [0, 0, 0, 0, 0, 0, 0, 0.5]})];
+		tick();
+
+		expect(actions.getValue("accelerate")).toBe(0.5);
+		expect(actions.isActive("accelerate")).toBe(false);
+
+		rawGamepads = [createRawGamepad({buttons: [0, 0, 0, 0, 0, 0, 0, 0.75]})];
+		tick();
+
+		expect(actions.isActive("accelerate")).toBe(true);
+	});
+
+	it("reports an action as just activated and just deactivated for a single step", () => {
+		actions.add("jump", {device: "key", key: "Space"});
+
+		game.input._setKeyDown("Space");
+		tick();
+
+		expect(actions.justActivated("jump")).toBe(true);
+
+		game.input._update();
+		tick();
+
+		expect(actions.isActive("jump")).toBe(true);
+		expect(actions.justActivated("jump")).toBe(false);
+
+		game.input._setKeyUp("Space");
+		game.input._update();
+		tick();
+
+		expect(actions.justDeactivated("jump")).toBe(true);
+
+		game.input._update();
+		tick();
+
+		expect(actions.justDeactivated("jump")).toBe(false);
+	});
+
+	it("ignores invalid and duplicate bindings", () => {
+		const warn = jest.spyOn(game.debug, "warn").mockImplementation(() => {});
+
+		actions.add("jump", [
+			{device: "key", key: "Space"},
+			{device: "key", key: "Space"},
+			{device: "mouse", button: "back"},
+			{device: "joystick", button: 0},
+		]);
+
+		expect(actions.getBindings("jump")).toEqual([{device: "key", key: "Space"}]);
+		expect(warn).toHaveBeenCalledTimes(2);
+	});
+
+	it("unbinds a single binding or every binding of an action", () => {
+		actions.add("jump", [
+			{device: "key", key: "Space"},
+			{device: "gamepad", button: "A"},
+		]);
+
+		actions.unbind("jump", {device: "key", key: "Space"});
+
+		expect(actions.getBindings("jump")).toEqual([{device: "gamepad", button: "A"}]);
+
+		actions.unbind("jump");
+
+		expect(actions.getBindings("jump")).toEqual([]);
+	});
+
+	it("saves and loads bindings as JSON", () => {
+		actions.add("jump", {device: "key", key: "Space"});
+		actions.add("fire", {device: "mouse", button: "left"});
+
+		const saved = JSON.stringify(actions);
+
+		actions.unbind("jump").bind("jump", {device: "key", key: "w"});
+		actions.remove("fire");
+		actions.load(saved);
+
+		expect(actions.getBindings("jump")).toEqual([{device: "key", key: "Space"}]);
+		expect(actions.getBindings("fire")).toEqual([{device: "mouse", button: "left"}]);
+	});
+
+	it("logs an error when loading a string that is not valid JSON", () => {
+		const error = jest.spyOn(game.debug, "error").mockImplementation(() => {});
+
+		actions.add("jump", {device: "key", key: "Space"});
+		actions.load("{jump:");
+
+		expect(error).toHaveBeenCalledTimes(1);
+		expect(actions.getBindings("jump")).toEqual([{device: "key", key: "Space"}]);
+	});
+});
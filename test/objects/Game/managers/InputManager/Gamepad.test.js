@@ -0,0 +1,154 @@
+import Game from "~/objects/Game";
+
+const createRawGamepad = ({index = 0, id = "Test pad", buttons = [], axes = []} = {}) => ({
+	index,
+	id,
+	mapping: "standard",
+	connected: true,
+	buttons: buttons.map((value) => ({value, pressed: value > 0.5})),
+	axes,
+});
+
+describe("Gamepad", () => {
+	let game;
+	let rawGamepads;
+
+	const poll = (...gamepads) => {
+		rawGamepads = gamepads;
+		game.input._poll();
+	};
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+
+		rawGamepads = [];
+		navigator.getGamepads = () => rawGamepads;
+	});
+
+	afterEach(() => {
+		delete navigator.getGamepads;
+	});
+
+	it("emits connect and disconnect events as gamepads appear and disappear", () => {
+		const connected = jest.fn();
+		const disconnected = jest.fn();
+
+		game.event.on("gamepadConnected", connected);
+		game.event.on("gamepadDisconnected", disconnected);
+
+		poll(createRawGamepad());
+
+		const pad = game.input.getGamepad(0);
+
+		expect(pad.id).toBe("Test pad");
+		expect(connected.mock.calls[0][0].gamepad).toBe(pad);
+
+		poll();
+
+		expect(game.input.getGamepad(0)).toBe(null);
+		expect(pad.connected).toBe(false);
+		expect(disconnected.mock.calls[0][0].gamepad).toBe(pad);
+	});
+
+	it("reports a button as just pressed and just released for a single step", () => {
+		poll(createRawGamepad({buttons: [0, 0]}));
+
+		const pad = game.input.getGamepad(0);
+
+		game.input._update();
+		poll(createRawGamepad({buttons: [1, 0]}));
+
+		expect(pad.isDown("A")).toBe(true);
+		expect(pad.justPressed("A")).toBe(true);
+		expect(pad.justPressed(0)).toBe(true);
+		expect(pad.justPressed("B")).toBe(false);
+
+		game.input._update();
+		poll(createRawGamepad({buttons: [1, 0]}));
+
+		expect(pad.isDown("A")).toBe(true);
+		expect(pad.justPressed("A")).toBe(false);
+
+		game.input._update();
+		poll(createRawGamepad({buttons: [0, 0]}));
+
+		expect(pad.isDown("A")).toBe(false);
+		expect(pad.justReleased("A")).toBe(true);
+
+		game.input._update();
+		poll(createRawGamepad({buttons: [0, 0]}));
+
+		expect(pad.justReleased("A")).toBe(false);
+	});
+
+	it("does not report buttons held while connecting as just pressed", () => {
+		poll(createRawGamepad({buttons: [1]}));
+
+		const pad = game.input.getGamepad(0);
+
+		expect(pad.isDown("A")).toBe(true);
+		expect(pad.justPressed("A")).toBe(false);
+	});
+
+	it("accepts buttons given as plain numbers", () => {
+		poll({...createRawGamepad(), buttons: [0.25, 0.75]});
+
+		const pad = game.input.getGamepad(0);
+
+		expect(pad.getValue("A")).toBe(0.25);
+		expect(pad.isDown("A")).toBe(false);
+		expect(pad.getValue("B")).toBe(0.75);
+		expect(pad.isDown("B")).toBe(true);
+	});
+
+	it("applies the configured dead zone to a single axis", () => {
+		poll(createRawGamepad({axes: [0.1, -0.575, 1, 0]}));
+
+		const pad = game.input.getGamepad(0);
+
+		expect(pad.getAxis("LeftStickX")).toBe(0);
+		expect(pad.getAxis("LeftStickY")).toBeCloseTo(-0.5);
+		expect(pad.getAxis("RightStickX")).toBe(1);
+		expect(pad.rawAxes[0]).toBe(0.1);
+	});
+
+	it("prefers the dead zone of the gamepad over the config value", () => {
+		game.config.set("input gamepadDeadZone", 0.5);
+
+		poll(createRawGamepad({axes: [0.4, 0.75]}));
+
+		const pad = game.input.getGamepad(0);
+
+		expect(pad.getAxis(0)).toBe(0);
+		expect(pad.getAxis(1)).toBeCloseTo(0.5);
+
+		pad.deadZone = 0;
+
+		expect(pad.getAxis(0)).toBeCloseTo(0.4);
+	});
+
+	it("applies the dead zone to the distance of a stick from its center", () => {
+		poll(createRawGamepad({axes: [0.1, 0.1, 0.6, 0.8]}));
+
+		const pad = game.input.getGamepad(0);
+		const left = pad.getStick("left");
+		const right = pad.getStick("right");
+
+		expect(left.x).toBe(0);
+		expect(left.y).toBe(0);
+
+		// Length 1 is past the dead zone, so the direction and full length are kept
+		expect(right.x).toBeCloseTo(0.6);
+		expect(right.y).toBeCloseTo(0.8);
+	});
+
+	it("keeps the direction of a stick when rescaling it out of the dead zone", () => {
+		poll(createRawGamepad({axes: [0.3, 0.4]}));
+
+		const stick = game.input.getGamepad(0).getStick();
+		const length = (0.5 - 0.15) / (1 - 0.15);
+
+		expect(stick.x).toBeCloseTo(0.6 * length);
+		expect(stick.y).toBeCloseTo(0.8 * length);
+	});
+});
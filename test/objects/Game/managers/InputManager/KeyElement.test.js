@@ -0,0 +1,85 @@
+import Game from "~/objects/Game";
+
+const createKeyEvent = (type, code) => Object.assign(new Event(type), {code, key: code});
+
+describe("KeyElement", () => {
+	let game;
+	let win;
+	let doc;
+	let keyElement;
+	let released;
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": true, "input preventDefault": false});
+
+		win = new EventTarget();
+		doc = Object.assign(new EventTarget(), {defaultView: win, hidden: false});
+
+		keyElement = game.input.registerKeyElement(doc);
+
+		released = [];
+		game.event.on("keyUp", ({key}) => released.push(key));
+	});
+
+	it("tracks keys pressed on the element", () => {
+		doc.dispatchEvent(createKeyEvent("keydown", "KeyA"));
+
+		expect(game.input.isDown("a")).toBe(true);
+
+		doc.dispatchEvent(createKeyEvent("keyup", "KeyA"));
+
+		expect(game.input.isDown("a")).toBe(false);
+		expect(released).toEqual(["a"]);
+	});
+
+	it("releases every held key when the window loses focus", () => {
+		doc.dispatchEvent(createKeyEvent("keydown", "KeyA"));
+		doc.dispatchEvent(createKeyEvent("keydown", "ShiftLeft"));
+
+		win.dispatchEvent(new Event("blur"));
+
+		expect(game.input.isDown("a")).toBe(false);
+		expect(game.input.isDown("ShiftLeft")).toBe(false);
+		expect(game.input.isDown("Shift")).toBe(false);
+		expect(game.input.justReleased("a")).toBe(true);
+		expect(released).toEqual(["a", "ShiftLeft"]);
+	});
+
+	it("releases modifier keys pressed without a code when the window loses focus", () => {
+		const shift = Object.assign(new Event("keydown"), {code: "", keyCode: 16, key: "Shift"});
+
+		doc.dispatchEvent(shift);
+
+		expect(game.input.isDown("Shift")).toBe(true);
+
+		win.dispatchEvent(new Event("blur"));
+
+		expect(game.input.isDown("Shift")).toBe(false);
+		expect(game.input.justReleased("Shift")).toBe(true);
+		expect(released).toEqual(["Shift"]);
+	});
+
+	it("releases every held key only when the page is hidden", () => {
+		doc.dispatchEvent(createKeyEvent("keydown", "KeyA"));
+
+		doc.dispatchEvent(new Event("visibilitychange"));
+
+		expect(game.input.isDown("a")).toBe(true);
+
+		doc.hidden = true;
+		doc.dispatchEvent(new Event("visibilitychange"));
+
+		expect(game.input.isDown("a")).toBe(false);
+		expect(released).toEqual(["a"]);
+	});
+
+	it("stops listening for focus changes once events are removed", () => {
+		doc.dispatchEvent(createKeyEvent("keydown", "KeyA"));
+
+		keyElement.removeEvents();
+		win.dispatchEvent(new Event("blur"));
+
+		expect(game.input.isDown("a")).toBe(true);
+		expect(released).toEqual([]);
+	});
+});
@@ -0,0 +1,64 @@
+import Game from "~/objects/Game";
+
+describe("PhysicsManager", () => {
+	let game;
+
+	const createBody = () => game.Sprite({x: 0, y: 0, w: 10, h: 10, body: {velocityX: 100}});
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false, "physics gravityY": 100});
+	});
+
+	it("moves bodies by their velocity and gravity", () => {
+		const sprite = createBody();
+
+		game.Stage({}, [sprite]);
+		game.physics._update(1000);
+
+		expect(sprite.bounds.x).toBeCloseTo(100);
+		expect(sprite.bounds.y).toBeCloseTo(100);
+	});
+
+	it("does not move bodies inside of a stopped container", () => {
+		const sprite = createBody();
+
+		game.Stage({}, [game.Container({timeScale: 0}, [sprite])]);
+		game.physics._update(1000);
+
+		expect(sprite.bounds.x).toBe(0);
+		expect(sprite.bounds.y).toBe(0);
+		expect(sprite.body.velocity.y).toBe(0);
+	});
+
+	it("scales the step by the time scale of every parent container and the stage", () => {
+		const slow = createBody();
+		const normal = createBody();
+
+		game.Stage({timeScale: 2}, [
+			game.Container({timeScale: 0.5}, [game.Container({timeScale: 0.5}, [slow])]),
+			normal,
+		]);
+		game.physics._update(1000);
+
+		expect(slow.bounds.x).toBeCloseTo(50);
+		expect(normal.bounds.x).toBeCloseTo(200);
+	});
+
+	it.each([
+		[1, 1],
+		[0, 0],
+	])(
+		"finds %d collisions with a body inside of a container with a time scale of %d",
+		(count, timeScale) => {
+			const moving = createBody();
+			const other = game.Sprite({x: 15, y: 0, w: 10, h: 10, body: {allowGravity: false}});
+			const collisions = [];
+
+			game.Stage({}, [moving, game.Container({timeScale}, [other])]);
+			game.physics.addCollider(moving, other, {callback: () => collisions.push(true)});
+			game.physics._update(100);
+
+			expect(collisions).toHaveLength(count);
+		}
+	);
+});
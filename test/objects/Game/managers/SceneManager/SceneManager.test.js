@@ -0,0 +1,120 @@
+import Game from "~/objects/Game";
+import Scene from "~/objects/Scene";
+
+class Title extends Scene {}
+
+class Broken extends Scene {
+	create() {
+		throw new Error("Missing level data");
+	}
+}
+
+class BrokenPreload extends Scene {
+	preload() {
+		throw new Error("Missing asset list");
+	}
+}
+
+describe("SceneManager", () => {
+	let game;
+	let viewport;
+	let error;
+
+	// Step the game world, letting the promises of finished tweens settle in between steps
+	const runFor = async (ms) => {
+		for (let elapsed = 0; elapsed < ms; elapsed += 16) {
+			game.update._step(16);
+
+			await new Promise((resolve) => setTimeout(resolve));
+		}
+	};
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		error = jest.spyOn(game.debug, "error").mockImplementation(() => {});
+
+		// Nothing is rendered in these tests, so the viewport needs no canvas
+		viewport = game.Viewport({canvas: null});
+
+		game.scene
+			.add("title", Title)
+			.add("broken", Broken)
+			.add("brokenPreload", BrokenPreload);
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	it("starts a scene after a transition", async () => {
+		const starting = game.scene.start("title", {}, {viewport, transition: "fade"});
+
+		await runFor(600);
+
+		const scene = await starting;
+
+		expect(scene).toBeInstanceOf(Title);
+		expect(game.scene.isActive("title")).toBe(true);
+		expect(viewport.fadeAlpha).toBe(0);
+	});
+
+	it.each(["fade", "slide"])(
+		"recovers from a scene failing during a %s transition",
+		async (type) => {
+			const starting = game.scene.start("broken", {}, {viewport, transition: type});
+
+			await runFor(600);
+
+			expect(await starting).toBeNull();
+			expect(game.scene._switching).toBe(false);
+			expect(viewport.fadeAlpha).toBe(0);
+			expect(viewport.shift.x).toBe(0);
+			expect(viewport.shift.y).toBe(0);
+			expect(error).toHaveBeenCalledWith(
+				'Scene "broken" failed to start - Missing level data',
+				"Whirl.Game.SceneManager"
+			);
+
+			const title = await game.scene.start("title", {}, {viewport});
+
+			expect(title).toBeInstanceOf(Title);
+		}
+	);
+
+	it("removes a scene that fails to be created without a transition", async () => {
+		const started = jest.fn();
+
+		game.event.on("sceneStart", started);
+
+		expect(await game.scene.start("broken", {}, {viewport})).toBeNull();
+		expect(game.scene.get("broken")).toBeNull();
+		expect(game.scene.isActive("broken")).toBe(false);
+		expect(started).not.toHaveBeenCalled();
+		expect(error).toHaveBeenCalledWith(
+			'Scene "broken" failed to start - Missing level data',
+			"Whirl.Game.SceneManager"
+		);
+	});
+
+	it("removes a scene that fails to be preloaded", async () => {
+		expect(await game.scene.start("brokenPreload", {}, {viewport})).toBeNull();
+		expect(game.scene.getRunning()).toEqual([]);
+		expect(error).toHaveBeenCalledWith(
+			'Scene "brokenPreload" failed to start - Missing asset list',
+			"Whirl.Game.SceneManager"
+		);
+	});
+
+	it("removes a launched scene and its viewport when it fails to be created", async () => {
+		const title = await game.scene.start("title", {}, {viewport});
+		const viewports = game.object._viewports.length;
+
+		expect(await game.scene.launch("broken")).toBeNull();
+		expect(game.scene.getRunning()).toEqual([title]);
+		expect(game.object._viewports.length).toBe(viewports);
+		expect(error).toHaveBeenCalledWith(
+			'Scene "broken" failed to start - Missing level data',
+			"Whirl.Game.SceneManager"
+		);
+	});
+});
@@ -0,0 +1,98 @@
+import Game from "~/objects/Game";
+
+describe("Timeline", () => {
+	let game;
+	let target;
+
+	const step = (ms) => game.tween._update(ms, ms);
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		target = {x: 0, y: 0};
+	});
+
+	it("plays each tween after the previous one has finished", () => {
+		game.tween
+			.timeline()
+			.to(target, {x: 100}, {duration: 100})
+			.wait(50)
+			.to(target, {y: 100}, {duration: 100})
+			.start();
+
+		step(100);
+
+		expect(target.x).toBe(100);
+		expect(target.y).toBe(0);
+
+		step(100);
+
+		expect(target.y).toBeCloseTo(50);
+	});
+
+	it("positions tweens relative to the previous tween or at a given time", () => {
+		const timeline = game.tween
+			.timeline()
+			.to(target, {x: 100}, {duration: 100})
+			.to(target, {y: 100}, {duration: 100, offset: -50});
+
+		expect(timeline.tweens[1].delay).toBe(50);
+		expect(timeline.cursor).toBe(150);
+
+		timeline.to(target, {x: 0}, {duration: 100, at: 20});
+
+		expect(timeline.tweens[2].delay).toBe(20);
+		expect(timeline.cursor).toBe(120);
+	});
+
+	it("resolves as complete and emits didComplete once every tween has finished", async () => {
+		const completed = jest.fn();
+		const timeline = game.tween
+			.timeline()
+			.to(target, {x: 100}, {duration: 100})
+			.to(target, {y: 100}, {duration: 100});
+
+		timeline.event.on("didComplete", completed);
+		timeline.start();
+
+		step(100);
+		step(100);
+
+		expect(await timeline).toEqual({timeline, complete: true});
+		expect(timeline.complete).toBe(true);
+		expect(completed).toHaveBeenCalledTimes(1);
+	});
+
+	it("resolves as incomplete without emitting didComplete when stopped", async () => {
+		const completed = jest.fn();
+		const timeline = game.tween
+			.timeline()
+			.to(target, {x: 100}, {duration: 100})
+			.to(target, {y: 100}, {duration: 100});
+
+		timeline.event.on("didComplete", completed);
+		timeline.start();
+
+		step(150);
+		timeline.stop();
+
+		expect(await timeline).toEqual({timeline, complete: false});
+		expect(timeline.complete).toBe(false);
+		expect(completed).not.toHaveBeenCalled();
+		expect(game.tween.isTweening()).toBe(false);
+	});
+
+	it("ignores plays that were superseded by restarting the timeline", async () => {
+		const completed = jest.fn();
+		const timeline = game.tween.timeline().to(target, {x: 100}, {duration: 100});
+
+		timeline.event.on("didComplete", completed);
+		timeline.start();
+
+		step(50);
+		timeline.start();
+		step(100);
+
+		expect(await timeline).toEqual({timeline, complete: true});
+		expect(completed).toHaveBeenCalledTimes(1);
+	});
+});
@@ -0,0 +1,125 @@
+import Game from "~/objects/Game";
+
+describe("Tween", () => {
+	let game;
+	let target;
+
+	const step = (ms) => game.tween._update(ms, ms);
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		target = {x: 0, position: {y: 100}};
+	});
+
+	it("animates nested properties to the given values", () => {
+		game.tween.to(target, {x: 100, "position.y": 0}, {duration: 1000});
+
+		step(250);
+
+		expect(target.x).toBeCloseTo(25);
+		expect(target.position.y).toBeCloseTo(75);
+
+		step(750);
+
+		expect(target.x).toBe(100);
+		expect(target.position.y).toBe(0);
+		expect(game.tween.isTweening(target)).toBe(false);
+	});
+
+	it("animates from the given values to the current values", () => {
+		game.tween.from(target, {x: 50}, {duration: 100});
+
+		step(50);
+
+		expect(target.x).toBeCloseTo(25);
+
+		step(50);
+
+		expect(target.x).toBe(0);
+	});
+
+	it("reads the start values once the delay has passed", () => {
+		game.tween.to(target, {x: 100}, {duration: 100, delay: 100});
+
+		step(50);
+		target.x = 50;
+		step(100);
+
+		expect(target.x).toBeCloseTo(75);
+	});
+
+	it("plays back and forth when repeating with yoyo", () => {
+		const repeated = jest.fn();
+		const tween = game.tween.to(target, {x: 100}, {duration: 100, repeat: 1, yoyo: true});
+
+		tween.event.on("didRepeat", repeated);
+
+		step(100);
+		step(50);
+
+		expect(target.x).toBeCloseTo(50);
+		expect(repeated).toHaveBeenCalledTimes(1);
+
+		step(50);
+
+		expect(target.x).toBe(0);
+		expect(tween.complete).toBe(true);
+	});
+
+	it("resolves as complete once it has played through to its end", async () => {
+		const tween = game.tween.to(target, {x: 100}, {duration: 100});
+
+		step(100);
+
+		const result = await tween;
+
+		expect(result).toEqual({tween, complete: true});
+	});
+
+	it("resolves as incomplete and does not start chained tweens when stopped", async () => {
+		const stopped = jest.fn();
+		const tween = game.tween.to(target, {x: 100}, {duration: 100});
+		const next = game.tween.create(target, {x: 0}, {duration: 100});
+
+		tween.chain(next);
+		tween.event.on("didStop", stopped);
+
+		step(50);
+		game.tween.stop(target);
+
+		expect(await tween).toEqual({tween, complete: false});
+		expect(target.x).toBeCloseTo(50);
+		expect(stopped).toHaveBeenCalledTimes(1);
+		expect(next.playing).toBe(false);
+	});
+
+	it("starts chained tweens once it completes", () => {
+		const tween = game.tween.to(target, {x: 100}, {duration: 100});
+		const next = game.tween.create(target, {x: 0}, {duration: 100});
+
+		tween.chain(next);
+
+		step(100);
+
+		expect(next.playing).toBe(true);
+
+		step(50);
+
+		expect(target.x).toBeCloseTo(50);
+	});
+
+	it("does not advance whilst paused", () => {
+		const tween = game.tween.to(target, {x: 100}, {duration: 100});
+
+		step(50);
+		tween.pause();
+		step(50);
+
+		expect(target.x).toBeCloseTo(50);
+
+		tween.resume();
+		step(50);
+
+		expect(target.x).toBe(100);
+	});
+});
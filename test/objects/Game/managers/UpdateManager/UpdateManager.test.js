@@ -0,0 +1,97 @@
+import Game from "~/objects/Game";
+
+describe("UpdateManager", () => {
+	describe("fixed stepping", () => {
+		let game;
+		let steps;
+
+		beforeEach(() => {
+			game = new Game({
+				setup: false,
+				"input keyboard": false,
+				"update fixedStep": true,
+				"update frameRate": 100,
+			});
+
+			game.input.actions.add("jump", {device: "key", key: "Space"});
+
+			steps = [];
+			game.event.on("willStep", () => {
+				const {input} = game;
+
+				steps.push({
+					pressed: input.justPressed("Space"),
+					released: input.justReleased("Space"),
+					activated: input.actions.justActivated("jump"),
+				});
+			});
+		});
+
+		it("runs as many steps as fit in the time elapsed", () => {
+			game.update._update(25);
+
+			expect(steps).toHaveLength(2);
+			expect(game.update.accumulator).toBeCloseTo(5);
+			expect(game.update.alpha).toBeCloseTo(0.5);
+		});
+
+		it("only gives input edges to the first step of a frame", () => {
+			game.input._setKeyDown("Space");
+			game.update._update(35);
+
+			expect(steps.map(({pressed}) => pressed)).toEqual([true, false, false]);
+			expect(steps.map(({activated}) => activated)).toEqual([true, false, false]);
+			expect(game.input.isDown("Space")).toBe(true);
+			expect(game.input.actions.isActive("jump")).toBe(true);
+		});
+
+		it("keeps input edges for the next frame when no step runs", () => {
+			game.input._setKeyDown("Space");
+			game.update._update(5);
+
+			expect(steps).toHaveLength(0);
+			expect(game.input.justPressed("Space")).toBe(true);
+
+			game.update._update(12);
+
+			expect(steps).toEqual([{pressed: true, released: false, activated: true}]);
+			expect(game.input.justPressed("Space")).toBe(false);
+		});
+
+		it("keeps releases for the next frame when no step runs", () => {
+			game.input._setKeyDown("Space");
+			game.update._update(10);
+
+			game.input._setKeyUp("Space");
+			game.update._update(15);
+			game.update._update(20);
+
+			expect(steps.map(({released}) => released)).toEqual([false, true]);
+			expect(game.input.actions.justDeactivated("jump")).toBe(false);
+		});
+
+		it("keeps gamepad button edges for the next frame when no step runs", () => {
+			const button = (pressed) => ({pressed, value: pressed ? 1 : 0});
+			let rawGamepads = [];
+
+			global.navigator.getGamepads = () => rawGamepads;
+			game.config.set("input gamepad", true);
+
+			rawGamepads = [{index: 0, id: "pad", connected: true, buttons: [button(false)], axes: []}];
+			game.update._update(10);
+
+			const gamepad = game.input.getGamepad();
+			const pressed = [];
+
+			game.event.on("willStep", () => pressed.push(gamepad.justPressed("A")));
+
+			rawGamepads = [{index: 0, id: "pad", connected: true, buttons: [button(true)], axes: []}];
+			game.update._update(15);
+			game.update._update(40);
+
+			expect(pressed).toEqual([true, false, false]);
+
+			delete global.navigator.getGamepads;
+		});
+	});
+});
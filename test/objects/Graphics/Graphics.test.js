@@ -0,0 +1,107 @@
+import Game from "~/objects/Game";
+
+describe("Graphics", () => {
+	let game;
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+	});
+
+	afterEach(() => {
+		jest.restoreAllMocks();
+	});
+
+	describe("fill", () => {
+		it("does not fill shapes by default", () => {
+			const graphics = game.Graphics({stroke: game.Colour(255, 0, 0)});
+
+			graphics.drawCircle(0, 0, 10).drawRect(0, 0, 20, 20);
+
+			expect(graphics.fill).toBeNull();
+			expect(graphics.shapes.map((shape) => shape.fill)).toEqual([null, null]);
+		});
+
+		it("fills shapes with the fill of the Graphics unless they have their own", () => {
+			const white = game.Colour(255, 255, 255);
+			const red = game.Colour(255, 0, 0);
+			const graphics = game.Graphics({fill: white});
+
+			graphics
+				.drawCircle(0, 0, 10)
+				.drawCircle(0, 0, 5, {fill: red})
+				.drawCircle(0, 0, 2, {fill: null});
+
+			expect(graphics.shapes.map((shape) => shape.fill)).toEqual([white, red, null]);
+		});
+
+		it("removes the fill when given null", () => {
+			const graphics = game.Graphics({fill: game.Colour(255, 255, 255)});
+
+			graphics.setFill(null).drawCircle(0, 0, 10);
+
+			expect(graphics.fill).toBeNull();
+			expect(graphics.shapes[0].fill).toBeNull();
+		});
+
+		it("warns and removes the fill when given an invalid texture", () => {
+			const warn = jest.spyOn(game.debug, "warn").mockImplementation(() => {});
+			const graphics = game.Graphics({fill: game.Colour(255, 255, 255)});
+
+			graphics.setFill("red");
+
+			expect(graphics.fill).toBeNull();
+			expect(warn).toHaveBeenCalledWith(
+				"Invalid Texture instance given to Graphics#setFill. Removing the fill instead.",
+				"Whirl.Graphics"
+			);
+		});
+	});
+
+	describe("measure", () => {
+		it("fits the bounds to every shape and its outline", () => {
+			const graphics = game.Graphics({stroke: game.Colour(0, 0, 0), strokeWidth: 4});
+
+			graphics.drawCircle(0, 0, 10).drawRect(20, 0, 30, 10, {stroke: null});
+
+			expect(graphics.area).toMatchObject({x: -12, y: -12, w: 62, h: 24});
+			expect(graphics.bounds.w).toBe(62);
+			expect(graphics.bounds.h).toBe(24);
+		});
+
+		it("resets the bounds once cleared", () => {
+			const graphics = game.Graphics().drawCircle(0, 0, 10);
+
+			graphics.clear();
+
+			expect(graphics.shapes).toEqual([]);
+			expect(graphics.bounds.w).toBe(0);
+			expect(graphics.bounds.h).toBe(0);
+		});
+	});
+
+	describe("isPointInside", () => {
+		it("only finds points on the outline of shapes without a fill", () => {
+			const graphics = game.Graphics({
+				x: 100,
+				y: 100,
+				stroke: game.Colour(0, 0, 0),
+				strokeWidth: 4,
+			});
+
+			graphics.drawCircle(0, 0, 10).calculateDerived();
+
+			expect(graphics.isPointInside(100, 100)).toBe(false);
+			expect(graphics.isPointInside(111, 100)).toBe(true);
+			expect(graphics.isPointInside(113, 100)).toBe(false);
+		});
+
+		it("finds points inside of filled shapes", () => {
+			const graphics = game.Graphics({x: 100, y: 100, fill: game.Colour(0, 0, 0)});
+
+			graphics.drawCircle(0, 0, 10).calculateDerived();
+
+			expect(graphics.isPointInside(105, 100)).toBe(true);
+			expect(graphics.isPointInside(111, 100)).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,91 @@
+import Game from "~/objects/Game";
+
+describe("Sprite", () => {
+	let game;
+	let stage;
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		stage = game.Stage();
+	});
+
+	const expectPoint = (point, x, y) => {
+		expect(point.x).toBeCloseTo(x);
+		expect(point.y).toBeCloseTo(y);
+	};
+
+	it("places its anchor point at its bounds position", () => {
+		const sprite = game.Sprite({x: 100, y: 100, w: 50, h: 20, anchorX: 0.5, anchorY: 0.5});
+
+		stage.child.add(sprite);
+		stage.calculateDerived();
+
+		expectPoint(sprite.derived.matrix.apply(0, 0), 75, 90);
+		expect(sprite.derived.bounds).toMatchObject({x: 75, y: 90, w: 50, h: 20});
+	});
+
+	it("rotates around its anchor point", () => {
+		const sprite = game.Sprite({x: 100, y: 100, w: 50, h: 20, anchorX: 0.5, anchorY: 0.5});
+
+		sprite.rotation = 90;
+		stage.child.add(sprite);
+		stage.calculateDerived();
+
+		const {bounds} = sprite.derived;
+
+		expect(bounds.x).toBeCloseTo(90);
+		expect(bounds.y).toBeCloseTo(75);
+		expect(bounds.w).toBeCloseTo(20);
+		expect(bounds.h).toBeCloseTo(50);
+	});
+
+	it("composes the transforms of its parent containers", () => {
+		const sprite = game.Sprite({x: 10, y: 0, w: 10, h: 10});
+		const inner = game.Container({x: 0, y: 0, scale: 2}, [sprite]);
+		const outer = game.Container({x: 100, y: 100, rotation: 90}, [inner]);
+
+		stage.child.add(outer);
+		stage.calculateDerived();
+
+		// Scaled by the inner container, then rotated to point down by the outer container
+		expectPoint(sprite.derived.matrix.apply(0, 0), 100, 120);
+		expectPoint(sprite.derived.matrix.apply(10, 0), 100, 140);
+		expect(outer.derived.x).toBe(100);
+		expect(outer.derived.y).toBe(100);
+	});
+
+	it("tests points in its transformed space", () => {
+		const sprite = game.Sprite({x: 0, y: 0, w: 100, h: 10});
+		const container = game.Container({x: 50, y: 50, rotation: 90}, [sprite]);
+
+		stage.child.add(container);
+		stage.calculateDerived();
+
+		expect(sprite.isPointInside(45, 100)).toBe(true);
+		expect(sprite.isPointInside(100, 55)).toBe(false);
+	});
+
+	it("interpolates between the previous and current simulation steps", () => {
+		const sprite = game.Sprite({x: 0, y: 0, w: 10, h: 10});
+
+		stage.child.add(sprite);
+		stage.calculateDerived();
+
+		sprite.bounds.x = 100;
+		stage.calculateDerived();
+		sprite.interpolate(0.25);
+
+		expect(sprite.derived.renderMatrix.tx).toBeCloseTo(25);
+		expect(sprite.derived.renderBounds.x).toBeCloseTo(25);
+	});
+
+	it("does not interpolate from its initial state on its first step", () => {
+		const sprite = game.Sprite({x: 100, y: 0, w: 10, h: 10});
+
+		stage.child.add(sprite);
+		stage.calculateDerived();
+		sprite.interpolate(0);
+
+		expect(sprite.derived.renderMatrix.tx).toBe(100);
+	});
+});
@@ -0,0 +1,86 @@
+import SpatialHash from "~/objects/Stage/SpatialHash";
+import Rectangle from "~/geometry/Rectangle";
+
+describe("SpatialHash", () => {
+	let hash;
+
+	beforeEach(() => {
+		hash = new SpatialHash(100);
+	});
+
+	it("finds items whose bounding box overlaps the queried area", () => {
+		hash.insert("a", Rectangle(10, 10, 20, 20));
+		hash.insert("b", Rectangle(250, 250, 20, 20));
+		hash.insert("c", Rectangle(90, 90, 20, 20));
+
+		expect(hash.query(Rectangle(0, 0, 50, 50))).toEqual(["a"]);
+		expect(hash.query(Rectangle(95, 95, 10, 10))).toEqual(["c"]);
+		expect(hash.query(Rectangle(0, 0, 300, 300))).toEqual(["a", "b", "c"]);
+		expect(hash.query(Rectangle(500, 500, 10, 10))).toEqual([]);
+		expect(hash.size).toBe(3);
+	});
+
+	it("returns items spanning many cells only once", () => {
+		hash.insert("wide", Rectangle(0, 0, 350, 50));
+		hash.insert("huge", Rectangle(-5000, -5000, 10000, 10000));
+
+		expect(hash.query(Rectangle(0, 0, 400, 100))).toEqual(["wide", "huge"]);
+		expect(hash.query(Rectangle(-4000, 3000, 10, 10))).toEqual(["huge"]);
+	});
+
+	it("returns items in the order they were inserted unless given an order", () => {
+		hash.insert("a", Rectangle(0, 0, 10, 10));
+		hash.insert("b", Rectangle(0, 0, 10, 10), 0);
+		hash.insert("c", Rectangle(0, 0, 10, 10));
+
+		hash.update("a", Rectangle(0, 0, 10, 10), -1);
+
+		expect(hash.query(Rectangle(0, 0, 10, 10))).toEqual(["a", "b", "c"]);
+	});
+
+	it("moves updated items between cells", () => {
+		hash.insert("a", Rectangle(10, 10, 20, 20));
+		hash.update("a", Rectangle(310, 10, 20, 20));
+
+		expect(hash.query(Rectangle(0, 0, 50, 50))).toEqual([]);
+		expect(hash.query(Rectangle(300, 0, 50, 50))).toEqual(["a"]);
+		expect(hash._cells.size).toBe(1);
+	});
+
+	it("moves items to and from the oversized list", () => {
+		hash.insert("a", Rectangle(10, 10, 20, 20));
+		hash.update("a", Rectangle(0, 0, 2000, 2000));
+
+		expect(hash._cells.size).toBe(0);
+		expect(hash.query(Rectangle(1500, 1500, 10, 10))).toEqual(["a"]);
+
+		hash.update("a", Rectangle(10, 10, 20, 20));
+
+		expect(hash._oversized).toEqual([]);
+		expect(hash.query(Rectangle(1500, 1500, 10, 10))).toEqual([]);
+		expect(hash.query(Rectangle(0, 0, 50, 50))).toEqual(["a"]);
+	});
+
+	it("removes items and their empty cells", () => {
+		hash.insert("a", Rectangle(10, 10, 20, 20));
+		hash.insert("b", Rectangle(20, 20, 20, 20));
+
+		expect(hash.remove("a")).toBe(true);
+		expect(hash.remove("a")).toBe(false);
+		expect(hash.has("a")).toBe(false);
+		expect(hash.query(Rectangle(0, 0, 50, 50))).toEqual(["b"]);
+
+		hash.remove("b");
+
+		expect(hash.size).toBe(0);
+		expect(hash._cells.size).toBe(0);
+	});
+
+	it("treats inserting an item twice as moving it", () => {
+		hash.insert("a", Rectangle(10, 10, 20, 20));
+		hash.insert("a", Rectangle(310, 10, 20, 20));
+
+		expect(hash.size).toBe(1);
+		expect(hash.query(Rectangle(0, 0, 400, 50))).toEqual(["a"]);
+	});
+});
@@ -0,0 +1,61 @@
+import Game from "~/objects/Game";
+import Rectangle from "~/geometry/Rectangle";
+
+describe("Stage", () => {
+	describe("spatial index", () => {
+		let game;
+		let stage;
+
+		beforeEach(() => {
+			game = new Game({setup: false, "input keyboard": false});
+			stage = game.Stage({w: 1000, h: 1000, spatialIndex: true, cellSize: 100});
+		});
+
+		const createSprite = (x, y, layer = 0) => game.Sprite({x, y, w: 10, h: 10, layer});
+
+		it("finds sprites near an area once the stage has been stepped", () => {
+			const near = createSprite(10, 10);
+			const far = createSprite(800, 800);
+
+			stage.child.add([near, far]);
+			stage.calculateDerived();
+
+			expect(stage.query(Rectangle(0, 0, 50, 50))).toEqual([near]);
+			expect(stage.index.query(Rectangle(0, 0, 50, 50))).toEqual([near]);
+		});
+
+		it("follows sprites that move, are removed or are deactivated", () => {
+			const moving = createSprite(10, 10);
+			const removed = createSprite(20, 20);
+			const deactivated = createSprite(30, 30);
+
+			stage.child.add([moving, removed, deactivated]);
+			stage.calculateDerived();
+
+			moving.bounds.x = 500;
+			stage.child.remove(removed);
+			deactivated.active = false;
+			stage.calculateDerived();
+			stage.calculateDerived();
+
+			expect(stage.index.query(Rectangle(0, 0, 100, 100))).toEqual([]);
+			expect(stage.index.query(Rectangle(450, 0, 100, 100))).toEqual([moving]);
+			expect(stage.index.size).toBe(1);
+		});
+
+		it("returns sprites in the order they are rendered", () => {
+			const top = createSprite(10, 10, 2);
+			const bottom = createSprite(10, 10, 1);
+
+			stage.child.add([top, bottom]);
+			stage.calculateDerived();
+
+			expect(stage.index.query(Rectangle(0, 0, 50, 50))).toEqual([bottom, top]);
+
+			bottom.layer = 3;
+			stage.calculateDerived();
+
+			expect(stage.index.query(Rectangle(0, 0, 50, 50))).toEqual([top, bottom]);
+		});
+	});
+});
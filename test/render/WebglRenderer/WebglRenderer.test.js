@@ -0,0 +1,90 @@
+import Game from "~/objects/Game";
+import WebglRenderer from "~/render/WebglRenderer";
+
+// Floats per vertex and the index of each value the fragment shader reads
+const VERTEX_SIZE = 15;
+const RAMP_ROW = 7;
+const MODE = 8;
+const GRADIENT_POSITION = 9;
+const GRADIENT_SHAPE = 11;
+
+describe("WebglRenderer", () => {
+	let game;
+	let renderer;
+	let context;
+	let viewport;
+
+	const getVertex = (quad, corner) => {
+		const start = (quad * 4 + corner) * VERTEX_SIZE;
+
+		return Array.from(context.vertices.subarray(start, start + VERTEX_SIZE));
+	};
+
+	const drawSprite = (fill) => {
+		const sprite = game.Sprite({w: 200, h: 100, fill});
+
+		sprite.calculateDerived();
+		sprite.interpolate(1);
+		renderer.Sprite(viewport, sprite);
+	};
+
+	beforeEach(() => {
+		game = new Game({setup: false, "input keyboard": false});
+		renderer = new WebglRenderer(game);
+
+		// Gradient rows are drawn with a 2D context, which is not available here
+		jest.spyOn(renderer, "_drawGradientRow").mockImplementation(() => {});
+		jest.spyOn(renderer, "_flush").mockImplementation(() => {});
+
+		context = {
+			ctx: {},
+			vertices: new Float32Array(4 * 4 * VERTEX_SIZE),
+			quads: 0,
+			gradientRows: new Map(),
+			nextGradientRow: 0,
+		};
+		viewport = {
+			render: context,
+			zoom: 1,
+			bounds: {x: 0, y: 0},
+			derived: {scroll: {x: 0, y: 0}},
+		};
+	});
+
+	it("draws radial gradients in the same batch as solid colours", () => {
+		drawSprite(game.Colour(255, 0, 0));
+		drawSprite(game.Gradient({type: "radial", stops: [[0, game.Colour(255, 255, 255)]]}));
+
+		expect(context.quads).toBe(2);
+		expect(renderer._flush).not.toHaveBeenCalled();
+
+		const topLeft = getVertex(1, 0);
+		const bottomRight = getVertex(1, 2);
+
+		expect(topLeft[MODE]).toBe(2);
+		expect(topLeft[RAMP_ROW]).toBeCloseTo(0.5 / 64);
+
+		// Positions relative to the center, as a percentage of the larger side
+		expect(topLeft.slice(GRADIENT_POSITION, GRADIENT_SHAPE)).toEqual([-0.5, -0.25]);
+		expect(bottomRight.slice(GRADIENT_POSITION, GRADIENT_SHAPE)).toEqual([0.5, 0.25]);
+		expect(topLeft.slice(GRADIENT_SHAPE)).toEqual([0, 0, 0, 0.5]);
+
+		// Solid colours leave the gradient values empty
+		expect(getVertex(0, 0).slice(GRADIENT_POSITION)).toEqual([0, 0, 0, 0, 0, 0]);
+	});
+
+	it("gives conic gradients their start angle in radians", () => {
+		drawSprite(game.Gradient({type: "conic", angle: 90}));
+
+		const topLeft = getVertex(0, 0);
+
+		expect(topLeft[MODE]).toBe(3);
+		expect(topLeft[GRADIENT_SHAPE]).toBeCloseTo(Math.PI / 2);
+	});
+
+	it("skips radial gradients between two identical circles", () => {
+		drawSprite(game.Gradient({type: "radial", startRadius: 0.5, endRadius: 0.5}));
+
+		expect(context.quads).toBe(0);
+	});
+});